@@ -0,0 +1,221 @@
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import type { NextApiRequest, NextApiResponse } from "next";
+import { describe, expect, it } from "vitest";
+import { bloqueoExportacion, reglasIncumplidas } from "@/lib/approvals";
+import { cambiosEntrada, extiendeHistorial, registro } from "@/lib/audit";
+import { DEFAULT_INPUT } from "@/lib/cost-engine";
+import { traducir, type Mensaje } from "@/lib/i18n";
+import { DEFAULT_PRICE_LIST } from "@/lib/price-lists";
+import { cambiarEstado, newQuote, parseQuote, updateQuote, verificarBorrado, verificarHistorial, type Quote } from "@/lib/quotes";
+import { collectionHandler, itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import usuarioApi from "@/pages/api/users/[id]";
+import usuariosApi from "@/pages/api/users/index";
+import { eliminarUsuario, guardarUsuario, listarUsuarios, USUARIOS_BASE, type Usuario } from "@/lib/users";
+
+const meta = { cliente: "EPEC", referencia: "OF-200", fecha: "2025-10-15" };
+const ventas = USUARIOS_BASE.find(u => u.rol === "vendedor")!;
+const gerencia = USUARIOS_BASE.find(u => u.rol === "gerente")!;
+const lista = DEFAULT_PRICE_LIST.valores;
+const margenBajo = { ...DEFAULT_INPUT, margenPct: 8 };
+const reglas = (q: Quote) => reglasIncumplidas({ input: q.input, lineas: q.lineas, lista });
+const es = (m: Mensaje | null) => m && traducir("es", m);
+
+describe("reglas de aprobación", () => {
+  it("margen bajo el mínimo y precios distintos de la lista", () => {
+    expect(reglasIncumplidas({ input: DEFAULT_INPUT, lineas: [], lista })).toEqual([]);
+    expect(reglasIncumplidas({ input: margenBajo, lineas: [], lista }).map(r => r.id)).toEqual(["margen-minimo"]);
+    const manual = reglasIncumplidas({ input: { ...DEFAULT_INPUT, pxCu: 6.5, pxAislacionKg: { ...DEFAULT_INPUT.pxAislacionKg, XLPE: 2 } }, lineas: [], lista });
+    expect(manual.map(r => r.id)).toEqual(["precio-manual"]);
+    expect(manual[0].motivo).toEqual({ clave: "aprobacion.regla.precioManual", vars: { campos: "pxCu, pxAislacionKg.XLPE" } });
+    // El tipo de cambio no es un precio.
+    expect(reglasIncumplidas({ input: { ...DEFAULT_INPUT, tcARS: 1500 }, lineas: [], lista })).toEqual([]);
+    expect(reglasIncumplidas({ input: DEFAULT_INPUT, lineas: [], lista: null })[0].id).toBe("precio-manual");
+  });
+
+  it("la exportación espera la aprobación y se bloquea si la cotización cambia", () => {
+    const incumplidas = reglasIncumplidas({ input: margenBajo, lineas: [], lista });
+    expect(bloqueoExportacion([], null, false)).toBeNull();
+    expect(es(bloqueoExportacion(incumplidas, null, false))).toMatch(/Requiere aprobación.*Margen 8%/);
+    expect(es(bloqueoExportacion(incumplidas, { estado: "presentada" }, true))).toMatch(/En aprobación/);
+    expect(traducir("en", bloqueoExportacion(incumplidas, { estado: "presentada" }, true)!)).toMatch(/^Requires a manager's approval \(Margin 8% below the minimum of 10%\); status: /);
+    expect(bloqueoExportacion(incumplidas, { estado: "aprobada" }, true)).toBeNull();
+    expect(es(bloqueoExportacion(incumplidas, { estado: "aprobada" }, false))).toMatch(/cambió después de aprobada/);
+  });
+});
+
+describe("estados e historial", () => {
+  it("presentar, aprobar (sólo gerentes) y enviar", () => {
+    const q = newQuote(meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id);
+    expect(q.estado).toBe("borrador");
+    expect(q.historial).toMatchObject([{ usuario: "ventas", accion: "creada" }]);
+    expect(() => cambiarEstado(q, "enviada", ventas, reglas(q))).toThrow(/Requiere aprobación/);
+    const p = cambiarEstado(q, "presentada", ventas, reglas(q));
+    expect(p.historial[1]).toMatchObject({ accion: "estado", estado: "presentada", reglas: [{ clave: "aprobacion.regla.margenMinimo", vars: { margen: 8, minimo: 10 } }] });
+    expect(() => cambiarEstado(p, "aprobada", ventas, reglas(p))).toThrow(/requiere rol gerente/);
+    expect(() => cambiarEstado(p, "rechazada", gerencia, reglas(p))).toThrow(/motivo/);
+    const a = cambiarEstado(p, "aprobada", gerencia, reglas(p), "Cliente estratégico");
+    expect(a.historial[2]).toMatchObject({ usuario: "gerencia", estado: "aprobada", nota: "Cliente estratégico" });
+    expect(cambiarEstado(a, "enviada", ventas, reglas(a)).estado).toBe("enviada");
+    expect(() => cambiarEstado(a, "borrador", ventas, [])).toThrow(/No se puede pasar/);
+    // Sin reglas incumplidas un borrador se envía directo.
+    const ok = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, [], ventas.id);
+    expect(cambiarEstado(ok, "enviada", ventas, reglas(ok)).estado).toBe("enviada");
+  });
+
+  it("cada actualización registra quién cambió qué, y una aprobada vuelve a borrador", () => {
+    const q = newQuote(meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id);
+    const a = cambiarEstado(cambiarEstado(q, "presentada", ventas, reglas(q)), "aprobada", gerencia, reglas(q));
+    expect(updateQuote(a, meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id).historial).toHaveLength(3); // sin cambios no registra
+    const u = updateQuote(a, meta, { ...margenBajo, margenPct: 5, pxCu: 7 }, DEFAULT_PRICE_LIST, [], ventas.id);
+    expect(u.estado).toBe("borrador");
+    expect(u.historial[3]).toMatchObject({
+      usuario: "ventas", accion: "modificada", estado: "borrador",
+      cambios: [{ campo: "pxCu", antes: DEFAULT_INPUT.pxCu, despues: 7 }, { campo: "margenPct", antes: 8, despues: 5 }],
+    });
+    expect(cambiosEntrada({ input: DEFAULT_INPUT }, { input: { ...DEFAULT_INPUT, pxAislacionKg: { ...DEFAULT_INPUT.pxAislacionKg, EPR: 4 } } }))
+      .toEqual([{ campo: "pxAislacionKg.EPR", antes: DEFAULT_INPUT.pxAislacionKg.EPR, despues: 4 }]);
+  });
+
+  it("el historial sólo agrega y el estado sale de él", () => {
+    const q = newQuote(meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id);
+    const p = cambiarEstado(q, "presentada", ventas, reglas(q));
+    const usuarios = [...USUARIOS_BASE];
+    expect(() => verificarHistorial(q, p, usuarios, lista, ventas.id)).not.toThrow();
+    expect(extiendeHistorial(p.historial, q.historial)).toBe(false);
+    expect(() => verificarHistorial(p, { ...p, historial: [p.historial[1]] }, usuarios, lista, ventas.id)).toThrow(/sólo de agregado/);
+    expect(() => verificarHistorial(p, { ...p, historial: [{ ...p.historial[0], usuario: "otro" }, p.historial[1]] }, usuarios, lista, ventas.id)).toThrow(/sólo de agregado/);
+    expect(() => verificarHistorial(q, { ...q, estado: "aprobada" }, usuarios, lista, ventas.id)).toThrow(/sin registro/);
+    // Una aprobación firmada por un vendedor no pasa aunque se arme a mano.
+    const trucha: Quote = { ...p, estado: "aprobada", historial: [...p.historial, { ...p.historial[1], usuario: "ventas", estado: "aprobada" }] };
+    expect(() => verificarHistorial(p, trucha, usuarios, lista, ventas.id)).toThrow(/requiere rol gerente/);
+    // Ni a nombre de otro: las entradas nuevas son del usuario activo, con la fecha del servidor.
+    const aprobada = cambiarEstado(p, "aprobada", gerencia, reglas(q));
+    expect(() => verificarHistorial(p, aprobada, usuarios, lista, ventas.id)).toThrow(/a nombre de gerencia/);
+    expect(() => verificarHistorial(undefined, q, usuarios, lista, undefined)).toThrow(/usuario activo \(ninguno\)/);
+    const guardada = verificarHistorial(p, { ...aprobada, historial: [...p.historial, { ...aprobada.historial[2], fecha: "2000-01-01T00:00:00.000Z" }] }, usuarios, lista, gerencia.id);
+    expect(guardada.historial.slice(0, 2)).toEqual(p.historial);
+    expect(guardada.historial[2].fecha > "2000-01-01T00:00:00.000Z").toBe(true);
+    expect(() => verificarBorrado(q)).not.toThrow();
+    expect(() => verificarBorrado(p)).toThrow(/no se puede eliminar/);
+  });
+
+  it("el servidor verifica los cambios de contenido y evalúa las reglas", () => {
+    const usuarios = [...USUARIOS_BASE];
+    const q = newQuote(meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id);
+    const a = cambiarEstado(cambiarEstado(q, "presentada", ventas, reglas(q)), "aprobada", gerencia, reglas(q));
+    const otraEntrada = { ...margenBajo, margenPct: 5 };
+    // Reenviar la aprobada con otra entrada conservaría la aprobación.
+    expect(() => verificarHistorial(a, { ...a, input: otraEntrada }, usuarios, lista, ventas.id)).toThrow(/Cambios sin registrar.*margenPct/);
+    const sinVolver = registro(ventas.id, "modificada", { cambios: [{ campo: "margenPct", antes: 8, despues: 5 }] });
+    expect(() => verificarHistorial(a, { ...a, input: otraEntrada, historial: [...a.historial, sinVolver] }, usuarios, lista, ventas.id)).toThrow(/volver a borrador/);
+    expect(() => verificarHistorial(a, updateQuote(a, meta, otraEntrada, DEFAULT_PRICE_LIST, [], ventas.id), usuarios, lista, ventas.id)).not.toThrow();
+    // Un borrador con reglas incumplidas no se envía directo, y las reglas registradas son las de la cotización.
+    const enviada: Quote = { ...q, estado: "enviada", historial: [...q.historial, registro(ventas.id, "estado", { estado: "enviada" })] };
+    expect(() => verificarHistorial(q, enviada, usuarios, lista, ventas.id)).toThrow(/Requiere aprobación: Margen 8%/);
+    const presentada: Quote = { ...q, estado: "presentada", historial: [...q.historial, registro(ventas.id, "estado", { estado: "presentada" })] };
+    expect(() => verificarHistorial(q, presentada, usuarios, lista, ventas.id)).toThrow(/reglas registradas/);
+    const ok = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, [], ventas.id);
+    expect(() => verificarHistorial(ok, cambiarEstado(ok, "enviada", ventas, []), usuarios, lista, ventas.id)).not.toThrow();
+    // Sin la lista de la cotización no se pueden verificar los precios: requiere aprobación.
+    expect(() => verificarHistorial(ok, cambiarEstado(ok, "enviada", ventas, []), usuarios, null, ventas.id)).toThrow(/No se encontró la lista/);
+  });
+
+  it("las cotizaciones anteriores al historial se leen como borrador", () => {
+    const { estado: _, historial: __, ...vieja } = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    const q = parseQuote(vieja);
+    expect(q.estado).toBe("borrador");
+    expect(q.historial).toEqual([]);
+    expect(() => parseQuote({ ...vieja, historial: [{ fecha: "x" }] })).toThrow(/historial\[0\]/);
+  });
+});
+
+async function llamar(handler: (req: NextApiRequest, res: NextApiResponse) => Promise<unknown>, method: string, body?: unknown, id?: string, usuario?: string) {
+  const r = { status: 0, body: undefined as any };
+  const res = {
+    status(s: number) { r.status = s; return res; },
+    json(b: unknown) { r.body = b; return res; },
+    end() { return res; },
+    setHeader() { return res; },
+  };
+  await handler({ method, body, query: { id }, headers: usuario ? { "x-usuario": usuario } : {} } as unknown as NextApiRequest, res as unknown as NextApiResponse);
+  return r;
+}
+
+describe("usuarios y API", () => {
+  it("la API rechaza reescribir el historial y borrar cotizaciones presentadas", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+    try {
+      const store = createJsonFileStore<Quote>("quotes");
+      const post = collectionHandler(store, parseQuote, async (anterior, q, actor) => verificarHistorial(anterior, q, USUARIOS_BASE, lista, actor));
+      const q = newQuote(meta, margenBajo, DEFAULT_PRICE_LIST, [], ventas.id);
+      expect((await llamar(post, "POST", q, undefined, ventas.id)).status).toBe(200);
+      const p = cambiarEstado((await store.get(q.id))!, "presentada", ventas, reglas(q));
+      expect((await llamar(post, "POST", p, undefined, ventas.id)).status).toBe(200);
+      // Un vendedor no se aprueba a sí mismo firmando como gerencia.
+      const guardada = (await store.get(q.id))!;
+      const trucha = cambiarEstado(cambiarEstado(guardada, "aprobada", gerencia, reglas(q)), "enviada", gerencia, []);
+      const t = await llamar(post, "POST", trucha, undefined, ventas.id);
+      expect(t.status).toBe(409);
+      expect(t.body.error).toMatch(/a nombre de gerencia/);
+      expect((await llamar(post, "POST", trucha, undefined, gerencia.id)).status).toBe(200);
+      const r = await llamar(post, "POST", { ...p, historial: p.historial.slice(0, 1), estado: "borrador" }, undefined, ventas.id);
+      expect(r.status).toBe(409);
+      expect(r.body.error).toMatch(/sólo de agregado/);
+      expect((await llamar(itemHandler(store, verificarBorrado), "DELETE", undefined, q.id)).status).toBe(409);
+      expect(await store.get(q.id)).toBeDefined();
+    } finally {
+      delete process.env.CCE_DATA_DIR;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("usuarios de fábrica hasta el primer cambio; siempre queda un administrador", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+    try {
+      const store = createJsonFileStore<Usuario>("users");
+      expect(await listarUsuarios(store)).toEqual(USUARIOS_BASE);
+      await guardarUsuario({ id: "jperez", nombre: "Juan Pérez", rol: "gerente" }, store);
+      expect((await listarUsuarios(store)).map(u => u.id).sort()).toEqual(["admin", "gerencia", "jperez", "ventas"]);
+      await expect(eliminarUsuario("admin", store)).rejects.toThrow(/administrador/);
+      await expect(guardarUsuario({ id: "admin", nombre: "Administrador", rol: "vendedor" }, store)).rejects.toThrow(/administrador/);
+      await expect(guardarUsuario({ id: "Con Espacios", nombre: "", rol: "jefe" as Usuario["rol"] }, store)).rejects.toThrow(/id: .*nombre: .*rol:/);
+      await eliminarUsuario("ventas", store);
+      expect((await listarUsuarios(store)).some(u => u.id === "ventas")).toBe(false);
+    } finally {
+      delete process.env.CCE_DATA_DIR;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("la API de usuarios sólo acepta cambios de un administrador y siempre deja uno", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+    try {
+      const store = createJsonFileStore<Usuario>("users");
+      // Nadie se da de alta como administrador ni se sube el rol.
+      expect((await llamar(usuariosApi, "POST", { id: "yo", nombre: "Yo", rol: "admin" })).status).toBe(409);
+      const r = await llamar(usuariosApi, "POST", { ...ventas, rol: "gerente" }, undefined, ventas.id);
+      expect(r.status).toBe(409);
+      expect(r.body.error).toMatch(/Sólo un administrador/);
+      expect((await llamar(usuarioApi, "DELETE", undefined, "gerencia", ventas.id)).status).toBe(409);
+      const ultimo = await llamar(usuarioApi, "DELETE", undefined, "admin", "admin");
+      expect(ultimo.status).toBe(409);
+      expect(ultimo.body.error).toMatch(/al menos un administrador/);
+      expect((await llamar(usuariosApi, "POST", { id: "admin", nombre: "Administrador", rol: "vendedor" }, undefined, "admin")).status).toBe(409);
+      expect(await store.list()).toEqual([]);
+      // El primer cambio conserva a los usuarios de fábrica.
+      expect((await llamar(usuariosApi, "POST", { id: "jperez", nombre: "Juan Pérez", rol: "vendedor" }, undefined, "admin")).status).toBe(200);
+      expect((await store.list()).map(u => u.id).sort()).toEqual(["admin", "gerencia", "jperez", "ventas"]);
+      expect((await llamar(usuarioApi, "DELETE", undefined, "ventas", "admin")).status).toBe(204);
+      expect((await store.list()).map(u => u.id).sort()).toEqual(["admin", "gerencia", "jperez"]);
+    } finally {
+      delete process.env.CCE_DATA_DIR;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import {
+  antecedenteDeCotizacion, antecedentesToCSV, familia, masParecidos, nuevoAntecedente, parseAntecedente, parseAntecedentesCSV,
+  posicionPrecio, precioEquivalente, similitud, SIMILITUD_MINIMA, tasaExitoPorMargen, type Antecedente,
+} from "@/lib/benchmarking";
+import { DEFAULT_INPUT, type CableSpec } from "@/lib/cost-engine";
+import { decodificarCodigo } from "@/lib/product-codes";
+
+const spec = (codigo: string) => decodificarCodigo(codigo);
+const antecedente = (s: CableSpec, precioUSDm: number, resultado: "ganada" | "perdida", extra: Partial<Antecedente> = {}): Antecedente => ({
+  ...nuevoAntecedente({ fecha: "2025-06-01", cliente: "EPEC", referencia: "", spec: s, precioUSDm, margenPct: 15, resultado, origen: "importado" }),
+  ...extra,
+});
+
+describe("antecedentes parecidos", () => {
+  it("la similitud baja con cada diferencia de construcción", () => {
+    const base = spec("IMSA-CU-1X95-13.2-RH-P6");
+    expect(similitud(base, base)).toBe(1);
+    const s120 = similitud(base, spec("IMSA-CU-1X120-13.2-RH-P6"));
+    const al = similitud(base, spec("IMSA-AL-1X95-13.2-RH-P6"));
+    const t33 = similitud(base, spec("IMSA-CU-1X95-33-RH-P16"));
+    expect(s120).toBeCloseTo(1 / (1 + 2 * Math.log(120 / 95)), 12);
+    expect(s120).toBeGreaterThan(t33);
+    expect(t33).toBeGreaterThan(al);
+    // El conductor y el WB no cuentan: mismo precio de mercado.
+    expect(similitud(base, { ...base, claseConductor: 1, formaConductor: "redondo", useWBLong: true })).toBe(1);
+  });
+
+  it("ordena por similitud y ubica el precio frente a los ganadores", () => {
+    const ants = [
+      antecedente(spec("IMSA-AL-3X150-13.2-RH-P6"), 20, "ganada"),
+      antecedente(spec("IMSA-CU-1X95-13.2-RH-P6"), 40, "ganada"),
+      antecedente(spec("IMSA-CU-1X120-13.2-RH-P6"), 48, "perdida", { precioCompetidorUSDm: 44, competidor: "Prysmian" }),
+      antecedente(spec("IMSA-CU-1X120-13.2-RH-P6"), 50, "perdida"), // sin precio del competidor
+    ];
+    const s95 = spec("IMSA-CU-1X95-13.2-RH-P6");
+    const parecidos = masParecidos(s95, ants, 3);
+    expect(parecidos.map(p => p.antecedente.precioUSDm)).toEqual([40, 48, 50]);
+    const pos = posicionPrecio(42, s95, parecidos)!;
+    const w = parecidos[1].similitud;
+    const competidor = precioEquivalente(44, spec("IMSA-CU-1X120-13.2-RH-P6"), s95);
+    expect(pos.referencias).toBe(2);
+    expect(pos.ganadorPonderado).toBeCloseTo((40 + competidor * w) / (1 + w), 12);
+    expect(pos.diferenciaPct).toBeCloseTo((42 / pos.ganadorPonderado - 1) * 100, 12);
+    expect(pos.percentil).toBe(100); // los 44 USD/m del 120 mm² son menos de 40 en un 95
+    expect(pos.minimo).toBeCloseTo(competidor, 12);
+    expect(pos.maximo).toBe(40);
+    expect(posicionPrecio(42, s95, parecidos.slice(2))).toBeNull();
+  });
+
+  it("lleva los precios de otras secciones a la pedida y descarta los poco parecidos", () => {
+    const s95 = spec("IMSA-CU-1X95-13.2-RH-P6");
+    const s150 = spec("IMSA-CU-1X150-13.2-RH-P6");
+    const s70 = spec("IMSA-CU-1X70-13.2-RH-P6");
+    // El mismo precio por kg de metal en las dos secciones: 40 USD/m en el 95 queda justo en el ganador.
+    const ants = [
+      antecedente(s150, precioEquivalente(40, s95, s150), "ganada"),
+      antecedente(s70, precioEquivalente(40, s95, s70), "ganada"),
+      antecedente(spec("IMSA-AL-1X95-13.2-RH-P6"), 15, "ganada"),
+    ];
+    expect(precioEquivalente(40, s95, s150)).toBeGreaterThan(55);
+    const parecidos = masParecidos(s95, ants);
+    expect(parecidos.map(p => p.antecedente.spec.seccion)).toEqual([70, 150]); // el de aluminio no llega a la mínima
+    expect(similitud(s95, ants[2].spec)).toBeLessThan(SIMILITUD_MINIMA);
+    const pos = posicionPrecio(40, s95, parecidos)!;
+    expect(pos.ganadorPonderado).toBeCloseTo(40, 9);
+    expect(pos.diferenciaPct).toBeCloseTo(0, 9);
+    expect(pos.maximo - pos.minimo).toBeCloseTo(0, 9);
+  });
+});
+
+describe("tasa de éxito por margen", () => {
+  const cu = spec("IMSA-CU-1X95-13.2-RH-P6");
+  const con = (margenPct: number | null, resultado: "ganada" | "perdida", s = cu) => antecedente(s, 40, resultado, { margenPct });
+
+  it("agrupa por banda dentro de la familia y sugiere el mayor margen esperado", () => {
+    const ants = [
+      con(8, "ganada"), con(9, "ganada"), con(7, "ganada"), con(6, "perdida"),      // 3/4 × 7,5% ≈ 5,6
+      con(16, "ganada"), con(18, "ganada"), con(17, "perdida"),                     // 2/3 × 17% ≈ 11,3
+      con(26, "perdida"), con(30, "ganada"),                                        // pocos antecedentes
+      con(null, "ganada"), con(12, "perdida", spec("IMSA-AL-1X95-13.2-RH-P6")),    // sin margen / otra familia
+    ];
+    const t = tasaExitoPorMargen(familia(cu), ants);
+    expect(t.familia).toBe("Cobre unipolar 13.2 kV");
+    expect(t.bandas.map(b => [b.desde, b.total, b.ganadas])).toEqual([[0, 0, 0], [5, 4, 3], [10, 0, 0], [15, 3, 2], [20, 0, 0], [25, 2, 1]]);
+    expect(t.bandas[0].tasaExito).toBeNull();
+    expect(t.bandas[5].hasta).toBeNull();
+    expect(t.sugerido!.desde).toBe(15);
+    expect(t.sugerido!.margenMedio).toBeCloseTo(17, 12);
+    expect(tasaExitoPorMargen(familia(cu), ants.slice(6)).sugerido).toBeNull();
+  });
+});
+
+describe("registro e importación", () => {
+  it("desde la cotización guarda sólo la especificación, el precio y el margen", () => {
+    const a = antecedenteDeCotizacion({ cliente: " EPEC ", referencia: "OF-12", fecha: "2025-10-01" }, "q1", { ...DEFAULT_INPUT, margenPct: 12 }, 45.5, "perdida", "Prysmian", 43);
+    expect(a).toMatchObject({ cliente: "EPEC", quoteId: "q1", precioUSDm: 45.5, margenPct: 12, resultado: "perdida", precioCompetidorUSDm: 43, origen: "cotizacion" });
+    expect(a.spec).not.toHaveProperty("pxCu");
+    expect(parseAntecedente(JSON.parse(JSON.stringify(a)))).toEqual(a);
+    expect(() => parseAntecedente({ ...a, resultado: "empate" })).toThrow(/Resultado inválido: "empate" \(usar ganada \/ perdida\)/);
+    expect(() => antecedenteDeCotizacion({ cliente: "", referencia: "", fecha: "2025-10-01" }, null, DEFAULT_INPUT, 0, "ganada")).toThrow(/mayor que 0/);
+  });
+
+  it("importa CSV con código de producto, `;` y campos opcionales vacíos", () => {
+    const csv = "fecha;cliente;codigo;precioUSDm;margenPct;resultado;competidor;precioCompetidorUSDm\n"
+      + "2025-03-01;EPEC;IMSA-AL-3X150-13.2-RH-P6;21,5;14;Perdida;Prysmian;19,9\n"
+      + "2025-04-01;EDENOR;IMSA-CU-1X95-13.2-RH-P6;40;;ganada;;\n";
+    const [a, b] = parseAntecedentesCSV(csv);
+    expect(a).toMatchObject({ cliente: "EPEC", referencia: "", precioUSDm: 21.5, margenPct: 14, resultado: "perdida", precioCompetidorUSDm: 19.9, origen: "importado" });
+    expect(a.spec).toMatchObject({ metal: "Aluminio", fases: 3, seccion: 150, pantallaMM2: 6 });
+    expect(b).toMatchObject({ margenPct: null, competidor: "", precioCompetidorUSDm: null });
+    const ida = parseAntecedentesCSV(antecedentesToCSV([b, a]));
+    expect(ida.map(x => [x.fecha, x.spec.seccion, x.precioCompetidorUSDm])).toEqual([["2025-03-01", 150, 19.9], ["2025-04-01", 95, null]]);
+    expect(() => parseAntecedentesCSV("fecha,codigo,resultado\n")).toThrow(/Faltan columnas en el CSV de antecedentes: precioUSDm/);
+    expect(() => parseAntecedentesCSV(csv.replace("IMSA-CU-1X95", "IMSA-XX-1X95"))).toThrow(/Fila 3: Metal desconocido/);
+  });
+});
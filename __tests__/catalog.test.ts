@@ -0,0 +1,74 @@
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, describe, expect, it } from "vitest";
+import { CATALOGO_BASE, cargarCatalogo, catalogo, parseCatalogo, usarCatalogo, type Catalogo } from "@/lib/catalog";
+import { computeEstimate, DEFAULT_INPUT, kgConductorPorMetro } from "@/lib/cost-engine";
+import { cableGeometry } from "@/lib/geometry";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { validarEntrada } from "@/lib/validation";
+
+const conLSZH = (): Catalogo => ({
+  ...CATALOGO_BASE,
+  vainas: [...CATALOGO_BASE.vainas, { key: "LSZH", label: "LSZH", codigo: "LSZH", factor: 2, densidadKgM3: 1600 }],
+  secciones: [...CATALOGO_BASE.secciones, 400],
+});
+
+afterEach(() => usarCatalogo(CATALOGO_BASE));
+
+describe("catálogo de fábrica", () => {
+  it("trae las opciones y propiedades que usa el motor", () => {
+    expect(catalogo()).toBe(CATALOGO_BASE);
+    expect(CATALOGO_BASE.secciones).toEqual([25, 35, 50, 70, 95, 120, 150, 185, 240, 300]);
+    expect(CATALOGO_BASE.tensiones.map(t => t.tension)).toEqual(["3.3 kV", "6.6 kV", "13.2 kV", "33 kV"]);
+    expect(CATALOGO_BASE.vainas.map(v => [v.key, v.factor])).toEqual([["RH", 1.3], ["RH_UV", 1.49], ["PVC", 1.43]]);
+    expect(kgConductorPorMetro({ ...DEFAULT_INPUT, seccion: 100 })).toBeCloseTo(0.889 * 1.02, 9);
+  });
+});
+
+describe("parseCatalogo", () => {
+  it("normaliza códigos y ordena secciones y pantallas", () => {
+    const c = parseCatalogo({ ...CATALOGO_BASE, prefijo: " imsa ", secciones: [300, 25, 95], pantallas: [16, 0] });
+    expect(c).toMatchObject({ id: "vigente", prefijo: "IMSA", secciones: [25, 95, 300], pantallas: [0, 16] });
+  });
+
+  it("junta todos los errores", () => {
+    const mal = {
+      ...CATALOGO_BASE,
+      metales: [CATALOGO_BASE.metales[0]],
+      vainas: [...CATALOGO_BASE.vainas, { key: "X", label: "X", codigo: "RH", factor: 0, densidadKgM3: 1400 }, { key: "Y", codigo: "A", factor: 1, densidadKgM3: 1 }],
+      tensiones: [{ tension: "66 kV", codigo: "66" }],
+      secciones: [],
+    };
+    expect(() => parseCatalogo(mal)).toThrow(/metales: falta Aluminio.*vainas\[3\]\.factor.*"A" está reservado.*66 kV no tiene tabla.*secciones: debe tener.*códigos de vaina: valores repetidos \(RH\)/);
+    expect(() => parseCatalogo({ ...CATALOGO_BASE, aislaciones: [{ key: "XLPE", codigo: "" }, { key: "EPR", codigo: "" }] })).toThrow("sólo una");
+  });
+});
+
+describe("catálogo activo", () => {
+  it("una vaina o sección nueva se calcula sin tocar código", () => {
+    const input = { ...DEFAULT_INPUT, sheathKey: "LSZH", seccion: 400 };
+    expect(validarEntrada(input).find(h => h.campo === "sheathKey")?.mensaje).toBe("Vaina fuera del catálogo: LSZH");
+    usarCatalogo(conLSZH());
+    expect(validarEntrada(input).filter(h => h.severidad === "error")).toEqual([]);
+    const vaina = computeEstimate(input).filas.find(f => f.id === "vaina")!;
+    expect(vaina).toMatchObject({ nombre: "Vaina LSZH", precio: DEFAULT_INPUT.pxVainaBase * 2 });
+    const geo = cableGeometry(input);
+    expect(vaina.kgPorMetro).toBeCloseTo(geo.kgmVaina, 12);
+    expect(geo.kgmVaina / cableGeometry({ ...input, sheathKey: "PVC" }).kgmVaina).toBeCloseTo(1600 / 1450, 9);
+  });
+
+  it("se carga del store o cae en el de fábrica", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+    try {
+      const store = createJsonFileStore<Catalogo>("catalog");
+      expect(await cargarCatalogo(store)).toBe(CATALOGO_BASE);
+      await store.save(parseCatalogo(conLSZH()));
+      expect((await cargarCatalogo(store)).secciones).toContain(400);
+    } finally {
+      delete process.env.CCE_DATA_DIR;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
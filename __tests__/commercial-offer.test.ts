@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, contenidoMetal, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { buildCommercialOffer, caracteristicasCable, sumarDias, DEFAULT_TERMS } from "@/lib/commercial-offer";
+import { newOfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, priceListRef } from "@/lib/price-lists";
+
+const meta = { cliente: "EPEC", referencia: "OF-100", fecha: "2025-12-20" };
+const base = { meta, input: DEFAULT_INPUT, lineas: [], priceList: priceListRef(DEFAULT_PRICE_LIST), terms: DEFAULT_TERMS };
+
+describe("oferta comercial", () => {
+  it("validez a partir de la fecha de la cotización", () => {
+    expect(sumarDias("2025-12-20", 15)).toBe("2026-01-04");
+    expect(buildCommercialOffer(base).validoHasta).toBe("2026-01-04");
+    expect(() => sumarDias("20/12", 1)).toThrow(/Fecha/);
+  });
+
+  it("sin líneas cotiza por metro con la especificación actual", () => {
+    const doc = buildCommercialOffer(base);
+    const e = computeEstimate(DEFAULT_INPUT);
+    expect(doc.items).toHaveLength(1);
+    expect(doc.items[0].longitudM).toBeNull();
+    expect(doc.items[0].precioUSDm).toBeCloseTo(e.precioListaUSDm, 10);
+    expect(doc.items[0].precioSalidaM).toBeCloseTo(e.precioListaARSm, 8);
+    expect(doc.totales).toBeNull();
+  });
+
+  it("la versión cliente no incluye costos", () => {
+    const doc = buildCommercialOffer({ ...base, lineas: [newOfferLine(DEFAULT_INPUT, 2000)] });
+    expect(doc.items[0].interno).toBeUndefined();
+    expect(JSON.stringify(doc)).not.toMatch(/costoFabrica|margen/);
+    expect(doc.totales!.metros).toBe(2000);
+  });
+
+  it("la versión interna agrega el desglose por línea", () => {
+    const doc = buildCommercialOffer({ ...base, terms: { ...DEFAULT_TERMS, nivel: "interno" } });
+    const e = computeEstimate(DEFAULT_INPUT);
+    expect(doc.items[0].interno!.costoFabrica).toBeCloseTo(e.costoFabrica, 10);
+    expect(doc.items[0].interno!.filas.every(f => f.costoUSDm >= 0)).toBe(true);
+  });
+
+  it("muestra el contenido metálico y la cláusula LME", () => {
+    const doc = buildCommercialOffer(base);
+    expect(doc.items[0].kgmCu).toBeCloseTo(contenidoMetal(DEFAULT_INPUT).kgmCu, 12);
+    expect(doc.clausulaMetal).toMatch(/LME Cu/);
+    expect(buildCommercialOffer({ ...base, terms: { ...DEFAULT_TERMS, clausulaMetal: false } }).clausulaMetal).toBeNull();
+  });
+
+  it("describe metal, sección, tensión, vaina, pantalla, armadura y WB", () => {
+    const c = caracteristicasCable({ ...DEFAULT_INPUT, armadura: true, useWBRad: true });
+    expect(c.map(x => x.label)).toEqual(["Conductor", "Tensión", "Aislación", "Vaina", "Pantalla", "Armadura", "Water blocking"]);
+    expect(c.find(x => x.label === "Water blocking")!.valor).toBe("Radial");
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { buildCommercialOffer, DEFAULT_TERMS } from "@/lib/commercial-offer";
+import { factorCableado, factorLlenado, resistenciaConductor, seccionEfectiva } from "@/lib/conductor";
+import { computeEstimate, contenidoMetal, DEFAULT_INPUT, kgPantallaPorMetro, type EstimateInput } from "@/lib/cost-engine";
+import { validarEstimateRequest } from "@/lib/estimate-api";
+import { cableGeometry, FACTOR_LLENADO_CONDUCTOR } from "@/lib/geometry";
+import { computeOfferLine, descripcionCable, lineInput, newOfferLine, type OfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, pickPriceValues, priceListRef } from "@/lib/price-lists";
+import { codigoProducto } from "@/lib/product-codes";
+import { newQuote, parseQuote } from "@/lib/quotes";
+import { estimateToCSV, parseEstimateCSV } from "@/lib/spreadsheet";
+import { validarEntrada } from "@/lib/validation";
+
+const tripolar: EstimateInput = { ...DEFAULT_INPUT, metal: "Aluminio", fases: 3, tipologia: "tripolar", seccion: 150 };
+const kgConductor = (i: EstimateInput) => computeEstimate(i).filas.find(f => f.id === "conductor")!.kgPorMetro;
+const erroresDe = (i: EstimateInput, campo: string) => validarEntrada(i).filter(h => h.campo === campo && h.severidad === "error").map(h => h.mensaje);
+
+describe("construcción del conductor", () => {
+  it("el cableado de la clase y el reunido suman metal a la sección nominal", () => {
+    expect(seccionEfectiva(DEFAULT_INPUT)).toBe(95);
+    expect(factorCableado(DEFAULT_INPUT)).toBeCloseTo(1.02, 12);
+    expect(factorCableado({ ...DEFAULT_INPUT, claseConductor: 1 })).toBe(1);
+    expect(factorCableado({ ...DEFAULT_INPUT, claseConductor: 5 })).toBeCloseTo(1.04, 12);
+    expect(factorCableado(tripolar)).toBeCloseTo(1.02 * 1.02, 12);
+    expect(kgConductor(DEFAULT_INPUT)).toBeCloseTo(95e-6 * 8890 * 1.02, 12);
+    expect(kgConductor({ ...DEFAULT_INPUT, claseConductor: 1, formaConductor: "redondo" })).toBeCloseTo(95e-6 * 8890, 12);
+    expect(kgPantallaPorMetro(tripolar)).toBeCloseTo(6e-6 * 8890 * 3 * 1.02 * 1.02, 12);
+  });
+
+  it("diseño por resistencia: la sección de metal que cumple la resistencia máxima con margen", () => {
+    const r = { ...DEFAULT_INPUT, disenoPorResistencia: true };
+    // Cu clase 2 95 mm²: Rmáx 0,193 Ω/km, 2% por debajo.
+    expect(resistenciaConductor(r)).toBeCloseTo(0.193 * 0.98, 12);
+    expect(seccionEfectiva(r)).toBeCloseTo((17.241 * 1.02) / (0.193 * 0.98), 9);
+    expect(kgConductor(r)).toBeCloseTo(seccionEfectiva(r) * 1e-6 * 8890 * 1.02, 12);
+    // El flexible admite más resistencia: menos metal por conductor que el nominal.
+    const flexible = { ...r, claseConductor: 5 as const, formaConductor: "redondo" as const };
+    expect(resistenciaConductor(flexible)).toBeCloseTo(0.206 * 0.98, 12);
+    expect(seccionEfectiva(flexible)).toBeLessThan(95);
+    // Sin diseño por resistencia la resistencia sale de la sección nominal.
+    expect(resistenciaConductor(DEFAULT_INPUT)).toBeCloseTo((17.241 * 1.02) / 95, 12);
+  });
+
+  it("la forma cambia el diámetro del conductor y del reunido", () => {
+    const compacto = cableGeometry(DEFAULT_INPUT);
+    const redondo = cableGeometry({ ...DEFAULT_INPUT, formaConductor: "redondo" });
+    expect(redondo.dConductorMM / compacto.dConductorMM).toBeCloseTo(Math.sqrt(FACTOR_LLENADO_CONDUCTOR / 0.78), 12);
+    expect(redondo.dExteriorMM).toBeGreaterThan(compacto.dExteriorMM);
+    const sectorial = cableGeometry({ ...tripolar, formaConductor: "sectorial" });
+    const circular = cableGeometry(tripolar);
+    expect(sectorial.dConductorMM).toBeCloseTo(circular.dConductorMM, 12);
+    expect(sectorial.dExteriorMM).toBeLessThan(circular.dExteriorMM);
+    expect(sectorial.kgmAsiento).toBeLessThan(circular.kgmAsiento);
+  });
+
+  it("sólo las construcciones que define IEC 60228", () => {
+    expect(erroresDe(DEFAULT_INPUT, "claseConductor")).toEqual([]);
+    expect(erroresDe({ ...DEFAULT_INPUT, claseConductor: 3 as never }, "claseConductor")[0]).toMatch(/desconocida: 3 \(usar 1 \/ 2 \/ 5\)/);
+    expect(erroresDe({ ...DEFAULT_INPUT, claseConductor: 5 }, "formaConductor")[0]).toMatch(/compactado no admitida \(usar redondo\)/);
+    expect(erroresDe({ ...tripolar, claseConductor: 5, formaConductor: "redondo" }, "claseConductor")[0]).toMatch(/no define clase 5 — flexible de aluminio en 150 mm²/);
+    expect(erroresDe({ ...DEFAULT_INPUT, formaConductor: "sectorial" }, "formaConductor")[0]).toMatch(/sólo en cables tripolares/);
+    expect(erroresDe({ ...tripolar, seccion: 25, formaConductor: "sectorial" }, "formaConductor")[0]).toMatch(/desde 35 mm²/);
+    expect(erroresDe({ ...tripolar, formaConductor: "sectorial" }, "formaConductor")).toEqual([]);
+  });
+});
+
+describe("la construcción llega a la oferta y a los intercambios", () => {
+  it("contenido metálico declarado, descripción y código de producto", () => {
+    const input: EstimateInput = { ...tripolar, formaConductor: "sectorial", disenoPorResistencia: true };
+    const doc = buildCommercialOffer({
+      meta: { cliente: "EPEC", referencia: "OF-300", fecha: "2025-11-01" },
+      input, lineas: [newOfferLine(input)], priceList: priceListRef(DEFAULT_PRICE_LIST), terms: DEFAULT_TERMS,
+    });
+    expect(doc.items[0].kgmAl).toBeCloseTo(kgConductor(input), 12);
+    expect(doc.items[0].kgmAl).toBeCloseTo(contenidoMetal(input).kgmAl, 12);
+    expect(doc.items[0].caracteristicas[0].valor).toMatch(/clase 2 — cableado, sectorial$/);
+    expect(descripcionCable(input)).toMatch(/^3×150 mm² Al 13\.2 kV XLPE • Conductor clase 2 — cableado, sectorial •/);
+    expect(descripcionCable(DEFAULT_INPUT)).not.toMatch(/Conductor/);
+    expect(codigoProducto(input)).toBeNull();
+    expect(codigoProducto({ ...input, formaConductor: "compactado" })).toBe("IMSA-AL-3x150-13.2-RH-P6");
+  });
+
+  it("una línea guardada antes de los campos del conductor se calcula con el estándar", () => {
+    const actual = newOfferLine(tripolar);
+    const { claseConductor: _, formaConductor: __, disenoPorResistencia: ___, ...spec } = actual.spec;
+    const vieja = { ...actual, spec } as OfferLine;
+    const pricing = { ...pickPriceValues(DEFAULT_INPUT), margenPct: DEFAULT_INPUT.margenPct, moneda: DEFAULT_INPUT.moneda };
+    expect(lineInput(vieja, pricing)).toMatchObject({ claseConductor: 2, formaConductor: "compactado", disenoPorResistencia: false });
+    const r = computeOfferLine(vieja, pricing);
+    expect(r.kgAl).toBeCloseTo(computeOfferLine(actual, pricing).kgAl, 9);
+    expect(r.totalUSD).toBeCloseTo(computeOfferLine(actual, pricing).totalUSD, 9);
+    expect(r.line.spec.claseConductor).toBe(2);
+    const q = parseQuote({ ...newQuote({ cliente: "EPEC", referencia: "OF-301", fecha: "2025-11-01" }, tripolar, DEFAULT_PRICE_LIST), lineas: [vieja] });
+    expect(q.lineas[0].spec).toEqual(actual.spec);
+    // Sin forma, el llenado es el de la forma estándar (compactado), no el de la primera de la clase.
+    expect(factorLlenado({ claseConductor: 2, formaConductor: undefined as never })).toBe(factorLlenado({ claseConductor: 2, formaConductor: "compactado" }));
+  });
+
+  it("API y planilla", () => {
+    const ok = validarEstimateRequest({ spec: { claseConductor: 1, formaConductor: "redondo", disenoPorResistencia: true } }, DEFAULT_PRICE_LIST.valores);
+    expect(ok.input).toMatchObject({ claseConductor: 1, formaConductor: "redondo", disenoPorResistencia: true });
+    const mal = validarEstimateRequest({ spec: { claseConductor: 4, formaConductor: "oval" } }, DEFAULT_PRICE_LIST.valores);
+    expect(mal.errores).toEqual([
+      "spec.claseConductor: valor inválido 4 (usar 1 / 2 / 5)",
+      "spec.formaConductor: valor inválido \"oval\" (usar redondo / compactado / sectorial)",
+    ]);
+    const input: EstimateInput = { ...DEFAULT_INPUT, claseConductor: 5, formaConductor: "redondo", disenoPorResistencia: true };
+    expect(parseEstimateCSV(estimateToCSV(input))).toMatchObject({ claseConductor: 5, formaConductor: "redondo", disenoPorResistencia: true });
+    expect(() => parseEstimateCSV(estimateToCSV(input).replace(",formaConductor,redondo,", ",formaConductor,oval,"))).toThrow(/Forma de conductor inválida: "oval"/);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeEstimate, costoFila, kgConductorPorMetro, kgPantallaPorMetro, rutaDeEntrada,
+  DEFAULT_INPUT, type ComponentRow, type EstimateInput,
+} from "@/lib/cost-engine";
+
+// Casos A y B: los mismos que mostraba el panel "Dev Tests" del prototipo.
+const casoA: EstimateInput = { ...DEFAULT_INPUT };
+
+const casoB: EstimateInput = {
+  ...DEFAULT_INPUT,
+  metal: "Aluminio", fases: 3, tipologia: "tripolar", seccion: 150,
+  sheathKey: "RH_UV", pantallaMM2: 10, armadura: true, useWBLong: true, useWBRad: true,
+};
+
+// Procesos que aplican a la construcción más 0.12 $/m de indirectos de planta.
+const procesos = (input: EstimateInput) => rutaDeEntrada(input).filter(r => r.aplica).reduce((acc, r) => acc + r.totalUSDm, 0) + 0.12;
+
+describe("kg/m", () => {
+  it("conductor = sección · 1e-6 · densidad · cableado · fases", () => {
+    expect(kgConductorPorMetro(casoA)).toBeCloseTo(0.84455 * 1.02, 8);
+    expect(kgConductorPorMetro({ ...casoA, metal: "Aluminio", fases: 3, seccion: 150 })).toBeCloseTo(1.21635 * 1.02, 8);
+    // Tripolar: cada núcleo se reúne en hélice.
+    expect(kgConductorPorMetro(casoB)).toBeCloseTo(1.21635 * 1.02 * 1.02, 8);
+  });
+
+  it("pantalla es 0 sin sección de pantalla", () => {
+    expect(kgPantallaPorMetro({ ...casoA, pantallaMM2: 0 })).toBe(0);
+    expect(kgPantallaPorMetro(casoA)).toBeCloseTo(0.05334 * 1.02, 8);
+  });
+});
+
+describe("costoFila", () => {
+  const base: ComponentRow = { id: "x", nombre: "X", tipoPrecio: "$/kg", precio: 2, kgPorMetro: 0.5, metros: 3, incluye: true, categoria: "Materia" };
+
+  it("usa kg/m para $/kg y metros para $/m", () => {
+    expect(costoFila(base)).toBe(1);
+    expect(costoFila({ ...base, tipoPrecio: "$/m" })).toBe(6);
+  });
+
+  it("devuelve 0 si la fila no está incluida", () => {
+    expect(costoFila({ ...base, incluye: false })).toBe(0);
+  });
+});
+
+describe("computeEstimate", () => {
+  it("caso A: Cu 1×95, unipolar, RH, pantalla 6 mm²", () => {
+    const r = computeEstimate(casoA);
+    const g = r.geometria;
+    // Conductor clase 2 y pantalla en hélice: 2% más de metal que la sección nominal.
+    const [cu, pantalla] = [0.84455 * 1.02, 0.05334 * 1.02];
+    const materias = cu * 7.21091 + pantalla * 7.21091 + g.kgmAislacion * 2.6 + g.kgmSemiconductoras * 3.5 + g.kgmVaina * 1.38 * 1.30;
+    expect(r.subtotalMaterias).toBeCloseTo(materias, 8);
+    // Merma por fila (purga de arranque sobre 1000 m en las extruidas) y recupero del cobre.
+    const mermas =
+      cu * 7.21091 * 0.015 * 0.1 + pantalla * 7.21091 * 0.02 * 0.15 +
+      (g.kgmAislacion * 0.03 + 0.045) * 2.6 + (g.kgmSemiconductoras * 0.04 + 0.015) * 3.5 + (g.kgmVaina * 0.03 + 0.035) * 1.38 * 1.30;
+    expect(r.mermasUSDm).toBeCloseTo(mermas, 8);
+    expect(r.mermasBrutasUSDm - r.recuperoUSDm).toBeCloseTo(r.mermasUSDm, 12);
+    expect(r.materialBrutoUSDm).toBeCloseTo(materias + r.mermasBrutasUSDm, 12);
+    const p = procesos(casoA);
+    expect(rutaDeEntrada(casoA).filter(x => x.aplica).map(x => x.proceso.key)).toEqual(["trefilado", "cableado", "extrusion", "pantalla", "envainado"]);
+    expect(r.subtotalProcesos).toBeCloseTo(p, 8);
+    expect(r.costoFabrica).toBeCloseTo(materias + mermas + p, 8);
+    expect(r.precioListaUSDm).toBeCloseTo((materias + mermas + p) * 1.15, 8);
+    expect(r.precioListaARSm).toBeCloseTo(r.precioListaUSDm * 1100, 6);
+  });
+
+  it("caso B: Al 3×150, tripolar, WB L+R, armadura, RH+UV, pantalla 10 mm²", () => {
+    const r = computeEstimate(casoB);
+    const g = r.geometria;
+    const materias =
+      1.21635 * 1.0404 * 2.973 +   // conductor, cableado × reunido
+      0.2667 * 1.0404 * 7.21091 +  // pantalla 10 mm² × 3, hélice × reunido
+      g.kgmAislacion * 2.6 +       // XLPE
+      g.kgmSemiconductoras * 3.5 +
+      g.kgmAsiento * 1.38 +
+      g.kgmVaina * 1.38 * 1.49 +   // vaina
+      1.16 + 2.21 +                // WB
+      0.15 * 1.9;                  // armadura
+    expect(r.subtotalMaterias).toBeCloseTo(materias, 8);
+    expect(rutaDeEntrada(casoB).every(x => x.aplica)).toBe(true);
+    expect(r.costoFabrica).toBeCloseTo(materias + r.mermasUSDm + procesos(casoB), 8);
+  });
+
+  it("devuelve las filas base seguidas de procesos y extras", () => {
+    const extra: ComponentRow = { id: "e1", nombre: "Cinta", tipoPrecio: "$/m", precio: 0.1, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Materia" };
+    const r = computeEstimate({ ...casoA, extras: [extra] });
+    expect(r.filas.map(f => f.id)).toEqual(["conductor", "pantalla", "aislacion", "semicon", "asiento", "vaina", "wbL", "wbR", "arm",
+      "proc-trefilado", "proc-cableado", "proc-extrusion", "proc-pantalla", "proc-reunido", "proc-armado", "proc-envainado", "ind", "e1"]);
+  });
+
+  it("suma extras de Materia y Proceso en su subtotal", () => {
+    const sinExtras = computeEstimate(casoA);
+    const r = computeEstimate({
+      ...casoA,
+      extras: [
+        { id: "e1", nombre: "Cinta", tipoPrecio: "$/m", precio: 0.1, kgPorMetro: 0, metros: 2, incluye: true, categoria: "Materia" },
+        { id: "e2", nombre: "Ensayo", tipoPrecio: "$/m", precio: 0.05, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Proceso" },
+        { id: "e3", nombre: "Off", tipoPrecio: "$/m", precio: 99, kgPorMetro: 0, metros: 1, incluye: false, categoria: "Materia" },
+      ],
+    });
+    expect(r.subtotalMaterias - sinExtras.subtotalMaterias).toBeCloseTo(0.2, 10);
+    expect(r.subtotalProcesos - sinExtras.subtotalProcesos).toBeCloseTo(0.05, 10);
+  });
+
+  it("la tensión y la sección cambian el costo de vaina", () => {
+    const chico = computeEstimate({ ...casoA, seccion: 25, tension: "3.3 kV" });
+    const grande = computeEstimate({ ...casoA, seccion: 300, tension: "33 kV" });
+    const vaina = (r: typeof chico) => costoFila(r.filas.find(f => f.id === "vaina")!);
+    expect(vaina(grande)).toBeGreaterThan(vaina(chico) * 2);
+  });
+
+  it("la fila de aislación usa el material y el precio elegidos", () => {
+    const r = computeEstimate({ ...casoA, aislacion: "EPR", pxAislacionKg: { ...casoA.pxAislacionKg, EPR: 5 } });
+    const fila = r.filas.find(f => f.id === "aislacion")!;
+    expect(fila.nombre).toBe("Aislación EPR");
+    expect(fila.precio).toBe(5);
+    expect(fila.kgPorMetro).toBeCloseTo(r.geometria.kgmAislacion, 10);
+    expect(r.subtotalMaterias).toBeGreaterThan(computeEstimate(casoA).subtotalMaterias);
+  });
+
+  it("aplica el margen sobre el costo de fábrica", () => {
+    const r = computeEstimate({ ...casoA, margenPct: 20 });
+    expect(r.margenUSDm).toBeCloseTo(r.costoFabrica * 0.2, 10);
+    expect(r.precioListaUSDm).toBeCloseTo(r.costoFabrica * 1.2, 10);
+  });
+});
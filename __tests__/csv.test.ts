@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { detectarSeparador, parseCSV, toCSV } from "@/lib/csv";
+
+describe("csv", () => {
+  it("escapa separadores, comillas y saltos de línea", () => {
+    const rows = [["a,b", 'dice "hola"', "línea 1\nlínea 2", 3, true, null]];
+    expect(toCSV(rows)).toBe('"a,b","dice ""hola""","línea 1\nlínea 2",3,true,');
+    expect(parseCSV(toCSV(rows))).toEqual([["a,b", 'dice "hola"', "línea 1\nlínea 2", "3", "true", ""]]);
+  });
+
+  it("detecta punto y coma", () => {
+    expect(detectarSeparador('campo;valor\n"a,b";1')).toBe(";");
+    expect(parseCSV("a;b;c,d\r\n1;2;2,5")).toEqual([["a", "b", "c,d"], ["1", "2", "2,5"]]);
+  });
+
+  it("rechaza comillas sin cerrar", () => {
+    expect(() => parseCSV('a,"b\n')).toThrow(/comillas/);
+  });
+});
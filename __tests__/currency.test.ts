@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { convertir, parseTablaCambio, parseTablasCambioCSV, tablasCambioToCSV, tablaVigente, type TiposCambio } from "@/lib/currency";
+import { formatoCSV, formatMoneda } from "@/lib/format";
+
+const tc: TiposCambio = { tcARS: 1000, tcEUR: 0.9, tcBRL: 5 };
+
+describe("monedas", () => {
+  it("convierte a través del USD", () => {
+    expect(convertir(9, "EUR", "USD", tc)).toBeCloseTo(10, 10);
+    expect(convertir(10, "USD", "ARS", tc)).toBeCloseTo(10000, 10);
+    expect(convertir(5, "BRL", "EUR", tc)).toBeCloseTo(0.9, 10);
+    expect(convertir(7, "ARS", "ARS", tc)).toBe(7);
+  });
+
+  it("un precio en EUR entra al motor pasado a USD y la salida sale en la moneda elegida", () => {
+    const usd = computeEstimate({ ...DEFAULT_INPUT, pxCu: 7 });
+    const eur = computeEstimate({ ...DEFAULT_INPUT, pxCu: 7 * DEFAULT_INPUT.tcEUR, monedaPrecios: { pxCu: "EUR" } });
+    expect(eur.filas.find(f => f.id === "conductor")!.precio).toBeCloseTo(7, 10);
+    expect(eur.precioListaUSDm).toBeCloseTo(usd.precioListaUSDm, 10);
+    const brl = computeEstimate({ ...DEFAULT_INPUT, moneda: "BRL" });
+    expect(brl.precioListaSalidaM).toBeCloseTo(brl.precioListaUSDm * DEFAULT_INPUT.tcBRL, 10);
+  });
+
+  it("tabla vigente: la más reciente que no supera la fecha", () => {
+    const tablas = parseTablasCambioCSV("fecha,ARS,EUR,BRL\n2025-10-01,1000,0.9,5\n2025-11-01,1100,0.92,5.3", tc);
+    expect(tablaVigente(tablas, "2025-10-20")?.tasas.tcARS).toBe(1000);
+    expect(tablaVigente(tablas, "2025-11-01")?.tasas.tcARS).toBe(1100);
+    expect(tablaVigente(tablas, "2025-09-30")).toBeUndefined();
+    expect(parseTablasCambioCSV(tablasCambioToCSV(tablas), tc).map(t => t.tasas)).toEqual(tablas.map(t => t.tasas));
+  });
+
+  it("importa CSV con `;`, coma decimal y columnas parciales", () => {
+    const [t] = parseTablasCambioCSV("fecha;EUR\n2025-10-01;0,95", tc);
+    expect(t).toMatchObject({ fecha: "2025-10-01", origen: "importada", tasas: { tcARS: 1000, tcEUR: 0.95, tcBRL: 5 } });
+    expect(() => parseTablasCambioCSV("fecha,GBP\n2025-10-01,0.8", tc)).toThrow(/GBP/);
+    expect(() => parseTablasCambioCSV("fecha,ARS\n2025-10-01,0", tc)).toThrow(/inválido/);
+    expect(() => parseTablasCambioCSV("fecha,ARS\n01/10/2025,1000", tc)).toThrow(/AAAA-MM-DD/);
+    expect(() => parseTablaCambio({ fecha: "2025-10-01" })).toThrow(/incompleta/);
+  });
+
+  it("formato regional", () => {
+    expect(formatoCSV("es-AR")).toEqual({ separador: ";", decimal: "," });
+    expect(formatoCSV("en-US")).toEqual({ separador: ",", decimal: "." });
+    expect(formatMoneda(1234.5, "EUR", 2, "de-DE")).toMatch(/^1\.234,50\s€$/);
+  });
+});
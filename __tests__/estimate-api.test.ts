@@ -0,0 +1,195 @@
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import type { NextApiRequest, NextApiResponse } from "next";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { CATALOGO_BASE, catalogo, parseCatalogo, usarCatalogo, type Catalogo } from "@/lib/catalog";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { MAX_BATCH, runBatch, validarEstimateRequest } from "@/lib/estimate-api";
+import { DEFAULT_PRICE_LIST, nuevaVersion, type PriceList } from "@/lib/price-lists";
+import { batchHandler, estimateHandler } from "@/lib/server/estimate-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Store } from "@/lib/storage";
+
+const base = DEFAULT_PRICE_LIST.valores;
+
+async function llamar(handler: (req: NextApiRequest, res: NextApiResponse) => Promise<unknown>, body: unknown, method = "POST") {
+  const r = { status: 0, body: undefined as any, headers: {} as Record<string, string> };
+  const res = {
+    status(s: number) { r.status = s; return res; },
+    json(b: unknown) { r.body = b; return res; },
+    setHeader(k: string, v: string) { r.headers[k] = v; return res; },
+  };
+  await handler({ method, body } as NextApiRequest, res as unknown as NextApiResponse);
+  return r;
+}
+
+describe("validarEstimateRequest", () => {
+  it("completa la especificación con la de fábrica y los precios con la lista", () => {
+    const v = validarEstimateRequest({ spec: { seccion: 150, metal: "Aluminio" }, precios: { margenPct: 20 } }, { ...base, pxAl: 3.1 });
+    expect(v.errores).toEqual([]);
+    expect(v.input).toMatchObject({ seccion: 150, metal: "Aluminio", pxAl: 3.1, margenPct: 20, tension: DEFAULT_INPUT.tension, extras: [] });
+  });
+
+  it("junta todos los errores con el campo de cada uno", () => {
+    const v = validarEstimateRequest({
+      spec: { metal: "Oro", seccion: -5, armadura: "sí", color: "rojo" },
+      precios: { tcARS: 0, moneda: "JPY", pxAislacionKg: { XLPE: "caro" } },
+      extras: [{ nombre: "", tipoPrecio: "$/t", precio: 1 }],
+      otro: 1,
+    }, base);
+    expect(v.input).toBeNull();
+    expect(v.errores).toEqual(expect.arrayContaining([
+      expect.stringContaining("otro: campo desconocido"),
+      expect.stringContaining("spec.metal: valor inválido"),
+      "spec.seccion: debe ser un número mayor o igual a 0",
+      "spec.armadura: debe ser true o false",
+      "spec.color: campo desconocido",
+      "precios.tcARS: debe ser un número mayor que 0",
+      expect.stringContaining("precios.moneda: moneda inválida"),
+      "precios.pxAislacionKg.XLPE: debe ser un número mayor o igual a 0",
+      "extras[0].nombre: requerido",
+      'extras[0].tipoPrecio: usar "$/kg" o "$/m"',
+    ]));
+    expect(v.errores).toHaveLength(10);
+  });
+
+  it("rechaza los errores de la validación de ingeniería y devuelve sus advertencias", () => {
+    expect(validarEstimateRequest({ spec: { armadura: true, kgmArmadura: 0 } }, base).errores).toEqual(["kgmArmadura: kg/m de armadura: debe ser mayor que 0"]);
+    const v = validarEstimateRequest({ spec: { tipologia: "tripolar", fases: 1 } }, base);
+    expect(v.ok && v.advertencias.map(h => h.campo)).toEqual(["tipologia"]);
+  });
+
+  it("normaliza los extras con valores por defecto", () => {
+    const v = validarEstimateRequest({ extras: [{ nombre: " Cinta ", tipoPrecio: "$/m", precio: 0.05 }] }, base);
+    expect(v.input?.extras).toEqual([expect.objectContaining({ nombre: "Cinta", metros: 1, kgPorMetro: 0, incluye: true, categoria: "Materia" })]);
+  });
+
+  it("acepta extras de plantilla con su precio en la lista y su regla de kg/m", () => {
+    const v = validarEstimateRequest({
+      spec: { seccion: 150 },
+      precios: { pxPlantillas: { relleno: 2 } },
+      extras: [{ nombre: "Relleno", tipoPrecio: "$/kg", precio: 1, plantilla: "relleno", reglaKg: { base: "seccion", factor: 0.001 } }],
+    }, base);
+    const fila = computeEstimate(v.input!).filas.at(-1)!;
+    expect(fila).toMatchObject({ precio: 2, plantilla: "relleno" });
+    expect(fila.kgPorMetro).toBeCloseTo(0.15, 12);
+    expect(validarEstimateRequest({ extras: [{ nombre: "X", tipoPrecio: "$/kg", precio: 1, reglaKg: { base: "peso", factor: -1 } }] }, base).errores)
+      .toEqual(["extras[0].reglaKg.base: usar fijo / seccion / fases / diametro", "extras[0].reglaKg.factor: debe ser un número mayor o igual a 0"]);
+  });
+});
+
+describe("runBatch", () => {
+  const ref = { id: "default", nombre: "Ref", vigenteDesde: "2025-10-01" };
+
+  it("calcula cada ítem por separado y aplica los precios comunes", () => {
+    const { resultados } = runBatch({
+      precios: { margenPct: 30 },
+      items: [{ spec: { seccion: 50 } }, { spec: { seccion: "x" } }, { spec: { seccion: 240 }, precios: { margenPct: 10 } }],
+    }, base, ref);
+    expect(resultados.map(r => r.ok)).toEqual([true, false, true]);
+    expect(resultados[1]).toMatchObject({ indice: 1, errores: ["spec.seccion: debe ser un número mayor o igual a 0"] });
+    if (!resultados[0].ok || !resultados[2].ok) throw new Error("esperado ok");
+    expect(resultados[0].resultado.input.margenPct).toBe(30);
+    expect(resultados[2].resultado.input.margenPct).toBe(10);
+  });
+
+  it("rechaza pedidos vacíos o demasiado grandes", () => {
+    expect(() => runBatch({ items: [] }, base, ref)).toThrow("vacía");
+    expect(() => runBatch({ items: Array(MAX_BATCH + 1).fill({}) }, base, ref)).toThrow(`máximo ${MAX_BATCH}`);
+    expect(() => runBatch([], base, ref)).toThrow("{ items");
+  });
+});
+
+describe("handlers /api/estimate", () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+  });
+
+  afterEach(async () => {
+    usarCatalogo(CATALOGO_BASE);
+    delete process.env.CCE_DATA_DIR;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("devuelve las mismas filas y totales que el motor", async () => {
+    const handler = estimateHandler(createJsonFileStore<PriceList>("price-lists"));
+    const r = await llamar(handler, { spec: { seccion: 120, fases: 3, tipologia: "tripolar" } });
+    expect(r.status).toBe(200);
+    const e = computeEstimate(r.body.input);
+    expect(r.body.listaPrecios.id).toBe("default");
+    expect(r.body.filas.map((f: { nombre: string }) => f.nombre)).toEqual(e.filas.map(f => f.nombre));
+    expect(r.body.totales.precioListaUSDm).toBeCloseTo(e.precioListaUSDm, 9);
+    expect(r.body.totales).toMatchObject({ moneda: "ARS", precioListaSalidaM: e.precioListaSalidaM });
+  });
+
+  it("usa la lista de precios vigente o la pedida", async () => {
+    const store = createJsonFileStore<PriceList>("price-lists");
+    const vieja = nuevaVersion("Vieja", "2000-01-01", { ...base, pxCu: 1 });
+    const futura = nuevaVersion("Futura", "2999-01-01", { ...base, pxCu: 99 });
+    await store.save(vieja);
+    await store.save(futura);
+    const handler = estimateHandler(store);
+    expect((await llamar(handler, {})).body.input.pxCu).toBe(base.pxCu); // la de referencia es más reciente que "Vieja"
+    expect((await llamar(handler, { listaPrecios: futura.id })).body.input.pxCu).toBe(99);
+    const r = await llamar(handler, { listaPrecios: "nada" });
+    expect(r.status).toBe(400);
+    expect(r.body.error).toContain("no existe la lista");
+  });
+
+  it("responde 400 con los errores y 405 a otros métodos", async () => {
+    const store = createJsonFileStore<PriceList>("price-lists");
+    const r = await llamar(estimateHandler(store), { spec: { fases: 2 } });
+    expect(r.status).toBe(400);
+    expect(r.body.errores).toEqual(["spec.fases: valor inválido 2 (usar 1 / 3)"]);
+    const g = await llamar(batchHandler(store), undefined, "GET");
+    expect(g.status).toBe(405);
+    expect(g.headers.Allow).toBe("POST");
+    const b = await llamar(batchHandler(store), { items: [{}, { spec: 1 }] });
+    expect(b.status).toBe(200);
+    expect(b.body.resultados.map((x: { ok: boolean }) => x.ok)).toEqual([true, false]);
+  });
+
+  it("un error al leer las listas es del servidor (500), no del pedido", async () => {
+    const store = createJsonFileStore<PriceList>("price-lists");
+    const rota = { ...store, list: () => Promise.reject(new Error("EACCES: permission denied")) };
+    for (const handler of [estimateHandler(rota), batchHandler(rota)]) {
+      const r = await llamar(handler, { items: [{}] });
+      expect(r.status).toBe(500);
+      expect(r.body.error).toContain("EACCES");
+    }
+    expect((await llamar(batchHandler(store), { items: [], listaPrecios: "nada" })).status).toBe(400);
+  });
+
+  it("valida y calcula con el catálogo guardado", async () => {
+    const handler = estimateHandler(createJsonFileStore<PriceList>("price-lists"), createJsonFileStore<Catalogo>("catalog"));
+    const pedido = { spec: { seccion: 400, sheathKey: "LSZH" } };
+    expect((await llamar(handler, pedido)).body.errores).toEqual(['spec.sheathKey: valor inválido "LSZH" (usar RH / RH_UV / PVC)']);
+    await createJsonFileStore<Catalogo>("catalog").save(parseCatalogo({
+      ...CATALOGO_BASE,
+      vainas: [...CATALOGO_BASE.vainas, { key: "LSZH", label: "LSZH", codigo: "LSZH", factor: 2, densidadKgM3: 1600 }],
+      secciones: [...CATALOGO_BASE.secciones, 400],
+    }));
+    const r = await llamar(handler, pedido);
+    expect(r.status).toBe(200);
+    expect(r.body.filas.find((f: { id: string }) => f.id === "vaina").precio).toBe(base.pxVainaBase * 2);
+  });
+
+  it("pedidos simultáneos calculan cada uno con su catálogo, sin cambiar el activo", async () => {
+    const precios = createJsonFileStore<PriceList>("price-lists");
+    const conLSZH = parseCatalogo({ ...CATALOGO_BASE, vainas: [...CATALOGO_BASE.vainas, { key: "LSZH", label: "LSZH", codigo: "LSZH", factor: 2, densidadKgM3: 1600 }] });
+    const fijo = (c: Catalogo): Store<Catalogo> => ({ list: async () => [c], get: async () => c, save: async x => x, remove: async () => undefined });
+    const pedido = { spec: { sheathKey: "LSZH" } };
+    const [a, b] = await Promise.all([
+      llamar(estimateHandler(precios, fijo(conLSZH)), pedido),
+      llamar(batchHandler(precios, fijo(CATALOGO_BASE)), { items: [pedido] }),
+    ]);
+    expect(a.status).toBe(200);
+    expect(a.body.filas.find((f: { id: string }) => f.id === "vaina").precio).toBe(base.pxVainaBase * 2);
+    expect(b.body.resultados[0].errores[0]).toContain('valor inválido "LSZH"');
+    expect(catalogo()).toBe(CATALOGO_BASE);
+  });
+});
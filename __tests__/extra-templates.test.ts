@@ -0,0 +1,79 @@
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import {
+  filaDesdePlantilla, listarPlantillas, parsePlantilla, plantillaDesdeFila, PLANTILLAS_BASE, type PlantillaExtra,
+} from "@/lib/extra-templates";
+import { DEFAULT_PRICE_LIST, parsePriceListCSV, priceListToCSV } from "@/lib/price-lists";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { estimateToCSV, parseEstimateCSV } from "@/lib/spreadsheet";
+import { validarEntrada } from "@/lib/validation";
+
+const plantilla = (id: string) => PLANTILLAS_BASE.find(t => t.id === id)!;
+const extra = (input: EstimateInput, id: string) => computeEstimate(input).filas.find(f => f.id === id)!;
+
+describe("plantillas de extras", () => {
+  it("inserta la fila con el precio de la lista y kg/m según la regla", () => {
+    const fila = filaDesdePlantilla(plantilla("relleno"), { ...DEFAULT_INPUT.pxPlantillas, relleno: 1.8 });
+    expect(fila).toMatchObject({ nombre: "Relleno de polipropileno", tipoPrecio: "$/kg", precio: 1.8, plantilla: "relleno", reglaKg: { base: "seccion", factor: 0.0012 } });
+    const input = { ...DEFAULT_INPUT, seccion: 150, extras: [fila] };
+    expect(extra(input, fila.id).kgPorMetro).toBeCloseTo(0.18, 12);
+    expect(extra({ ...input, seccion: 240 }, fila.id).kgPorMetro).toBeCloseTo(0.288, 12);
+
+    const cinta = filaDesdePlantilla(plantilla("cinta-semiconductora"), DEFAULT_INPUT.pxPlantillas);
+    const r = computeEstimate({ ...DEFAULT_INPUT, extras: [cinta] });
+    expect(r.filas.find(f => f.id === cinta.id)!.kgPorMetro).toBeCloseTo(0.0009 * r.geometria.dExteriorMM, 12);
+
+    const bobina = filaDesdePlantilla(plantilla("bobina"), DEFAULT_INPUT.pxPlantillas);
+    expect(bobina).toMatchObject({ tipoPrecio: "$/m", precio: 0.06, metros: 1, kgPorMetro: 0 });
+    expect(bobina.reglaKg).toBeUndefined();
+  });
+
+  it("el precio sigue a la lista activa; sin precio en la lista queda el de la fila", () => {
+    const fila = filaDesdePlantilla(plantilla("tinta-marcado"), DEFAULT_INPUT.pxPlantillas);
+    const input = { ...DEFAULT_INPUT, extras: [fila] };
+    expect(extra(input, fila.id).precio).toBe(0.004);
+    expect(extra({ ...input, pxPlantillas: { "tinta-marcado": 0.006 } }, fila.id).precio).toBe(0.006);
+    expect(extra({ ...input, pxPlantillas: {} }, fila.id).precio).toBe(0.004);
+    expect(validarEntrada({ ...input, pxPlantillas: { "tinta-marcado": -1 } }).find(h => h.campo === "pxPlantillas.tinta-marcado")?.severidad).toBe("error");
+  });
+
+  it("guarda una fila como plantilla nueva", () => {
+    const fila = { id: "e1", nombre: "Cinta de cobre ñandú", tipoPrecio: "$/kg" as const, precio: 9.5, kgPorMetro: 0.03, metros: 0, incluye: true, categoria: "Materia" as const };
+    const t = plantillaDesdeFila(fila, PLANTILLAS_BASE);
+    expect(t).toMatchObject({ id: "cinta-de-cobre-nandu", precio: 9.5, reglaKg: { base: "fijo", factor: 0.03 }, metros: 0 });
+    expect(() => plantillaDesdeFila({ ...fila, nombre: "Relleno" }, PLANTILLAS_BASE)).toThrow('Ya existe la plantilla "Relleno de polipropileno"');
+    expect(() => parsePlantilla({ id: "X y", nombre: "", categoria: "Otro", tipoPrecio: "$/t", precio: -1, reglaKg: { base: "peso", factor: 1 } }))
+      .toThrow(/id: .*nombre|nombre: .*id/);
+  });
+
+  it("lista las de fábrica y las guardadas", async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+    try {
+      const store = createJsonFileStore<PlantillaExtra>("extra-templates");
+      const t = parsePlantilla({ id: "cinta-agua", nombre: "Cinta bloqueadora", categoria: "Materia", tipoPrecio: "$/kg", precio: 6, reglaKg: { base: "diametro", factor: 0.0005 }, metros: 0 });
+      await store.save(t);
+      expect((await listarPlantillas(store)).map(x => x.id)).toEqual([...PLANTILLAS_BASE.map(x => x.id), "cinta-agua"]);
+    } finally {
+      delete process.env.CCE_DATA_DIR;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("los precios de plantillas viajan en la lista y la plantilla en la planilla", () => {
+    const pl = parsePriceListCSV("campo,valor\nnombre,Nov\nvigenteDesde,2025-11-01\npxPlantillas.relleno,1.9\n", DEFAULT_PRICE_LIST.valores);
+    expect(pl.valores.pxPlantillas).toMatchObject({ relleno: 1.9, bobina: 0.06 });
+    expect(parsePriceListCSV(priceListToCSV(pl), DEFAULT_PRICE_LIST.valores).valores).toEqual(pl.valores);
+
+    const fila = filaDesdePlantilla(plantilla("relleno"), pl.valores.pxPlantillas);
+    const input = { ...DEFAULT_INPUT, ...pl.valores, seccion: 150, extras: [fila] };
+    const back = parseEstimateCSV(estimateToCSV(input, "es-AR"));
+    expect(back.extras![0]).toMatchObject({ plantilla: "relleno", reglaKg: { base: "seccion", factor: 0.0012 } });
+    expect(back.pxPlantillas.relleno).toBe(1.9);
+    expect(extra({ ...back, seccion: 240 }, fila.id).kgPorMetro).toBeCloseTo(0.288, 12);
+    expect(computeEstimate(back).precioListaUSDm).toBeCloseTo(computeEstimate(input).precioListaUSDm, 10);
+  });
+});
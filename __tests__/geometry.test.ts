@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_INPUT, type CableSpec } from "@/lib/cost-engine";
+import { cableGeometry, diametroConductor, espesorVaina, kgCorona } from "@/lib/geometry";
+import { espesorAislacion, espesorMinimoVaina } from "@/lib/insulation";
+
+const spec: CableSpec = { ...DEFAULT_INPUT };
+
+describe("geometría", () => {
+  it("kgCorona = π/4 · (D² − d²) · 1e-6 · ρ", () => {
+    expect(kgCorona(10, 12, 1000)).toBeCloseTo((Math.PI / 4) * 44 * 1e-3, 10);
+  });
+
+  it("diámetro del conductor incluye el factor de llenado", () => {
+    expect(diametroConductor(95)).toBeGreaterThan(Math.sqrt((4 * 95) / Math.PI));
+  });
+
+  it("vaina respeta el espesor mínimo", () => {
+    expect(espesorVaina(5, 1.4)).toBe(1.4);
+    expect(espesorVaina(5, 1.8)).toBe(1.8);
+    expect(espesorVaina(60, 1.4)).toBeCloseTo(3.1, 10);
+  });
+
+  it("apila las capas sin huecos desde el conductor", () => {
+    const g = cableGeometry(spec);
+    expect(g.capas[0].dInteriorMM).toBeCloseTo(g.dConductorMM, 10);
+    for (let i = 1; i < g.capas.length; i++) {
+      expect(g.capas[i].dInteriorMM).toBeCloseTo(g.capas[i - 1].dExteriorMM, 10);
+    }
+    expect(g.dExteriorMM).toBe(g.capas[g.capas.length - 1].dExteriorMM);
+  });
+
+  it("el espesor de aislación sigue la clase de tensión", () => {
+    const g = cableGeometry({ ...spec, tension: "33 kV" });
+    expect(g.capas.find(c => c.id === "aislacion")!.espesorMM).toBe(espesorAislacion("33 kV", spec.seccion, "XLPE"));
+    expect(g.kgmAislacion).toBeGreaterThan(cableGeometry({ ...spec, tension: "3.3 kV" }).kgmAislacion);
+  });
+
+  it("la vaina no baja del mínimo de la tabla", () => {
+    const g = cableGeometry({ ...spec, seccion: 25, tension: "33 kV" });
+    expect(g.capas.find(c => c.id === "vaina")!.espesorMM).toBeGreaterThanOrEqual(espesorMinimoVaina("33 kV", 25));
+  });
+
+  it("EPR es más denso que XLPE con el mismo espesor", () => {
+    const xlpe = cableGeometry(spec);
+    const epr = cableGeometry({ ...spec, aislacion: "EPR" });
+    expect(epr.kgmAislacion).toBeGreaterThan(xlpe.kgmAislacion);
+  });
+
+  it("unipolar sin armadura no lleva asiento", () => {
+    const g = cableGeometry(spec);
+    expect(g.capas.some(c => c.id === "asiento")).toBe(false);
+    expect(g.kgmAsiento).toBe(0);
+  });
+
+  it("tripolar reúne los núcleos bajo una vaina y rellena intersticios", () => {
+    const tri = cableGeometry({ ...spec, tipologia: "tripolar", fases: 3 });
+    expect(tri.nucleos).toBe(3);
+    expect(tri.cables).toBe(1);
+    expect(tri.dExteriorMM).toBeGreaterThan(2 * tri.dNucleoMM);
+    expect(tri.kgmAsiento).toBeGreaterThan(0);
+  });
+
+  it("tres unipolares llevan tres vainas", () => {
+    const uno = cableGeometry(spec);
+    const tres = cableGeometry({ ...spec, fases: 3 });
+    expect(tres.kgmVaina).toBeCloseTo(uno.kgmVaina * 3, 10);
+  });
+
+  it("la armadura agranda el diámetro bajo vaina", () => {
+    expect(cableGeometry({ ...spec, armadura: true }).dExteriorMM).toBeGreaterThan(cableGeometry(spec).dExteriorMM);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import ExcelJS from "exceljs";
+import es from "@/data/i18n/es.json";
+import en from "@/data/i18n/en.json";
+import pt from "@/data/i18n/pt.json";
+import { claveDe, errorTraducible, etiqueta, mensaje, textoError, traducir, traductor } from "@/lib/i18n";
+import { leerNumero, mostrarNumero } from "@/lib/format";
+import { DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { caracteristicasCable, DEFAULT_TERMS, terminosEnIdioma } from "@/lib/commercial-offer";
+import { descripcionCable } from "@/lib/offer";
+import { textoClausula } from "@/lib/indexation";
+import { estimateToCSV, estimateToXLSX, parseEstimateCSV, parseEstimateXLSX } from "@/lib/spreadsheet";
+
+describe("catálogos", () => {
+  it("los tres idiomas tienen las mismas claves y ningún texto vacío", () => {
+    const claves = Object.keys(es).sort();
+    expect(Object.keys(en).sort()).toEqual(claves);
+    expect(Object.keys(pt).sort()).toEqual(claves);
+    for (const cat of [es, en, pt]) expect(Object.values(cat).filter(v => !v.trim())).toEqual([]);
+  });
+
+  it("interpola variables y cae al español o a la clave", () => {
+    expect(traducir("en", "precios.cobre", { moneda: "EUR" })).toBe("Copper (EUR/kg)");
+    expect(traducir("pt", "no.existe")).toBe("no.existe");
+    expect(etiqueta("es", "vaina.RH", "RH editada")).toBe("RH editada");
+    expect(etiqueta("en", "vaina.XYZ", "Vaina nueva")).toBe("Vaina nueva");
+    expect(claveDe("  process ", ["categoria.Materia", "categoria.Proceso"])).toBe("categoria.Proceso");
+  });
+
+  it("traduce mensajes con otros mensajes y listas como variables", () => {
+    const m = mensaje("aprobacion.error.transicion", { desde: mensaje("estado.enviada"), hacia: mensaje("estado.borrador") });
+    expect(traducir("en", m)).toBe("Cannot go from Sent to Draft");
+    const motivos = [mensaje("aprobacion.regla.sinLista"), mensaje("aprobacion.regla.precioManual", { campos: "pxCu" })];
+    expect(traducir("es", "aprobacion.error.requiere", { motivos })).toMatch(/verificar los precios; Precios modificados a mano: pxCu$/);
+    const err = errorTraducible(m);
+    expect(err.message).toBe("No se puede pasar de Enviada a Borrador");
+    expect(textoError(traductor("pt"), err)).toBe(traducir("pt", m));
+    expect(textoError(traductor("pt"), new Error("otro"))).toBe("otro");
+  });
+});
+
+describe("números", () => {
+  it("lee la coma o el punto decimal y los miles de cualquier idioma", () => {
+    expect(leerNumero("7,21", "es-AR")).toBe(7.21);
+    expect(leerNumero("7.21", "es-AR")).toBe(7.21);
+    expect(leerNumero("1.234,5", "es-AR")).toBe(1234.5);
+    expect(leerNumero("1,234.5", "es-AR")).toBe(1234.5);
+    expect(leerNumero("1.234.567", "es-AR")).toBe(1234567);
+    expect(leerNumero(" -0,5 ", "es-AR")).toBe(-0.5);
+    expect(leerNumero("", "es-AR")).toBeNaN();
+    expect(leerNumero("abc", "es-AR")).toBeNaN();
+    expect(leerNumero("1.500", "es-AR")).toBe(1500);
+  });
+
+  it("el separador de miles del idioma con grupos de tres cifras es de miles", () => {
+    expect(leerNumero("1,500", "en-US")).toBe(1500);
+    expect(leerNumero("12,345,678", "en-US")).toBe(12345678);
+    expect(leerNumero("1,5", "en-US")).toBe(1.5);
+    expect(leerNumero("0,125", "en-US")).toBe(0.125);
+    expect(leerNumero("1.500", "en-US")).toBe(1.5);
+    expect(leerNumero("1,500", "es-AR")).toBe(1.5);
+    expect(leerNumero("1.500", "pt-BR")).toBe(1500);
+    expect(leerNumero("1,500", "pt-BR")).toBe(1.5);
+    expect(leerNumero("7.21", "pt-BR")).toBe(7.21);
+    expect(leerNumero("1.234,56", "pt-BR")).toBe(1234.56);
+    expect(leerNumero("1,234.56", "pt-BR")).toBe(1234.56);
+    expect(mostrarNumero(1234.5, "pt-BR")).toBe("1234,5");
+    expect(mostrarNumero(1234.5, "en-US")).toBe("1234.5");
+  });
+});
+
+describe("oferta traducida", () => {
+  const spec = { ...DEFAULT_INPUT, armadura: true, pantallaMM2: 16 };
+
+  it("usa siempre los mismos términos de vaina, pantalla y armadura", () => {
+    expect(descripcionCable(spec, "en")).toContain("Outer sheath RH • Metallic screen 16 mm²");
+    expect(caracteristicasCable(spec, "en").map(c => c.label)).toEqual(expect.arrayContaining(["Outer sheath", "Metallic screen", "Armour"]));
+    expect(descripcionCable(spec, "pt")).toContain("Cobertura RH • Blindagem metálica 16 mm²");
+    expect(caracteristicasCable(spec, "pt").find(c => c.label === "Armação")!.valor).toBe("Sim");
+    expect(textoClausula({ cuUSDt: 9500.5, alUSDt: 2500 }, "en")).toContain("LME Cu − 9,500.5)");
+  });
+
+  it("cambia las condiciones por defecto pero no las escritas a mano", () => {
+    const enTerms = terminosEnIdioma(DEFAULT_TERMS, "en");
+    expect(enTerms).toMatchObject({ idioma: "en", condicionesPago: traducir("en", "oferta.condicionesPagoDefecto") });
+    expect(terminosEnIdioma(enTerms, "es")).toEqual(DEFAULT_TERMS);
+    expect(terminosEnIdioma({ ...DEFAULT_TERMS, plazoEntrega: "60 días" }, "pt").plazoEntrega).toBe("60 días");
+  });
+});
+
+describe("planillas traducidas", () => {
+  const input: EstimateInput = {
+    ...DEFAULT_INPUT,
+    armadura: true,
+    extras: [{ id: "e1", nombre: "Ensayo", tipoPrecio: "$/m", precio: 0.02, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Proceso" }],
+  };
+
+  it("el CSV en inglés o portugués se vuelve a importar", () => {
+    const csvEn = estimateToCSV(input, "en-US", "en");
+    expect(csvEn).toContain("Section,Field,Value");
+    expect(csvEn).toContain("e1,Process,Ensayo,$/m,0.02,0,1,YES,");
+    expect(parseEstimateCSV(csvEn)).toEqual(input);
+    const csvPt = estimateToCSV(input, "pt-BR", "pt");
+    expect(csvPt).toContain("e1;Processo;Ensayo;$/m;0,02;0;1;SIM;");
+    expect(parseEstimateCSV(csvPt)).toEqual(input);
+  });
+
+  it("el XLSX traduce hojas y fórmulas y se vuelve a importar", async () => {
+    const buf = await estimateToXLSX(input, "pt");
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buf);
+    expect(wb.worksheets.map(w => w.name)).toEqual(["Entradas", "Preços", "Detalhamento", "Resumo"]);
+    const armadura = wb.getWorksheet("Detalhamento")!.getRows(2, 20)!.find(r => r.getCell(3).value === "Armação")!;
+    expect((armadura.getCell(5).value as { formula: string }).formula).toMatch(/^'Preços'!\$B\$\d+$/);
+    expect(await parseEstimateXLSX(buf)).toEqual(input);
+    expect(await parseEstimateXLSX(await estimateToXLSX(input, "en"))).toEqual(input);
+  });
+});
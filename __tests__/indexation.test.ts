@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, contenidoMetal, kgConductorPorMetro, kgPantallaPorMetro, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { ajusteMetalUSDm, indexarCotizacion, indexarOferta, indexarPrecio, lmeBase, textoClausula } from "@/lib/indexation";
+import { newOfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, pickPriceValues } from "@/lib/price-lists";
+import { newQuote } from "@/lib/quotes";
+
+const base = lmeBase(DEFAULT_INPUT);
+const meta = { cliente: "EPEC", referencia: "OF-1", fecha: "2025-11-01" };
+
+describe("indexación por metal", () => {
+  it("contenido metálico = conductor + pantalla de cobre", () => {
+    expect(contenidoMetal(DEFAULT_INPUT).kgmCu).toBeCloseTo(kgConductorPorMetro(DEFAULT_INPUT) + kgPantallaPorMetro(DEFAULT_INPUT), 12);
+    const spec = { ...DEFAULT_INPUT, metal: "Aluminio" as const, fases: 3, seccion: 150 };
+    const al = contenidoMetal(spec);
+    expect(al.kgmAl).toBeCloseTo(kgConductorPorMetro(spec), 12);
+    expect(al.kgmCu).toBeCloseTo(kgPantallaPorMetro(spec), 12);
+  });
+
+  it("ajuste = kg/m × ΔLME / 1000, sin margen", () => {
+    const nuevo = { cuUSDt: base.cuUSDt + 1000, alUSDt: base.alUSDt };
+    const { kgmCu } = contenidoMetal(DEFAULT_INPUT);
+    expect(ajusteMetalUSDm(DEFAULT_INPUT, base, nuevo)).toBeCloseTo(kgmCu, 12);
+    const r = indexarPrecio(DEFAULT_INPUT, nuevo);
+    expect(r.precioUSDm - r.precioBaseUSDm).toBeCloseTo(kgmCu, 12);
+    expect(r.precioSalidaM).toBeCloseTo(r.precioUSDm * DEFAULT_INPUT.tcARS, 8);
+    expect(indexarPrecio(DEFAULT_INPUT, base).ajusteUSDm).toBe(0);
+  });
+
+  it("el aluminio se ajusta con el LME de aluminio", () => {
+    const spec = { ...DEFAULT_INPUT, metal: "Aluminio" as const, pantallaMM2: 0 };
+    expect(ajusteMetalUSDm(spec, base, { cuUSDt: base.cuUSDt + 500, alUSDt: base.alUSDt })).toBe(0);
+    expect(ajusteMetalUSDm(spec, base, { cuUSDt: base.cuUSDt, alUSDt: base.alUSDt - 200 })).toBeLessThan(0);
+  });
+
+  it("la oferta multi-línea se ajusta por la longitud de cada línea", () => {
+    const pricing = { ...pickPriceValues(DEFAULT_INPUT), margenPct: 15, moneda: DEFAULT_INPUT.moneda };
+    const lineas = [newOfferLine(DEFAULT_INPUT, 2000)];
+    const r = indexarOferta(lineas, pricing, { cuUSDt: base.cuUSDt + 1000, alUSDt: base.alUSDt });
+    expect(r.ajusteUSD).toBeCloseTo(contenidoMetal(DEFAULT_INPUT).kgmCu * 2000, 8);
+    expect(r.totalUSD - r.totalBaseUSD).toBeCloseTo(r.ajusteUSD, 8);
+  });
+
+  it("recalcula una cotización guardada sobre su propia base", () => {
+    const input = { ...DEFAULT_INPUT, lmeCuUSDt: 9000 };
+    const q = newQuote(meta, input, DEFAULT_PRICE_LIST);
+    expect(q.input.lmeCuUSDt).toBe(9000);
+    const r = indexarCotizacion(q, { cuUSDt: 9500, alUSDt: input.lmeAlUSDt });
+    expect(r.precio.ajusteUSDm).toBeCloseTo(contenidoMetal(input).kgmCu * 0.5, 12);
+    expect(r.precio.precioBaseUSDm).toBeCloseTo(computeEstimate(input).precioListaUSDm, 12);
+    expect(r.oferta).toBeNull();
+  });
+
+  it("cotizaciones anteriores al LME base toman la de fábrica", () => {
+    const { lmeCuUSDt, lmeAlUSDt, ...viejo } = DEFAULT_INPUT;
+    const q = { ...newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST), input: viejo as typeof DEFAULT_INPUT };
+    expect(indexarCotizacion(q, { cuUSDt: lmeCuUSDt, alUSDt: lmeAlUSDt }).precio.ajusteUSDm).toBe(0);
+  });
+
+  it("texto de la cláusula con el LME base", () => {
+    expect(textoClausula({ cuUSDt: 9500, alUSDt: 2600 })).toMatch(/LME Cu − 9\.500\) \/ 1000.*LME Al − 2\.600\)/);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import {
+  claseTension, espesorAislacion, espesorMinimoVaina, filaEspesores, materialAislacion,
+  DEFAULT_PRECIOS_AISLACION, TABLA_AISLACION,
+} from "@/lib/insulation";
+
+describe("tablas de aislación", () => {
+  it("cada tensión tiene filas ordenadas por sección", () => {
+    for (const t of TABLA_AISLACION.tensiones) {
+      const maximos = t.espesores.map(e => e.seccionMaxMM2);
+      expect([...maximos].sort((a, b) => a - b)).toEqual(maximos);
+    }
+  });
+
+  it("busca la fila que cubre la sección", () => {
+    expect(filaEspesores("3.3 kV", 95)!.vainaMinMM).toBe(1.4);
+    expect(filaEspesores("3.3 kV", 120)!.vainaMinMM).toBe(1.6);
+    expect(filaEspesores("3.3 kV", 400)).toBe(filaEspesores("3.3 kV", 300));
+  });
+
+  it("espesor por material y tensión", () => {
+    expect(espesorAislacion("13.2 kV", 95, "XLPE")).toBe(4.5);
+    expect(espesorAislacion("6.6 kV", 95, "PVC")).toBe(3.4);
+    expect(espesorAislacion("13.2 kV", 95, "PVC")).toBeNull();
+    expect(espesorAislacion("66 kV", 95, "XLPE")).toBeNull();
+  });
+
+  it("vaina mínima por defecto si la tensión no está en la tabla", () => {
+    expect(espesorMinimoVaina("66 kV", 95)).toBe(1.4);
+  });
+
+  it("materiales con densidad y precio", () => {
+    expect(materialAislacion("EPR").densidadKgM3).toBe(1300);
+    expect(materialAislacion("desconocido").key).toBe("XLPE");
+    expect(DEFAULT_PRECIOS_AISLACION).toEqual({ XLPE: 2.6, EPR: 3.4, PVC: 1.5 });
+    expect(claseTension("33 kV")!.seccionMinMM2).toBe(35);
+    expect(claseTension("33 kV")!.pantallaMinMM2).toBe(16);
+  });
+});
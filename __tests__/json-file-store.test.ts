@@ -0,0 +1,33 @@
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+
+type Item = { id: string; n: number };
+
+describe("createJsonFileStore", () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "cce-"));
+    process.env.CCE_DATA_DIR = dir;
+  });
+
+  afterEach(async () => {
+    delete process.env.CCE_DATA_DIR;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("guarda, actualiza, lista y borra", async () => {
+    const store = createJsonFileStore<Item>("items");
+    expect(await store.list()).toEqual([]);
+    await store.save({ id: "a", n: 1 });
+    await store.save({ id: "b", n: 2 });
+    await store.save({ id: "a", n: 3 });
+    expect(await store.list()).toEqual([{ id: "a", n: 3 }, { id: "b", n: 2 }]);
+    expect(await store.get("b")).toEqual({ id: "b", n: 2 });
+    await store.remove("a");
+    expect(await store.list()).toEqual([{ id: "b", n: 2 }]);
+  });
+});
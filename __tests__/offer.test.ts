@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { pickPriceValues, DEFAULT_PRICE_LIST } from "@/lib/price-lists";
+import { computeOffer, computeOfferLine, descripcionCable, masasPorMetro, newOfferLine } from "@/lib/offer";
+
+const pricing = { ...pickPriceValues(DEFAULT_INPUT), margenPct: DEFAULT_INPUT.margenPct, moneda: DEFAULT_INPUT.moneda };
+
+describe("oferta multi-línea", () => {
+  it("una línea toma la especificación y copia las filas extra", () => {
+    const extras = [{ id: "e1", nombre: "Cinta", tipoPrecio: "$/m" as const, precio: 0.1, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Materia" as const }];
+    const l = newOfferLine({ ...DEFAULT_INPUT, extras }, 2500);
+    extras[0].precio = 5;
+    expect(l.spec.seccion).toBe(DEFAULT_INPUT.seccion);
+    expect((l.spec as Record<string, unknown>).pxCu).toBeUndefined();
+    expect(l.extras[0].precio).toBe(0.1);
+    expect(l.longitudM).toBe(2500);
+  });
+
+  it("bobinas redondean hacia arriba y suman embalaje y tara", () => {
+    const l = { ...newOfferLine(DEFAULT_INPUT, 2500), largoBobinaM: 1000, costoBobinaUSD: 200, taraBobinaKg: 300 };
+    const r = computeOfferLine(l, pricing);
+    const e = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 2500, extras: [] });
+    expect(r.bobinas).toBe(3);
+    expect(r.embalajeUSD).toBe(600);
+    expect(r.totalUSD).toBeCloseTo(e.precioListaUSDm * 2500 + 600, 8);
+    expect(r.totalSalida).toBeCloseTo(r.totalUSD * pricing.tcARS, 6);
+    expect(r.pesoBrutoKg - r.pesoNetoKg).toBeCloseTo(900, 8);
+  });
+
+  it("separa kg de cobre y aluminio (la pantalla es de cobre)", () => {
+    const al = computeEstimate({ ...DEFAULT_INPUT, metal: "Aluminio" });
+    const m = masasPorMetro(al, { ...DEFAULT_INPUT, metal: "Aluminio" });
+    const kg = (id: string) => al.filas.find(f => f.id === id)!.kgPorMetro;
+    expect(m.kgmAl).toBeCloseTo(kg("conductor"), 10);
+    expect(m.kgmCu).toBeCloseTo(kg("pantalla"), 10);
+    expect(m.kgmTotal).toBeGreaterThan(m.kgmAl + m.kgmCu);
+  });
+
+  it("totales de la oferta suman todas las líneas", () => {
+    const a = newOfferLine(DEFAULT_INPUT, 1000);
+    const b = newOfferLine({ ...DEFAULT_INPUT, metal: "Aluminio", fases: 3, tipologia: "tripolar", seccion: 150 }, 1500);
+    const { lineas, totales } = computeOffer([a, b], pricing);
+    expect(totales.metros).toBe(2500);
+    expect(totales.bobinas).toBe(3);
+    expect(totales.totalUSD).toBeCloseTo(lineas[0].totalUSD + lineas[1].totalUSD, 8);
+    expect(totales.kgAl).toBeCloseTo(lineas[1].kgAl, 8);
+    expect(computeOffer([], pricing).totales.totalUSD).toBe(0);
+  });
+
+  it("descripción comercial", () => {
+    const d = descripcionCable({ ...DEFAULT_INPUT, metal: "Aluminio", fases: 3, seccion: 150, armadura: true });
+    expect(d).toContain("3×150 mm² Al 13.2 kV XLPE");
+    expect(d).toContain("Armado");
+  });
+
+  it("usa los precios de la oferta, no los de la línea", () => {
+    expect(DEFAULT_PRICE_LIST.valores.pxCu).toBe(pricing.pxCu);
+    const l = newOfferLine(DEFAULT_INPUT);
+    const caro = computeOfferLine(l, { ...pricing, pxCu: pricing.pxCu * 2 });
+    expect(caro.cableUSD).toBeGreaterThan(computeOfferLine(l, pricing).cableUSD);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_INPUT } from "@/lib/cost-engine";
+import { createOfflineStore, hayConexion, type Almacen } from "@/lib/offline";
+import { DEFAULT_PRICE_LIST, listaMasNueva, nuevaVersion } from "@/lib/price-lists";
+import { cambiarEstado, newQuote, rebaseQuote, updateQuote, verificarHistorial, type Quote } from "@/lib/quotes";
+import type { Entity, Store } from "@/lib/storage";
+import { USUARIOS_BASE } from "@/lib/users";
+
+const memoria = (): Almacen => {
+  const m = new Map<string, string>();
+  return { leer: k => m.get(k) ?? null, escribir: (k, v) => { m.set(k, v); } };
+};
+
+// Servidor en memoria que se puede "desconectar" (fetch falla con TypeError) y que valida como la API.
+function servidor<T extends Entity>(validar: (anterior: T | undefined, item: T) => T | void = () => undefined) {
+  const items = new Map<string, T>();
+  const red = { caida: false };
+  const llegar = () => { if (red.caida) throw new TypeError("Failed to fetch"); };
+  const api: Store<T> = {
+    async list() { llegar(); return Array.from(items.values()); },
+    async get(id) { return red.caida ? undefined : items.get(id); },
+    async save(item) {
+      llegar();
+      const verificado = validar(items.get(item.id), item);
+      if (verificado) item = verificado;
+      items.set(item.id, item);
+      return item;
+    },
+    async remove(id) { llegar(); items.delete(id); },
+  };
+  return { api, items, red };
+}
+
+const meta = { cliente: "EPEC", referencia: "OF-200", fecha: "2025-10-15" };
+const servidorCotizaciones = () => servidor<Quote>((anterior, q) => verificarHistorial(anterior, q, USUARIOS_BASE, DEFAULT_PRICE_LIST.valores, "ventas"));
+const storeCotizaciones = (api: Store<Quote>) => createOfflineStore("quotes-test", api, { version: q => q.actualizado, rebase: rebaseQuote }, memoria());
+
+describe("sin conexión", () => {
+  it("lee la última copia del servidor y sólo encola en colecciones con versión", async () => {
+    const { api, red } = servidor<{ id: string; nombre: string }>();
+    await api.save({ id: "vigente", nombre: "Catálogo" });
+    const store = createOfflineStore("catalog-test", api, {}, memoria());
+    expect(store.actualizadoAl()).toBeNull();
+    expect(await store.list()).toHaveLength(1);
+    expect(store.actualizadoAl()).not.toBeNull();
+
+    red.caida = true;
+    expect(await store.list()).toEqual([{ id: "vigente", nombre: "Catálogo" }]);
+    expect(await store.get("vigente")).toEqual({ id: "vigente", nombre: "Catálogo" });
+    expect(hayConexion()).toBe(false);
+    await expect(store.save({ id: "vigente", nombre: "Otro" })).rejects.toThrow(/Sin conexión con el servidor: catalog-test/);
+    red.caida = false;
+    await store.list();
+    expect(hayConexion()).toBe(true);
+  });
+
+  it("crea y edita cotizaciones sin conexión y las envía al volver el servidor", async () => {
+    const { api, items, red } = servidorCotizaciones();
+    const store = storeCotizaciones(api);
+    red.caida = true;
+    const q = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, [], "ventas");
+    await store.save(q);
+    const editada = updateQuote(q, meta, { ...DEFAULT_INPUT, margenPct: 22 }, DEFAULT_PRICE_LIST, [], "ventas");
+    await store.save(editada);
+    expect(store.pendientes()).toMatchObject([{ id: q.id, op: "guardar", base: null }]);
+    expect((await store.list()).map(x => x.input.margenPct)).toEqual([22]);
+
+    expect(await store.sincronizar()).toEqual({ enviados: 0, conflictos: 0, errores: 0 });
+    red.caida = false;
+    expect(await store.sincronizar()).toEqual({ enviados: 1, conflictos: 0, errores: 0 });
+    expect(store.pendientes()).toEqual([]);
+    expect(items.get(q.id)!.historial.map(r => r.accion)).toEqual(["creada", "modificada"]);
+
+    // Creada y borrada sin conexión: no queda nada que enviar.
+    red.caida = true;
+    const otra = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    await store.save(otra);
+    await store.remove(otra.id);
+    expect(store.pendientes()).toEqual([]);
+  });
+
+  it("detecta el conflicto si la cotización cambió en el servidor", async () => {
+    const { api, items, red } = servidorCotizaciones();
+    const store = storeCotizaciones(api);
+    const q = await store.save(newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, [], "ventas"));
+    await store.list();
+
+    red.caida = true;
+    await store.save({ ...updateQuote(q, meta, { ...DEFAULT_INPUT, seccion: 120 }, DEFAULT_PRICE_LIST, [], "ventas"), actualizado: "2025-10-16T09:00:00.000Z" });
+    const enServidor = { ...cambiarEstado(q, "presentada", USUARIOS_BASE[2], []), actualizado: "2025-10-16T10:00:00.000Z" };
+    items.set(q.id, enServidor);
+
+    red.caida = false;
+    expect(await store.sincronizar()).toEqual({ enviados: 0, conflictos: 1, errores: 0 });
+    expect(store.pendientes()[0].conflicto).toEqual(enServidor);
+    expect(items.get(q.id)).toEqual(enServidor);
+
+    // Conservar la local: se rearma sobre la del servidor, con su historial.
+    await store.resolver(q.id, "local");
+    const final = items.get(q.id)!;
+    expect(store.pendientes()).toEqual([]);
+    expect(final.input.seccion).toBe(120);
+    expect(final.historial.map(r => r.accion)).toEqual(["creada", "estado", "modificada"]);
+    expect(final.estado).toBe("borrador");
+  });
+
+  it("conservar la del servidor descarta el cambio local; los rechazos quedan como error", async () => {
+    const { api, items, red } = servidorCotizaciones();
+    const store = storeCotizaciones(api);
+    const q = await store.save(newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, [], "ventas"));
+
+    red.caida = true;
+    await store.remove(q.id);
+    items.set(q.id, { ...q, referencia: "OF-201", actualizado: "2025-10-16T10:00:00.000Z" });
+    red.caida = false;
+    await store.sincronizar();
+    await store.resolver(q.id, "servidor");
+    expect(store.pendientes()).toEqual([]);
+    expect((await store.list()).map(x => x.referencia)).toEqual(["OF-201"]);
+
+    red.caida = true;
+    const actual = items.get(q.id)!;
+    await store.save({ ...actual, historial: [], actualizado: "2025-10-17T10:00:00.000Z" });
+    red.caida = false;
+    expect(await store.sincronizar()).toEqual({ enviados: 0, conflictos: 0, errores: 1 });
+    expect(store.pendientes()[0].error).toMatch(/sólo de agregado/);
+  });
+});
+
+describe("lista de precios de una cotización", () => {
+  it("marca si ya hay una versión vigente más nueva", () => {
+    const nueva = { ...nuevaVersion("Octubre", "2025-10-20", DEFAULT_PRICE_LIST.valores), id: "oct" };
+    const listas = [DEFAULT_PRICE_LIST, nueva];
+    expect(listaMasNueva(DEFAULT_PRICE_LIST, listas, "2025-10-25")).toEqual(nueva);
+    expect(listaMasNueva(DEFAULT_PRICE_LIST, listas, "2025-10-19")).toBeNull();
+    expect(listaMasNueva(nueva, listas, "2025-10-25")).toBeNull();
+  });
+});
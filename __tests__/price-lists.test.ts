@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  diffPriceLists, flattenPriceValues, parsePriceList, parsePriceListCSV, parsePriceListJSON, priceListToCSV, vigenteAl,
+  DEFAULT_PRICE_LIST, type PriceList,
+} from "@/lib/price-lists";
+
+const base = DEFAULT_PRICE_LIST.valores;
+
+function version(id: string, vigenteDesde: string, cambios: Partial<PriceList["valores"]> = {}): PriceList {
+  return { id, nombre: id, vigenteDesde, creado: `${vigenteDesde}T00:00:00.000Z`, valores: { ...base, ...cambios } };
+}
+
+describe("listas de precios", () => {
+  it("aplana los precios de aislación como campos punteados", () => {
+    const flat = flattenPriceValues(base);
+    expect(flat.pxCu).toBe(base.pxCu);
+    expect(flat["pxAislacionKg.XLPE"]).toBe(base.pxAislacionKg.XLPE);
+  });
+
+  it("diff sólo lista los campos que cambian, con Δ%", () => {
+    const a = version("a", "2025-10-01");
+    const b = version("b", "2025-11-01", { pxCu: base.pxCu * 1.1, pxAislacionKg: { ...base.pxAislacionKg, EPR: 4 } });
+    const d = diffPriceLists(a, b);
+    expect(d.map(x => x.campo)).toEqual(["pxCu", "pxAislacionKg.EPR"]);
+    expect(d[0].deltaPct).toBeCloseTo(10, 8);
+  });
+
+  it("vigenteAl elige la última versión que ya entró en vigencia", () => {
+    const lists = [version("oct", "2025-10-01"), version("nov", "2025-11-01"), version("dic", "2025-12-01")];
+    expect(vigenteAl(lists, "2025-11-15")!.id).toBe("nov");
+    expect(vigenteAl(lists, "2025-09-30")).toBeUndefined();
+  });
+
+  it("importa CSV parcial completando con la base", () => {
+    const pl = parsePriceListCSV("campo,valor\nnombre,Lista nov\nvigenteDesde,2025-11-01\npxCu,7.5\npxAislacionKg.XLPE;2.9\n", base);
+    expect(pl.nombre).toBe("Lista nov");
+    expect(pl.vigenteDesde).toBe("2025-11-01");
+    expect(pl.valores.pxCu).toBe(7.5);
+    expect(pl.valores.pxAislacionKg.XLPE).toBe(2.9);
+    expect(pl.valores.pxAl).toBe(base.pxAl);
+  });
+
+  it("CSV exportado se vuelve a importar igual", () => {
+    const original = version("x", "2025-11-01", { pxCu: 8 });
+    original.nombre = 'Lista "especial", nov';
+    const pl = parsePriceListCSV(priceListToCSV(original), DEFAULT_PRICE_LIST.valores);
+    expect(pl.nombre).toBe(original.nombre);
+    expect(pl.valores).toEqual(original.valores);
+  });
+
+  it("la moneda de cada precio viaja en el CSV y cuenta como diferencia", () => {
+    const eur = version("eur", "2025-12-01", { monedaPrecios: { pxCu: "EUR" }, tcEUR: 0.95 });
+    const back = parsePriceListCSV(priceListToCSV(eur), base);
+    expect(back.valores.monedaPrecios).toEqual({ pxCu: "EUR" });
+    expect(back.valores.tcEUR).toBe(0.95);
+    expect(diffPriceLists(version("a", "2025-10-01"), eur)).toContainEqual({ campo: "moneda.pxCu", antes: "USD", despues: "EUR", deltaPct: null });
+    expect(() => parsePriceListCSV("vigenteDesde,2025-12-01\nmoneda.pxCu,GBP", base)).toThrow(/Moneda inválida/);
+  });
+
+  it("rechaza campos desconocidos, números inválidos y fechas mal formadas", () => {
+    expect(() => parsePriceListCSV("vigenteDesde,2025-11-01\npxOro,1", base)).toThrow(/desconocido/);
+    expect(() => parsePriceListCSV("vigenteDesde,2025-11-01\npxCu,abc", base)).toThrow(/inválido/);
+    expect(() => parsePriceListCSV("vigenteDesde,01/11/2025\npxCu,7", base)).toThrow(/Fecha/);
+    expect(() => parsePriceListJSON("{", base)).toThrow(/JSON/);
+  });
+
+  it("importa JSON con precios de aislación anidados", () => {
+    const pl = parsePriceListJSON(JSON.stringify({ nombre: "J", vigenteDesde: "2025-12-01", valores: { tcARS: 1200, pxAislacionKg: { PVC: 1.7 } } }), base);
+    expect(pl.valores.tcARS).toBe(1200);
+    expect(pl.valores.pxAislacionKg.PVC).toBe(1.7);
+  });
+
+  it("parsePriceList valida el cuerpo de la API", () => {
+    expect(() => parsePriceList({ nombre: "sin id" })).toThrow(/id/);
+    expect(parsePriceList(version("ok", "2025-11-01")).id).toBe("ok");
+  });
+});
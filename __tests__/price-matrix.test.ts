@@ -0,0 +1,76 @@
+import ExcelJS from "exceljs";
+import { describe, expect, it } from "vitest";
+import { catalogo } from "@/lib/catalog";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { parseCSV } from "@/lib/csv";
+import { generarMatriz, matrizToCSV, matrizToXLSX, redondear } from "@/lib/price-matrix";
+
+const base = { ...DEFAULT_INPUT, metal: "Aluminio" as const, aislacion: "XLPE", pantallaMM2: 6 };
+const SECCIONES = catalogo().secciones;
+const TENSIONES = catalogo().tensiones.map(t => t.tension);
+
+describe("redondear", () => {
+  it("redondea al múltiplo más cercano, hacia arriba o hacia abajo", () => {
+    expect(redondear(1.1234, { paso: 0.05, modo: "cercano" })).toBe(1.1);
+    expect(redondear(1.1234, { paso: 0.05, modo: "arriba" })).toBe(1.15);
+    expect(redondear(1.1, { paso: 0.05, modo: "arriba" })).toBe(1.1);
+    expect(redondear(1.149, { paso: 0.05, modo: "abajo" })).toBe(1.1);
+    expect(redondear(1234, { paso: 10, modo: "cercano" })).toBe(1230);
+    expect(redondear(1.1234, { paso: 0, modo: "cercano" })).toBe(1.1234);
+  });
+});
+
+describe("generarMatriz", () => {
+  it("calcula cada sección × tensión con la construcción fija", () => {
+    const m = generarMatriz(base, { moneda: "USD" });
+    expect(m.celdas).toHaveLength(SECCIONES.length);
+    expect(m.celdas[0]).toHaveLength(TENSIONES.length);
+    const c = m.celdas[SECCIONES.indexOf(150)][TENSIONES.indexOf("33 kV")];
+    expect(c.precio).toBeCloseTo(computeEstimate({ ...base, seccion: 150, tension: "33 kV" }).precioListaUSDm, 10);
+    expect(m.familia).toContain("1×S mm² Al");
+  });
+
+  it("aplica el redondeo en la moneda de la matriz", () => {
+    const m = generarMatriz(base, { moneda: "ARS", redondeo: { paso: 50, modo: "arriba" } });
+    for (const c of m.celdas.flat()) {
+      expect(c.precio! % 50).toBe(0);
+      expect(c.precio!).toBeGreaterThanOrEqual(c.precioSinRedondeo!);
+    }
+  });
+
+  it("marca las celdas cuya construcción no valida", () => {
+    const m = generarMatriz(base, { moneda: "USD" });
+    const celda = (s: number, t: string) => m.celdas[SECCIONES.indexOf(s)][TENSIONES.indexOf(t)];
+    expect(celda(95, "13.2 kV").estado).toBe("ok");
+    // 33 kV: sección mínima 35 mm² y pantalla mínima 16 mm².
+    expect(celda(25, "33 kV").hallazgos.map(h => h.campo)).toEqual(["seccion", "pantallaMM2"]);
+    expect(celda(25, "33 kV").estado).toBe("advertencia");
+    // El margen bajo no es un problema de construcción.
+    expect(generarMatriz({ ...base, margenPct: 1 }).celdas[SECCIONES.indexOf(95)][TENSIONES.indexOf("13.2 kV")].estado).toBe("ok");
+    const conError = generarMatriz({ ...base, armadura: true, kgmArmadura: 0 });
+    expect(conError.celdas.flat().every(c => c.estado === "error" && c.precio === null)).toBe(true);
+  });
+});
+
+describe("exportación de la matriz", () => {
+  const m = generarMatriz(base, { moneda: "USD", redondeo: { paso: 0.05, modo: "cercano" } }, [25, 95], ["13.2 kV", "33 kV"]);
+
+  it("CSV con precios, estado y observaciones", () => {
+    const rows = parseCSV(matrizToCSV(m, "es-AR"), ";");
+    expect(rows[2]).toEqual(["Redondeo", "Al múltiplo de 0.05 más cercano"]);
+    expect(rows[4]).toEqual(["Precio lista", "13.2 kV (8.7/15 kV)", "33 kV (18/30 kV)"]);
+    expect(rows[5][1]).toBe(String(m.celdas[0][0].precio).replace(".", ","));
+    expect(rows[9]).toEqual(["25", "OK", "ADVERTENCIA"]);
+    expect(rows.slice(13).map(r => r.slice(0, 3))).toEqual([["25", "33 kV", "ADVERTENCIA"], ["25", "33 kV", "ADVERTENCIA"], ["95", "33 kV", "ADVERTENCIA"]]);
+  });
+
+  it("XLSX con celdas marcadas y hoja de observaciones", async () => {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(await matrizToXLSX(m));
+    const ws = wb.getWorksheet("Matriz")!;
+    expect(ws.getCell("B6").value).toBe(m.celdas[0][0].precio);
+    expect(ws.getCell("C6").note).toBeTruthy();
+    expect((ws.getCell("C6").fill as { fgColor?: { argb?: string } }).fgColor?.argb).toBe("FFFEF3C7");
+    expect(wb.getWorksheet("Observaciones")!.rowCount).toBe(4);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, rutaDeEntrada, DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { computeOfferLine, newOfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, parsePriceListCSV, pickPriceValues, priceListToCSV } from "@/lib/price-lists";
+import { PROCESOS, velocidadProceso } from "@/lib/processes";
+import { validarEntrada } from "@/lib/validation";
+
+const paso = (input: EstimateInput, key: string) => rutaDeEntrada(input).find(r => r.proceso.key === key)!;
+const proceso = (key: string) => PROCESOS.find(p => p.key === key)!;
+
+describe("ruta de procesos", () => {
+  it("máquina, energía y preparación por metro según velocidad, tarifa y kW", () => {
+    // 1×95: triple extrusión a 22 m/min, 160 USD/h, 320 kW, 120 min de preparación sobre 1000 m.
+    const r = paso(DEFAULT_INPUT, "extrusion");
+    expect(r.velocidadMMin).toBe(22);
+    expect(r.horasPorKm).toBeCloseTo(1000 / 1320, 12);
+    expect(r.maquinaUSDm).toBeCloseTo(160 / 1320, 12);
+    expect(r.energiaUSDm).toBeCloseTo((320 * 0.1) / 1320, 12);
+    expect(r.setupUSDm).toBeCloseTo(0.32, 12);
+    expect(computeEstimate(DEFAULT_INPUT).filas.find(f => f.id === "proc-extrusion")!.precio).toBeCloseTo(r.totalUSDm, 12);
+  });
+
+  it("velocidad por rango de sección; la del último rango si la sección lo excede", () => {
+    const ext = proceso("extrusion");
+    expect(velocidadProceso(ext, 50)).toBe(30);
+    expect(velocidadProceso(ext, 51)).toBe(22);
+    expect(velocidadProceso(ext, 300)).toBe(15);
+    expect(velocidadProceso(ext, 630)).toBe(15);
+  });
+
+  it("un pedido corto paga más preparación por metro", () => {
+    const largo = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 5000 });
+    const corto = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 200 });
+    expect(corto.subtotalProcesos).toBeGreaterThan(largo.subtotalProcesos);
+    expect(corto.subtotalMaterias).toBe(largo.subtotalMaterias);
+    const a = paso({ ...DEFAULT_INPUT, longitudPedidoM: 5000 }, "envainado");
+    const b = paso({ ...DEFAULT_INPUT, longitudPedidoM: 200 }, "envainado");
+    expect(b.maquinaUSDm).toBe(a.maquinaUSDm);
+    expect(b.setupUSDm).toBeCloseTo(a.setupUSDm * 25, 12);
+    expect(validarEntrada({ ...DEFAULT_INPUT, longitudPedidoM: 0 }).find(h => h.campo === "longitudPedidoM")?.severidad).toBe("error");
+  });
+
+  it("pasadas por núcleo y por cable; reunido sólo con varios núcleos, armado sólo con armadura", () => {
+    const tripolar = { ...DEFAULT_INPUT, fases: 3, tipologia: "tripolar" as const };
+    expect(paso(tripolar, "extrusion").pasadas).toBe(3);
+    expect(paso(tripolar, "envainado").pasadas).toBe(1);
+    expect(paso(tripolar, "reunido").aplica).toBe(true);
+
+    const terna = { ...DEFAULT_INPUT, fases: 3, tipologia: "unipolar" as const };
+    expect(paso(terna, "extrusion").pasadas).toBe(3);
+    expect(paso(terna, "envainado").pasadas).toBe(3);
+    expect(paso(terna, "reunido").aplica).toBe(false);
+
+    expect(paso(DEFAULT_INPUT, "armado").aplica).toBe(false);
+    expect(paso({ ...DEFAULT_INPUT, armadura: true }, "armado").aplica).toBe(true);
+    expect(paso({ ...DEFAULT_INPUT, pantallaMM2: 0 }, "pantalla").aplica).toBe(false);
+    const filas = computeEstimate(DEFAULT_INPUT).filas;
+    expect(filas.find(f => f.id === "proc-armado")!.incluye).toBe(false);
+  });
+
+  it("la energía cargada en otra moneda se pasa a USD", () => {
+    const ars = { ...DEFAULT_INPUT, pxEnergiaKWh: 0.1 * DEFAULT_INPUT.tcARS, monedaPrecios: { pxEnergiaKWh: "ARS" as const } };
+    expect(paso(ars, "extrusion").energiaUSDm).toBeCloseTo(paso(DEFAULT_INPUT, "extrusion").energiaUSDm, 12);
+  });
+
+  it("la energía viaja en la lista de precios; la mano de obra de listas viejas se ignora", () => {
+    const pl = parsePriceListCSV("campo,valor\nnombre,Vieja\nvigenteDesde,2025-06-01\nmoUSDm,0.2\npxEnergiaKWh,0.14\nmoneda.pxEnergiaKWh,EUR\n", DEFAULT_PRICE_LIST.valores);
+    expect(pl.valores.pxEnergiaKWh).toBe(0.14);
+    expect(pl.valores.monedaPrecios.pxEnergiaKWh).toBe("EUR");
+    expect("moUSDm" in pl.valores).toBe(false);
+    expect(parsePriceListCSV(priceListToCSV(pl), DEFAULT_PRICE_LIST.valores).valores).toEqual(pl.valores);
+    const { pxEnergiaKWh: _, ...sinEnergia } = DEFAULT_PRICE_LIST.valores;
+    expect(pickPriceValues(sinEnergia as typeof DEFAULT_PRICE_LIST.valores).pxEnergiaKWh).toBe(DEFAULT_INPUT.pxEnergiaKWh);
+  });
+
+  it("cada línea de la oferta amortiza la preparación en sus metros", () => {
+    const pricing = { ...pickPriceValues(DEFAULT_INPUT), margenPct: DEFAULT_INPUT.margenPct, moneda: DEFAULT_INPUT.moneda };
+    const corta = computeOfferLine(newOfferLine(DEFAULT_INPUT, 300), pricing);
+    const larga = computeOfferLine(newOfferLine(DEFAULT_INPUT, 3000), pricing);
+    expect(corta.estimate.precioListaUSDm).toBeGreaterThan(larga.estimate.precioListaUSDm);
+    expect(larga.estimate.precioListaUSDm).toBeCloseTo(computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 3000 }).precioListaUSDm, 12);
+  });
+});
@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { CATALOGO_BASE, usarCatalogo } from "@/lib/catalog";
+import { DEFAULT_INPUT, type CableSpec } from "@/lib/cost-engine";
+import { buscarProductos, codigoProducto, decodificarCodigo } from "@/lib/product-codes";
+
+const spec: CableSpec = {
+  metal: "Aluminio", fases: 3, tipologia: "tripolar", seccion: 150, claseConductor: 2, formaConductor: "compactado", disenoPorResistencia: false, tension: "13.2 kV", aislacion: "XLPE",
+  sheathKey: "RH_UV", pantallaMM2: 10, armadura: true, kgmArmadura: DEFAULT_INPUT.kgmArmadura, useWBLong: false, useWBRad: false,
+};
+
+afterEach(() => usarCatalogo(CATALOGO_BASE));
+
+describe("códigos de producto", () => {
+  it("arma el código y lo lee de vuelta", () => {
+    expect(codigoProducto(spec)).toBe("IMSA-AL-3x150-13.2-RHUV-P10-A");
+    expect(decodificarCodigo(" imsa-al-3x150-13.2-rhuv-p10-a ")).toEqual(spec);
+    const epr = { ...spec, metal: "Cobre" as const, fases: 1, tipologia: "unipolar" as const, aislacion: "EPR", pantallaMM2: 6, tension: "3.3 kV", armadura: false, useWBLong: true, useWBRad: true };
+    expect(codigoProducto(epr)).toBe("IMSA-CU-1x150-3.3-EPR-RHUV-P6-WLR");
+    expect(decodificarCodigo("IMSA-CU-1x150-3.3-EPR-RHUV-P6-WLR")).toEqual(epr);
+    expect(decodificarCodigo("IMSA-CU-1x95-3.3-PVC-PVC").aislacion).toBe("PVC");
+    expect(decodificarCodigo("IMSA-CU-1x95-3.3-PVC").aislacion).toBe("XLPE"); // una sola: es la vaina
+  });
+
+  it("no da código a combinaciones fuera de catálogo o con hallazgos", () => {
+    expect(codigoProducto({ ...spec, tipologia: "unipolar" })).toBeNull(); // 3 unipolares
+    expect(codigoProducto({ ...spec, seccion: 400 })).toBeNull();
+    expect(codigoProducto({ ...spec, tension: "33 kV" })).toBeNull(); // pantalla 10 < 16 mm²
+    expect(codigoProducto({ ...spec, aislacion: "PVC" })).toBeNull(); // PVC no aplica a 13.2 kV
+  });
+
+  it("explica por qué no puede leer un código", () => {
+    expect(() => decodificarCodigo("ACME-AL-3x150-13.2-RH")).toThrow("empezar con IMSA-");
+    expect(() => decodificarCodigo("IMSA-AL-2x150-13.2-RH")).toThrow("Fases × sección");
+    expect(() => decodificarCodigo("IMSA-AL-3x150-13.2-LSZH")).toThrow("Vaina desconocida");
+    expect(() => decodificarCodigo("IMSA-AL-3x150-13.2-RH-A-P10")).toThrow("¿quiso decir IMSA-AL-3x150-13.2-RH-P10-A?");
+    expect(() => decodificarCodigo("IMSA-AL-3x400-13.2-RH-P10")).toThrow("no están en el catálogo");
+    expect(() => decodificarCodigo("IMSA-AL-3x150-33-RH-P10")).toThrow(/Combinación no válida: .*16 mm²/);
+  });
+
+  it("busca productos válidos por código o descripción", () => {
+    expect(buscarProductos("IMSA-AL-3x150-13.2-RHUV-P10-A").map(p => p.codigo)).toEqual(["IMSA-AL-3x150-13.2-RHUV-P10-A", "IMSA-AL-3x150-13.2-RHUV-P10-A-WL", "IMSA-AL-3x150-13.2-RHUV-P10-A-WR", "IMSA-AL-3x150-13.2-RHUV-P10-A-WLR"]);
+    const r = buscarProductos("-al- 3x150 -33-epr-", 100);
+    expect(r.length).toBeGreaterThan(0);
+    expect(r.every(p => p.spec.metal === "Aluminio" && p.spec.tension === "33 kV" && p.spec.aislacion === "EPR" && p.spec.pantallaMM2 >= 16)).toBe(true);
+    expect(buscarProductos("", 5)).toHaveLength(5);
+    expect(buscarProductos("LSZH")).toEqual([]);
+    usarCatalogo({ ...CATALOGO_BASE, vainas: [...CATALOGO_BASE.vainas, { key: "LSZH", label: "LSZH", codigo: "LSZH", factor: 2, densidadKgM3: 1600 }] });
+    expect(buscarProductos("1x95 3.3 lszh", 1)[0].codigo).toBe("IMSA-CU-1x95-3.3-LSZH");
+  });
+});
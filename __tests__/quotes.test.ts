@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { DEFAULT_PRICE_LIST } from "@/lib/price-lists";
+import { newOfferLine } from "@/lib/offer";
+import { compareQuotes, duplicateQuote, newQuote, parseQuote, searchQuotes, updateQuote } from "@/lib/quotes";
+
+const meta = { cliente: "EPEC", referencia: "OF-100", fecha: "2025-10-15" };
+
+describe("cotizaciones", () => {
+  it("guarda una copia de la entrada y el resumen del cálculo", () => {
+    const input = { ...DEFAULT_INPUT, extras: [{ id: "e1", nombre: "Cinta", tipoPrecio: "$/m" as const, precio: 0.1, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Materia" as const }] };
+    const q = newQuote(meta, input, DEFAULT_PRICE_LIST);
+    input.extras[0].precio = 99;
+    expect(q.input.extras![0].precio).toBe(0.1);
+    expect(q.priceList).toEqual({ id: "default", nombre: DEFAULT_PRICE_LIST.nombre, vigenteDesde: DEFAULT_PRICE_LIST.vigenteDesde });
+    expect(q.resumen.precioListaUSDm).toBeCloseTo(computeEstimate(q.input).precioListaUSDm, 10);
+  });
+
+  it("actualizar conserva id y fecha de creación", () => {
+    const q = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    const u = updateQuote(q, { ...meta, referencia: "OF-101" }, { ...DEFAULT_INPUT, margenPct: 20 }, DEFAULT_PRICE_LIST);
+    expect(u.id).toBe(q.id);
+    expect(u.creado).toBe(q.creado);
+    expect(u.referencia).toBe("OF-101");
+    expect(u.resumen.precioListaUSDm).toBeGreaterThan(q.resumen.precioListaUSDm);
+  });
+
+  it("duplicar genera un id nuevo", () => {
+    const q = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    const d = duplicateQuote(q);
+    expect(d.id).not.toBe(q.id);
+    expect(d.referencia).toBe("OF-100 (copia)");
+    expect(d.input).toEqual(q.input);
+  });
+
+  it("guarda las líneas de la oferta", () => {
+    const lineas = [newOfferLine(DEFAULT_INPUT, 3000)];
+    const q = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST, lineas);
+    lineas[0].longitudM = 1;
+    expect(q.lineas[0].longitudM).toBe(3000);
+    expect(duplicateQuote(q).lineas).toEqual(q.lineas);
+  });
+
+  it("busca por todas las palabras en cliente, referencia y cable", () => {
+    const a = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    const b = newQuote({ cliente: "Edenor", referencia: "X-1", fecha: "2025-11-01" }, { ...DEFAULT_INPUT, metal: "Aluminio", seccion: 150 }, DEFAULT_PRICE_LIST);
+    expect(searchQuotes([a, b], "").map(q => q.id)).toEqual([b.id, a.id]);
+    expect(searchQuotes([a, b], "aluminio 150")).toEqual([b]);
+    expect(searchQuotes([a, b], "epec of-100")).toEqual([a]);
+  });
+
+  it("compara fila por fila con delta", () => {
+    const a = newQuote(meta, DEFAULT_INPUT, DEFAULT_PRICE_LIST);
+    const b = newQuote(meta, { ...DEFAULT_INPUT, pxCu: DEFAULT_INPUT.pxCu + 1, useWBLong: true }, DEFAULT_PRICE_LIST);
+    const { filas, totales } = compareQuotes(a, b);
+    const conductor = filas.find(f => f.id === "conductor")!;
+    expect(conductor.delta).toBeCloseTo(computeEstimate(a.input).filas[0].kgPorMetro, 10);
+    expect(filas.find(f => f.id === "wbL")!.delta).toBeCloseTo(DEFAULT_INPUT.pxWBLong, 10);
+    const lista = totales.find(t => t.id === "lista")!;
+    expect(lista.delta).toBeCloseTo(b.resumen.precioListaUSDm - a.resumen.precioListaUSDm, 10);
+    expect(lista.nombre).toBe("Precio Lista (USD/m)");
+
+    const en = compareQuotes(a, b, "en");
+    expect(en.totales.find(t => t.id === "lista")!.nombre).toBe("List Price (USD/m)");
+    expect(en.filas.find(f => f.id === "conductor")!.nombre).toMatch(/Copper/);
+  });
+
+  it("parseQuote completa campos nuevos con los valores por defecto", () => {
+    const { aislacion, ...viejo } = DEFAULT_INPUT;
+    const q = parseQuote({ id: "q1", ...meta, input: viejo });
+    expect(q.input.aislacion).toBe(aislacion);
+    expect(q.lineas).toEqual([]);
+    expect(() => parseQuote({ id: "q1", cliente: "", fecha: "2025-10-15", input: DEFAULT_INPUT })).toThrow(/cliente/);
+    expect(() => parseQuote({ id: "q1", cliente: "A", fecha: "15/10", input: DEFAULT_INPUT })).toThrow(/Fecha/);
+  });
+});
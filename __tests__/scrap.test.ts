@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT, type ComponentRow, type EstimateInput } from "@/lib/cost-engine";
+import { estimateResponse, validarEstimateRequest } from "@/lib/estimate-api";
+import { DEFAULT_PRICE_LIST, parsePriceListCSV, priceListToCSV } from "@/lib/price-lists";
+import { mermaFila } from "@/lib/scrap";
+import { tornado } from "@/lib/sensitivity";
+import { estimateToCSV, parseEstimateCSV } from "@/lib/spreadsheet";
+import { validarEntrada } from "@/lib/validation";
+
+const fila = (e: ReturnType<typeof computeEstimate>, id: string) => e.filas.find(f => f.id === id)!;
+const cinta: ComponentRow = { id: "e1", nombre: "Cinta", tipoPrecio: "$/m", precio: 0.1, kgPorMetro: 0, metros: 2, incluye: true, categoria: "Materia" };
+
+describe("mermas por componente", () => {
+  it("cada fila usa su propio % de merma", () => {
+    const e = computeEstimate(DEFAULT_INPUT);
+    const c = fila(e, "conductor");
+    expect(c.mermaPct).toBe(1.5);
+    expect(fila(e, "semicon").mermaPct).toBe(4);
+    expect(mermaFila(c).brutaUSDm).toBeCloseTo(c.kgPorMetro * 0.015 * c.precio, 12);
+    const masConductor = computeEstimate({ ...DEFAULT_INPUT, mermasFilaPct: { ...DEFAULT_INPUT.mermasFilaPct, conductor: 3 } });
+    expect(masConductor.mermasBrutasUSDm - e.mermasBrutasUSDm).toBeCloseTo(c.kgPorMetro * 0.015 * c.precio, 12);
+    expect(fila(e, "proc-extrusion").mermaPct).toBeUndefined();
+  });
+
+  it("el recupero del cobre baja la merma neta, no la bruta", () => {
+    const sinRecupero = computeEstimate({ ...DEFAULT_INPUT, recuperoPct: {} });
+    const e = computeEstimate(DEFAULT_INPUT);
+    expect(sinRecupero.recuperoUSDm).toBe(0);
+    expect(e.mermasBrutasUSDm).toBeCloseTo(sinRecupero.mermasBrutasUSDm, 12);
+    expect(e.mermasUSDm).toBeLessThan(sinRecupero.mermasUSDm);
+    expect(e.recuperoUSDm).toBeCloseTo(mermaFila(fila(e, "conductor")).brutaUSDm * 0.9 + mermaFila(fila(e, "pantalla")).brutaUSDm * 0.85, 12);
+    expect(e.costoFabrica).toBeCloseTo(e.subtotalMaterias + e.mermasUSDm + e.subtotalProcesos, 12);
+  });
+
+  it("la purga de arranque pesa más en un pedido corto", () => {
+    const corto = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 200 });
+    const largo = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 5000 });
+    expect(fila(corto, "aislacion").purgaKgM).toBeCloseTo(45 / 200, 12);
+    expect(fila(corto, "vaina").purgaKgM).toBeCloseTo(35 / 200, 12);
+    expect(fila(corto, "conductor").purgaKgM).toBeUndefined();
+    expect(corto.mermasUSDm).toBeGreaterThan(largo.mermasUSDm);
+    expect(corto.subtotalMaterias).toBe(largo.subtotalMaterias);
+  });
+
+  it("los extras usan su merma propia o la general", () => {
+    const e = computeEstimate({ ...DEFAULT_INPUT, extras: [cinta, { ...cinta, id: "e2", mermaPct: 10, recuperoPct: 50 }] });
+    expect(mermaFila(fila(e, "e1")).netaUSDm).toBeCloseTo(0.2 * 0.03, 12);
+    expect(mermaFila(fila(e, "e2")).netaUSDm).toBeCloseTo(0.2 * 0.1 * 0.5, 12);
+  });
+
+  it("valida porcentajes entre 0 y 100", () => {
+    const h = validarEntrada({ ...DEFAULT_INPUT, mermasFilaPct: { conductor: 120 }, recuperoPct: { arm: -5 }, extras: [{ ...cinta, mermaPct: 101 }] });
+    expect(h.filter(x => x.severidad === "error").map(x => x.campo)).toEqual(
+      expect.arrayContaining(["mermasFilaPct.conductor", "recuperoPct.arm", "extras[0].mermaPct"]));
+  });
+
+  it("las tasas viajan en la lista de precios y en la planilla", () => {
+    const valores = { ...DEFAULT_PRICE_LIST.valores, mermasFilaPct: { ...DEFAULT_PRICE_LIST.valores.mermasFilaPct, vaina: 5 }, recuperoPct: { ...DEFAULT_PRICE_LIST.valores.recuperoPct, conductor: 80 } };
+    const pl = { ...DEFAULT_PRICE_LIST, valores };
+    const csv = priceListToCSV(pl);
+    expect(csv).toContain("mermasFilaPct.vaina,5");
+    expect(parsePriceListCSV(csv, DEFAULT_PRICE_LIST.valores).valores).toEqual(valores);
+
+    const input: EstimateInput = { ...DEFAULT_INPUT, ...valores, extras: [{ ...cinta, mermaPct: 7 }, { ...cinta, id: "e2" }] };
+    const back = parseEstimateCSV(estimateToCSV(input));
+    expect(back).toEqual(input);
+    expect(computeEstimate(back).mermasUSDm).toBeCloseTo(computeEstimate(input).mermasUSDm, 8);
+  });
+
+  it("la API acepta tasas por fila y devuelve bruta, recupero y neta", () => {
+    const v = validarEstimateRequest({ spec: {}, precios: { mermasFilaPct: { conductor: 2 }, recuperoPct: { conductor: 0 } }, extras: [{ nombre: "Cinta", tipoPrecio: "$/m", precio: 0.1, mermaPct: 5 }] }, DEFAULT_PRICE_LIST.valores);
+    expect(v.errores).toEqual([]);
+    expect(v.input!.mermasFilaPct.aislacion).toBe(DEFAULT_INPUT.mermasFilaPct.aislacion);
+    const r = estimateResponse(v.input!, DEFAULT_PRICE_LIST);
+    expect(r.totales.recuperoUSDm).toBeCloseTo(r.totales.mermasBrutasUSDm - r.totales.mermasUSDm, 12);
+    expect(r.filas.find(f => f.id === "conductor")!.mermaNetaUSDm).toBeGreaterThan(0);
+    expect(validarEstimateRequest({ spec: {}, precios: { mermasFilaPct: { cable: 2 } } }, DEFAULT_PRICE_LIST.valores).errores[0]).toMatch(/fila desconocida/);
+  });
+
+  it("la sensibilidad de mermas escala todas las filas", () => {
+    const [barra] = tornado(DEFAULT_INPUT, 100, "costoFabrica", ["mermasPct"]);
+    // De 0 al doble de cada tasa; la purga no cambia y se cancela.
+    const sinPurga = computeEstimate({ ...DEFAULT_INPUT, longitudPedidoM: 1e12 });
+    expect(barra.alto - barra.bajo).toBeCloseTo(2 * sinPurga.mermasUSDm, 8);
+  });
+});
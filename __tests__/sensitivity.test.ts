@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { barrido, barrido2, resolverObjetivo, tornado, valoresBarrido } from "@/lib/sensitivity";
+
+const input = { ...DEFAULT_INPUT, metal: "Cobre" as const };
+
+describe("sensibilidad", () => {
+  it("genera los valores del barrido", () => {
+    expect(valoresBarrido("pxCu", 6, 8, 5)).toEqual([6, 6.5, 7, 7.5, 8]);
+    expect(valoresBarrido("margenPct", 20, 10, 1)).toEqual([10, 20]);
+    expect(valoresBarrido("seccion", 60, 160, 99)).toEqual([70, 95, 120, 150]);
+  });
+
+  it("barre un parámetro recalculando el motor", () => {
+    const puntos = barrido(input, "pxCu", [7, 8]);
+    expect(puntos[1].precioListaUSDm).toBeCloseTo(computeEstimate({ ...input, pxCu: 8 }).precioListaUSDm, 10);
+    expect(puntos[1].costoFabrica).toBeGreaterThan(puntos[0].costoFabrica);
+    // El margen no cambia el costo fábrica; el TC sólo mueve la moneda de salida.
+    const m = barrido(input, "margenPct", [10, 20]);
+    expect(m[0].costoFabrica).toBe(m[1].costoFabrica);
+    const tc = barrido(input, "tcARS", [1000, 2000]);
+    expect(tc[0].precioListaUSDm).toBe(tc[1].precioListaUSDm);
+    expect(tc[1].precioListaSalidaM).toBeCloseTo(2 * tc[0].precioListaSalidaM, 8);
+  });
+
+  it("barre dos parámetros en una matriz", () => {
+    const b = barrido2(input, "pxCu", [7, 8, 9], "margenPct", [10, 20]);
+    expect(b.puntos).toHaveLength(3);
+    expect(b.puntos[2][1].precioListaUSDm).toBeCloseTo(computeEstimate({ ...input, pxCu: 9, margenPct: 20 }).precioListaUSDm, 10);
+    expect(() => barrido2(input, "pxCu", [1], "pxCu", [2])).toThrow("distintos");
+  });
+
+  it("ordena el tornado por impacto y mueve la sección a las vecinas", () => {
+    const t = tornado(input, 10);
+    expect(t.map(b => b.rango)).toEqual([...t.map(b => b.rango)].sort((a, b) => b - a));
+    const seccion = t.find(b => b.param === "seccion")!;
+    expect([seccion.valorBajo, seccion.valorAlto]).toEqual([70, 120]);
+    expect(t.find(b => b.param === "pxAl")!.rango).toBe(0); // cable de cobre
+    expect(t.find(b => b.param === "tcARS")!.rango).toBe(0);
+    expect(tornado(input, 10, "precioListaSalidaM").find(b => b.param === "tcARS")!.rango).toBeGreaterThan(0);
+  });
+
+  it("despeja el margen o el precio de metal para un precio objetivo", () => {
+    const actual = computeEstimate(input);
+    const objetivo = actual.costoFabrica * 1.08;
+    expect(resolverObjetivo(input, "margenPct", objetivo)).toBeCloseTo(8, 8);
+    const px = resolverObjetivo(input, "pxCu", objetivo)!;
+    expect(computeEstimate({ ...input, pxCu: px }).precioListaUSDm).toBeCloseTo(objetivo, 8);
+    expect(px).toBeLessThan(input.pxCu);
+    expect(resolverObjetivo(input, "pxAl", objetivo)).toBeNull(); // no interviene
+    expect(resolverObjetivo(input, "margenPct", actual.costoFabrica * 0.5)).toBeNull(); // margen negativo
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { DEFAULT_PRICE_LIST, priceListRef } from "@/lib/price-lists";
+import { codificarEstado, decodificarEstado, enlaceCompartido, VERSION_ENLACE } from "@/lib/share-link";
+
+const lista = { id: "pl-nov", nombre: "Lista noviembre", vigenteDesde: "2025-11-01" };
+const input: EstimateInput = {
+  ...DEFAULT_INPUT,
+  metal: "Aluminio", seccion: 150, armadura: true, margenPct: 12, pxAl: 3.1,
+  pxAislacionKg: { ...DEFAULT_INPUT.pxAislacionKg, XLPE: 2.9 },
+  mermasFilaPct: { ...DEFAULT_INPUT.mermasFilaPct, conductor: 1.5 },
+  monedaPrecios: { pxAl: "EUR" },
+  moneda: "BRL",
+  extras: [
+    { id: "a", nombre: "Cinta", tipoPrecio: "$/m", precio: 0.2, kgPorMetro: 0, metros: 2, incluye: true, categoria: "Materia", mermaPct: 5 },
+    { id: "b", nombre: "Relleno", tipoPrecio: "$/kg", precio: 1.7, kgPorMetro: 0.3, metros: 0, incluye: false, categoria: "Materia", plantilla: "relleno", reglaKg: { base: "fijo", factor: 0.3 } },
+  ],
+};
+
+// Arma el parámetro de un enlace con datos dados, como lo haría otra versión de la aplicación.
+async function enlaceCon(version: number, datos: unknown) {
+  const bytes = new Uint8Array(await new Response(new Blob([JSON.stringify(datos)]).stream().pipeThrough(new CompressionStream("deflate-raw"))).arrayBuffer());
+  const b64 = btoa(String.fromCharCode(...Array.from(bytes))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${version}.${b64}`;
+}
+
+describe("enlaces compartidos", () => {
+  it("ida y vuelta: misma entrada, extras con ids nuevos y la lista de precios", async () => {
+    const codigo = await codificarEstado({ input, priceList: lista });
+    expect(codigo).toMatch(new RegExp(`^${VERSION_ENLACE}\\.[A-Za-z0-9_-]+$`));
+    const e = await decodificarEstado(codigo);
+    const sinIds = (i: EstimateInput) => ({ ...i, extras: i.extras!.map(({ id: _, ...x }) => x) });
+    expect(sinIds(e.input)).toEqual(sinIds(input));
+    expect(e.input.extras!.map(x => x.id)).not.toContain("a");
+    expect(e.priceList).toEqual(lista);
+    expect(computeEstimate(e.input).precioListaSalidaM).toBeCloseTo(computeEstimate(input).precioListaSalidaM, 9);
+  });
+
+  it("es compacto: la URL completa entra holgada en un mensaje", async () => {
+    const url = enlaceCompartido("https://cce.example/?x=1#precios", await codificarEstado({ input, priceList: lista }));
+    expect(url).toMatch(/^https:\/\/cce\.example\/\?c=1\./);
+    expect(url.length).toBeLessThan(1500);
+    expect(url.length).toBeLessThan(JSON.stringify(input).length);
+  });
+
+  it("un enlace viejo sin los campos nuevos los completa con los valores por defecto", async () => {
+    const { recuperoPct: _, pxEnergiaKWh: __, extras: ___, ...viejo } = input;
+    const e = await decodificarEstado(await enlaceCon(1, { input: { ...viejo, mermasFilaPct: { conductor: 1.5 } } }));
+    expect(e.input.recuperoPct).toEqual(DEFAULT_INPUT.recuperoPct);
+    expect(e.input.pxEnergiaKWh).toBe(DEFAULT_INPUT.pxEnergiaKWh);
+    expect(e.input.mermasFilaPct).toEqual({ ...DEFAULT_INPUT.mermasFilaPct, conductor: 1.5 });
+    expect(e.input.extras).toEqual([]);
+    expect(e.priceList).toEqual(priceListRef(DEFAULT_PRICE_LIST));
+  });
+
+  it("migra los enlaces de versiones anteriores paso a paso", async () => {
+    const migraciones = {
+      1: (d: Record<string, unknown>) => ({ ...d, input: { ...(d.spec as object), margenPct: d.margen } }),
+      2: (d: Record<string, unknown>) => ({ ...d, priceList: lista }),
+    };
+    const e = await decodificarEstado(await enlaceCon(1, { spec: { seccion: 240 }, margen: 20 }), migraciones, 3);
+    expect(e.input).toMatchObject({ seccion: 240, margenPct: 20 });
+    expect(e.priceList).toEqual(lista);
+    await expect(decodificarEstado(await enlaceCon(1, {}), { 1: migraciones[1] }, 3)).rejects.toThrow(/Falta la migración de enlaces v2 → v3/);
+  });
+
+  it("rechaza enlaces dañados o de una versión más nueva", async () => {
+    const codigo = await codificarEstado({ input, priceList: lista });
+    await expect(decodificarEstado(codigo.slice(0, 40))).rejects.toThrow(/dañado/);
+    await expect(decodificarEstado("hola")).rejects.toThrow(/dañado/);
+    await expect(decodificarEstado(`0.${codigo.slice(2)}`)).rejects.toThrow(/dañado/);
+    await expect(decodificarEstado(`${VERSION_ENLACE + 1}.${codigo.slice(2)}`)).rejects.toThrow(/versión más nueva/);
+    await expect(decodificarEstado(await enlaceCon(1, { priceList: lista }))).rejects.toThrow(/no trae una estimación/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { computeEstimate, DEFAULT_INPUT } from "@/lib/cost-engine";
+import { traducir } from "@/lib/i18n";
+import {
+  caidaTensionPct, DEFAULT_REQUISITO, dimensionar, factorAgrupamiento, factores, factorTemperatura, filaConductor, tensionV,
+} from "@/lib/sizing";
+
+const req = DEFAULT_REQUISITO; // 250 A, 13.2 kV, enterrado a 25 °C, 1 circuito, 3% en 1000 m, cos φ 0.9
+const recomendacion = (d: ReturnType<typeof dimensionar>, metal: string) => d.recomendaciones.find(r => r.metal === metal)!;
+
+describe("factores de corrección", () => {
+  it("temperatura respecto de la referencia del aire o del suelo", () => {
+    expect(factorTemperatura("XLPE", "enterrado", 20)).toBe(1);
+    expect(factorTemperatura("XLPE", "aire", 30)).toBe(1);
+    expect(factorTemperatura("XLPE", "aire", 40)).toBeCloseTo(Math.sqrt(50 / 60), 9);
+    expect(factorTemperatura("PVC", "ducto", 30)).toBeCloseTo(Math.sqrt(40 / 50), 9);
+    expect(factorTemperatura("XLPE", "bandeja", 95)).toBe(0);
+  });
+
+  it("agrupamiento por circuitos, con el último valor de la tabla más allá", () => {
+    expect(factorAgrupamiento("enterrado", 1)).toBe(1);
+    expect(factorAgrupamiento("enterrado", 3)).toBe(0.65);
+    expect(factorAgrupamiento("enterrado", 12)).toBe(0.5);
+    expect(factores({ aislacion: "XLPE", tipologia: "tripolar" }, { ...req, metodo: "ducto", temperaturaC: 20, circuitos: 2 }).total).toBeCloseTo(0.85 * 0.93, 9);
+  });
+
+  it("caída de tensión trifásica con R a 90 °C", () => {
+    expect(tensionV("13.2 kV")).toBe(13200);
+    const fila = filaConductor("Cobre", 95)!;
+    const r = 0.193 * (1 + 0.00393 * 70);
+    const esperado = Math.sqrt(3) * 250 * 1 * (r * 0.9 + 0.12 * Math.sqrt(1 - 0.81)) / 13200 * 100;
+    expect(caidaTensionPct(fila, "Cobre", "XLPE", req)).toBeCloseTo(esperado, 9);
+  });
+});
+
+describe("dimensionar", () => {
+  it("recomienda la menor sección de cada metal que cumple y la cotiza", () => {
+    const d = dimensionar(DEFAULT_INPUT, req);
+    const cu = recomendacion(d, "Cobre");
+    const al = recomendacion(d, "Aluminio");
+    expect([cu.seccion, al.seccion]).toEqual([95, 150]);
+    for (const r of [cu, al]) {
+      const i = r.opciones.findIndex(o => o.seccion === r.seccion);
+      expect(r.opciones[i]).toMatchObject({ cumpleCorriente: true, cumpleCaida: true, motivo: null });
+      expect(r.opciones.slice(0, i).every(o => !o.cumpleCorriente || !o.cumpleCaida)).toBe(true);
+      const e = computeEstimate({ ...DEFAULT_INPUT, metal: r.metal, seccion: r.seccion! });
+      expect(r.precioListaSalidaM).toBeCloseTo(e.precioListaSalidaM, 9);
+      expect(r.totalSalida).toBeCloseTo(e.precioListaSalidaM * 1000 * 3, 6); // 3 unipolares
+    }
+    expect(al.totalSalida).toBeLessThan(cu.totalSalida);
+  });
+
+  it("un tramo largo lo define la caída de tensión; más circuitos, la capacidad", () => {
+    const largo = recomendacion(dimensionar(DEFAULT_INPUT, { ...req, longitudM: 8000 }), "Cobre");
+    const elegida = largo.opciones.find(o => o.seccion === largo.seccion)!;
+    expect(largo.seccion).toBeGreaterThan(95);
+    expect(largo.opciones.find(o => o.seccion === 95)).toMatchObject({ cumpleCorriente: true, cumpleCaida: false });
+    expect(elegida.caidaPct).toBeLessThanOrEqual(3);
+    expect(recomendacion(dimensionar(DEFAULT_INPUT, { ...req, circuitos: 4 }), "Cobre").seccion).toBe(240);
+  });
+
+  it("no recomienda secciones bajo la mínima de la tensión ni las que no alcanzan", () => {
+    const d = dimensionar({ ...DEFAULT_INPUT, pantallaMM2: 16 }, { ...req, tension: "33 kV", corrienteA: 100 });
+    const cu = recomendacion(d, "Cobre");
+    expect(cu.opciones[0]).toMatchObject({ seccion: 25, cumpleCorriente: true });
+    expect(traducir("es", cu.opciones[0].motivo!)).toMatch(/mínima de 35/);
+    expect(cu.seccion).toBe(35);
+    expect(cu.input).toMatchObject({ metal: "Cobre", seccion: 35, tension: "33 kV" });
+    const nada = recomendacion(dimensionar(DEFAULT_INPUT, { ...req, corrienteA: 2000 }), "Aluminio");
+    expect(nada).toMatchObject({ seccion: null, input: null, totalSalida: 0 });
+  });
+
+  it("tripolar: un cable por circuito y capacidad reducida", () => {
+    const d = dimensionar({ ...DEFAULT_INPUT, tipologia: "tripolar", fases: 3 }, { ...req, corrienteA: 265 });
+    expect(d.factores.tipologia).toBe(0.93);
+    expect(recomendacion(d, "Cobre")).toMatchObject({ seccion: 120, cables: 1 });
+    expect(recomendacion(dimensionar(DEFAULT_INPUT, { ...req, corrienteA: 265 }), "Cobre")).toMatchObject({ seccion: 95, cables: 3 });
+  });
+
+  it("rechaza requisitos inválidos con todos los motivos", () => {
+    expect(() => dimensionar(DEFAULT_INPUT, { ...req, corrienteA: 0, cosPhi: 1.2, circuitos: 1.5, tension: "500 kV" }))
+      .toThrow(/Corriente.*cos φ.*Circuitos.*Tensión desconocida/);
+  });
+});
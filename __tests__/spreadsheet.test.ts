@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import ExcelJS from "exceljs";
+import { computeEstimate, DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { estimateToCSV, estimateToXLSX, parseEstimateCSV, parseEstimateXLSX } from "@/lib/spreadsheet";
+
+const input: EstimateInput = {
+  ...DEFAULT_INPUT,
+  metal: "Aluminio",
+  fases: 3,
+  tipologia: "tripolar",
+  seccion: 150,
+  sheathKey: "RH_UV",
+  armadura: true,
+  useWBRad: true,
+  margenPct: 18,
+  pxAislacionKg: { ...DEFAULT_INPUT.pxAislacionKg, XLPE: 2.75 },
+  extras: [
+    { id: "e1", nombre: 'Cinta "identificación", roja', tipoPrecio: "$/m", precio: 0.05, kgPorMetro: 0, metros: 3, incluye: true, categoria: "Materia" },
+    { id: "e2", nombre: "Ensayo", tipoPrecio: "$/m", precio: 0.02, kgPorMetro: 0, metros: 1, incluye: false, categoria: "Proceso" },
+  ],
+};
+
+describe("planillas", () => {
+  it("el CSV se vuelve a importar con extras y da el mismo precio", () => {
+    const back = parseEstimateCSV(estimateToCSV(input));
+    expect(back).toEqual(input);
+    expect(computeEstimate(back).precioListaUSDm).toBeCloseTo(computeEstimate(input).precioListaUSDm, 10);
+  });
+
+  it("el CSV acepta filas agregadas a mano sin id", () => {
+    const csv = estimateToCSV(DEFAULT_INPUT).replace("\r\n\r\nSeccion,Campo,Valor", "\r\n,Materia,Cinta extra,$/m,0.1,,1,SI,\r\n\r\nSeccion,Campo,Valor");
+    const back = parseEstimateCSV(csv);
+    expect(back.extras).toHaveLength(1);
+    expect(back.extras![0]).toMatchObject({ nombre: "Cinta extra", precio: 0.1, metros: 1, kgPorMetro: 0 });
+  });
+
+  it("CSV regional (es-AR): `;`, coma decimal y moneda de cada precio", () => {
+    const conMonedas: EstimateInput = { ...input, monedaPrecios: { pxCu: "EUR", pxAislacionKg: "BRL" }, moneda: "EUR" };
+    const csv = estimateToCSV(conMonedas, "es-AR");
+    expect(csv).toContain("Precios;pxCu;7,21091;Cobre ($/kg);EUR");
+    expect(csv).toContain("Resumen;Precio lista (EUR/m);");
+    expect(parseEstimateCSV(csv)).toEqual(conMonedas);
+  });
+
+  it("errores de importación legibles", () => {
+    expect(() => parseEstimateCSV("a,b\n1,2")).toThrow(/Entradas/);
+    expect(() => parseEstimateCSV(estimateToCSV(DEFAULT_INPUT).replace("Entradas,metal,Cobre", "Entradas,metal,Oro"))).toThrow(/Metal/);
+  });
+
+  it("el XLSX tiene cuatro hojas con fórmulas vivas y se vuelve a importar", async () => {
+    const buf = await estimateToXLSX(input);
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(buf);
+    expect(wb.worksheets.map(w => w.name)).toEqual(["Entradas", "Precios", "Desglose", "Resumen"]);
+    const e = computeEstimate(input);
+    const lista = wb.getWorksheet("Resumen")!.getCell("B10").value as { formula: string; result: number };
+    expect(lista.formula).toBe("B8+B9");
+    expect(lista.result).toBeCloseTo(e.precioListaUSDm, 10);
+    const vaina = wb.getWorksheet("Desglose")!.getRow(7).getCell(5).value as { formula: string };
+    expect(vaina.formula).toMatch(/^Precios!\$B\$\d+\*1\.49$/);
+
+    const back = await parseEstimateXLSX(buf);
+    expect(back).toEqual(input);
+
+    const eur = await estimateToXLSX({ ...input, monedaPrecios: { pxAl: "EUR" }, moneda: "EUR" });
+    const wbEur = new ExcelJS.Workbook();
+    await wbEur.xlsx.load(eur);
+    const conductor = wbEur.getWorksheet("Desglose")!.getRow(2).getCell(5).value as { formula: string };
+    expect(conductor.formula).toMatch(/^Precios!\$B\$\d+\/Precios!\$B\$\d+$/);
+    expect((wbEur.getWorksheet("Resumen")!.getCell("A12").value as string)).toBe("Precio lista (EUR/m)");
+    expect((await parseEstimateXLSX(eur)).monedaPrecios).toEqual({ pxAl: "EUR" });
+  });
+
+  it("rechaza un XLSX sin las hojas del estimador", async () => {
+    const wb = new ExcelJS.Workbook();
+    wb.addWorksheet("Hoja1");
+    await expect(parseEstimateXLSX(await wb.xlsx.writeBuffer() as ArrayBuffer)).rejects.toThrow(/no tiene la hoja/);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { traducir } from "@/lib/i18n";
+import { advertencias, errorDe, esValida, validarEntrada } from "@/lib/validation";
+
+const validar = (cambios: Partial<EstimateInput>) => validarEntrada({ ...DEFAULT_INPUT, ...cambios }, { margenMinimoPct: 10, asientoArmaduraMinMM: 1 });
+const campos = (cambios: Partial<EstimateInput>) => validar(cambios).map(h => `${h.severidad}:${h.campo}`);
+
+describe("validarEntrada", () => {
+  it("la entrada por defecto es válida y sin advertencias", () => {
+    expect(validar({})).toEqual([]);
+  });
+
+  it("marca como error los números vacíos, negativos o nulos donde no corresponde", () => {
+    const h = validar({ pxCu: NaN, margenPct: -5, tcARS: 0, seccion: 0, mermasPct: 120 });
+    expect(esValida(h)).toBe(false);
+    expect(errorDe(h, "pxCu")?.mensaje).toBe("Precio cobre: ingrese un número");
+    expect(errorDe(h, "margenPct")?.mensaje).toBe("Margen: no puede ser negativo");
+    expect(errorDe(h, "tcARS")?.mensaje).toBe("TC ARS/USD: debe ser mayor que 0");
+    expect(errorDe(h, "seccion")?.mensaje).toBe("Sección: debe ser mayor que 0");
+    expect(errorDe(h, "mermasPct")?.mensaje).toContain("100%");
+  });
+
+  it("valida kg/m de armadura sólo con armadura, precios de aislación y extras", () => {
+    expect(campos({ kgmArmadura: 0 })).toEqual([]);
+    expect(campos({ armadura: true, kgmArmadura: 0 })).toEqual(["error:kgmArmadura"]);
+    expect(campos({ pxAislacionKg: { ...DEFAULT_INPUT.pxAislacionKg, EPR: -1 } })).toEqual(["error:pxAislacionKg.EPR"]);
+    const extras = [{ id: "x", nombre: " ", tipoPrecio: "$/m" as const, precio: NaN, kgPorMetro: 0, metros: 1 }];
+    expect(campos({ extras })).toEqual(["error:extras[0].nombre", "error:extras[0].precio"]);
+  });
+
+  it("advierte fases y tipología inconsistentes", () => {
+    expect(campos({ tipologia: "unipolar", fases: 3 })).toEqual(["advertencia:tipologia"]);
+    expect(campos({ tipologia: "tripolar", fases: 1 })).toEqual(["advertencia:tipologia"]);
+    expect(campos({ tipologia: "tripolar", fases: 3 })).toEqual([]);
+  });
+
+  it("advierte pantalla y sección por debajo del mínimo de la clase de tensión", () => {
+    expect(campos({ tension: "33 kV", pantallaMM2: 6, seccion: 25 })).toEqual(["advertencia:seccion", "advertencia:pantallaMM2"]);
+    expect(validar({ pantallaMM2: 0 })[0].mensaje).toContain("requiere pantalla metálica de al menos 6 mm²");
+    expect(campos({ tension: "3.3 kV", pantallaMM2: 0 })).toEqual([]);
+  });
+
+  it("advierte WB radial sin capa metálica, aislación fuera de tabla y margen bajo el piso", () => {
+    expect(campos({ tension: "3.3 kV", pantallaMM2: 0, useWBRad: true })).toEqual(["advertencia:useWBRad"]);
+    expect(campos({ aislacion: "PVC" })).toEqual(["advertencia:aislacion"]);
+    const h = validar({ margenPct: 8 });
+    expect(advertencias(h).map(x => x.mensaje)).toEqual(["Margen 8% por debajo del mínimo de 10%"]);
+    expect(esValida(h)).toBe(true);
+  });
+
+  it("un cable armado lleva asiento aun siendo unipolar; el espesor mínimo se configura", () => {
+    expect(campos({ armadura: true })).toEqual([]);
+    const h = validarEntrada({ ...DEFAULT_INPUT, armadura: true }, { margenMinimoPct: 10, asientoArmaduraMinMM: 1.5 });
+    expect(advertencias(h).map(x => x.mensaje)).toEqual(["Asiento de 1 mm bajo la armadura, menor que el mínimo de 1.5 mm"]);
+  });
+
+  it("cada hallazgo es un mensaje con su clave y variables, traducible", () => {
+    const [h] = validar({ pxCu: -1 });
+    expect(h).toMatchObject({ clave: "validacion.negativo", vars: { campo: { clave: "validacion.campo.pxCu" } }, mensaje: "Precio cobre: no puede ser negativo" });
+    expect(traducir("en", h)).toBe("Copper price: cannot be negative");
+    expect(traducir("pt", validar({ mermasFilaPct: { ...DEFAULT_INPUT.mermasFilaPct, conductor: 120 } })[0])).toBe("Perda Condutor: não pode passar de 100%");
+  });
+
+  it("no corre las advertencias sobre una especificación incalculable", () => {
+    expect(campos({ tension: "66 kV", tipologia: "tripolar", fases: 1 })).toEqual(["error:tension"]);
+  });
+});
@@ -0,0 +1,270 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Check, Download, Plus, Trash2, Trophy, Upload } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import NumberInput from "@/components/NumberInput";
+import {
+  antecedenteDeCotizacion, antecedenteStore, antecedentesToCSV, familia, familias, masParecidos, parseAntecedentesCSV,
+  posicionPrecio, precioGanador, RESULTADOS, tasaExitoPorMargen, type Antecedente, type BandaMargen, type ResultadoCotizacion,
+} from "@/lib/benchmarking";
+import type { EstimateInput } from "@/lib/cost-engine";
+import { formatNumero, formatUSD } from "@/lib/format";
+import { descripcionCable } from "@/lib/offer";
+import type { Quote, QuoteMeta } from "@/lib/quotes";
+import { downloadBlob } from "@/lib/utils";
+
+/**
+ * Antecedentes de precio — resultados ganados y perdidos con el precio de la
+ * competencia, registrados desde la cotización abierta o importados de CSV.
+ * Muestra los antecedentes más parecidos a la estimación, dónde queda nuestro
+ * precio frente a los precios ganadores y la tasa de éxito por margen de cada
+ * familia; "Usar margen" carga el margen sugerido en la estimación.
+ */
+
+type Props = {
+  input: EstimateInput;
+  valida: boolean;        // con errores de entrada no se registra
+  precioListaUSDm: number;
+  meta: QuoteMeta;
+  cotizacion: Quote | null; // cotización guardada abierta, si hay
+  onUsarMargen: (margenPct: number) => void;
+};
+
+export default function BenchmarkPanel({ input, valida, precioListaUSDm, meta, cotizacion, onUsarMargen }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const [antecedentes, setAntecedentes] = useState<Antecedente[]>([]);
+  const [resultado, setResultado] = useState<ResultadoCotizacion>("ganada");
+  const [competidor, setCompetidor] = useState("");
+  const [precioCompetidor, setPrecioCompetidor] = useState<number>(NaN);
+  const [fam, setFam] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const fileRef = useRef<HTMLInputElement>(null);
+
+  async function reload() {
+    setAntecedentes((await antecedenteStore.list()).sort((a, b) => b.fecha.localeCompare(a.fecha)));
+  }
+
+  useEffect(() => {
+    reload().catch(err => setError((err as Error).message));
+  }, []);
+
+  const parecidos = useMemo(() => masParecidos(input, antecedentes), [input, antecedentes]);
+  const posicion = posicionPrecio(precioListaUSDm, input, parecidos);
+  const lista = familias(antecedentes);
+  const familiaActual = fam && lista.includes(fam) ? fam : lista.includes(familia(input)) ? familia(input) : lista[0];
+  const tasa = familiaActual ? tasaExitoPorMargen(familiaActual, antecedentes) : null;
+
+  async function ejecutar(accion: () => Promise<unknown>) {
+    setError(null);
+    try {
+      await accion();
+      await reload();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  const registrar = () => ejecutar(async () => {
+    const precio = Number.isFinite(precioCompetidor) ? precioCompetidor : null;
+    await antecedenteStore.save(antecedenteDeCotizacion(meta, cotizacion?.id ?? null, input, precioListaUSDm, resultado, competidor, precio));
+    setCompetidor("");
+    setPrecioCompetidor(NaN);
+  });
+
+  async function importar(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    await ejecutar(async () => {
+      for (const a of parseAntecedentesCSV(await file.text())) await antecedenteStore.save(a);
+    });
+  }
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-gray-900">
+              <Trophy className="w-5 h-5 text-red-600" />
+              {t("antecedentes.titulo")}
+            </CardTitle>
+            <CardDescription className="text-gray-600">
+              {t("antecedentes.descripcion", { n: antecedentes.length })} • CSV: fecha, cliente, referencia, codigo, precioUSDm, margenPct, resultado, competidor, precioCompetidorUSDm
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" className="gap-2" onClick={() => fileRef.current?.click()}><Upload className="w-4 h-4" />{t("app.importar")}</Button>
+            <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={importar} />
+            <Button variant="outline" size="icon" onClick={() => downloadBlob(antecedentesToCSV(antecedentes), "antecedentes.csv", "text/csv;charset=utf-8;")} disabled={antecedentes.length === 0} title={t("app.exportarCSV")}>
+              <Download className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="space-y-2">
+            <Label>{t("antecedentes.resultado")}</Label>
+            <Select value={resultado} onValueChange={v => setResultado(v as ResultadoCotizacion)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>{RESULTADOS.map(r => <SelectItem key={r.key} value={r.key}>{t(`antecedentes.${r.key}`)}</SelectItem>)}</SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2"><Label>{t("antecedentes.competidor")}</Label><Input value={competidor} onChange={e => setCompetidor(e.target.value)} placeholder={t("antecedentes.opcional")} /></div>
+          <div className="space-y-2"><Label>{t("antecedentes.precioCompetidor")}</Label><NumberInput min={0} step="0.01" value={precioCompetidor} onValueChange={setPrecioCompetidor} placeholder={t("antecedentes.opcional")} /></div>
+          <Button onClick={registrar} disabled={!valida} className="gap-2 bg-red-600 hover:bg-red-700 text-white"><Plus className="w-4 h-4" />{t("antecedentes.registrar")}</Button>
+        </div>
+        <p className="text-xs text-gray-500">
+          {t(cotizacion ? "antecedentes.registraCotizacion" : "antecedentes.registraEstimacion", {
+            referencia: meta.referencia || cotizacion?.id || "",
+            fecha: meta.fecha,
+            cliente: meta.cliente || t("antecedentes.sinCliente"),
+            precio: formatUSD(precioListaUSDm, locale),
+            margen: formatNumero(input.margenPct, 1, locale),
+          })}
+        </p>
+
+        {parecidos.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            {antecedentes.length ? t("antecedentes.ningunoParecido") : t("antecedentes.sinAntecedentes")}
+          </p>
+        ) : (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-gray-900">{t("antecedentes.parecidos")}</h3>
+            {posicion && (
+              <p className="text-sm text-gray-800">
+                {t("antecedentes.nuestroPrecio", { precio: formatUSD(precioListaUSDm, locale) })}{" "}
+                <strong>{t(posicion.diferenciaPct >= 0 ? "antecedentes.porEncima" : "antecedentes.porDebajo", { pct: formatNumero(Math.abs(posicion.diferenciaPct), 1, locale) })}</strong>{" "}
+                {t("antecedentes.posicion", {
+                  ponderado: formatUSD(posicion.ganadorPonderado, locale),
+                  percentil: formatNumero(posicion.percentil, 0, locale),
+                  minimo: formatUSD(posicion.minimo, locale),
+                  maximo: formatUSD(posicion.maximo, locale),
+                  n: posicion.referencias,
+                })}
+              </p>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.fecha")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.clienteReferencia")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.cable")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("antecedentes.similitud")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("antecedentes.nuestro")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("antecedentes.margen")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.resultado")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("antecedentes.competidorUSD")}</th>
+                    <th className="py-2 px-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {parecidos.map(({ antecedente: a, similitud }) => (
+                    <tr key={a.id} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm">{a.fecha}</td>
+                      <td className="py-2 px-2 text-sm">{[a.cliente, a.referencia].filter(Boolean).join(" • ") || "—"}</td>
+                      <td className="py-2 px-2 text-xs text-gray-700">{descripcionCable(a.spec, idioma)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{formatNumero(similitud * 100, 0, locale)}%</td>
+                      <td className="py-2 px-2 text-sm text-right">{formatUSD(a.precioUSDm, locale)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{a.margenPct === null ? "—" : `${formatNumero(a.margenPct, 1, locale)}%`}</td>
+                      <td className={`py-2 px-2 text-sm font-medium ${a.resultado === "ganada" ? "text-green-700" : "text-red-700"}`}>{t(`antecedentes.${a.resultado}`)}</td>
+                      <td className="py-2 px-2 text-sm text-right" title={a.competidor}>
+                        {a.precioCompetidorUSDm === null ? "—" : formatUSD(a.precioCompetidorUSDm, locale)}{a.competidor && ` (${a.competidor})`}
+                      </td>
+                      <td className="py-2 px-2 text-right">
+                        <Button variant="ghost" size="icon" onClick={() => ejecutar(() => antecedenteStore.remove(a.id))} title={t("comun.eliminar")}><Trash2 className="w-4 h-4" /></Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500">
+              {t("antecedentes.nota")}
+              {precioGanador(parecidos[0].antecedente) === null && ` • ${t("antecedentes.sinGanador")}`}
+            </p>
+          </div>
+        )}
+
+        {tasa && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+              <h3 className="text-sm font-semibold text-gray-900">{t("antecedentes.tasa")}</h3>
+              <div className="space-y-2 w-72">
+                <Label>{t("antecedentes.familia")}</Label>
+                <Select value={familiaActual} onValueChange={setFam}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>{lista.map(f => <SelectItem key={f} value={f}>{f}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+            </div>
+            <GraficoTasa bandas={tasa.bandas} sugerido={tasa.sugerido} />
+            {tasa.sugerido ? (
+              <div className="flex flex-wrap items-center gap-4">
+                <p className="text-sm text-gray-800">
+                  {t("antecedentes.sugerido", { familia: tasa.familia })} <strong>{formatNumero(tasa.sugerido.margenMedio!, 1, locale)}%</strong> •{" "}
+                  {t("antecedentes.exito", {
+                    pct: formatNumero(tasa.sugerido.tasaExito! * 100, 0, locale),
+                    ganadas: tasa.sugerido.ganadas,
+                    total: tasa.sugerido.total,
+                    esperado: formatNumero(tasa.sugerido.margenMedio! * tasa.sugerido.tasaExito!, 1, locale),
+                  })}
+                </p>
+                <Button size="sm" variant="outline" className="gap-2" onClick={() => onUsarMargen(+tasa.sugerido!.margenMedio!.toFixed(1))}>
+                  <Check className="w-4 h-4" />{t("antecedentes.usarMargen")}
+                </Button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">{t("antecedentes.pocos", { familia: tasa.familia })}</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+const etiquetaBanda = (b: BandaMargen) => (b.hasta === null ? `${b.desde}%+` : `${b.desde}–${b.hasta}%`);
+
+function GraficoTasa({ bandas, sugerido }: { bandas: BandaMargen[]; sugerido: BandaMargen | null }) {
+  const { locale, t } = useIdioma();
+  const W = 560, H = 220, izq = 48, der = 16, arr = 16, abj = 40;
+  const ancho = (W - izq - der) / bandas.length;
+  const py = (y: number) => arr + (1 - y) * (H - arr - abj);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img">
+      {[0, 0.25, 0.5, 0.75, 1].map(y => (
+        <g key={y}>
+          <line x1={izq} x2={W - der} y1={py(y)} y2={py(y)} stroke="#e5e7eb" />
+          <text x={izq - 6} y={py(y) + 4} textAnchor="end" fontSize="10" fill="#4b5563">{formatNumero(y * 100, 0, locale)}%</text>
+        </g>
+      ))}
+      {bandas.map((b, i) => {
+        const x = izq + i * ancho + ancho * 0.15;
+        return (
+          <g key={b.desde}>
+            {b.tasaExito !== null && (
+              <rect x={x} y={py(b.tasaExito)} width={ancho * 0.7} height={py(0) - py(b.tasaExito)} fill={b === sugerido ? "#dc2626" : "#9ca3af"}>
+                <title>{`${etiquetaBanda(b)}: ${t("antecedentes.banda", { ganadas: b.ganadas, total: b.total })}`}</title>
+              </rect>
+            )}
+            <text x={x + ancho * 0.35} y={b.tasaExito === null ? py(0) - 4 : py(b.tasaExito) - 4} textAnchor="middle" fontSize="10" fill="#374151">n={b.total}</text>
+            <text x={x + ancho * 0.35} y={H - abj + 16} textAnchor="middle" fontSize="10" fill="#4b5563">{etiquetaBanda(b)}</text>
+          </g>
+        );
+      })}
+      <line x1={izq} x2={izq} y1={arr} y2={H - abj} stroke="#9ca3af" />
+      <line x1={izq} x2={W - der} y1={H - abj} y2={H - abj} stroke="#9ca3af" />
+      <text x={(W + izq) / 2} y={H - 6} textAnchor="middle" fontSize="10" fill="#4b5563">{t("antecedentes.ejeMargen")}</text>
+    </svg>
+  );
+}
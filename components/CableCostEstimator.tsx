@@ -1,10 +1,54 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Label } from "@/components/ui/label";
-import { Plus, Trash2, Download, Zap, DollarSign, TrendingUp, Package, Settings } from "lucide-react";
+import { downloadBlob, uid } from "@/lib/utils";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import { Plus, Trash2, Download, Upload, FileSpreadsheet, Zap, DollarSign, TrendingUp, Package, Settings, Layers, Library, Save, UserCircle, Link2, Check } from "lucide-react";
+import {
+  computeEstimate, costoFila, round, sheathLabel, DEFAULT_INPUT,
+  type CableSpec, type CampoMoneda, type ClaseConductor, type ComponentRow, type EstimateInput, type FormaConductor, type Metal, type Tipologia,
+} from "@/lib/cost-engine";
+import { nombreCapa } from "@/lib/geometry";
+import { etiqueta, idiomaRecordado, localeDe, recordarIdioma, traductor, type Idioma } from "@/lib/i18n";
+import { CLASES_CONDUCTOR, CONDUCTOR_ESTANDAR, FORMAS_CONDUCTOR, formasAdmitidas, resistenciaConductor, resistenciaMaxima, seccionEfectiva } from "@/lib/conductor";
+import { MONEDAS, tasa, type Moneda, type TiposCambio } from "@/lib/currency";
+import { MATERIALES_AISLACION, claseTension, materialAislacion } from "@/lib/insulation";
+import { CATALOGO_BASE, cargarCatalogo, usarCatalogo, type Catalogo } from "@/lib/catalog";
+import {
+  describirRegla, extraTemplateStore, filaDesdePlantilla, listarPlantillas, plantillaDesdeFila, PLANTILLAS_BASE, type PlantillaExtra,
+} from "@/lib/extra-templates";
+import { DEFAULT_PRICE_LIST, pickPriceValues, priceListRef, valoresDeLista, type PriceList, type PriceListRef, type PriceListValues } from "@/lib/price-lists";
+import PriceListPanel from "@/components/PriceListPanel";
+import OfflineStatus from "@/components/OfflineStatus";
+import QuotesPanel from "@/components/QuotesPanel";
+import UsersPanel from "@/components/UsersPanel";
+import OfferLinesPanel from "@/components/OfferLinesPanel";
+import CommercialOfferPanel from "@/components/CommercialOfferPanel";
+import OfferDocument from "@/components/OfferDocument";
+import MetalIndexPanel from "@/components/MetalIndexPanel";
+import ExchangeRatesPanel from "@/components/ExchangeRatesPanel";
+import SensitivityPanel from "@/components/SensitivityPanel";
+import PriceMatrixPanel from "@/components/PriceMatrixPanel";
+import ProcessRoutingPanel from "@/components/ProcessRoutingPanel";
+import ScrapPanel from "@/components/ScrapPanel";
+import SizingPanel from "@/components/SizingPanel";
+import BenchmarkPanel from "@/components/BenchmarkPanel";
+import NumberInput from "@/components/NumberInput";
+import LanguageSelect, { IdiomaContext } from "@/components/LanguageSelect";
+import ValidationPanel from "@/components/ValidationPanel";
+import ProductSearch from "@/components/ProductSearch";
+import type { LME } from "@/lib/indexation";
+import { buildCommercialOffer, terminosEnIdioma, DEFAULT_TERMS, type OfferTerms } from "@/lib/commercial-offer";
+import { cambiosCotizacion, type Quote, type QuoteMeta } from "@/lib/quotes";
+import { bloqueoExportacion, reglasIncumplidas } from "@/lib/approvals";
+import { listarUsuarios, puedeAdministrar, recordarUsuario, usuarioRecordado, type Usuario } from "@/lib/users";
+import { estimateToCSV, estimateToXLSX, parseEstimateFile } from "@/lib/spreadsheet";
+import { codificarEstado, decodificarEstado, enlaceCompartido } from "@/lib/share-link";
+import type { OfferLine, OfferPricing } from "@/lib/offer";
+import { errorDe, esValida, validarEntrada } from "@/lib/validation";
 
 /**
  * Cable Cost Estimator — Diseño Moderno con shadcn/ui
@@ -13,176 +57,390 @@ import { Plus, Trash2, Download, Zap, DollarSign, TrendingUp, Package, Settings
  * - metal: "Cobre" | "Aluminio"
  * - fases: 1 | 3
  * - tipologia: "unipolar" | "tripolar"
- * - seccion: 25-300 mm²
- * - tension: "3.3 kV" | "6.6 kV" | "13.2 kV" | "33 kV"
- * - sheathKey: "RH" | "RH_UV" | "PVC"
- * - pantallaMM2: 0 | 6 | 10 | 16 mm²
+ * - seccion: secciones del catálogo (fábrica: 25-300 mm²)
+ * - claseConductor: 1 | 2 | 5 (IEC 60228: macizo, cableado, flexible) - Default: 2
+ * - formaConductor: "redondo" | "compactado" | "sectorial" (sectorial sólo tripolar) - Default: "compactado"
+ * - disenoPorResistencia: boolean (sección de metal según la resistencia máxima de la clase)
+ * - tension: tensiones del catálogo (fábrica: "3.3 kV" | "6.6 kV" | "13.2 kV" | "33 kV")
+ * - aislacion: aislaciones del catálogo (fábrica: "XLPE" | "EPR" | "PVC")
+ * - sheathKey: vainas del catálogo (fábrica: "RH" | "RH_UV" | "PVC")
+ * - pantallaMM2: pantallas del catálogo (fábrica: 0 | 6 | 10 | 16 mm²)
  * - armadura: boolean
  * - useWBLong: boolean (Water Blocking Longitudinal)
  * - useWBRad: boolean (Water Blocking Radial)
  * 
- * VARIABLES DE PRECIOS (USD):
+ * VARIABLES DE PRECIOS (USD salvo que monedaPrecios indique otra):
  * - pxCu: Precio cobre ($/kg) - Default: 7.21091
  * - pxAl: Precio aluminio ($/kg) - Default: 2.973
  * - pxWBLong: WB Longitudinal ($/m) - Default: 1.16
  * - pxWBRad: WB Radial ($/m) - Default: 2.21
  * - pxVainaBase: Vaina base ($/kg) - Default: 1.38
  * - pxArmaduraKg: Armadura ($/kg) - Default: 1.9
+ * - pxSemiconKg: Semiconductora ($/kg) - Default: 3.5
+ * - pxEnergiaKWh: Energía de las líneas de proceso ($/kWh) - Default: 0.1
+ * - pxAislacionKg: Aislación ($/kg por material) - Default: data/aislacion.json
+ * - pxPlantillas: Precio de cada plantilla de extra (USD, $/kg o $/m) - Default: PLANTILLAS_BASE
+ * - lmeCuUSDt / lmeAlUSDt: LME base de pxCu / pxAl (USD/t) - Default: 7210.91 / 2973
+ * - monedaPrecios: Moneda de cada precio (USD / ARS / EUR / BRL) - Default: todos USD
  * 
  * VARIABLES DE COSTOS:
- * - mermasPct: Porcentaje de mermas (%) - Default: 3
- * - indirectosUSDm: Costos indirectos ($/m) - Default: 0.12
- * - moUSDm: Mano de obra ($/m) - Default: 0.20
+ * - mermasPct: Merma general, para filas sin merma propia (%) - Default: 3
+ * - mermasFilaPct / recuperoPct: Merma y recupero (%) por fila del motor - Default: lib/scrap.ts
+ * - indirectosUSDm: Indirectos de planta ($/m) - Default: 0.12
+ * - longitudPedidoM: Metros del pedido, amortizan la preparación de máquinas - Default: 1000
  * - margenPct: Margen de utilidad (%) - Default: 15
- * - tcARS: Tipo de cambio ARS/USD - Default: 1100
+ * - tcARS / tcEUR / tcBRL: Tipos de cambio por USD - Default: 1100 / 0.92 / 5.4
+ * - moneda: Moneda de salida de la cotización - Default: ARS
+ *
+ * CATÁLOGO (lib/catalog.ts): opciones de construcción editables en /catalogo;
+ * el formulario espera a cargar el catálogo guardado antes de calcular. El
+ * código de producto (lib/product-codes.ts) busca y precarga la especificación.
+ *
+ * EXTRAS (lib/extra-templates.ts): se insertan desde plantillas (fábrica o
+ * guardadas) o en blanco; una fila de plantilla toma el precio de la lista
+ * activa (pxPlantillas) y sus kg/m de la regla de la plantilla.
+ *
+ * PROCESOS (lib/processes.ts): una fila por máquina de la ruta de fabricación
+ * (velocidad por sección, tarifa, energía y preparación); reemplaza a la
+ * mano de obra por metro.
+ *
+ * MERMAS (lib/scrap.ts): por fila de materia, con purga de arranque de la
+ * extrusión y recupero de metales; el costo fábrica lleva las mermas netas.
+ *
+ * CONDUCTOR (lib/conductor.ts): la clase, la forma, el cableado y el reunido
+ * dan los kg/m de conductor y pantalla (y el contenido metálico de la oferta).
+ *
+ * DIMENSIONAMIENTO (lib/sizing.ts): de la corriente y la instalación a la
+ * menor sección de Cu y de Al que cumplen, cotizadas con la construcción.
+ *
+ * VALIDACIÓN (lib/validation.ts): errores por campo y advertencias entre campos;
+ * con errores las tarjetas de resumen no muestran montos y no se exporta.
+ *
+ * APROBACIÓN (lib/approvals.ts): con margen bajo el mínimo o precios
+ * distintos de la lista, la oferta (impresión, CSV, XLSX) se exporta sólo
+ * desde una cotización aprobada por un gerente y sin cambios sin guardar. El
+ * usuario activo (lib/users.ts) firma cada cambio del historial.
+ *
+ * ENLACES (lib/share-link.ts): "Copiar enlace" guarda toda la entrada y la
+ * lista de precios en `?c=`; la página la restaura al abrir (`enlace`).
+ *
+ * ANTECEDENTES (lib/benchmarking.ts): resultados ganados y perdidos con el
+ * precio de la competencia; ubican el precio lista frente a los cables más
+ * parecidos y sugieren el margen por tasa de éxito de la familia.
+ *
+ * IDIOMA (lib/i18n.ts): español, inglés o portugués para esta pantalla, los
+ * separadores de los números (inputs y CSV) y las exportaciones; la oferta
+ * comercial tiene su propio idioma, que sigue al de la UI al cambiarlo.
  */
 
-type Metal = "Cobre" | "Aluminio";
-
-type ComponentRow = {
-  id: string;
-  nombre: string;
-  tipoPrecio: "$/kg" | "$/m";
-  precio: number;
-  kgPorMetro: number;
-  metros: number;
-  incluye?: boolean;
-  categoria?: "Materia" | "Proceso";
+type Props = {
+  enlace?: string | null; // parámetro `?c=` de un enlace compartido
 };
 
-const uid = () => (typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2));
-
-const DENSIDAD_KG_M3 = { Cobre: 8890, Aluminio: 2703 } as const;
-
-const DEFAULT_PRECIOS = {
-  Cobre_kg: 7.21091,
-  Aluminio_kg: 2.973,
-  WB_Longitudinal_m: 1.16,
-  WB_Radial_m: 2.21,
-  VainaBase_kg: 1.38,
-};
-
-const SHEATH_MULTIPLIERS = [
-  { key: "RH", label: "RH", factor: 1.30 },
-  { key: "RH_UV", label: "RH + UV", factor: 1.49 },
-  { key: "PVC", label: "PVC Normal", factor: 1.43 },
-] as const;
+export default function CableCostEstimator({ enlace = null }: Props) {
+  // Idioma recordado en este navegador; se lee después de montar para no desfasar el render del servidor.
+  const [idioma, setIdioma] = useState<Idioma>("es");
+  useEffect(() => {
+    const i = idiomaRecordado();
+    if (i) elegirIdioma(i);
+  }, []);
+  const t = traductor(idioma);
+  const locale = localeDe(idioma);
+  const usd = (n: number) => formatUSD(n, locale);
+  function elegirIdioma(i: Idioma) {
+    setIdioma(i);
+    recordarIdioma(i);
+    setTerms(prev => terminosEnIdioma(prev, i));
+  }
 
-const SECCIONES = [25, 35, 50, 70, 95, 120, 150, 185, 240, 300];
-const TENSIONES = ["3.3 kV", "6.6 kV", "13.2 kV", "33 kV"];
-const PANTALLA_MM2 = [0, 6, 10, 16];
-const FACTOR_TIPOL = { unipolar: 1.0, tripolar: 1.05 } as const;
+  const [metal, setMetal] = useState<Metal>(DEFAULT_INPUT.metal);
+  const [fases, setFases] = useState<number>(DEFAULT_INPUT.fases);
+  const [tipologia, setTipologia] = useState<Tipologia>(DEFAULT_INPUT.tipologia);
+  const [seccion, setSeccion] = useState<number>(DEFAULT_INPUT.seccion);
+  const [claseConductor, setClaseConductor] = useState<ClaseConductor>(DEFAULT_INPUT.claseConductor);
+  const [formaConductor, setFormaConductor] = useState<FormaConductor>(DEFAULT_INPUT.formaConductor);
+  const [disenoPorResistencia, setDisenoPorResistencia] = useState<boolean>(DEFAULT_INPUT.disenoPorResistencia);
+  const [tension, setTension] = useState<string>(DEFAULT_INPUT.tension);
+  const [aislacion, setAislacion] = useState<string>(DEFAULT_INPUT.aislacion);
+  const [sheathKey, setSheathKey] = useState<string>(DEFAULT_INPUT.sheathKey);
+  const [pantallaMM2, setPantallaMM2] = useState<number>(DEFAULT_INPUT.pantallaMM2);
+  const [armadura, setArmadura] = useState<boolean>(DEFAULT_INPUT.armadura);
+  const [pxCu, setPxCu] = useState<number>(DEFAULT_INPUT.pxCu);
+  const [pxAl, setPxAl] = useState<number>(DEFAULT_INPUT.pxAl);
+  const [pxWBLong, setPxWBLong] = useState<number>(DEFAULT_INPUT.pxWBLong);
+  const [pxWBRad, setPxWBRad] = useState<number>(DEFAULT_INPUT.pxWBRad);
+  const [pxVainaBase, setPxVainaBase] = useState<number>(DEFAULT_INPUT.pxVainaBase);
+  const [mermasPct, setMermasPct] = useState<number>(DEFAULT_INPUT.mermasPct);
+  const [mermasFilaPct, setMermasFilaPct] = useState<Record<string, number>>(DEFAULT_INPUT.mermasFilaPct);
+  const [recuperoPct, setRecuperoPct] = useState<Record<string, number>>(DEFAULT_INPUT.recuperoPct);
+  const [indirectosUSDm, setIndirectosUSDm] = useState<number>(DEFAULT_INPUT.indirectosUSDm);
+  const [longitudPedidoM, setLongitudPedidoM] = useState<number>(DEFAULT_INPUT.longitudPedidoM);
+  const [margenPct, setMargenPct] = useState<number>(DEFAULT_INPUT.margenPct);
+  const [tcARS, setTcARS] = useState<number>(DEFAULT_INPUT.tcARS);
+  const [tcEUR, setTcEUR] = useState<number>(DEFAULT_INPUT.tcEUR);
+  const [tcBRL, setTcBRL] = useState<number>(DEFAULT_INPUT.tcBRL);
+  const [moneda, setMoneda] = useState<Moneda>(DEFAULT_INPUT.moneda);
+  const [monedaPrecios, setMonedaPrecios] = useState<EstimateInput["monedaPrecios"]>(DEFAULT_INPUT.monedaPrecios);
+  const [pxArmaduraKg, setPxArmaduraKg] = useState<number>(DEFAULT_INPUT.pxArmaduraKg);
+  const [pxSemiconKg, setPxSemiconKg] = useState<number>(DEFAULT_INPUT.pxSemiconKg);
+  const [pxEnergiaKWh, setPxEnergiaKWh] = useState<number>(DEFAULT_INPUT.pxEnergiaKWh);
+  const [pxAislacionKg, setPxAislacionKg] = useState<Record<string, number>>(DEFAULT_INPUT.pxAislacionKg);
+  const [pxPlantillas, setPxPlantillas] = useState<Record<string, number>>(DEFAULT_INPUT.pxPlantillas);
+  const [lmeCuUSDt, setLmeCuUSDt] = useState<number>(DEFAULT_INPUT.lmeCuUSDt);
+  const [lmeAlUSDt, setLmeAlUSDt] = useState<number>(DEFAULT_INPUT.lmeAlUSDt);
+  const [kgmArmadura, setKgmArmadura] = useState<number>(DEFAULT_INPUT.kgmArmadura);
+  const [useWBLong, setUseWBLong] = useState<boolean>(DEFAULT_INPUT.useWBLong);
+  const [useWBRad, setUseWBRad] = useState<boolean>(DEFAULT_INPUT.useWBRad);
+
+  // Catálogo guardado (o el de fábrica): se activa antes de mostrar el formulario.
+  const [catalogo, setCatalogo] = useState<Catalogo | null>(null);
+  useEffect(() => {
+    cargarCatalogo()
+      .catch(err => {
+        window.alert(t("app.errorCatalogo", { error: (err as Error).message }));
+        return CATALOGO_BASE;
+      })
+      .then(c => {
+        usarCatalogo(c);
+        setCatalogo(c);
+      });
+  }, []);
+
+  const [plantillas, setPlantillas] = useState<PlantillaExtra[]>([...PLANTILLAS_BASE]);
+  useEffect(() => {
+    listarPlantillas()
+      .then(setPlantillas)
+      .catch(err => window.alert(t("app.errorPlantillas", { error: (err as Error).message })));
+  }, []);
+
+  const [priceList, setPriceList] = useState<PriceListRef>(priceListRef(DEFAULT_PRICE_LIST));
+
+  // Valores de la lista con la que se cotiza, para detectar precios modificados a mano (null si no se encuentra).
+  const [listaValores, setListaValores] = useState<PriceListValues | null>(DEFAULT_PRICE_LIST.valores);
+  useEffect(() => {
+    valoresDeLista(priceList.id)
+      .then(setListaValores)
+      .catch(() => setListaValores(null));
+  }, [priceList.id]);
+
+  const [usuarios, setUsuarios] = useState<Usuario[]>([]);
+  const [usuarioId, setUsuarioId] = useState<string | null>(null);
+  async function cargarUsuarios() {
+    const us = await listarUsuarios();
+    setUsuarios(us);
+    setUsuarioId(prev => {
+      const id = prev ?? usuarioRecordado();
+      return us.some(u => u.id === id) ? id : us[0]?.id ?? null;
+    });
+  }
+  useEffect(() => {
+    cargarUsuarios().catch(err => window.alert(t("app.errorUsuarios", { error: (err as Error).message })));
+  }, []);
+  const usuario = usuarios.find(u => u.id === usuarioId);
+  // El elegido por defecto también se recuerda: la API registra los cambios a nombre del usuario activo.
+  useEffect(() => {
+    if (usuarioId) recordarUsuario(usuarioId);
+  }, [usuarioId]);
+  const [cotizacion, setCotizacion] = useState<Quote | null>(null);
+
+  const priceValues: PriceListValues = useMemo(() => ({
+    pxCu, pxAl, pxWBLong, pxWBRad, pxVainaBase, pxArmaduraKg, pxSemiconKg, pxAislacionKg, pxPlantillas, pxEnergiaKWh, lmeCuUSDt, lmeAlUSDt, monedaPrecios,
+    mermasPct, mermasFilaPct, recuperoPct, indirectosUSDm, tcARS, tcEUR, tcBRL,
+  }), [pxCu, pxAl, pxWBLong, pxWBRad, pxVainaBase, pxArmaduraKg, pxSemiconKg, pxAislacionKg, pxPlantillas, pxEnergiaKWh, lmeCuUSDt, lmeAlUSDt, monedaPrecios, mermasPct, mermasFilaPct, recuperoPct, indirectosUSDm, tcARS, tcEUR, tcBRL]);
+
+  function applyPriceList(pl: PriceList) {
+    applyPriceValues(pl.valores, priceListRef(pl));
+  }
 
-function kgConductorPorMetro(seccionMM2: number, metal: Metal, fases: number) {
-  return seccionMM2 * 1e-6 * DENSIDAD_KG_M3[metal] * fases;
-}
+  function applyPriceValues(valores: PriceListValues, ref: PriceListRef) {
+    const v = pickPriceValues(valores);
+    setPxCu(v.pxCu);
+    setPxAl(v.pxAl);
+    setPxWBLong(v.pxWBLong);
+    setPxWBRad(v.pxWBRad);
+    setPxVainaBase(v.pxVainaBase);
+    setPxArmaduraKg(v.pxArmaduraKg);
+    setPxSemiconKg(v.pxSemiconKg);
+    setPxAislacionKg(v.pxAislacionKg);
+    setPxPlantillas(v.pxPlantillas);
+    setPxEnergiaKWh(v.pxEnergiaKWh);
+    setLmeCuUSDt(v.lmeCuUSDt);
+    setLmeAlUSDt(v.lmeAlUSDt);
+    setMonedaPrecios(v.monedaPrecios);
+    setMermasPct(v.mermasPct);
+    setMermasFilaPct(v.mermasFilaPct);
+    setRecuperoPct(v.recuperoPct);
+    setIndirectosUSDm(v.indirectosUSDm);
+    applyTasas(v);
+    setPriceList(ref);
+  }
 
-function kgPantallaPorMetro(pantallaMM2: number, fases: number) {
-  if (!pantallaMM2) return 0;
-  return pantallaMM2 * 1e-6 * DENSIDAD_KG_M3.Cobre * fases;
-}
+  function applyTasas(t: TiposCambio) {
+    setTcARS(t.tcARS);
+    setTcEUR(t.tcEUR);
+    setTcBRL(t.tcBRL);
+  }
 
-function formatUSD(n: number) {
-  return new Intl.NumberFormat(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 4 }).format(n || 0);
-}
+  const monedaDe = (c: CampoMoneda): Moneda => monedaPrecios[c] ?? "USD";
+  function setMonedaPrecio(c: CampoMoneda, m: Moneda) {
+    setMonedaPrecios(prev => {
+      const { [c]: _, ...resto } = prev;
+      return m === "USD" ? resto : { ...resto, [c]: m };
+    });
+  }
+  const monedaSelect = (c: CampoMoneda) => (
+    <Select value={monedaDe(c)} onValueChange={(v) => setMonedaPrecio(c, v as Moneda)}>
+      <SelectTrigger className="w-24 shrink-0"><SelectValue /></SelectTrigger>
+      <SelectContent>{MONEDAS.map(m => <SelectItem key={m.key} value={m.key}>{m.key}</SelectItem>)}</SelectContent>
+    </Select>
+  );
 
-function round(n: number, d = 6) {
-  return Math.round((n + Number.EPSILON) * 10 ** d) / 10 ** d;
-}
+  const [extras, setExtras] = useState<ComponentRow[]>([]);
+  const [lineas, setLineas] = useState<OfferLine[]>([]);
+  const [meta, setMeta] = useState<QuoteMeta>({ cliente: "", referencia: "", fecha: new Date().toISOString().slice(0, 10) });
+  const [terms, setTerms] = useState<OfferTerms>(DEFAULT_TERMS);
+
+  // Reabre una cotización guardada: todos los campos, las líneas y la versión de precios con la que se armó.
+  function applyInput(raw: EstimateInput, pl: PriceListRef, ls: OfferLine[] = []) {
+    const i = { ...DEFAULT_INPUT, ...raw };
+    applySpec(i);
+    setMargenPct(i.margenPct);
+    setLongitudPedidoM(i.longitudPedidoM);
+    setMoneda(i.moneda);
+    setLineas(ls);
+    applyPriceValues(i, pl);
+  }
 
-export default function CableCostEstimator() {
-  const [metal, setMetal] = useState<Metal>("Cobre");
-  const [fases, setFases] = useState<number>(1);
-  const [tipologia, setTipologia] = useState<"unipolar" | "tripolar">("unipolar");
-  const [seccion, setSeccion] = useState<number>(95);
-  const [tension, setTension] = useState<string>("13.2 kV");
-  const [sheathKey, setSheathKey] = useState<string>("RH");
-  const [pantallaMM2, setPantallaMM2] = useState<number>(6);
-  const [armadura, setArmadura] = useState<boolean>(false);
-  const [pxCu, setPxCu] = useState<number>(DEFAULT_PRECIOS.Cobre_kg);
-  const [pxAl, setPxAl] = useState<number>(DEFAULT_PRECIOS.Aluminio_kg);
-  const [pxWBLong, setPxWBLong] = useState<number>(DEFAULT_PRECIOS.WB_Longitudinal_m);
-  const [pxWBRad, setPxWBRad] = useState<number>(DEFAULT_PRECIOS.WB_Radial_m);
-  const [pxVainaBase, setPxVainaBase] = useState<number>(DEFAULT_PRECIOS.VainaBase_kg);
-  const [mermasPct, setMermasPct] = useState<number>(3);
-  const [indirectosUSDm, setIndirectosUSDm] = useState<number>(0.12);
-  const [moUSDm, setMoUSDm] = useState<number>(0.20);
-  const [margenPct, setMargenPct] = useState<number>(15);
-  const [tcARS, setTcARS] = useState<number>(1100);
-  const [pxArmaduraKg, setPxArmaduraKg] = useState<number>(1.9);
-  const [kgmArmadura, setKgmArmadura] = useState<number>(0.15);
-  const [useWBLong, setUseWBLong] = useState<boolean>(false);
-  const [useWBRad, setUseWBRad] = useState<boolean>(false);
-
-  const kgmConductor = useMemo(() => kgConductorPorMetro(seccion, metal, fases), [seccion, metal, fases]);
-  const kgmPantalla = useMemo(() => kgPantallaPorMetro(pantallaMM2, fases), [pantallaMM2, fases]);
-  const kgmVainaBase = 0.12 * FACTOR_TIPOL[tipologia];
-  const vainaFactor = SHEATH_MULTIPLIERS.find(s => s.key === sheathKey)?.factor ?? 1;
-  const pxVaina = pxVainaBase * vainaFactor;
-
-  const materias: ComponentRow[] = [
-    { id: "conductor", nombre: `Conductor ${metal}`, tipoPrecio: "$/kg", precio: metal === "Cobre" ? pxCu : pxAl, kgPorMetro: kgmConductor, metros: 1, incluye: true, categoria: "Materia" },
-    { id: "pantalla", nombre: pantallaMM2 ? `Pantalla Cu ${pantallaMM2} mm²` : "Pantalla (N/A)", tipoPrecio: "$/kg", precio: pxCu, kgPorMetro: kgmPantalla, metros: 1, incluye: pantallaMM2 > 0, categoria: "Materia" },
-    { id: "vaina", nombre: `Vaina ${SHEATH_MULTIPLIERS.find(s => s.key === sheathKey)?.label}`, tipoPrecio: "$/kg", precio: pxVaina, kgPorMetro: kgmVainaBase, metros: 1, incluye: true, categoria: "Materia" },
-    { id: "wbL", nombre: "WB Longitudinal", tipoPrecio: "$/m", precio: pxWBLong, kgPorMetro: 0, metros: 1, incluye: useWBLong, categoria: "Materia" },
-    { id: "wbR", nombre: "WB Radial", tipoPrecio: "$/m", precio: pxWBRad, kgPorMetro: 0, metros: 1, incluye: useWBRad, categoria: "Materia" },
-    { id: "arm", nombre: "Armadura", tipoPrecio: "$/kg", precio: pxArmaduraKg, kgPorMetro: armadura ? kgmArmadura : 0, metros: 1, incluye: armadura, categoria: "Materia" },
-  ];
-
-  const procesos: ComponentRow[] = [
-    { id: "mo", nombre: "Mano de Obra", tipoPrecio: "$/m", precio: moUSDm, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Proceso" },
-    { id: "ind", nombre: "Indirectos / Energía", tipoPrecio: "$/m", precio: indirectosUSDm, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Proceso" },
-  ];
+  // Lleva un LME nuevo a los precios de metal: pxCu / pxAl se mueven por la diferencia y el LME nuevo queda como base.
+  function rebaseMetal(nuevo: LME) {
+    setPxCu(px => px + (nuevo.cuUSDt - lmeCuUSDt) / 1000);
+    setPxAl(px => px + (nuevo.alUSDt - lmeAlUSDt) / 1000);
+    setLmeCuUSDt(nuevo.cuUSDt);
+    setLmeAlUSDt(nuevo.alUSDt);
+  }
 
-  const [extras, setExtras] = useState<ComponentRow[]>([]);
+  // Especificación y filas extra, sin tocar precios (también para cargar una línea de la oferta, que puede no traer el conductor).
+  function applySpec(spec: CableSpec & { extras?: ComponentRow[] }) {
+    const i = { ...CONDUCTOR_ESTANDAR, ...spec };
+    setMetal(i.metal);
+    setFases(i.fases);
+    setTipologia(i.tipologia);
+    setSeccion(i.seccion);
+    setClaseConductor(i.claseConductor);
+    setFormaConductor(i.formaConductor);
+    setDisenoPorResistencia(i.disenoPorResistencia);
+    setTension(i.tension);
+    setAislacion(i.aislacion);
+    setSheathKey(i.sheathKey);
+    setPantallaMM2(i.pantallaMM2);
+    setArmadura(i.armadura);
+    setKgmArmadura(i.kgmArmadura);
+    setUseWBLong(i.useWBLong);
+    setUseWBRad(i.useWBRad);
+    setExtras((i.extras ?? []).map(x => ({ ...x })));
+  }
   function addExtraRow() {
     setExtras(prev => ([...prev, { id: uid(), nombre: "Extra", tipoPrecio: "$/kg", precio: 1, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Materia" }]));
   }
   function removeExtraRow(id: string) {
     setExtras(prev => prev.filter(x => x.id !== id));
   }
+  function insertarPlantilla(id: string) {
+    const t = plantillas.find(x => x.id === id);
+    if (t) setExtras(prev => [...prev, filaDesdePlantilla(t, pxPlantillas)]);
+  }
+  // Guarda la fila (con el precio y los kg/m que se ven) como plantilla nueva y la deja vinculada.
+  async function guardarComoPlantilla(fila: ComponentRow) {
+    try {
+      const t = await extraTemplateStore.save(plantillaDesdeFila(fila, plantillas));
+      setPlantillas(prev => [...prev, t]);
+      setPxPlantillas(prev => ({ ...prev, [t.id]: t.precio }));
+      setExtras(prev => prev.map(x => x.id === fila.id ? { ...x, plantilla: t.id } : x));
+    } catch (err) {
+      window.alert((err as Error).message);
+    }
+  }
 
-  const filas = useMemo(() => ([...materias, ...procesos, ...extras]), [materias, procesos, extras]);
-  const subtotalMaterias = useMemo(() =>
-    filas.filter(f => f.categoria === "Materia" && f.incluye).reduce((acc, f) => acc + (f.tipoPrecio === "$/kg" ? f.kgPorMetro * f.precio : f.metros * f.precio), 0), [filas]
-  );
-  const mermasUSDm = useMemo(() => subtotalMaterias * (mermasPct / 100), [subtotalMaterias, mermasPct]);
-  const subtotalProcesos = useMemo(() =>
-    filas.filter(f => f.categoria === "Proceso" && f.incluye).reduce((acc, f) => acc + (f.tipoPrecio === "$/kg" ? f.kgPorMetro * f.precio : f.metros * f.precio), 0), [filas]
-  );
-  const costoFabrica = useMemo(() => subtotalMaterias + mermasUSDm + subtotalProcesos, [subtotalMaterias, mermasUSDm, subtotalProcesos]);
-  const precioListaUSDm = useMemo(() => costoFabrica * (1 + margenPct / 100), [costoFabrica, margenPct]);
-  const precioListaARSm = useMemo(() => precioListaUSDm * tcARS, [precioListaUSDm, tcARS]);
+  const input: EstimateInput = useMemo(() => ({
+    metal, fases, tipologia, seccion, claseConductor, formaConductor, disenoPorResistencia, tension, aislacion, sheathKey, pantallaMM2, armadura, kgmArmadura, useWBLong, useWBRad,
+    pxCu, pxAl, pxWBLong, pxWBRad, pxVainaBase, pxArmaduraKg, pxSemiconKg, pxAislacionKg, pxPlantillas, pxEnergiaKWh, lmeCuUSDt, lmeAlUSDt, monedaPrecios,
+    mermasPct, mermasFilaPct, recuperoPct, indirectosUSDm, longitudPedidoM, margenPct, tcARS, tcEUR, tcBRL, moneda,
+    extras,
+  }), [metal, fases, tipologia, seccion, claseConductor, formaConductor, disenoPorResistencia, tension, aislacion, sheathKey, pantallaMM2, armadura, kgmArmadura, useWBLong, useWBRad,
+    pxCu, pxAl, pxWBLong, pxWBRad, pxVainaBase, pxArmaduraKg, pxSemiconKg, pxAislacionKg, pxPlantillas, pxEnergiaKWh, lmeCuUSDt, lmeAlUSDt, monedaPrecios,
+    mermasPct, mermasFilaPct, recuperoPct, indirectosUSDm, longitudPedidoM, margenPct, tcARS, tcEUR, tcBRL, moneda, extras]);
+  const estimate = useMemo(() => computeEstimate(input), [input]);
+  const hallazgos = useMemo(() => validarEntrada(input), [input]);
+  const valida = esValida(hallazgos);
+  const err = (campo: string) => {
+    const h = errorDe(hallazgos, campo);
+    return h && t(h);
+  };
+  // Con errores de entrada los totales no son confiables: las tarjetas muestran "—".
+  const monto = (texto: string) => (valida ? texto : "—");
+  const pricing: OfferPricing = useMemo(() => ({ ...priceValues, margenPct, moneda, longitudPedidoM }), [priceValues, margenPct, moneda, longitudPedidoM]);
+  const offerDoc = useMemo(() => buildCommercialOffer({ meta, input, lineas, priceList, terms }), [meta, input, lineas, priceList, terms]);
+  const incumplidas = useMemo(() => reglasIncumplidas({ input, lineas, lista: listaValores }), [input, lineas, listaValores]);
+  const sinCambios = cotizacion ? cambiosCotizacion(cotizacion, meta, input, priceList, lineas).length === 0 : false;
+  // Motivo por el que no se exporta: errores de entrada o aprobación pendiente.
+  const motivoBloqueo = bloqueoExportacion(incumplidas, cotizacion, sinCambios);
+  const bloqueo = !valida ? t("app.bloqueoErrores") : motivoBloqueo && t(motivoBloqueo);
+  const { filas, geometria, subtotalMaterias, mermasUSDm, subtotalProcesos, costoFabrica, margenUSDm, precioListaUSDm, precioListaSalidaM } = estimate;
+
+  const fileRef = useRef<HTMLInputElement>(null);
 
   function exportCSV() {
-    const header = ["Categoria", "Componente", "TipoPrecio", "Precio", "kg/m", "m", "Incluye", "Costo(m)"];
-    const rows = filas.map(f => {
-      const costo = !f.incluye ? 0 : (f.tipoPrecio === "$/kg" ? f.kgPorMetro * f.precio : f.metros * f.precio);
-      return [f.categoria, f.nombre, f.tipoPrecio, round(f.precio), round(f.kgPorMetro), round(f.metros), f.incluye ? "SI" : "NO", round(costo)];
-    });
-    const resumen = [
-      ["SUBTOTAL MATERIALES", "", "", round(subtotalMaterias)],
-      ["MERMAS %", mermasPct + "%", "", round(mermasUSDm)],
-      ["SUBTOTAL PROCESOS", "", "", round(subtotalProcesos)],
-      ["COSTO FÁBRICA (USD/m)", "", "", round(costoFabrica)],
-      ["MARGEN %", margenPct + "%", "", ""],
-      ["PRECIO LISTA (USD/m)", "", "", round(precioListaUSDm)],
-      ["TC ARS", "", "", tcARS],
-      ["PRECIO LISTA (ARS/m)", "", "", round(precioListaARSm)],
-    ];
-    const csv = [header, ...rows, [], ...resumen].map(r => (Array.isArray(r) ? r.join(",") : r)).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "estimacion_cable.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(estimateToCSV(input, locale, idioma), "estimacion_cable.csv", "text/csv;charset=utf-8;");
   }
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <div className="border-b-4 border-red-600 bg-white sticky top-0 z-40 shadow-sm">
+  async function exportXLSX() {
+    downloadBlob(await estimateToXLSX(input, idioma), "estimacion_cable.xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  }
+
+  // Reconstruye la estimación (incluidos los extras) desde un XLSX o CSV exportado.
+  async function importar(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      applyInput(await parseEstimateFile(file.name, await file.arrayBuffer()), priceList, lineas);
+    } catch (err) {
+      window.alert((err as Error).message);
+    }
+  }
+
+  // Un enlace compartido se aplica cuando el catálogo ya está activo (valida sus opciones).
+  useEffect(() => {
+    if (!catalogo || !enlace) return;
+    decodificarEstado(enlace)
+      .then(e => applyInput(e.input, e.priceList))
+      .catch(err => window.alert(t("app.errorEnlace", { error: (err as Error).message })));
+  }, [catalogo, enlace]);
+
+  const [copiado, setCopiado] = useState(false);
+  async function copiarEnlace() {
+    try {
+      const url = enlaceCompartido(window.location.href, await codificarEstado({ input, priceList }));
+      if (!navigator.clipboard) { window.prompt(t("app.copieEnlace"), url); return; }
+      await navigator.clipboard.writeText(url);
+      setCopiado(true);
+      setTimeout(() => setCopiado(false), 2000);
+    } catch (err) {
+      window.alert(t("app.errorCopiar", { error: (err as Error).message }));
+    }
+  }
+
+  if (!catalogo) {
+    return <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-600">{t("app.cargandoCatalogo")}</div>;
+  }
+
+  // Todo el contenido (y los paneles que usan `useIdioma`) queda bajo el idioma elegido.
+  const pantalla = (
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      <div className="hidden print:block">
+        {bloqueo ? <p>{bloqueo}</p> : <OfferDocument doc={offerDoc} />}
+      </div>
+      <div className="border-b-4 border-red-600 bg-white sticky top-0 z-40 shadow-sm print:hidden">
         <div className="container mx-auto px-4 py-6">
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-3">
@@ -193,29 +451,61 @@ export default function CableCostEstimator() {
                 <h1 className="text-3xl font-bold text-gray-900">
                   Cable Cost Estimator - IMSA
                 </h1>
-                <p className="text-gray-600 mt-1">Sistema profesional de cotización de cables</p>
+                <p className="text-gray-600 mt-1">{t("app.subtitulo")}</p>
               </div>
             </div>
-            <Button onClick={exportCSV} size="lg" className="gap-2 bg-red-600 hover:bg-red-700 text-white">
-              <Download className="w-4 h-4" />
-              Exportar CSV
-            </Button>
+            <div className="flex gap-2">
+              <LanguageSelect value={idioma} onChange={elegirIdioma} />
+              <div className="flex items-center gap-2">
+                <UserCircle className="w-5 h-5 text-gray-600" />
+                <Select value={usuarioId ?? ""} onValueChange={setUsuarioId}>
+                  <SelectTrigger className="w-56"><SelectValue placeholder={t("app.usuario")} /></SelectTrigger>
+                  <SelectContent>{usuarios.map(u => <SelectItem key={u.id} value={u.id}>{u.nombre} ({t(`rol.${u.rol}`)})</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <Button asChild size="lg" variant="outline" className="gap-2">
+                <a href="/catalogo"><Library className="w-4 h-4" />{t("app.catalogo")}</a>
+              </Button>
+              <Button onClick={() => fileRef.current?.click()} size="lg" variant="outline" className="gap-2">
+                <Upload className="w-4 h-4" />
+                {t("app.importar")}
+              </Button>
+              <input ref={fileRef} type="file" accept=".xlsx,.csv" className="hidden" onChange={importar} />
+              <Button onClick={copiarEnlace} size="lg" variant="outline" className="gap-2" title={t("app.copiarEnlaceAyuda")}>
+                {copiado ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                {copiado ? t("app.copiado") : t("app.copiarEnlace")}
+              </Button>
+              <Button onClick={exportCSV} disabled={!!bloqueo} title={bloqueo ?? undefined} size="lg" variant="outline" className="gap-2 border-red-600 text-red-600 hover:bg-red-50">
+                <Download className="w-4 h-4" />
+                {t("app.exportarCSV")}
+              </Button>
+              <Button onClick={exportXLSX} disabled={!!bloqueo} title={bloqueo ?? undefined} size="lg" className="gap-2 bg-red-600 hover:bg-red-700 text-white">
+                <FileSpreadsheet className="w-4 h-4" />
+                {t("app.exportarXLSX")}
+              </Button>
+            </div>
           </div>
         </div>
       </div>
 
-      <div className="container mx-auto px-4 py-8 space-y-6">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      <div className="container mx-auto px-4 py-8 space-y-6 print:hidden">
+        <OfflineStatus priceList={priceList} />
+        <ValidationPanel hallazgos={hallazgos} />
+        {valida && bloqueo && (
+          <p className="text-sm text-amber-800 bg-amber-50 border-2 border-amber-200 rounded-lg p-3">{bloqueo}</p>
+        )}
+
+        <div className={`grid grid-cols-1 md:grid-cols-4 gap-4 ${valida ? "" : "opacity-60"}`}>
           <Card className="bg-white border-2 border-gray-300 shadow-sm hover:shadow-md transition-shadow">
             <CardHeader className="pb-3">
               <CardTitle className="text-sm font-medium flex items-center gap-2 text-gray-700">
                 <Package className="w-4 h-4 text-red-600" />
-                Materiales
+                {t("resumen.materiales")}
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-gray-900">{formatUSD(subtotalMaterias)}</div>
-              <p className="text-xs text-gray-600 mt-1">USD por metro</p>
+              <div className="text-3xl font-bold text-gray-900">{monto(usd(subtotalMaterias))}</div>
+              <p className="text-xs text-gray-600 mt-1">{t("resumen.usdPorMetro")}</p>
             </CardContent>
           </Card>
 
@@ -223,12 +513,12 @@ export default function CableCostEstimator() {
             <CardHeader className="pb-3">
               <CardTitle className="text-sm font-medium flex items-center gap-2 text-gray-700">
                 <Zap className="w-4 h-4 text-red-600" />
-                Costo Fábrica
+                {t("resumen.costoFabrica")}
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-gray-900">{formatUSD(costoFabrica)}</div>
-              <p className="text-xs text-gray-600 mt-1">Incluye mermas</p>
+              <div className="text-3xl font-bold text-gray-900">{monto(usd(costoFabrica))}</div>
+              <p className="text-xs text-gray-600 mt-1">{t("resumen.incluyeMermas")}</p>
             </CardContent>
           </Card>
 
@@ -236,12 +526,12 @@ export default function CableCostEstimator() {
             <CardHeader className="pb-3">
               <CardTitle className="text-sm font-medium flex items-center gap-2 text-gray-700">
                 <DollarSign className="w-4 h-4 text-red-600" />
-                Lista USD
+                {t("resumen.lista", { moneda: "USD" })}
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold text-gray-900">{formatUSD(precioListaUSDm)}</div>
-              <p className="text-xs text-gray-600 mt-1">Margen {margenPct}%</p>
+              <div className="text-3xl font-bold text-gray-900">{monto(usd(precioListaUSDm))}</div>
+              <p className="text-xs text-gray-600 mt-1">{t("resumen.margen", { pct: monto(`${formatNumero(margenPct, 2, locale)}%`) })}</p>
             </CardContent>
           </Card>
 
@@ -249,12 +539,12 @@ export default function CableCostEstimator() {
             <CardHeader className="pb-3">
               <CardTitle className="text-sm font-medium flex items-center gap-2">
                 <TrendingUp className="w-4 h-4" />
-                Lista ARS
+                {t("resumen.lista", { moneda })}
               </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="text-3xl font-bold">${new Intl.NumberFormat().format(Math.round(precioListaARSm))}</div>
-              <p className="text-xs text-red-100 mt-1">TC: {tcARS}</p>
+              <div className="text-3xl font-bold">{monto(formatMoneda(precioListaSalidaM, moneda, undefined, locale))}</div>
+              <p className="text-xs text-red-100 mt-1">{valida ? t("resumen.tc", { tasa: formatNumero(tasa(moneda, input), 4, locale), moneda }) : t("resumen.conErrores")}</p>
             </CardContent>
           </Card>
         </div>
@@ -263,110 +553,157 @@ export default function CableCostEstimator() {
           <CardHeader className="bg-gray-100 border-b border-gray-300">
             <CardTitle className="flex items-center gap-2 text-gray-900">
               <Settings className="w-5 h-5 text-red-600" />
-              Especificación del Cable
+              {t("espec.titulo")}
             </CardTitle>
-            <CardDescription className="text-gray-600">Configure las características técnicas</CardDescription>
+            <CardDescription className="text-gray-600">{t("espec.descripcion")}</CardDescription>
           </CardHeader>
-          <CardContent>
+          <CardContent className="pt-6">
+            <ProductSearch spec={input} onSelect={s => applySpec({ ...s, kgmArmadura, disenoPorResistencia, extras })} />
             <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
               <div className="space-y-2">
-                <Label>Metal Conductor</Label>
+                <Label>{t("espec.metal")}</Label>
                 <Select value={metal} onValueChange={(v) => setMetal(v as Metal)}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="Cobre">🟠 Cobre</SelectItem>
-                    <SelectItem value="Aluminio">⚪ Aluminio</SelectItem>
+                    <SelectItem value="Cobre">🟠 {t("metal.Cobre")}</SelectItem>
+                    <SelectItem value="Aluminio">⚪ {t("metal.Aluminio")}</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Tipología</Label>
-                <Select value={tipologia} onValueChange={(v) => setTipologia(v as any)}>
+                <Label>{t("espec.tipologia")}</Label>
+                <Select value={tipologia} onValueChange={(v) => setTipologia(v as Tipologia)}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="unipolar">Unipolar</SelectItem>
-                    <SelectItem value="tripolar">Tripolar</SelectItem>
+                    <SelectItem value="unipolar">{t("espec.unipolar")}</SelectItem>
+                    <SelectItem value="tripolar">{t("espec.tripolar")}</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Fases</Label>
+                <Label>{t("espec.fases")}</Label>
                 <Select value={String(fases)} onValueChange={(v) => setFases(Number(v))}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="1">1 Fase</SelectItem>
-                    <SelectItem value="3">3 Fases</SelectItem>
+                    <SelectItem value="1">{t("espec.fase1")}</SelectItem>
+                    <SelectItem value="3">{t("espec.fase3")}</SelectItem>
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Sección (mm²)</Label>
+                <Label>{t("espec.seccion")}</Label>
                 <Select value={String(seccion)} onValueChange={(v) => setSeccion(Number(v))}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    {SECCIONES.map(s => <SelectItem key={s} value={String(s)}>{s} mm²</SelectItem>)}
+                    {catalogo.secciones.map(s => <SelectItem key={s} value={String(s)}>{s} mm²</SelectItem>)}
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Tensión</Label>
+                <Label>{t("espec.clase")}</Label>
+                <Select value={String(claseConductor)} onValueChange={(v) => {
+                  const c = Number(v) as ClaseConductor;
+                  setClaseConductor(c);
+                  if (!formasAdmitidas(c).includes(formaConductor)) setFormaConductor(formasAdmitidas(c)[0]);
+                }}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {CLASES_CONDUCTOR.map(c => <SelectItem key={c.clase} value={String(c.clase)}>{etiqueta(idioma, `conductor.clase.${c.clase}`, c.label)}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label>{t("espec.forma")}</Label>
+                <Select value={formaConductor} onValueChange={(v) => setFormaConductor(v as FormaConductor)}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {FORMAS_CONDUCTOR.filter(f => formasAdmitidas(claseConductor).includes(f.key)).map(f => <SelectItem key={f.key} value={f.key}>{etiqueta(idioma, `conductor.forma.${f.key}`, f.label)}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2 md:col-span-2">
+                <Label>{t("espec.seccionMetal")}</Label>
+                <div className="flex items-center space-x-2 h-9">
+                  <input type="checkbox" id="disenoResistencia" checked={disenoPorResistencia} onChange={(e) => setDisenoPorResistencia(e.target.checked)} className="w-4 h-4 rounded" />
+                  <label htmlFor="disenoResistencia" className="text-sm font-medium">{t("espec.disenoResistencia")}</label>
+                  <span className="text-xs text-gray-500">
+                    {formatNumero(seccionEfectiva(input), 1, locale)} mm² • R20 {formatNumero(resistenciaConductor(input), 4, locale)} Ω/km
+                    {resistenciaMaxima(claseConductor, metal, seccion) !== null && ` (${t("espec.resistenciaMax", { r: formatNumero(resistenciaMaxima(claseConductor, metal, seccion)!, 4, locale) })})`}
+                  </span>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label>{t("espec.tension")}</Label>
                 <Select value={tension} onValueChange={setTension}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    {TENSIONES.map(t => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+                    {catalogo.tensiones.map(({ tension: t }) => <SelectItem key={t} value={t}>{t} ({claseTension(t)?.clase})</SelectItem>)}
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Vaina</Label>
+                <Label>{t("espec.aislacion")}</Label>
+                <Select value={aislacion} onValueChange={setAislacion}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {catalogo.aislaciones.map(a => <SelectItem key={a.key} value={a.key}>{materialAislacion(a.key).label}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label>{t("espec.vaina")}</Label>
                 <Select value={sheathKey} onValueChange={setSheathKey}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    {SHEATH_MULTIPLIERS.map(s => <SelectItem key={s.key} value={s.key}>{s.label} (×{s.factor})</SelectItem>)}
+                    {catalogo.vainas.map(s => <SelectItem key={s.key} value={s.key}>{sheathLabel(s.key, idioma)} (×{s.factor})</SelectItem>)}
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Pantalla (mm²)</Label>
+                <Label>{t("espec.pantalla")}</Label>
                 <Select value={String(pantallaMM2)} onValueChange={(v) => setPantallaMM2(Number(v))}>
                   <SelectTrigger><SelectValue /></SelectTrigger>
                   <SelectContent>
-                    {PANTALLA_MM2.map(p => <SelectItem key={p} value={String(p)}>{p === 0 ? "Sin pantalla" : `${p} mm²`}</SelectItem>)}
+                    {catalogo.pantallas.map(p => <SelectItem key={p} value={String(p)}>{p === 0 ? t("termino.sinPantalla") : `${p} mm²`}</SelectItem>)}
                   </SelectContent>
                 </Select>
               </div>
 
               <div className="space-y-2">
-                <Label>Armadura</Label>
+                <Label>{t("espec.armadura")}</Label>
                 <div className="flex items-center space-x-2 h-9">
                   <input type="checkbox" id="armadura" checked={armadura} onChange={(e) => setArmadura(e.target.checked)} className="w-4 h-4 rounded" />
-                  <label htmlFor="armadura" className="text-sm font-medium">Incluir</label>
+                  <label htmlFor="armadura" className="text-sm font-medium">{t("espec.incluir")}</label>
                 </div>
               </div>
 
               {armadura && (
                 <div className="space-y-2">
-                  <Label>kg/m Armadura</Label>
-                  <Input type="number" step="0.0001" value={kgmArmadura} onChange={e => setKgmArmadura(parseFloat(e.target.value) || 0)} />
+                  <Label>{t("espec.kgmArmadura")}</Label>
+                  <NumberInput step="0.0001" value={kgmArmadura} onValueChange={setKgmArmadura} error={err("kgmArmadura")} />
                 </div>
               )}
 
               <div className="space-y-2 md:col-span-2">
-                <Label>Water Blocking</Label>
+                <Label>{t("espec.waterBlocking")}</Label>
                 <div className="flex items-center space-x-4 h-9">
                   <div className="flex items-center space-x-2">
                     <input type="checkbox" id="wbLong" checked={useWBLong} onChange={(e) => setUseWBLong(e.target.checked)} className="w-4 h-4 rounded" />
-                    <label htmlFor="wbLong" className="text-sm font-medium">Longitudinal</label>
+                    <label htmlFor="wbLong" className="text-sm font-medium">{t("termino.longitudinal")}</label>
                   </div>
                   <div className="flex items-center space-x-2">
                     <input type="checkbox" id="wbRad" checked={useWBRad} onChange={(e) => setUseWBRad(e.target.checked)} className="w-4 h-4 rounded" />
-                    <label htmlFor="wbRad" className="text-sm font-medium">Radial</label>
+                    <label htmlFor="wbRad" className="text-sm font-medium">{t("termino.radial")}</label>
                   </div>
                 </div>
               </div>
@@ -374,23 +711,33 @@ export default function CableCostEstimator() {
           </CardContent>
         </Card>
 
+        <SizingPanel input={input} valida={valida} onAplicar={(m, s, t) => { setMetal(m); setSeccion(s); setTension(t); }} />
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           <Card className="border-2 border-gray-300 shadow-sm">
             <CardHeader className="bg-gray-100 border-b border-gray-300">
               <CardTitle className="flex items-center gap-2 text-gray-900">
                 <DollarSign className="w-5 h-5 text-red-600" />
-                Precios
+                {t("precios.titulo")}
               </CardTitle>
-              <CardDescription className="text-gray-600">Precios unitarios en USD</CardDescription>
+              <CardDescription className="text-gray-600">{t("precios.descripcion")}</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
-                <div className="space-y-2"><Label>Cobre ($/kg)</Label><Input type="number" step="0.0001" value={pxCu} onChange={e => setPxCu(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Aluminio ($/kg)</Label><Input type="number" step="0.0001" value={pxAl} onChange={e => setPxAl(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>WB Long. ($/m)</Label><Input type="number" step="0.0001" value={pxWBLong} onChange={e => setPxWBLong(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>WB Radial ($/m)</Label><Input type="number" step="0.0001" value={pxWBRad} onChange={e => setPxWBRad(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Vaina base ($/kg)</Label><Input type="number" step="0.0001" value={pxVainaBase} onChange={e => setPxVainaBase(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Armadura ($/kg)</Label><Input type="number" step="0.0001" value={pxArmaduraKg} onChange={e => setPxArmaduraKg(parseFloat(e.target.value) || 0)} /></div>
+                <div className="space-y-2"><Label>{t("precios.cobre", { moneda: monedaDe("pxCu") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxCu} onValueChange={setPxCu} error={err("pxCu")} />{monedaSelect("pxCu")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.aluminio", { moneda: monedaDe("pxAl") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxAl} onValueChange={setPxAl} error={err("pxAl")} />{monedaSelect("pxAl")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.wbLong", { moneda: monedaDe("pxWBLong") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxWBLong} onValueChange={setPxWBLong} error={err("pxWBLong")} />{monedaSelect("pxWBLong")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.wbRad", { moneda: monedaDe("pxWBRad") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxWBRad} onValueChange={setPxWBRad} error={err("pxWBRad")} />{monedaSelect("pxWBRad")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.vainaBase", { moneda: monedaDe("pxVainaBase") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxVainaBase} onValueChange={setPxVainaBase} error={err("pxVainaBase")} />{monedaSelect("pxVainaBase")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.armadura", { moneda: monedaDe("pxArmaduraKg") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxArmaduraKg} onValueChange={setPxArmaduraKg} error={err("pxArmaduraKg")} />{monedaSelect("pxArmaduraKg")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.semicon", { moneda: monedaDe("pxSemiconKg") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxSemiconKg} onValueChange={setPxSemiconKg} error={err("pxSemiconKg")} />{monedaSelect("pxSemiconKg")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.energia", { moneda: monedaDe("pxEnergiaKWh") })}</Label><div className="flex gap-2"><NumberInput step="0.0001" value={pxEnergiaKWh} onValueChange={setPxEnergiaKWh} error={err("pxEnergiaKWh")} />{monedaSelect("pxEnergiaKWh")}</div></div>
+                <div className="space-y-2"><Label>{t("precios.monedaAislaciones")}</Label>{monedaSelect("pxAislacionKg")}</div>
+                {MATERIALES_AISLACION.map(m => (
+                  <div key={m.key} className="space-y-2"><Label>{t("precios.aislacion", { material: m.label, moneda: monedaDe("pxAislacionKg") })}</Label><NumberInput step="0.0001" value={pxAislacionKg[m.key] ?? m.precioKg} onValueChange={n => setPxAislacionKg(prev => ({ ...prev, [m.key]: n }))} error={err(`pxAislacionKg.${m.key}`)} /></div>
+                ))}
+                <div className="space-y-2"><Label>{t("precios.lmeCu")}</Label><NumberInput step="1" value={lmeCuUSDt} onValueChange={setLmeCuUSDt} error={err("lmeCuUSDt")} /></div>
+                <div className="space-y-2"><Label>{t("precios.lmeAl")}</Label><NumberInput step="1" value={lmeAlUSDt} onValueChange={setLmeAlUSDt} error={err("lmeAlUSDt")} /></div>
               </div>
             </CardContent>
           </Card>
@@ -399,35 +746,128 @@ export default function CableCostEstimator() {
             <CardHeader className="bg-gray-100 border-b border-gray-300">
               <CardTitle className="flex items-center gap-2 text-gray-900">
                 <TrendingUp className="w-5 h-5 text-red-600" />
-                Costos y Márgenes
+                {t("costos.titulo")}
               </CardTitle>
-              <CardDescription className="text-gray-600">Configuración operativa</CardDescription>
+              <CardDescription className="text-gray-600">{t("costos.descripcion")}</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
-                <div className="space-y-2"><Label>Mermas (%)</Label><Input type="number" step="0.1" value={mermasPct} onChange={e => setMermasPct(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Indirectos ($/m)</Label><Input type="number" step="0.0001" value={indirectosUSDm} onChange={e => setIndirectosUSDm(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Mano obra ($/m)</Label><Input type="number" step="0.0001" value={moUSDm} onChange={e => setMoUSDm(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2"><Label>Margen (%)</Label><Input type="number" step="0.1" value={margenPct} onChange={e => setMargenPct(parseFloat(e.target.value) || 0)} /></div>
-                <div className="space-y-2 col-span-2"><Label>TC (ARS/USD)</Label><Input type="number" step="0.01" value={tcARS} onChange={e => setTcARS(parseFloat(e.target.value) || 0)} /></div>
+                <div className="space-y-2"><Label>{t("costos.merma")}</Label><NumberInput step="0.1" value={mermasPct} onValueChange={setMermasPct} error={err("mermasPct")} /></div>
+                <div className="space-y-2"><Label>{t("costos.indirectos")}</Label><NumberInput step="0.0001" value={indirectosUSDm} onValueChange={setIndirectosUSDm} error={err("indirectosUSDm")} /></div>
+                <div className="space-y-2"><Label>{t("costos.longitudPedido")}</Label><NumberInput step="100" value={longitudPedidoM} onValueChange={setLongitudPedidoM} error={err("longitudPedidoM")} /></div>
+                <div className="space-y-2"><Label>{t("costos.margen")}</Label><NumberInput step="0.1" value={margenPct} onValueChange={setMargenPct} error={err("margenPct")} /></div>
+                <div className="space-y-2"><Label>{t("costos.tcARS")}</Label><NumberInput step="0.01" value={tcARS} onValueChange={setTcARS} error={err("tcARS")} /></div>
+                <div className="space-y-2"><Label>{t("costos.tcEUR")}</Label><NumberInput step="0.0001" value={tcEUR} onValueChange={setTcEUR} error={err("tcEUR")} /></div>
+                <div className="space-y-2"><Label>{t("costos.tcBRL")}</Label><NumberInput step="0.0001" value={tcBRL} onValueChange={setTcBRL} error={err("tcBRL")} /></div>
+                <div className="space-y-2">
+                  <Label>{t("costos.monedaSalida")}</Label>
+                  <Select value={moneda} onValueChange={(v) => setMoneda(v as Moneda)}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>{MONEDAS.map(m => <SelectItem key={m.key} value={m.key}>{m.key} — {m.label}</SelectItem>)}</SelectContent>
+                  </Select>
+                </div>
               </div>
             </CardContent>
           </Card>
         </div>
 
+        <ScrapPanel
+          spec={input}
+          estimate={estimate}
+          extras={extras}
+          onMermaFila={(id, n) => setMermasFilaPct(prev => ({ ...prev, [id]: n }))}
+          onRecupero={(id, n) => setRecuperoPct(prev => ({ ...prev, [id]: n }))}
+          onExtra={(id, cambios) => setExtras(prev => prev.map(x => x.id === id ? { ...x, ...cambios } : x))}
+          err={err}
+        />
+
+        <ProcessRoutingPanel input={input} valida={valida} />
+
+        <PriceListPanel valores={priceValues} selected={priceList} onApply={applyPriceList} />
+
+        <QuotesPanel input={input} priceList={priceList} lineas={lineas} meta={meta} onMetaChange={setMeta} onOpen={applyInput}
+          usuario={usuario} usuarios={usuarios} incumplidas={incumplidas} onAbierta={setCotizacion} />
+
+        <BenchmarkPanel input={input} valida={valida} precioListaUSDm={precioListaUSDm} meta={meta} cotizacion={cotizacion} onUsarMargen={setMargenPct} />
+
+        {puedeAdministrar(usuario) && <UsersPanel usuarios={usuarios} onChange={cargarUsuarios} />}
+
+        <OfferLinesPanel lines={lineas} setLines={setLineas} input={input} pricing={pricing} onLoadLine={l => applySpec({ ...l.spec, extras: l.extras })} />
+
+        <ExchangeRatesPanel tasas={{ tcARS, tcEUR, tcBRL }} fecha={meta.fecha} onApply={applyTasas} />
+
+        <MetalIndexPanel input={input} lineas={lineas} pricing={pricing} onRebase={rebaseMetal} />
+
+        <SensitivityPanel input={input} valida={valida} />
+
+        <PriceMatrixPanel input={input} valida={valida} />
+
+        <CommercialOfferPanel doc={offerDoc} terms={terms} onTermsChange={setTerms} bloqueo={bloqueo} />
+
+        <Card className="border-2 border-gray-300 shadow-sm">
+          <CardHeader className="bg-gray-100 border-b border-gray-300">
+            <CardTitle className="flex items-center gap-2 text-gray-900">
+              <Layers className="w-5 h-5 text-red-600" />
+              {t("geometria.titulo")}
+            </CardTitle>
+            <CardDescription className="text-gray-600">
+              {t("geometria.descripcion", { d: formatNumero(geometria.dExteriorMM, 1, locale) })}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-2 text-sm font-medium">{t("geometria.capa")}</th>
+                    <th className="text-right py-3 px-2 text-sm font-medium">{t("geometria.espesor")}</th>
+                    <th className="text-right py-3 px-2 text-sm font-medium">{t("geometria.dInterior")}</th>
+                    <th className="text-right py-3 px-2 text-sm font-medium">{t("geometria.dExterior")}</th>
+                    <th className="text-right py-3 px-2 text-sm font-medium">kg/m</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b">
+                    <td className="py-2 px-2 text-sm">{t("fila.conductor", { metal: t(`metal.${metal}`) })}</td>
+                    <td className="py-2 px-2 text-sm text-right">—</td>
+                    <td className="py-2 px-2 text-sm text-right">—</td>
+                    <td className="py-2 px-2 text-sm text-right">{geometria.dConductorMM.toFixed(2)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{filas.find(f => f.id === "conductor")?.kgPorMetro.toFixed(4)}</td>
+                  </tr>
+                  {geometria.capas.map(c => (
+                    <tr key={c.id} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm">{nombreCapa(c, input, idioma)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{c.espesorMM.toFixed(2)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{c.dInteriorMM.toFixed(2)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{c.dExteriorMM.toFixed(2)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{c.kgPorMetro ? c.kgPorMetro.toFixed(4) : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
         <Card className="border-2 border-gray-300 shadow-sm">
           <CardHeader className="bg-gray-100 border-b border-gray-300">
             <div className="flex items-center justify-between">
               <div>
                 <CardTitle className="flex items-center gap-2 text-gray-900">
                   <Settings className="w-5 h-5 text-red-600" />
-                  Componentes Personalizados
+                  {t("extras.titulo")}
                 </CardTitle>
-                <CardDescription className="text-gray-600">Agregue extras según necesidad</CardDescription>
+                <CardDescription className="text-gray-600">{t("extras.descripcion")}</CardDescription>
+              </div>
+              <div className="flex gap-2">
+                <Select value="" onValueChange={insertarPlantilla}>
+                  <SelectTrigger className="w-64 bg-white"><SelectValue placeholder={t("extras.insertarPlantilla")} /></SelectTrigger>
+                  <SelectContent>{plantillas.map(t => <SelectItem key={t.id} value={t.id}>{t.nombre}</SelectItem>)}</SelectContent>
+                </Select>
+                <Button onClick={addExtraRow} variant="outline" className="gap-2 border-red-600 text-red-600 hover:bg-red-50">
+                  <Plus className="w-4 h-4" />{t("extras.agregar")}
+                </Button>
               </div>
-              <Button onClick={addExtraRow} variant="outline" className="gap-2 border-red-600 text-red-600 hover:bg-red-50">
-                <Plus className="w-4 h-4" />Agregar
-              </Button>
             </div>
           </CardHeader>
           {extras.length > 0 && (
@@ -436,32 +876,37 @@ export default function CableCostEstimator() {
                 <table className="w-full">
                   <thead>
                     <tr className="border-b">
-                      <th className="text-left py-3 px-2 text-sm font-medium">Incl.</th>
-                      <th className="text-left py-3 px-2 text-sm font-medium">Componente</th>
-                      <th className="text-left py-3 px-2 text-sm font-medium">Cat.</th>
-                      <th className="text-left py-3 px-2 text-sm font-medium">Tipo</th>
-                      <th className="text-left py-3 px-2 text-sm font-medium">Precio</th>
+                      <th className="text-left py-3 px-2 text-sm font-medium">{t("extras.incluye")}</th>
+                      <th className="text-left py-3 px-2 text-sm font-medium">{t("extras.componente")}</th>
+                      <th className="text-left py-3 px-2 text-sm font-medium">{t("extras.categoria")}</th>
+                      <th className="text-left py-3 px-2 text-sm font-medium">{t("extras.tipo")}</th>
+                      <th className="text-left py-3 px-2 text-sm font-medium">{t("extras.precio")}</th>
                       <th className="text-left py-3 px-2 text-sm font-medium">kg/m</th>
                       <th className="text-left py-3 px-2 text-sm font-medium">m</th>
-                      <th className="text-right py-3 px-2 text-sm font-medium">Costo</th>
+                      <th className="text-right py-3 px-2 text-sm font-medium">{t("extras.costo")}</th>
                       <th className="py-3 px-2"></th>
                     </tr>
                   </thead>
                   <tbody>
-                    {extras.map((r) => {
-                      const costo = !r.incluye ? 0 : (r.tipoPrecio === "$/kg" ? r.kgPorMetro * r.precio : r.metros * r.precio);
+                    {extras.map((r, i) => {
+                      const fila = filas.find(f => f.id === r.id) ?? r; // con el precio de la lista y los kg/m de la regla
+                      const costo = costoFila(fila);
+                      const campoPrecio = r.plantilla !== undefined ? `pxPlantillas.${r.plantilla}` : `extras[${i}].precio`;
                       return (
                         <tr key={r.id} className="border-b last:border-0">
                           <td className="py-3 px-2">
                             <input type="checkbox" checked={!!r.incluye} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, incluye: e.target.checked } : x))} className="w-4 h-4 rounded" />
                           </td>
-                          <td className="py-3 px-2"><Input value={r.nombre} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, nombre: e.target.value } : x))} className="h-8" /></td>
+                          <td className="py-3 px-2">
+                            <Input value={r.nombre} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, nombre: e.target.value } : x))} className={`h-8 ${err(`extras[${i}].nombre`) ? "border-red-600" : ""}`} title={err(`extras[${i}].nombre`)} />
+                            {r.plantilla !== undefined && <p className="text-xs text-gray-500 mt-1">{t("extras.plantilla", { nombre: plantillas.find(p => p.id === r.plantilla)?.nombre ?? r.plantilla })}</p>}
+                          </td>
                           <td className="py-3 px-2 w-32">
                             <Select value={r.categoria || "Materia"} onValueChange={(v) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, categoria: v as any } : x))}>
                               <SelectTrigger className="h-8"><SelectValue /></SelectTrigger>
                               <SelectContent>
-                                <SelectItem value="Materia">Materia</SelectItem>
-                                <SelectItem value="Proceso">Proceso</SelectItem>
+                                <SelectItem value="Materia">{t("categoria.Materia")}</SelectItem>
+                                <SelectItem value="Proceso">{t("categoria.Proceso")}</SelectItem>
                               </SelectContent>
                             </Select>
                           </td>
@@ -474,11 +919,23 @@ export default function CableCostEstimator() {
                               </SelectContent>
                             </Select>
                           </td>
-                          <td className="py-3 px-2 w-24"><Input type="number" step="0.0001" value={r.precio} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, precio: parseFloat(e.target.value) || 0 } : x))} className="h-8" /></td>
-                          <td className="py-3 px-2 w-24"><Input type="number" step="0.0001" value={r.kgPorMetro} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, kgPorMetro: parseFloat(e.target.value) || 0 } : x))} className="h-8" /></td>
-                          <td className="py-3 px-2 w-20"><Input type="number" step="0.0001" value={r.metros} onChange={(e) => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, metros: parseFloat(e.target.value) || 0 } : x))} className="h-8" /></td>
-                          <td className="py-3 px-2 text-right font-medium">{formatUSD(costo)}</td>
-                          <td className="py-3 px-2"><Button size="icon" variant="ghost" onClick={() => removeExtraRow(r.id)}><Trash2 className="w-4 h-4" /></Button></td>
+                          <td className="py-3 px-2 w-24">
+                            {/* El precio de una plantilla es el de la lista: editarlo cambia todas sus filas. */}
+                            <NumberInput step="0.0001" value={fila.precio} onValueChange={n => r.plantilla !== undefined
+                              ? setPxPlantillas(prev => ({ ...prev, [r.plantilla!]: n }))
+                              : setExtras(prev => prev.map(x => x.id === r.id ? { ...x, precio: n } : x))} error={err(campoPrecio)} className="h-8" />
+                          </td>
+                          <td className="py-3 px-2 w-28">
+                            {/* Escribir kg/m en una fila con regla la pasa a kg/m fijos. */}
+                            <NumberInput step="0.0001" value={r.reglaKg ? round(fila.kgPorMetro) : r.kgPorMetro} onValueChange={n => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, kgPorMetro: n, reglaKg: undefined } : x))} error={err(`extras[${i}].kgPorMetro`)} className="h-8" />
+                            {r.reglaKg && <p className="text-xs text-gray-500 mt-1">{describirRegla(r.reglaKg)}</p>}
+                          </td>
+                          <td className="py-3 px-2 w-20"><NumberInput step="0.0001" value={r.metros} onValueChange={n => setExtras(prev => prev.map(x => x.id === r.id ? { ...x, metros: n } : x))} error={err(`extras[${i}].metros`)} className="h-8" /></td>
+                          <td className="py-3 px-2 text-right font-medium">{usd(costo)}</td>
+                          <td className="py-3 px-2 whitespace-nowrap">
+                            <Button size="icon" variant="ghost" disabled={r.plantilla !== undefined || !r.nombre.trim()} title={t("extras.guardarPlantilla")} onClick={() => guardarComoPlantilla(fila)}><Save className="w-4 h-4" /></Button>
+                            <Button size="icon" variant="ghost" onClick={() => removeExtraRow(r.id)}><Trash2 className="w-4 h-4" /></Button>
+                          </td>
                         </tr>
                       );
                     })}
@@ -493,54 +950,54 @@ export default function CableCostEstimator() {
           <CardHeader className="bg-gray-100 border-b border-gray-300">
             <CardTitle className="flex items-center gap-2 text-gray-900">
               <Package className="w-5 h-5 text-red-600" />
-              Desglose Detallado
+              {t("desglose.titulo")}
             </CardTitle>
-            <CardDescription className="text-gray-600">Análisis completo de costos</CardDescription>
+            <CardDescription className="text-gray-600">{t("desglose.descripcion")}</CardDescription>
           </CardHeader>
           <CardContent>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="space-y-2">
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Subtotal Materiales</span>
-                  <span className="text-lg font-semibold text-gray-900">{formatUSD(subtotalMaterias)}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.subtotalMateriales")}</span>
+                  <span className="text-lg font-semibold text-gray-900">{usd(subtotalMaterias)}</span>
                 </div>
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Mermas ({mermasPct}%)</span>
-                  <span className="text-lg font-semibold text-gray-900">{formatUSD(mermasUSDm)}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.mermasNetas")}</span>
+                  <span className="text-lg font-semibold text-gray-900">{usd(mermasUSDm)}</span>
                 </div>
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Subtotal Procesos</span>
-                  <span className="text-lg font-semibold text-gray-900">{formatUSD(subtotalProcesos)}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.subtotalProcesos")}</span>
+                  <span className="text-lg font-semibold text-gray-900">{usd(subtotalProcesos)}</span>
                 </div>
               </div>
 
               <div className="space-y-2">
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Costo Fábrica</span>
-                  <span className="text-2xl font-bold text-gray-900">{formatUSD(costoFabrica)}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.costoFabrica")}</span>
+                  <span className="text-2xl font-bold text-gray-900">{usd(costoFabrica)}</span>
                 </div>
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Margen ({margenPct}%)</span>
-                  <span className="text-lg font-semibold text-gray-900">{formatUSD(costoFabrica * (margenPct / 100))}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.margen", { pct: formatNumero(margenPct, 2, locale) })}</span>
+                  <span className="text-lg font-semibold text-gray-900">{usd(margenUSDm)}</span>
                 </div>
               </div>
 
               <div className="space-y-2">
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Lista (USD/m)</span>
-                  <span className="text-2xl font-bold text-red-600">{formatUSD(precioListaUSDm)}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.lista", { moneda: "USD" })}</span>
+                  <span className="text-2xl font-bold text-red-600">{usd(precioListaUSDm)}</span>
                 </div>
                 <div className="flex justify-between items-baseline">
-                  <span className="text-sm text-gray-600">Lista (ARS/m)</span>
-                  <span className="text-2xl font-bold text-red-700">${new Intl.NumberFormat().format(Math.round(precioListaARSm))}</span>
+                  <span className="text-sm text-gray-600">{t("desglose.lista", { moneda })}</span>
+                  <span className="text-2xl font-bold text-red-700">{formatMoneda(precioListaSalidaM, moneda, undefined, locale)}</span>
                 </div>
               </div>
             </div>
 
             <div className="mt-6 p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
               <p className="text-sm text-gray-700">
-                <strong>Configuración:</strong> {metal} • {seccion} mm² • {fases} fase(s) • {tipologia} • {tension} • 
-                Vaina {SHEATH_MULTIPLIERS.find(s => s.key === sheathKey)?.label} • Pantalla {pantallaMM2} mm²
+                <strong>{t("desglose.configuracion")}:</strong> {t(`metal.${metal}`)} • {seccion} mm² • {t("desglose.fases", { n: fases })} • {t(`tipologia.${tipologia}`)} • {tension} • {t("termino.aislacion")} {aislacion} •{" "}
+                {t("termino.vaina")} {sheathLabel(sheathKey, idioma)} • {t("termino.pantalla")} {pantallaMM2} mm²
               </p>
             </div>
           </CardContent>
@@ -548,4 +1005,5 @@ export default function CableCostEstimator() {
       </div>
     </div>
   );
+  return <IdiomaContext.Provider value={idioma}>{pantalla}</IdiomaContext.Provider>;
 }
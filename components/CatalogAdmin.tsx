@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowLeft, Boxes, Layers, Library, Plus, RotateCcw, Ruler, Save, Trash2, Zap } from "lucide-react";
+import LanguageSelect, { IdiomaContext, useIdioma } from "@/components/LanguageSelect";
+import NumberInput from "@/components/NumberInput";
+import { CATALOGO_BASE, cargarCatalogo, catalogStore, parseCatalogo, usarCatalogo, type Catalogo, type TensionCatalogo } from "@/lib/catalog";
+import { idiomaRecordado, recordarIdioma, traductor, type Idioma } from "@/lib/i18n";
+import { MATERIALES_AISLACION, TABLA_AISLACION } from "@/lib/insulation";
+
+/**
+ * Administración del catálogo — metales, aislaciones, vainas, tensiones,
+ * secciones y pantallas que ofrece el estimador, con el código de cada opción.
+ * Los cambios se validan y guardan juntos con "Guardar"; las aislaciones y
+ * tensiones se eligen entre las que tienen tabla en `data/aislacion.json`.
+ * El idioma es el recordado en el navegador, como en el estimador.
+ */
+
+const CARD = "border-2 border-gray-300 shadow-sm";
+const HEADER = "bg-gray-100 border-b border-gray-300";
+
+const enOrdenDeTabla = (ts: TensionCatalogo[]) => TABLA_AISLACION.tensiones.flatMap(c => ts.filter(t => t.tension === c.tension));
+
+function Medidas({ titulo, valores, cero, onChange }: { titulo: string; valores: number[]; cero: boolean; onChange: (v: number[]) => void }) {
+  const { t } = useIdioma();
+  const [nueva, setNueva] = useState<number>(NaN);
+  const valida = Number.isFinite(nueva) && (cero ? nueva >= 0 : nueva > 0) && !valores.includes(nueva);
+
+  return (
+    <div className="space-y-3">
+      <Label>{titulo}</Label>
+      <div className="flex flex-wrap gap-2">
+        {valores.map(v => (
+          <span key={v} className="flex items-center gap-1 rounded-md border border-gray-300 bg-white px-2 py-1 text-sm">
+            {v === 0 ? t("catalogo.sinPantalla") : `${v} mm²`}
+            <button type="button" className="text-gray-500 hover:text-red-600" onClick={() => onChange(valores.filter(x => x !== v))} title={t("catalogo.quitar")}>
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-2 max-w-xs">
+        <NumberInput step="1" min={0} value={nueva} onValueChange={setNueva} placeholder="mm²" />
+        <Button variant="outline" disabled={!valida} onClick={() => { onChange([...valores, nueva].sort((a, b) => a - b)); setNueva(NaN); }}>
+          <Plus className="w-4 h-4 mr-1" />{t("comun.agregar")}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default function CatalogAdmin() {
+  const [idioma, setIdioma] = useState<Idioma>("es");
+  useEffect(() => {
+    const i = idiomaRecordado();
+    if (i) setIdioma(i);
+  }, []);
+  const t = traductor(idioma);
+  function elegirIdioma(i: Idioma) {
+    setIdioma(i);
+    recordarIdioma(i);
+  }
+
+  const [borrador, setBorrador] = useState<Catalogo>(CATALOGO_BASE);
+  const [errores, setErrores] = useState<string[]>([]);
+  const [aviso, setAviso] = useState<string | null>(null);
+
+  useEffect(() => {
+    cargarCatalogo().then(setBorrador).catch(err => setErrores([(err as Error).message]));
+  }, []);
+
+  const cambiar = (c: Partial<Catalogo>) => {
+    setBorrador(prev => ({ ...prev, ...c }));
+    setAviso(null);
+  };
+
+  async function guardar() {
+    setErrores([]);
+    try {
+      const c = await catalogStore.save(parseCatalogo({ ...borrador, actualizado: new Date().toISOString() }));
+      usarCatalogo(c);
+      setBorrador(c);
+      setAviso(t("catalogo.guardado"));
+    } catch (err) {
+      setErrores((err as Error).message.split("; "));
+    }
+  }
+
+  const aislacion = (key: string) => borrador.aislaciones.find(a => a.key === key);
+  const tension = (v: string) => borrador.tensiones.find(x => x.tension === v);
+
+  const pantalla = (
+    <div className="min-h-screen bg-gray-50">
+      <div className="border-b-4 border-red-600 bg-white sticky top-0 z-40 shadow-sm">
+        <div className="container mx-auto px-4 py-6 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-red-600 rounded-lg"><Library className="w-6 h-6 text-white" /></div>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">{t("catalogo.titulo")}</h1>
+              <p className="text-gray-600 mt-1">
+                {t("catalogo.descripcion")} • {borrador.actualizado ? t("catalogo.guardadoEl", { fecha: borrador.actualizado.slice(0, 16).replace("T", " ") }) : t("catalogo.deFabrica")}
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <LanguageSelect value={idioma} onChange={elegirIdioma} />
+            <Button asChild size="lg" variant="outline" className="gap-2">
+              <a href="/"><ArrowLeft className="w-4 h-4" />{t("catalogo.estimador")}</a>
+            </Button>
+            <Button size="lg" variant="outline" className="gap-2" onClick={() => cambiar({ ...CATALOGO_BASE, actualizado: borrador.actualizado })} title={t("catalogo.fabricaAyuda")}>
+              <RotateCcw className="w-4 h-4" />{t("catalogo.fabrica")}
+            </Button>
+            <Button size="lg" className="gap-2 bg-red-600 hover:bg-red-700 text-white" onClick={guardar}>
+              <Save className="w-4 h-4" />{t("cotizaciones.guardar")}
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-8 space-y-6">
+        {errores.length > 0 && (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-3">
+            <p className="font-medium">{t("catalogo.noGuardado")}</p>
+            <ul className="list-disc pl-5">{errores.map(e => <li key={e}>{e}</li>)}</ul>
+          </div>
+        )}
+        {aviso && <p className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-md p-2">{aviso}</p>}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Card className={CARD}>
+            <CardHeader className={HEADER}>
+              <CardTitle className="flex items-center gap-2 text-gray-900"><Boxes className="w-5 h-5 text-red-600" />{t("catalogo.materiales")}</CardTitle>
+              <CardDescription className="text-gray-600">{t("catalogo.materialesDescripcion")}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6 pt-6">
+              <div className="space-y-2 max-w-xs">
+                <Label>{t("catalogo.prefijo")}</Label>
+                <Input value={borrador.prefijo} onChange={e => cambiar({ prefijo: e.target.value })} />
+              </div>
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.metal")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.codigo")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.densidad")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {borrador.metales.map((m, i) => (
+                    <tr key={m.key} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm">{t(`metal.${m.key}`)}</td>
+                      <td className="py-2 px-2"><Input value={m.codigo} onChange={e => cambiar({ metales: borrador.metales.map((x, j) => (j === i ? { ...x, codigo: e.target.value } : x)) })} /></td>
+                      <td className="py-2 px-2"><NumberInput step="1" value={m.densidadKgM3} onValueChange={n => cambiar({ metales: borrador.metales.map((x, j) => (j === i ? { ...x, densidadKgM3: n } : x)) })} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("espec.aislacion")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.enCatalogo")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.codigo")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {MATERIALES_AISLACION.map(m => {
+                    const a = aislacion(m.key);
+                    return (
+                      <tr key={m.key} className="border-b last:border-0">
+                        <td className="py-2 px-2 text-sm">{m.label}</td>
+                        <td className="py-2 px-2">
+                          <input type="checkbox" className="w-4 h-4 rounded" checked={!!a}
+                            onChange={e => cambiar({ aislaciones: e.target.checked ? [...borrador.aislaciones, { key: m.key, codigo: m.key }] : borrador.aislaciones.filter(x => x.key !== m.key) })} />
+                        </td>
+                        <td className="py-2 px-2">
+                          <Input value={a?.codigo ?? ""} disabled={!a} placeholder={t("catalogo.estandar")} onChange={e => cambiar({ aislaciones: borrador.aislaciones.map(x => (x.key === m.key ? { ...x, codigo: e.target.value } : x)) })} />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </CardContent>
+          </Card>
+
+          <Card className={CARD}>
+            <CardHeader className={HEADER}>
+              <CardTitle className="flex items-center gap-2 text-gray-900"><Zap className="w-5 h-5 text-red-600" />{t("catalogo.tensiones")}</CardTitle>
+              <CardDescription className="text-gray-600">{t("catalogo.tensionesDescripcion")}</CardDescription>
+            </CardHeader>
+            <CardContent className="pt-6">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("espec.tension")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.enCatalogo")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.codigo")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {TABLA_AISLACION.tensiones.map(c => {
+                    const elegida = tension(c.tension);
+                    return (
+                      <tr key={c.tension} className="border-b last:border-0">
+                        <td className="py-2 px-2 text-sm">{c.tension}<span className="block text-xs text-gray-500">{c.clase} • {c.norma}</span></td>
+                        <td className="py-2 px-2">
+                          <input type="checkbox" className="w-4 h-4 rounded" checked={!!elegida}
+                            onChange={e => cambiar({
+                              tensiones: e.target.checked
+                                ? enOrdenDeTabla([...borrador.tensiones, { tension: c.tension, codigo: c.tension.replace(/\s*kV$/, "") }])
+                                : borrador.tensiones.filter(x => x.tension !== c.tension),
+                            })} />
+                        </td>
+                        <td className="py-2 px-2">
+                          <Input value={elegida?.codigo ?? ""} disabled={!elegida} onChange={e => cambiar({ tensiones: borrador.tensiones.map(x => (x.tension === c.tension ? { ...x, codigo: e.target.value } : x)) })} />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </CardContent>
+          </Card>
+        </div>
+
+        <Card className={CARD}>
+          <CardHeader className={HEADER}>
+            <CardTitle className="flex items-center gap-2 text-gray-900"><Layers className="w-5 h-5 text-red-600" />{t("catalogo.vainas")}</CardTitle>
+            <CardDescription className="text-gray-600">{t("catalogo.vainasDescripcion")}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-6">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.clave")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.nombre")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.codigo")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.factor")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("catalogo.densidad")}</th>
+                    <th className="py-2 px-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {borrador.vainas.map((v, i) => {
+                    const set = (c: Partial<typeof v>) => cambiar({ vainas: borrador.vainas.map((x, j) => (j === i ? { ...x, ...c } : x)) });
+                    return (
+                      <tr key={i} className="border-b last:border-0">
+                        <td className="py-2 px-2"><Input value={v.key} onChange={e => set({ key: e.target.value })} /></td>
+                        <td className="py-2 px-2"><Input value={v.label} onChange={e => set({ label: e.target.value })} /></td>
+                        <td className="py-2 px-2"><Input value={v.codigo} onChange={e => set({ codigo: e.target.value })} /></td>
+                        <td className="py-2 px-2"><NumberInput step="0.01" value={v.factor} onValueChange={n => set({ factor: n })} /></td>
+                        <td className="py-2 px-2"><NumberInput step="1" value={v.densidadKgM3} onValueChange={n => set({ densidadKgM3: n })} /></td>
+                        <td className="py-2 px-2 text-right">
+                          <Button variant="ghost" size="icon" onClick={() => cambiar({ vainas: borrador.vainas.filter((_, j) => j !== i) })} title={t("catalogo.quitar")}>
+                            <Trash2 className="w-4 h-4 text-red-600" />
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <Button variant="outline" onClick={() => cambiar({ vainas: [...borrador.vainas, { key: "", label: "", codigo: "", factor: 1, densidadKgM3: 1450 }] })}>
+              <Plus className="w-4 h-4 mr-1" />{t("catalogo.agregarVaina")}
+            </Button>
+          </CardContent>
+        </Card>
+
+        <Card className={CARD}>
+          <CardHeader className={HEADER}>
+            <CardTitle className="flex items-center gap-2 text-gray-900"><Ruler className="w-5 h-5 text-red-600" />{t("catalogo.medidas")}</CardTitle>
+            <CardDescription className="text-gray-600">{t("catalogo.medidasDescripcion")}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 lg:grid-cols-2 gap-6 pt-6">
+            <Medidas titulo={t("espec.seccion")} valores={borrador.secciones} cero={false} onChange={secciones => cambiar({ secciones })} />
+            <Medidas titulo={t("catalogo.pantallas")} valores={borrador.pantallas} cero onChange={pantallas => cambiar({ pantallas })} />
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+
+  return <IdiomaContext.Provider value={idioma}>{pantalla}</IdiomaContext.Provider>;
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Label } from "@/components/ui/label";
+import { Printer, Eye, EyeOff } from "lucide-react";
+import OfferDocument from "@/components/OfferDocument";
+import LanguageSelect, { useIdioma } from "@/components/LanguageSelect";
+import { terminosEnIdioma, type NivelDetalle, type OfferDoc, type OfferTerms } from "@/lib/commercial-offer";
+
+/**
+ * Oferta comercial — condiciones, nivel de detalle, vista previa e impresión.
+ * La impresión usa la hoja de estilos de impresión (ver `styles/globals.css`):
+ * sólo se imprime el documento, y "Guardar como PDF" del navegador genera el PDF.
+ * Con `bloqueo` (errores o aprobación pendiente) no se imprime.
+ * El idioma de la oferta se elige aparte del de la UI (cliente extranjero).
+ */
+
+type Props = {
+  doc: OfferDoc;
+  terms: OfferTerms;
+  onTermsChange: (terms: OfferTerms) => void;
+  bloqueo: string | null;
+};
+
+export default function CommercialOfferPanel({ doc, terms, onTermsChange, bloqueo }: Props) {
+  const { t } = useIdioma();
+  const [preview, setPreview] = useState(false);
+  const set = (cambios: Partial<OfferTerms>) => onTermsChange({ ...terms, ...cambios });
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-gray-900">
+              <Printer className="w-5 h-5 text-red-600" />
+              {t("ofertaPanel.titulo")}
+            </CardTitle>
+            <CardDescription className="text-gray-600">
+              {doc.meta.cliente ? <>{t("ofertaPanel.para")} <strong>{doc.meta.cliente}</strong> • {t("ofertaPanel.validaHasta", { fecha: doc.validoHasta })}</> : t("ofertaPanel.sinCliente")}
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" className="gap-2" onClick={() => setPreview(p => !p)}>
+              {preview ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}{t("ofertaPanel.vistaPrevia")}
+            </Button>
+            <Button onClick={() => window.print()} disabled={!!bloqueo} title={bloqueo ?? undefined} className="gap-2 bg-red-600 hover:bg-red-700 text-white">
+              <Printer className="w-4 h-4" />{t("ofertaPanel.imprimir")}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <Label>{t("ofertaPanel.idioma")}</Label>
+            <LanguageSelect value={terms.idioma} onChange={i => onTermsChange(terminosEnIdioma(terms, i))} className="w-full" />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("ofertaPanel.nivel")}</Label>
+            <Select value={terms.nivel} onValueChange={(v) => set({ nivel: v as NivelDetalle })}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="cliente">{t("ofertaPanel.nivelCliente")}</SelectItem>
+                <SelectItem value="interno">{t("ofertaPanel.nivelInterno")}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>{t("ofertaPanel.validez")}</Label>
+            <Input type="number" step="1" min="0" value={terms.validezDias} onChange={e => set({ validezDias: parseInt(e.target.value) || 0 })} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("oferta.condicionesPago")}</Label>
+            <Input value={terms.condicionesPago} onChange={e => set({ condicionesPago: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("oferta.plazoEntrega")}</Label>
+            <Input value={terms.plazoEntrega} onChange={e => set({ plazoEntrega: e.target.value })} />
+          </div>
+          <div className="flex items-center space-x-2 md:col-span-3">
+            <input type="checkbox" id="clausulaMetal" checked={terms.clausulaMetal} onChange={e => set({ clausulaMetal: e.target.checked })} className="w-4 h-4 rounded" />
+            <Label htmlFor="clausulaMetal">{t("ofertaPanel.clausula")}</Label>
+          </div>
+          <div className="space-y-2 md:col-span-4">
+            <Label>{t("oferta.observaciones")}</Label>
+            <Input value={terms.observaciones} onChange={e => set({ observaciones: e.target.value })} placeholder={t("ofertaPanel.observacionesEjemplo")} />
+          </div>
+        </div>
+
+        {preview && (
+          <div className="border-2 border-gray-200 rounded-lg p-8">
+            <OfferDocument doc={doc} />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
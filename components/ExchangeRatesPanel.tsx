@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ArrowLeftRight, Check, Download, Plus, Trash2, Upload } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import {
+  nuevaTabla, parseTablasCambioCSV, tablaCambioStore, tablasCambioToCSV, tablaVigente,
+  type TablaCambio, type TiposCambio,
+} from "@/lib/currency";
+import { formatNumero } from "@/lib/format";
+import { downloadBlob } from "@/lib/utils";
+
+/**
+ * Tipos de cambio — tablas fechadas cargadas a mano o importadas de CSV
+ * (`fecha,ARS,EUR,BRL`). "Aplicar" copia las tasas a la cotización, que las
+ * guarda junto con sus precios.
+ */
+
+type Props = {
+  tasas: TiposCambio;   // tipos de cambio actuales del formulario
+  fecha: string;        // fecha de la cotización
+  onApply: (tasas: TiposCambio) => void;
+};
+
+const hoy = () => new Date().toISOString().slice(0, 10);
+
+export default function ExchangeRatesPanel({ tasas, fecha, onApply }: Props) {
+  const { locale, t } = useIdioma();
+  const [tablas, setTablas] = useState<TablaCambio[]>([]);
+  const [nueva, setNueva] = useState<TiposCambio & { fecha: string }>({ ...tasas, fecha: hoy() });
+  const [error, setError] = useState<string | null>(null);
+  const fileRef = useRef<HTMLInputElement>(null);
+
+  async function reload() {
+    setTablas((await tablaCambioStore.list()).sort((a, b) => b.fecha.localeCompare(a.fecha)));
+  }
+
+  useEffect(() => {
+    reload().catch(err => setError((err as Error).message));
+  }, []);
+
+  const vigente = tablaVigente(tablas, fecha);
+
+  async function agregar() {
+    setError(null);
+    try {
+      const { fecha: f, ...tc } = nueva;
+      const tabla = nuevaTabla(f, tc);
+      // Una tabla por fecha: la nueva reemplaza a la que ya existía.
+      const previa = tablas.find(x => x.fecha === tabla.fecha);
+      await tablaCambioStore.save(previa ? { ...tabla, id: previa.id } : tabla);
+      await reload();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  async function importar(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    try {
+      for (const tabla of parseTablasCambioCSV(await file.text(), tasas)) {
+        const previa = tablas.find(x => x.fecha === tabla.fecha);
+        await tablaCambioStore.save(previa ? { ...tabla, id: previa.id } : tabla);
+      }
+      await reload();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  async function eliminar(id: string) {
+    setError(null);
+    try {
+      await tablaCambioStore.remove(id);
+      await reload();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  const num = (v: string) => parseFloat(v) || 0;
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-gray-900">
+              <ArrowLeftRight className="w-5 h-5 text-red-600" />
+              {t("cambio.titulo")}
+            </CardTitle>
+            <CardDescription className="text-gray-600">
+              {t("cambio.actual", { ars: formatNumero(tasas.tcARS, 4, locale), eur: formatNumero(tasas.tcEUR, 4, locale), brl: formatNumero(tasas.tcBRL, 4, locale) })}
+              {" • "}{vigente ? t("cambio.vigente", { fecha, tabla: vigente.fecha }) : t("cambio.sinVigente", { fecha })}
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" className="gap-2" onClick={() => vigente && onApply(vigente.tasas)} disabled={!vigente}>
+              <Check className="w-4 h-4" />{t("cambio.aplicarVigente")}
+            </Button>
+            <Button variant="outline" size="icon" onClick={() => downloadBlob(tablasCambioToCSV(tablas), "tipos_cambio.csv", "text/csv;charset=utf-8;")} disabled={tablas.length === 0} title={t("app.exportarCSV")}>
+              <Download className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div className="space-y-2"><Label>{t("antecedentes.fecha")}</Label><Input type="date" value={nueva.fecha} onChange={e => setNueva(n => ({ ...n, fecha: e.target.value }))} /></div>
+          <div className="space-y-2"><Label>{t("cambio.porUSD", { moneda: "ARS" })}</Label><Input type="number" step="0.01" value={nueva.tcARS} onChange={e => setNueva(n => ({ ...n, tcARS: num(e.target.value) }))} /></div>
+          <div className="space-y-2"><Label>{t("cambio.porUSD", { moneda: "EUR" })}</Label><Input type="number" step="0.0001" value={nueva.tcEUR} onChange={e => setNueva(n => ({ ...n, tcEUR: num(e.target.value) }))} /></div>
+          <div className="space-y-2"><Label>{t("cambio.porUSD", { moneda: "BRL" })}</Label><Input type="number" step="0.0001" value={nueva.tcBRL} onChange={e => setNueva(n => ({ ...n, tcBRL: num(e.target.value) }))} /></div>
+          <div className="flex gap-2">
+            <Button onClick={agregar} className="gap-2 bg-red-600 hover:bg-red-700 text-white"><Plus className="w-4 h-4" />{t("comun.agregar")}</Button>
+            <Button variant="outline" className="gap-2" onClick={() => fileRef.current?.click()}><Upload className="w-4 h-4" />{t("app.importar")}</Button>
+            <input ref={fileRef} type="file" accept=".csv" className="hidden" onChange={importar} />
+          </div>
+        </div>
+
+        {tablas.length === 0 ? (
+          <p className="text-sm text-gray-600">{t("cambio.sinTablas")}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.fecha")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">ARS</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">EUR</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">BRL</th>
+                  <th className="text-left py-2 px-2 text-sm font-medium">{t("cambio.origen")}</th>
+                  <th className="py-2 px-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {tablas.map(tabla => (
+                  <tr key={tabla.id} className={`border-b last:border-0 ${tabla.id === vigente?.id ? "bg-red-50" : ""}`}>
+                    <td className="py-2 px-2 text-sm">{tabla.fecha}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatNumero(tabla.tasas.tcARS, 4, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatNumero(tabla.tasas.tcEUR, 4, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatNumero(tabla.tasas.tcBRL, 4, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-gray-600">{t(tabla.origen === "importada" ? "cambio.importada" : "cambio.manual")}</td>
+                    <td className="py-2 px-2 whitespace-nowrap text-right">
+                      <Button size="icon" variant="ghost" onClick={() => onApply(tabla.tasas)} title={t("cambio.aplicar")}><Check className="w-4 h-4" /></Button>
+                      <Button size="icon" variant="ghost" onClick={() => eliminar(tabla.id)} title={t("comun.eliminar")}><Trash2 className="w-4 h-4" /></Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
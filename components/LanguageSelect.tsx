@@ -0,0 +1,36 @@
+import React, { createContext, useContext, useMemo } from "react";
+import { Languages } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { IDIOMAS, localeDe, traductor, type Idioma } from "@/lib/i18n";
+
+/**
+ * Idioma de la UI: el estimador lo provee con `IdiomaContext` y cada
+ * componente toma el traductor y la configuración regional con `useIdioma`.
+ * Fuera de un proveedor (pruebas, páginas sueltas) es español.
+ */
+
+export const IdiomaContext = createContext<Idioma>("es");
+
+export function useIdioma() {
+  const idioma = useContext(IdiomaContext);
+  return useMemo(() => ({ idioma, locale: localeDe(idioma), t: traductor(idioma) }), [idioma]);
+}
+
+type Props = {
+  value: Idioma;
+  onChange: (idioma: Idioma) => void;
+  className?: string;
+};
+
+export default function LanguageSelect({ value, onChange, className = "w-36" }: Props) {
+  const { t } = useIdioma();
+  return (
+    <div className="flex items-center gap-2" title={t("app.idioma")}>
+      <Languages className="w-5 h-5 text-gray-600" />
+      <Select value={value} onValueChange={v => onChange(v as Idioma)}>
+        <SelectTrigger className={className}><SelectValue /></SelectTrigger>
+        <SelectContent>{IDIOMAS.map(i => <SelectItem key={i.key} value={i.key}>{i.label}</SelectItem>)}</SelectContent>
+      </Select>
+    </div>
+  );
+}
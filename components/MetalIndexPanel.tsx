@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Gauge, RefreshCw, Check } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import type { EstimateInput } from "@/lib/cost-engine";
+import { indexarCotizacion, indexarOferta, indexarPrecio, lmeBase, type LME } from "@/lib/indexation";
+import type { OfferLine, OfferPricing } from "@/lib/offer";
+import { quoteStore, type Quote } from "@/lib/quotes";
+
+/**
+ * Indexación por metal — LME actual contra el LME base de la cotización abierta
+ * y de las guardadas. "Rebasar" lleva el LME nuevo a los precios de metal.
+ */
+
+type Props = {
+  input: EstimateInput;
+  lineas: OfferLine[];
+  pricing: OfferPricing;
+  onRebase: (nuevo: LME) => void;
+};
+
+const formatKgm = (n: number, locale: string) => `${formatNumero(n, 3, locale)} kg/m`;
+const pct = (n: number, locale: string) => `${n > 0 ? "+" : ""}${formatNumero(n, 2, locale)}%`;
+
+export default function MetalIndexPanel({ input, lineas, pricing, onRebase }: Props) {
+  const { locale, t } = useIdioma();
+  const [nuevo, setNuevo] = useState<LME>(() => lmeBase(input));
+  const [guardadas, setGuardadas] = useState<Quote[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const actual = useMemo(() => indexarPrecio(input, nuevo), [input, nuevo]);
+  const oferta = useMemo(() => (lineas.length ? indexarOferta(lineas, pricing, nuevo) : null), [lineas, pricing, nuevo]);
+  const recalculadas = useMemo(() => (guardadas ?? []).map(q => indexarCotizacion(q, nuevo)), [guardadas, nuevo]);
+
+  async function recalcular() {
+    setError(null);
+    try {
+      setGuardadas(await quoteStore.list());
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Gauge className="w-5 h-5 text-red-600" />
+          {t("indexacion.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("indexacion.descripcion", { cu: actual.base.cuUSDt, al: actual.base.alUSDt })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="space-y-2"><Label>{t("indexacion.lmeCu")}</Label><Input type="number" step="1" value={nuevo.cuUSDt} onChange={e => setNuevo(n => ({ ...n, cuUSDt: parseFloat(e.target.value) || 0 }))} /></div>
+          <div className="space-y-2"><Label>{t("indexacion.lmeAl")}</Label><Input type="number" step="1" value={nuevo.alUSDt} onChange={e => setNuevo(n => ({ ...n, alUSDt: parseFloat(e.target.value) || 0 }))} /></div>
+          <div className="flex gap-2 md:col-span-2">
+            <Button variant="outline" className="gap-2" onClick={recalcular}><RefreshCw className="w-4 h-4" />{t("indexacion.recalcular")}</Button>
+            <Button onClick={() => onRebase(nuevo)} className="gap-2 bg-red-600 hover:bg-red-700 text-white" title={t("indexacion.rebasarAyuda")}>
+              <Check className="w-4 h-4" />{t("indexacion.rebasar")}
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
+          <div><p className="text-xs text-gray-600">{t("indexacion.contenido")}</p><p className="text-lg font-semibold text-gray-900">{formatKgm(actual.kgmCu, locale)} / {formatKgm(actual.kgmAl, locale)}</p></div>
+          <div><p className="text-xs text-gray-600">{t("indexacion.ajuste")}</p><p className="text-lg font-semibold text-gray-900">{formatUSD(actual.ajusteUSDm, locale)} /m ({pct(actual.variacionPct, locale)})</p></div>
+          <div><p className="text-xs text-gray-600">{t("indexacion.listaAjustada", { moneda: "USD" })}</p><p className="text-lg font-bold text-red-600">{formatUSD(actual.precioUSDm, locale)}</p></div>
+          <div><p className="text-xs text-gray-600">{t("indexacion.listaAjustada", { moneda: input.moneda })}</p><p className="text-lg font-bold text-red-700">{formatMoneda(actual.precioSalidaM, input.moneda, undefined, locale)}</p></div>
+          {oferta && (
+            <div className="col-span-2 md:col-span-4"><p className="text-xs text-gray-600">{t("indexacion.oferta")}</p><p className="text-lg font-semibold text-gray-900">{formatUSD(oferta.totalUSD, locale)} ({oferta.ajusteUSD >= 0 ? "+" : ""}{formatUSD(oferta.ajusteUSD, locale)}) • {formatMoneda(oferta.totalSalida, pricing.moneda, undefined, locale)}</p></div>
+          )}
+        </div>
+
+        {guardadas && (
+          guardadas.length === 0 ? <p className="text-sm text-gray-600">{t("indexacion.sinGuardadas")}</p> : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("indexacion.cotizacion")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.lmeBase")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.listaUSD")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.ajustadaUSD")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">Δ %</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.ofertaAjustada")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recalculadas.map(({ quote: q, precio, oferta: o }) => (
+                    <tr key={q.id} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm">{q.cliente} {q.referencia && `• ${q.referencia}`} <span className="text-gray-500">({q.fecha})</span></td>
+                      <td className="py-2 px-2 text-sm text-right">{precio.base.cuUSDt} / {precio.base.alUSDt}</td>
+                      <td className="py-2 px-2 text-sm text-right">{formatUSD(precio.precioBaseUSDm, locale)}</td>
+                      <td className="py-2 px-2 text-sm text-right font-medium">{formatUSD(precio.precioUSDm, locale)}</td>
+                      <td className={`py-2 px-2 text-sm text-right ${precio.variacionPct > 0 ? "text-red-700" : precio.variacionPct < 0 ? "text-green-700" : "text-gray-500"}`}>{pct(precio.variacionPct, locale)}</td>
+                      <td className="py-2 px-2 text-sm text-right">{o ? formatUSD(o.totalUSD, locale) : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+      </CardContent>
+    </Card>
+  );
+}
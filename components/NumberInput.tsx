@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from "react";
+import { Input } from "@/components/ui/input";
+import { useIdioma } from "@/components/LanguageSelect";
+import { leerNumero, mostrarNumero } from "@/lib/format";
+import { cn } from "@/lib/utils";
+
+/**
+ * Input numérico que no convierte lo ilegible en 0: mientras el texto está
+ * vacío o no es un número informa `NaN`, y la validación lo marca como error.
+ * Conserva el texto tipeado y sólo lo reemplaza cuando el valor cambia desde
+ * afuera (lista de precios, cotización reabierta, importación).
+ * Muestra el decimal del idioma elegido, lee tanto "7,21" como "7.21" y toma
+ * el separador de miles del idioma como tal ("1,500" en inglés es 1500).
+ */
+
+type Props = Omit<React.InputHTMLAttributes<HTMLInputElement>, "type" | "value" | "onChange"> & {
+  value: number;
+  onValueChange: (n: number) => void;
+  error?: string;
+};
+
+export default function NumberInput({ value, onValueChange, error, className, ...props }: Props) {
+  const { locale } = useIdioma();
+  const [texto, setTexto] = useState(mostrarNumero(value, locale));
+
+  useEffect(() => {
+    setTexto(t => (Object.is(leerNumero(t, locale), value) ? t : mostrarNumero(value, locale)));
+  }, [value]);
+  useEffect(() => setTexto(mostrarNumero(value, locale)), [locale]);
+
+  return (
+    <div className="w-full">
+      <Input
+        {...props}
+        type="text"
+        inputMode="decimal"
+        value={texto}
+        onChange={e => {
+          setTexto(e.target.value);
+          onValueChange(leerNumero(e.target.value, locale));
+        }}
+        aria-invalid={!!error}
+        title={error}
+        className={cn(error && "border-red-600 focus-visible:ring-red-600", className)}
+      />
+      {error && <p className="text-xs text-red-700 mt-1">{error}</p>}
+    </div>
+  );
+}
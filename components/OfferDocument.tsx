@@ -0,0 +1,127 @@
+import React from "react";
+import { Zap } from "lucide-react";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import { localeDe, traductor } from "@/lib/i18n";
+import type { OfferDoc } from "@/lib/commercial-offer";
+
+/**
+ * Documento de oferta comercial, pensado para imprimir (o "Guardar como PDF"
+ * desde el navegador). Sin estado: recibe el documento ya armado por
+ * `buildCommercialOffer`, y lo escribe en el idioma de sus condiciones.
+ */
+
+export default function OfferDocument({ doc }: { doc: OfferDoc }) {
+  const { meta, terms, items, totales } = doc;
+  const t = traductor(terms.idioma);
+  const locale = localeDe(terms.idioma);
+  const porMetro = totales === null;
+  const otraMoneda = doc.moneda !== "USD";
+  const usd = (n: number) => formatUSD(n, locale);
+  const formatSalida = (n: number) => formatMoneda(n, doc.moneda, undefined, locale);
+  const formatM = (n: number) => `${formatNumero(n, 2, locale)} m`;
+  const formatKgm = (n: number) => `${formatNumero(n, 3, locale)} kg/m`;
+
+  return (
+    <article className="offer-document bg-white text-gray-900 text-sm">
+      <header className="flex items-center justify-between border-b-4 border-red-600 pb-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-3 bg-red-600 rounded-lg">
+            <Zap className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold">IMSA</h1>
+            <p className="text-gray-600">{t("oferta.empresa")}</p>
+          </div>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold">{t("oferta.titulo")}{terms.nivel === "interno" && ` — ${t("oferta.usoInterno")}`}</p>
+          {meta.referencia && <p>{t("oferta.referencia", { referencia: meta.referencia })}</p>}
+          <p>{t("oferta.fecha", { fecha: meta.fecha })}</p>
+        </div>
+      </header>
+
+      <section className="grid grid-cols-2 gap-4 mb-6">
+        <div>
+          <p className="text-xs uppercase text-gray-500">{t("oferta.cliente")}</p>
+          <p className="text-base font-semibold">{meta.cliente || "—"}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-xs uppercase text-gray-500">{t("oferta.validaHasta")}</p>
+          <p className="text-base font-semibold">{doc.validoHasta}</p>
+        </div>
+      </section>
+
+      <table className="w-full mb-6">
+        <thead>
+          <tr className="border-b-2 border-gray-300">
+            <th className="text-left py-2 px-2 font-medium">#</th>
+            <th className="text-left py-2 px-2 font-medium">{t("oferta.descripcion")}</th>
+            {!porMetro && <th className="text-right py-2 px-2 font-medium">{t("oferta.cantidad")}</th>}
+            <th className="text-right py-2 px-2 font-medium">USD/m</th>
+            {otraMoneda && <th className="text-right py-2 px-2 font-medium">{doc.moneda}/m</th>}
+            {!porMetro && <th className="text-right py-2 px-2 font-medium">{t("oferta.total", { moneda: "USD" })}</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((it, i) => (
+            <tr key={it.id} className="border-b border-gray-200 align-top">
+              <td className="py-2 px-2">{i + 1}</td>
+              <td className="py-2 px-2">
+                <p className="font-medium">{it.descripcion}</p>
+                <dl className="grid grid-cols-2 gap-x-4 text-xs text-gray-600 mt-1">
+                  {it.caracteristicas.map(c => (
+                    <div key={c.label} className="flex gap-1"><dt>{c.label}:</dt><dd>{c.valor}</dd></div>
+                  ))}
+                </dl>
+                <p className="text-xs text-gray-600 mt-1">
+                  {t("oferta.contenidoMetalico")}: {it.kgmCu > 0 && `Cu ${formatKgm(it.kgmCu)}`}{it.kgmCu > 0 && it.kgmAl > 0 && " • "}{it.kgmAl > 0 && `Al ${formatKgm(it.kgmAl)}`}
+                </p>
+                {it.interno && (
+                  <table className="w-full mt-2 text-xs text-gray-700">
+                    <tbody>
+                      {it.interno.filas.map((f, j) => (
+                        <tr key={j}><td className="pr-2">{f.categoria}</td><td className="pr-2">{f.nombre}</td><td className="text-right">{usd(f.costoUSDm)}</td></tr>
+                      ))}
+                      <tr className="border-t"><td colSpan={2}>{t("oferta.subtotalMateriales")}</td><td className="text-right">{usd(it.interno.subtotalMaterias)}</td></tr>
+                      <tr><td colSpan={2}>{t("oferta.mermasBrutas")}</td><td className="text-right">{usd(it.interno.mermasBrutasUSDm)}</td></tr>
+                      <tr><td colSpan={2}>{t("oferta.recupero")}</td><td className="text-right">{usd(-it.interno.recuperoUSDm)}</td></tr>
+                      <tr><td colSpan={2}>{t("oferta.mermasNetas")}</td><td className="text-right">{usd(it.interno.mermasUSDm)}</td></tr>
+                      <tr><td colSpan={2}>{t("oferta.subtotalProcesos")}</td><td className="text-right">{usd(it.interno.subtotalProcesos)}</td></tr>
+                      <tr className="font-semibold"><td colSpan={2}>{t("oferta.costoFabrica")}</td><td className="text-right">{usd(it.interno.costoFabrica)}</td></tr>
+                      <tr><td colSpan={2}>{t("oferta.margen", { pct: formatNumero(it.interno.margenPct, 2, locale) })}</td><td className="text-right">{usd(it.interno.margenUSDm)}</td></tr>
+                    </tbody>
+                  </table>
+                )}
+              </td>
+              {!porMetro && <td className="py-2 px-2 text-right whitespace-nowrap">{formatM(it.longitudM ?? 0)}<br /><span className="text-xs text-gray-600">{t(it.bobinas === 1 ? "oferta.bobina" : "oferta.bobinas", { n: it.bobinas })}</span></td>}
+              <td className="py-2 px-2 text-right whitespace-nowrap">{usd(it.precioUSDm)}</td>
+              {otraMoneda && <td className="py-2 px-2 text-right whitespace-nowrap">{formatSalida(it.precioSalidaM)}</td>}
+              {!porMetro && <td className="py-2 px-2 text-right whitespace-nowrap font-medium">{usd(it.totalUSD ?? 0)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {totales && (
+        <section className="flex justify-end mb-6">
+          <div className="w-72 space-y-1">
+            <div className="flex justify-between"><span>{t("oferta.metros")}</span><span>{formatM(totales.metros)}</span></div>
+            <div className="flex justify-between"><span>{t("oferta.pesoBruto")}</span><span>{formatNumero(totales.pesoBrutoKg, 0, locale)} kg</span></div>
+            <div className="flex justify-between text-base font-bold border-t-2 border-red-600 pt-1"><span>{t("oferta.total", { moneda: "USD" })}</span><span>{usd(totales.totalUSD)}</span></div>
+            {otraMoneda && <div className="flex justify-between font-semibold"><span>{t("oferta.total", { moneda: doc.moneda })}</span><span>{formatSalida(totales.totalSalida)}</span></div>}
+          </div>
+        </section>
+      )}
+
+      <section className="space-y-1 text-xs text-gray-700 border-t border-gray-300 pt-4">
+        <p><strong>{t("oferta.condicionesPago")}:</strong> {terms.condicionesPago || "—"}</p>
+        <p><strong>{t("oferta.plazoEntrega")}:</strong> {terms.plazoEntrega || "—"}</p>
+        <p><strong>{t("oferta.validez")}:</strong> {t("oferta.validezDias", { dias: terms.validezDias, fecha: doc.validoHasta })}</p>
+        {otraMoneda && <p>{t("oferta.tipoCambio", { moneda: doc.moneda, tasa: formatNumero(doc.tasa, 4, locale) })}</p>}
+        {doc.clausulaMetal && <p><strong>{t("oferta.ajusteMetal")}:</strong> {doc.clausulaMetal}</p>}
+        {terms.nivel === "interno" && <p>{t("oferta.listaPrecios", { nombre: doc.priceList.nombre, fecha: doc.priceList.vigenteDesde })}</p>}
+        {terms.observaciones && <p className="whitespace-pre-line"><strong>{t("oferta.observaciones")}:</strong> {terms.observaciones}</p>}
+      </section>
+    </article>
+  );
+}
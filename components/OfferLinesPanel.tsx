@@ -0,0 +1,110 @@
+import React, { useMemo } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ListPlus, Trash2, Upload, RefreshCw } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import type { EstimateInput } from "@/lib/cost-engine";
+import { computeOffer, descripcionCable, newOfferLine, type OfferLine, type OfferPricing } from "@/lib/offer";
+
+/**
+ * Oferta multi-línea — cada línea toma la especificación actual del formulario.
+ * Mismo patrón de edición por fila que "Componentes Personalizados".
+ */
+
+type Props = {
+  lines: OfferLine[];
+  setLines: React.Dispatch<React.SetStateAction<OfferLine[]>>;
+  input: EstimateInput;                 // configuración actual del formulario
+  pricing: OfferPricing;
+  onLoadLine: (line: OfferLine) => void; // vuelca la especificación de la línea al formulario
+};
+
+const formatKg = (n: number, locale: string) => `${formatNumero(n, 0, locale)} kg`;
+
+export default function OfferLinesPanel({ lines, setLines, input, pricing, onLoadLine }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const offer = useMemo(() => computeOffer(lines, pricing), [lines, pricing]);
+
+  function update(id: string, cambios: Partial<OfferLine>) {
+    setLines(prev => prev.map(l => (l.id === id ? { ...l, ...cambios } : l)));
+  }
+
+  function replaceSpec(id: string) {
+    const { spec, extras } = newOfferLine(input);
+    update(id, { spec, extras });
+  }
+
+  const num = (v: string) => parseFloat(v) || 0;
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2 text-gray-900">
+              <ListPlus className="w-5 h-5 text-red-600" />
+              {t("lineas.titulo")}
+            </CardTitle>
+            <CardDescription className="text-gray-600">{t("lineas.descripcion")}</CardDescription>
+          </div>
+          <Button onClick={() => setLines(prev => [...prev, newOfferLine(input)])} variant="outline" className="gap-2 border-red-600 text-red-600 hover:bg-red-50">
+            <ListPlus className="w-4 h-4" />{t("lineas.agregar")}
+          </Button>
+        </div>
+      </CardHeader>
+      {lines.length > 0 && (
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-3 px-2 text-sm font-medium">{t("antecedentes.cable")}</th>
+                  <th className="text-left py-3 px-2 text-sm font-medium">{t("lineas.longitud")}</th>
+                  <th className="text-left py-3 px-2 text-sm font-medium">{t("lineas.bobina")}</th>
+                  <th className="text-left py-3 px-2 text-sm font-medium">{t("lineas.costoBobina")}</th>
+                  <th className="text-left py-3 px-2 text-sm font-medium">{t("lineas.tara")}</th>
+                  <th className="text-right py-3 px-2 text-sm font-medium">{t("lineas.bobinas")}</th>
+                  <th className="text-right py-3 px-2 text-sm font-medium">USD/m</th>
+                  <th className="text-right py-3 px-2 text-sm font-medium">{t("lineas.total", { moneda: "USD" })}</th>
+                  <th className="text-right py-3 px-2 text-sm font-medium">{t("lineas.total", { moneda: pricing.moneda })}</th>
+                  <th className="py-3 px-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {offer.lineas.map(({ line: l, estimate, bobinas, totalUSD, totalSalida }) => (
+                  <tr key={l.id} className="border-b last:border-0">
+                    <td className="py-3 px-2 text-sm">{descripcionCable(l.spec, idioma)}</td>
+                    <td className="py-3 px-2 w-28"><Input type="number" step="1" value={l.longitudM} onChange={e => update(l.id, { longitudM: num(e.target.value) })} className="h-8" /></td>
+                    <td className="py-3 px-2 w-24"><Input type="number" step="1" value={l.largoBobinaM} onChange={e => update(l.id, { largoBobinaM: num(e.target.value) })} className="h-8" /></td>
+                    <td className="py-3 px-2 w-24"><Input type="number" step="0.01" value={l.costoBobinaUSD} onChange={e => update(l.id, { costoBobinaUSD: num(e.target.value) })} className="h-8" /></td>
+                    <td className="py-3 px-2 w-24"><Input type="number" step="1" value={l.taraBobinaKg} onChange={e => update(l.id, { taraBobinaKg: num(e.target.value) })} className="h-8" /></td>
+                    <td className="py-3 px-2 text-sm text-right">{bobinas}</td>
+                    <td className="py-3 px-2 text-sm text-right">{formatUSD(estimate.precioListaUSDm, locale)}</td>
+                    <td className="py-3 px-2 text-sm text-right font-medium">{formatUSD(totalUSD, locale)}</td>
+                    <td className="py-3 px-2 text-sm text-right">{formatMoneda(totalSalida, pricing.moneda, undefined, locale)}</td>
+                    <td className="py-3 px-2 whitespace-nowrap">
+                      <Button size="icon" variant="ghost" onClick={() => onLoadLine(l)} title={t("lineas.cargar")}><Upload className="w-4 h-4" /></Button>
+                      <Button size="icon" variant="ghost" onClick={() => replaceSpec(l.id)} title={t("lineas.reemplazar")}><RefreshCw className="w-4 h-4" /></Button>
+                      <Button size="icon" variant="ghost" onClick={() => setLines(prev => prev.filter(x => x.id !== l.id))} title={t("catalogo.quitar")}><Trash2 className="w-4 h-4" /></Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
+            <div><p className="text-xs text-gray-600">{t("metal.Cobre")}</p><p className="text-lg font-semibold text-gray-900">{formatKg(offer.totales.kgCu, locale)}</p></div>
+            <div><p className="text-xs text-gray-600">{t("metal.Aluminio")}</p><p className="text-lg font-semibold text-gray-900">{formatKg(offer.totales.kgAl, locale)}</p></div>
+            <div><p className="text-xs text-gray-600">{t("lineas.pesoBruto", { n: offer.totales.bobinas })}</p><p className="text-lg font-semibold text-gray-900">{formatKg(offer.totales.pesoBrutoKg, locale)}</p></div>
+            <div><p className="text-xs text-gray-600">{t("lineas.embalaje")}</p><p className="text-lg font-semibold text-gray-900">{formatUSD(offer.totales.embalajeUSD, locale)}</p></div>
+            <div className="col-span-2"><p className="text-xs text-gray-600">{t("lineas.totalOferta", { moneda: "USD" })}</p><p className="text-2xl font-bold text-red-600">{formatUSD(offer.totales.totalUSD, locale)}</p></div>
+            <div className="col-span-2"><p className="text-xs text-gray-600">{t("lineas.totalOferta", { moneda: pricing.moneda })}</p><p className="text-2xl font-bold text-red-700">{formatMoneda(offer.totales.totalSalida, pricing.moneda, undefined, locale)}</p></div>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
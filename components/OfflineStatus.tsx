@@ -0,0 +1,138 @@
+import React, { useEffect, useReducer, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, RefreshCw, UploadCloud, WifiOff } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { alCambiar, colecciones, hayConexion, sincronizarTodo, type Pendiente } from "@/lib/offline";
+import type { PriceListRef } from "@/lib/price-lists";
+import type { Entity } from "@/lib/storage";
+
+/**
+ * Estado sin conexión (backend "api"): avisa que se trabaja con la copia del
+ * dispositivo y con qué lista de precios, lista los cambios sin sincronizar y
+ * resuelve los conflictos. Sincroniza al volver la red y cada 30 s mientras
+ * haya pendientes o no responda el servidor. Con el backend "local" no muestra nada.
+ */
+
+const INTERVALO_MS = 30_000;
+
+type Props = {
+  priceList: PriceListRef; // lista con la que se cotiza ahora
+};
+
+export default function OfflineStatus({ priceList }: Props) {
+  const { t, locale } = useIdioma();
+  const [, refrescar] = useReducer((n: number) => n + 1, 0);
+  const [online, setOnline] = useState(true);
+  const [mensaje, setMensaje] = useState<string | null>(null);
+  const [ocupado, setOcupado] = useState(false);
+
+  async function sincronizar() {
+    setOcupado(true);
+    try {
+      const r = await sincronizarTodo();
+      if (r.enviados + r.conflictos + r.errores) setMensaje(t("offline.resultado", { ...r }));
+    } catch (err) {
+      setMensaje((err as Error).message);
+    } finally {
+      setOcupado(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!colecciones().length) return;
+    setOnline(navigator.onLine);
+    const baja = alCambiar(refrescar);
+    const alVolver = () => { setOnline(true); void sincronizar(); };
+    const alIrse = () => setOnline(false);
+    window.addEventListener("online", alVolver);
+    window.addEventListener("offline", alIrse);
+    const intervalo = window.setInterval(() => {
+      const pendientes = colecciones().some(s => s.pendientes().some(p => p.conflicto === undefined));
+      if (pendientes) void sincronizar();
+      else if (!hayConexion()) void colecciones()[0].list().catch(() => undefined); // ¿volvió el servidor?
+    }, INTERVALO_MS);
+    return () => {
+      baja();
+      window.removeEventListener("online", alVolver);
+      window.removeEventListener("offline", alIrse);
+      window.clearInterval(intervalo);
+    };
+  }, []);
+
+  const stores = colecciones();
+  const pendientes = stores.flatMap(s => s.pendientes().map(p => ({ store: s, p })));
+  const conectado = online && hayConexion();
+  if (!stores.length || (conectado && !pendientes.length)) return null;
+
+  const fechas = stores.map(s => s.actualizadoAl()).filter((f): f is string => !!f).sort();
+  const fecha = (iso: string) => new Date(iso).toLocaleString(locale, { dateStyle: "short", timeStyle: "short" });
+
+  function estado(p: Pendiente<Entity>) {
+    if (p.conflicto === null) return t("offline.borradaServidor");
+    if (p.conflicto) return t("offline.conflicto");
+    if (p.error) return t("offline.rechazado", { error: p.error });
+    return p.op === "borrar" ? t("offline.borrado") : t("offline.pendiente");
+  }
+
+  return (
+    <Card className="border-2 border-amber-300 bg-amber-50 shadow-sm print:hidden">
+      <CardContent className="space-y-3 pt-6 text-sm text-amber-900">
+        {!conectado && (
+          <div className="flex items-start gap-2">
+            <WifiOff className="w-5 h-5 text-amber-700 shrink-0" />
+            <div className="space-y-1">
+              <p className="font-semibold">{t("offline.sinConexion")}</p>
+              <p>{fechas.length ? t("offline.datosDel", { fecha: fecha(fechas[0]) }) : t("offline.sinDatos")}</p>
+              <p>
+                <strong>{t("offline.lista", { nombre: priceList.nombre, desde: priceList.vigenteDesde })}</strong>{" "}
+                {t("offline.seGuardan")}
+              </p>
+            </div>
+          </div>
+        )}
+        {pendientes.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <p className="flex items-center gap-2 font-semibold">
+                <UploadCloud className="w-5 h-5 text-amber-700" />
+                {t("offline.pendientes", { n: pendientes.length })}
+              </p>
+              <Button size="sm" variant="outline" className="gap-2" disabled={ocupado} onClick={sincronizar}>
+                <RefreshCw className={`w-4 h-4 ${ocupado ? "animate-spin" : ""}`} />{t("offline.sincronizar")}
+              </Button>
+            </div>
+            {mensaje && <p>{mensaje}</p>}
+            <ul className="space-y-2">
+              {pendientes.map(({ store, p }) => {
+                const item = p.item ?? p.conflicto;
+                const resolver = (conservar: "local" | "servidor") => store.resolver(p.id, conservar).catch(err => setMensaje((err as Error).message));
+                return (
+                  <li key={`${store.coleccion}:${p.id}`} className="flex flex-wrap items-center justify-between gap-2 bg-white border border-amber-200 rounded-md p-2">
+                    <div>
+                      <p className="font-medium text-gray-900">{item ? store.titulo(item) : p.id}</p>
+                      <p className={`flex items-center gap-1 ${p.conflicto !== undefined || p.error ? "text-red-700" : "text-gray-600"}`}>
+                        {(p.conflicto !== undefined || p.error) && <AlertTriangle className="w-4 h-4" />}
+                        {estado(p)} • {fecha(p.fecha)}
+                      </p>
+                    </div>
+                    {(p.conflicto !== undefined || p.error) && (
+                      <div className="flex gap-2">
+                        <Button size="sm" variant="outline" onClick={() => resolver("local")}>
+                          {p.conflicto !== undefined ? t("offline.conservarLocal") : t("offline.reintentar")}
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => resolver("servidor")}>
+                          {p.conflicto !== undefined ? t("offline.usarServidor") : t("offline.descartar")}
+                        </Button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,239 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Label } from "@/components/ui/label";
+import { History, Save, Upload, Download, Trash2, Check } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { formatNumero, mostrarNumero } from "@/lib/format";
+import { etiqueta as etiquetaDato, traductor, type Idioma, type Traductor } from "@/lib/i18n";
+import {
+  diffPriceLists, flattenMonedas, flattenPriceValues, nuevaVersion, pickPriceValues, parsePriceListFile, priceListStore, priceListToCSV, vigenteAl,
+  DEFAULT_PRICE_LIST, PRICE_FIELDS, type PriceList, type PriceListRef, type PriceListValues,
+} from "@/lib/price-lists";
+import { downloadBlob } from "@/lib/utils";
+import { FILAS_MERMA } from "@/lib/scrap";
+
+/**
+ * Listas de precios — selección de versión, historial, comparación e importación.
+ * La versión "Precios de referencia" es la de fábrica y no se puede borrar.
+ */
+
+type Props = {
+  valores: PriceListValues;      // precios actuales del formulario
+  selected: PriceListRef;        // versión usada por la cotización
+  onApply: (pl: PriceList) => void;
+};
+
+const hoy = () => new Date().toISOString().slice(0, 10);
+
+function etiqueta(pl: PriceListRef, t: Traductor) {
+  return t("listas.version", { nombre: pl.nombre, desde: pl.vigenteDesde });
+}
+
+const filaMerma = (id: string, idioma: Idioma) => {
+  const f = FILAS_MERMA.find(x => x.id === id);
+  return f ? etiquetaDato(idioma, `filaMerma.${id}`, f.label).toLowerCase() : id;
+};
+
+// Mismos nombres que la hoja Precios de la planilla.
+function labelCampo(campo: string, idioma: Idioma): string {
+  const t = traductor(idioma);
+  const precio = (key: string) => {
+    const f = PRICE_FIELDS.find(x => x.key === key);
+    return f ? etiquetaDato(idioma, `planilla.precio.${f.key}`, f.label) : key;
+  };
+  if (campo === "moneda.pxAislacionKg") return t("precios.monedaAislaciones");
+  if (campo.startsWith("moneda.")) return t("listas.moneda", { campo: precio(campo.slice("moneda.".length)) });
+  if (campo.startsWith("pxAislacionKg.")) return t("planilla.precio.aislacion", { material: campo.slice("pxAislacionKg.".length) });
+  if (campo.startsWith("pxPlantillas.")) return t("planilla.precio.plantilla", { id: campo.slice("pxPlantillas.".length) });
+  if (campo.startsWith("mermasFilaPct.")) return t("planilla.precio.mermaFila", { fila: filaMerma(campo.slice("mermasFilaPct.".length), idioma) });
+  if (campo.startsWith("recuperoPct.")) return t("planilla.precio.recuperoFila", { fila: filaMerma(campo.slice("recuperoPct.".length), idioma) });
+  const f = PRICE_FIELDS.find(x => x.key === campo);
+  return f ? `${precio(campo)} (${f.unidad})` : campo;
+}
+
+export default function PriceListPanel({ valores, selected: ref, onApply }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const selectedId = ref.id;
+  const [lists, setLists] = useState<PriceList[]>([DEFAULT_PRICE_LIST]);
+  const [nombre, setNombre] = useState("");
+  const [vigenteDesde, setVigenteDesde] = useState(hoy());
+  const [compararA, setCompararA] = useState(DEFAULT_PRICE_LIST.id);
+  const [compararB, setCompararB] = useState(DEFAULT_PRICE_LIST.id);
+  const [error, setError] = useState<string | null>(null);
+  const fileRef = useRef<HTMLInputElement>(null);
+
+  async function reload() {
+    // Versiones guardadas antes de agregarse un campo (p. ej. LME base) lo toman de fábrica.
+    const stored = (await priceListStore.list()).map(pl => ({ ...pl, valores: pickPriceValues(pl.valores) }));
+    const all = [DEFAULT_PRICE_LIST, ...stored].sort((a, b) => b.vigenteDesde.localeCompare(a.vigenteDesde));
+    setLists(all);
+    return all;
+  }
+
+  // Al abrir, la cotización toma la versión vigente a hoy.
+  useEffect(() => {
+    reload()
+      .then(all => {
+        const vigente = vigenteAl(all, hoy());
+        if (vigente && vigente.id !== selectedId) onApply(vigente);
+      })
+      .catch(err => setError((err as Error).message));
+  }, []);
+
+  const selected = lists.find(l => l.id === selectedId);
+  const modificada = useMemo(() => {
+    if (!selected) return false;
+    const a: Record<string, unknown> = { ...flattenPriceValues(selected.valores), ...flattenMonedas(selected.valores) };
+    const b: Record<string, unknown> = { ...flattenPriceValues(valores), ...flattenMonedas(valores) };
+    return Object.keys({ ...a, ...b }).some(k => a[k] !== b[k]);
+  }, [selected, valores]);
+
+  const diff = useMemo(() => {
+    const a = lists.find(l => l.id === compararA);
+    const b = lists.find(l => l.id === compararB);
+    return a && b ? diffPriceLists(a, b) : [];
+  }, [lists, compararA, compararB]);
+
+  async function guardarVersion() {
+    setError(null);
+    try {
+      const pl = await priceListStore.save(nuevaVersion(nombre, vigenteDesde, valores));
+      await reload();
+      setNombre("");
+      onApply(pl);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  async function importar(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    try {
+      const pl = parsePriceListFile(file.name, await file.text(), selected?.valores ?? DEFAULT_PRICE_LIST.valores);
+      await priceListStore.save(pl);
+      await reload();
+      setCompararA(selectedId);
+      setCompararB(pl.id);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  function exportar() {
+    if (!selected) return;
+    downloadBlob(priceListToCSV(selected), `lista_precios_${selected.vigenteDesde}.csv`, "text/csv;charset=utf-8;");
+  }
+
+  async function eliminar() {
+    if (!selected || selected.id === DEFAULT_PRICE_LIST.id) return;
+    setError(null);
+    try {
+      await priceListStore.remove(selected.id);
+      const all = await reload();
+      onApply(vigenteAl(all, hoy()) ?? DEFAULT_PRICE_LIST);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <History className="w-5 h-5 text-red-600" />
+          {t("listas.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("listas.cotizandoCon")} <strong>{etiqueta(ref, t)}</strong>
+          {!selected && ` • ${t("listas.noDisponible")}`}
+          {modificada && ` • ${t("listas.modificada")}`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="space-y-2 md:col-span-2">
+            <Label>{t("listas.versionLabel")}</Label>
+            <Select value={selectedId} onValueChange={(id) => { const pl = lists.find(l => l.id === id); if (pl) onApply(pl); }}>
+              <SelectTrigger><SelectValue placeholder={t("listas.elegir")} /></SelectTrigger>
+              <SelectContent>
+                {lists.map(l => <SelectItem key={l.id} value={l.id}>{etiqueta(l, t)}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" className="gap-2" onClick={() => selected && onApply(selected)} disabled={!modificada}>
+              <Check className="w-4 h-4" />{t("listas.restaurar")}
+            </Button>
+            <Button variant="outline" size="icon" onClick={exportar} title={t("app.exportarCSV")}><Download className="w-4 h-4" /></Button>
+            <Button variant="ghost" size="icon" onClick={eliminar} disabled={selectedId === DEFAULT_PRICE_LIST.id} title={t("listas.eliminar")}>
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="space-y-2"><Label>{t("listas.nombreNueva")}</Label><Input value={nombre} onChange={e => setNombre(e.target.value)} placeholder={t("listas.ejemploNombre")} /></div>
+          <div className="space-y-2"><Label>{t("listas.vigenteDesde")}</Label><Input type="date" value={vigenteDesde} onChange={e => setVigenteDesde(e.target.value)} /></div>
+          <div className="flex gap-2">
+            <Button onClick={guardarVersion} className="gap-2 bg-red-600 hover:bg-red-700 text-white"><Save className="w-4 h-4" />{t("listas.guardarActual")}</Button>
+            <Button variant="outline" className="gap-2" onClick={() => fileRef.current?.click()}><Upload className="w-4 h-4" />{t("app.importar")}</Button>
+            <input ref={fileRef} type="file" accept=".csv,.json" className="hidden" onChange={importar} />
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>{t("cotizaciones.comparar")}</Label>
+              <Select value={compararA} onValueChange={setCompararA}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>{lists.map(l => <SelectItem key={l.id} value={l.id}>{etiqueta(l, t)}</SelectItem>)}</SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>{t("listas.con")}</Label>
+              <Select value={compararB} onValueChange={setCompararB}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>{lists.map(l => <SelectItem key={l.id} value={l.id}>{etiqueta(l, t)}</SelectItem>)}</SelectContent>
+              </Select>
+            </div>
+          </div>
+          {diff.length === 0 ? (
+            <p className="text-sm text-gray-600">{t("listas.sinDiferencias")}</p>
+          ) : (
+            <table className="w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-2 px-2 text-sm font-medium">{t("planilla.campo")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("listas.antes")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("listas.despues")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">Δ %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.map(d => (
+                  <tr key={d.campo} className="border-b last:border-0">
+                    <td className="py-2 px-2 text-sm">{labelCampo(d.campo, idioma)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{typeof d.antes === "number" ? mostrarNumero(d.antes, locale) : d.antes ?? "—"}</td>
+                    <td className="py-2 px-2 text-sm text-right">{typeof d.despues === "number" ? mostrarNumero(d.despues, locale) : d.despues ?? "—"}</td>
+                    <td className={`py-2 px-2 text-sm text-right ${(d.deltaPct ?? 0) > 0 ? "text-red-700" : "text-green-700"}`}>
+                      {d.deltaPct === null ? "—" : `${d.deltaPct > 0 ? "+" : ""}${formatNumero(d.deltaPct, 2, locale)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
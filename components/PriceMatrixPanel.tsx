@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Download, FileSpreadsheet, Table } from "lucide-react";
+import NumberInput from "@/components/NumberInput";
+import { useIdioma } from "@/components/LanguageSelect";
+import type { EstimateInput } from "@/lib/cost-engine";
+import { MONEDAS, type Moneda } from "@/lib/currency";
+import { formatMoneda } from "@/lib/format";
+import { claseTension } from "@/lib/insulation";
+import { generarMatriz, matrizToCSV, matrizToXLSX, type CeldaMatriz, type ModoRedondeo } from "@/lib/price-matrix";
+import { downloadBlob } from "@/lib/utils";
+
+/**
+ * Matriz de precios — precio lista de la construcción abierta para todas las
+ * secciones × tensiones, con redondeo y exportación CSV/XLSX para publicar la
+ * lista de la familia. Las celdas cuya construcción no valida se marcan.
+ */
+
+type Props = {
+  input: EstimateInput;
+  valida: boolean; // con errores de entrada no se genera
+};
+
+// La etiqueta de cada modo es `matriz.modo.<key>`.
+const MODOS: readonly ModoRedondeo[] = ["cercano", "arriba", "abajo"];
+
+const ESTILO_CELDA: Record<CeldaMatriz["estado"], string> = {
+  ok: "",
+  advertencia: "bg-amber-50 text-amber-900",
+  error: "bg-red-50 text-red-700",
+};
+
+export default function PriceMatrixPanel({ input, valida }: Props) {
+  const { locale, t } = useIdioma();
+  const [moneda, setMoneda] = useState<Moneda>(input.moneda);
+  const [paso, setPaso] = useState(0.05);
+  const [modo, setModo] = useState<ModoRedondeo>("cercano");
+
+  const matriz = useMemo(
+    () => (valida ? generarMatriz(input, { moneda, redondeo: { paso: paso || 0, modo } }) : null),
+    [input, valida, moneda, paso, modo],
+  );
+  const marcadas = matriz ? matriz.celdas.flat().filter(c => c.estado !== "ok").length : 0;
+  const archivo = `matriz_precios_${input.metal === "Cobre" ? "cu" : "al"}_${input.tipologia}_${input.aislacion}`.toLowerCase();
+
+  async function exportarXLSX() {
+    if (!matriz) return;
+    downloadBlob(await matrizToXLSX(matriz), `${archivo}.xlsx`, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  }
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Table className="w-5 h-5 text-red-600" />
+          {t("matriz.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("matriz.descripcion")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 pt-6">
+        {!matriz ? (
+          <p className="text-sm text-gray-600">{t("matriz.corregir")}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+              <div className="space-y-2">
+                <Label>{t("planilla.moneda")}</Label>
+                <Select value={moneda} onValueChange={v => setMoneda(v as Moneda)}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>{MONEDAS.map(m => <SelectItem key={m.key} value={m.key}>{m.key}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>{t("matriz.redondeo")}</Label>
+                <NumberInput step="0.01" min={0} value={paso} onValueChange={setPaso} />
+              </div>
+              <div className="space-y-2">
+                <Label>{t("matriz.modo")}</Label>
+                <Select value={modo} onValueChange={v => setModo(v as ModoRedondeo)}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>{MODOS.map(m => <SelectItem key={m} value={m}>{t(`matriz.modo.${m}`)}</SelectItem>)}</SelectContent>
+                </Select>
+              </div>
+              <Button variant="outline" onClick={() => downloadBlob(matrizToCSV(matriz, locale), `${archivo}.csv`, "text/csv;charset=utf-8;")}>
+                <Download className="w-4 h-4 mr-2" />CSV
+              </Button>
+              <Button variant="outline" onClick={exportarXLSX}>
+                <FileSpreadsheet className="w-4 h-4 mr-2" />XLSX
+              </Button>
+            </div>
+
+            <p className="text-sm text-gray-700">{matriz.familia}</p>
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("dimension.seccion")}</th>
+                    {matriz.tensiones.map(tension => (
+                      <th key={tension} className="text-right py-2 px-2 text-sm font-medium">
+                        {tension}<span className="block text-xs font-normal text-gray-500">{claseTension(tension)?.clase}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {matriz.celdas.map((fila, i) => (
+                    <tr key={matriz.secciones[i]} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm font-medium">{matriz.secciones[i]}</td>
+                      {fila.map(c => {
+                        const actual = c.seccion === input.seccion && c.tension === input.tension;
+                        return (
+                          <td
+                            key={c.tension}
+                            className={`py-2 px-2 text-sm text-right ${ESTILO_CELDA[c.estado]} ${actual ? "font-semibold ring-2 ring-inset ring-red-600" : ""}`}
+                            title={c.hallazgos.map(h => t(h)).join("\n") || undefined}
+                          >
+                            {c.precio === null ? t("dimension.noValida") : formatMoneda(c.precio, moneda, undefined, locale)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              {moneda}/m • {marcadas ? t("matriz.marcadas", { n: marcadas }) : t("matriz.todasValidas")} • {t("matriz.recuadro")}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useMemo } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Factory } from "lucide-react";
+import { rutaDeEntrada, type EstimateInput } from "@/lib/cost-engine";
+import { useIdioma } from "@/components/LanguageSelect";
+import { formatNumero, formatUSD } from "@/lib/format";
+import { etiqueta } from "@/lib/i18n";
+
+/**
+ * Ruta de procesos — por máquina: velocidad de línea para la sección, horas
+ * por km, y el costo por metro de máquina, energía y preparación (amortizada
+ * en la longitud del pedido). Los procesos que no aplican a la construcción
+ * se muestran atenuados.
+ */
+
+type Props = {
+  input: EstimateInput;
+  valida: boolean;
+};
+
+export default function ProcessRoutingPanel({ input, valida }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const ruta = useMemo(() => (valida ? rutaDeEntrada(input) : null), [input, valida]);
+  const total = ruta ? ruta.filter(r => r.aplica).reduce((acc, r) => acc + r.totalUSDm, 0) : 0;
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Factory className="w-5 h-5 text-red-600" />
+          {t("ruta.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("ruta.descripcion", { m: formatNumero(input.longitudPedidoM, 0, locale) })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="pt-6">
+        {!ruta ? (
+          <p className="text-sm text-gray-600">{t("ruta.conErrores")}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left py-2 px-2 text-sm font-medium">{t("ruta.proceso")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("ruta.pasadas")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">m/min</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">h/km</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("ruta.maquina")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("ruta.energia")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("ruta.preparacion")}</th>
+                  <th className="text-right py-2 px-2 text-sm font-medium">{t("ruta.total")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ruta.map(r => (
+                  <tr key={r.proceso.key} className={`border-b last:border-0 ${r.aplica ? "" : "text-gray-400"}`}>
+                    <td className="py-2 px-2 text-sm">{etiqueta(idioma, `proceso.${r.proceso.key}`, r.proceso.nombre)}{!r.aplica && <span className="ml-2 text-xs">{t("ruta.noAplica")}</span>}</td>
+                    <td className="py-2 px-2 text-sm text-right">{r.pasadas}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatNumero(r.velocidadMMin, 0, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatNumero(r.horasPorKm, 2, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatUSD(r.maquinaUSDm, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatUSD(r.energiaUSDm, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatUSD(r.setupUSDm, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right font-medium">{formatUSD(r.totalUSDm, locale)}</td>
+                  </tr>
+                ))}
+                <tr className="border-t-2">
+                  <td colSpan={7} className="py-2 px-2 text-sm font-semibold">{t("ruta.totalRuta")}</td>
+                  <td className="py-2 px-2 text-sm text-right font-semibold">{formatUSD(total, locale)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ScanLine, Search } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import type { CableSpec } from "@/lib/cost-engine";
+import { descripcionCable } from "@/lib/offer";
+import { buscarProductos, codigoProducto, decodificarCodigo } from "@/lib/product-codes";
+
+/**
+ * Código de producto de la especificación abierta y buscador del catálogo:
+ * un código completo o palabras sueltas ("al 3x150 13.2") listan productos
+ * válidos; "Usar" carga su especificación en el formulario.
+ */
+
+type Props = {
+  spec: CableSpec;
+  onSelect: (spec: CableSpec) => void;
+};
+
+const MOSTRAR = 8;
+
+export default function ProductSearch({ spec, onSelect }: Props) {
+  const { idioma, t } = useIdioma();
+  const [texto, setTexto] = useState("");
+  const codigo = codigoProducto(spec);
+
+  const resultado = useMemo(() => {
+    if (!texto.trim()) return null;
+    const productos = buscarProductos(texto, MOSTRAR + 1);
+    if (productos.length) return { productos, error: null };
+    if (!texto.includes("-")) return { productos, error: t("producto.sinResultados") };
+    // Parece un código: explicar por qué no es válido.
+    try {
+      decodificarCodigo(texto);
+      return { productos, error: null };
+    } catch (err) {
+      return { productos, error: (err as Error).message };
+    }
+  }, [texto, t]);
+
+  function usar(s: CableSpec) {
+    onSelect(s);
+    setTexto("");
+  }
+
+  return (
+    <div className="space-y-2 mb-6 p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Label className="flex items-center gap-2"><ScanLine className="w-4 h-4 text-red-600" />{t("producto.codigo")}</Label>
+        <span className={`font-mono text-sm ${codigo ? "text-gray-900" : "text-gray-500"}`}>
+          {codigo ?? t("producto.fueraDeCatalogo")}
+        </span>
+      </div>
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+        <Input className="pl-9" placeholder={t("producto.buscar")} value={texto} onChange={e => setTexto(e.target.value)} />
+      </div>
+      {resultado?.error && <p className="text-sm text-red-700">{resultado.error}</p>}
+      {resultado && resultado.productos.length > 0 && (
+        <ul className="divide-y border rounded-md bg-white">
+          {resultado.productos.slice(0, MOSTRAR).map(p => (
+            <li key={p.codigo} className="flex items-center justify-between gap-4 px-3 py-2">
+              <div>
+                <p className="font-mono text-sm text-gray-900">{p.codigo}</p>
+                <p className="text-xs text-gray-600">{idioma === "es" ? p.descripcion : descripcionCable(p.spec, idioma)}</p>
+              </div>
+              <Button size="sm" variant="outline" onClick={() => usar(p.spec)}>{t("dimension.usar")}</Button>
+            </li>
+          ))}
+          {resultado.productos.length > MOSTRAR && <li className="px-3 py-2 text-xs text-gray-500">{t("producto.mas")}</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
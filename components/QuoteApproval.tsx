@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Send, CheckCircle2, XCircle, ShieldCheck } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { TRANSICIONES, type EstadoCotizacion, type ReglaIncumplida } from "@/lib/approvals";
+import { describirCambio } from "@/lib/audit";
+import type { Quote } from "@/lib/quotes";
+import { puedeAprobar, type Usuario } from "@/lib/users";
+
+/**
+ * Estado, aprobación e historial de la cotización abierta. Las acciones
+ * actúan sobre la versión guardada: con cambios sin guardar quedan
+ * deshabilitadas.
+ */
+
+type Props = {
+  quote: Quote;
+  usuario: Usuario | undefined;
+  usuarios: Usuario[];
+  incumplidas: ReglaIncumplida[];
+  sinCambios: boolean;
+  onCambiarEstado: (hacia: EstadoCotizacion, nota: string) => void;
+};
+
+const COLOR_ESTADO: Record<EstadoCotizacion, string> = {
+  borrador: "bg-gray-100 text-gray-700 border-gray-300",
+  presentada: "bg-amber-50 text-amber-800 border-amber-300",
+  aprobada: "bg-green-50 text-green-800 border-green-300",
+  rechazada: "bg-red-50 text-red-800 border-red-300",
+  enviada: "bg-blue-50 text-blue-800 border-blue-300",
+};
+
+export function EstadoBadge({ estado }: { estado: EstadoCotizacion }) {
+  const { t } = useIdioma();
+  return <span className={`inline-block px-2 py-0.5 text-xs font-medium border rounded ${COLOR_ESTADO[estado]}`}>{t(`estado.${estado}`)}</span>;
+}
+
+// La etiqueta de cada acción es `aprobacion.accion.<hacia>`.
+const ACCIONES: { hacia: EstadoCotizacion; icon: typeof Send }[] = [
+  { hacia: "presentada", icon: Send },
+  { hacia: "aprobada", icon: CheckCircle2 },
+  { hacia: "rechazada", icon: XCircle },
+  { hacia: "enviada", icon: Send },
+];
+
+export default function QuoteApproval({ quote, usuario, usuarios, incumplidas, sinCambios, onCambiarEstado }: Props) {
+  const { locale, t } = useIdioma();
+  const [nota, setNota] = useState("");
+  const nombre = (id: string) => usuarios.find(u => u.id === id)?.nombre ?? id;
+  const acciones = ACCIONES.filter(a => TRANSICIONES[quote.estado].includes(a.hacia))
+    .filter(a => (a.hacia !== "aprobada" && a.hacia !== "rechazada") || puedeAprobar(usuario))
+    // Un borrador que requiere aprobación no se envía directo.
+    .filter(a => !(a.hacia === "enviada" && quote.estado === "borrador" && incumplidas.length));
+
+  function cambiar(hacia: EstadoCotizacion) {
+    onCambiarEstado(hacia, nota);
+    setNota("");
+  }
+
+  return (
+    <div className="space-y-4 p-4 border-2 border-gray-200 rounded-lg">
+      <div className="flex flex-wrap items-center gap-3">
+        <ShieldCheck className="w-5 h-5 text-red-600" />
+        <span className="text-sm font-semibold text-gray-900">{t("cotizaciones.estado")}</span>
+        <EstadoBadge estado={quote.estado} />
+        {!sinCambios && <span className="text-xs text-amber-800">{t("aprobacion.sinGuardar")}</span>}
+      </div>
+
+      {incumplidas.length > 0 ? (
+        <ul className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md p-2 list-disc list-inside">
+          {incumplidas.map(r => <li key={r.id}>{t(r.motivo)}</li>)}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-600">{t("aprobacion.noRequiere")}</p>
+      )}
+
+      {acciones.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Input className="max-w-sm" value={nota} onChange={e => setNota(e.target.value)} placeholder={t("aprobacion.nota")} />
+          {acciones.map(({ hacia, icon: Icon }) => (
+            <Button key={hacia} variant={hacia === "rechazada" ? "outline" : "default"} disabled={!sinCambios} onClick={() => cambiar(hacia)}
+              className={`gap-2 ${hacia === "rechazada" ? "border-red-600 text-red-600 hover:bg-red-50" : "bg-red-600 hover:bg-red-700 text-white"}`}>
+              <Icon className="w-4 h-4" />{t(`aprobacion.accion.${hacia}`)}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-gray-900">{t("aprobacion.historial")}</h4>
+        {quote.historial.length === 0 ? (
+          <p className="text-sm text-gray-600">{t("aprobacion.sinHistorial")}</p>
+        ) : (
+          <ol className="space-y-2">
+            {[...quote.historial].reverse().map((r, i) => (
+              <li key={i} className="text-sm border-l-2 border-gray-300 pl-3">
+                <div className="text-gray-900">
+                  <span className="text-gray-500">{new Date(r.fecha).toLocaleString(locale)}</span> • <strong>{nombre(r.usuario)}</strong> •{" "}
+                  {r.accion === "creada" ? t("aprobacion.creada") : r.accion === "modificada" ? t("aprobacion.modificada", { n: r.cambios?.length ?? 0 }) : t("aprobacion.estado")}
+                  {r.estado && <> → <EstadoBadge estado={r.estado} /></>}
+                </div>
+                {r.nota && <div className="text-gray-700">“{r.nota}”</div>}
+                {r.reglas?.map((m, j) => <div key={j} className="text-xs text-amber-800">{typeof m === "string" ? m : t(m)}</div>)}
+                {r.cambios && (
+                  <ul className="text-xs text-gray-600 font-mono">
+                    {r.cambios.slice(0, 20).map((c, j) => <li key={j}>{t(describirCambio(c))}</li>)}
+                    {r.cambios.length > 20 && <li>{t("aprobacion.mas", { n: r.cambios.length - 20 })}</li>}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
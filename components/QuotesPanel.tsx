@@ -0,0 +1,273 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { FileText, Save, FolderOpen, Copy, Trash2, Search, GitCompare, UploadCloud } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import QuoteApproval, { EstadoBadge } from "@/components/QuoteApproval";
+import type { EstadoCotizacion, ReglaIncumplida } from "@/lib/approvals";
+import { formatUSD } from "@/lib/format";
+import { textoError } from "@/lib/i18n";
+import type { EstimateInput } from "@/lib/cost-engine";
+import type { OfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, listaMasNueva, priceListStore, type PriceList, type PriceListRef } from "@/lib/price-lists";
+import { alCambiar, pendientesDe } from "@/lib/offline";
+import {
+  cambiarEstado, cambiosCotizacion, compareQuotes, duplicateQuote, newQuote, quoteStore, searchQuotes, updateQuote, verificarBorrado,
+  type Quote, type QuoteDeltaRow, type QuoteMeta,
+} from "@/lib/quotes";
+import type { Usuario } from "@/lib/users";
+
+/**
+ * Cotizaciones guardadas — guardar, buscar, reabrir, duplicar, borrar y
+ * comparar dos; estado, aprobación e historial de la abierta. Las guardadas
+ * sin conexión se marcan hasta que se sincronizan, y la lista de precios se
+ * marca si ya hay una versión vigente más nueva.
+ */
+
+type Props = {
+  input: EstimateInput;
+  priceList: PriceListRef;
+  lineas: OfferLine[];
+  meta: QuoteMeta;                       // cliente, referencia y fecha (también usados por la oferta impresa)
+  onMetaChange: (meta: QuoteMeta) => void;
+  onOpen: (input: EstimateInput, priceList: PriceListRef, lineas: OfferLine[]) => void;
+  usuario: Usuario | undefined;          // autor de los cambios y de las aprobaciones
+  usuarios: Usuario[];
+  incumplidas: ReglaIncumplida[];        // reglas de aprobación de la entrada actual
+  onAbierta: (q: Quote | null) => void;  // la cotización abierta, guardada (para habilitar la exportación)
+};
+
+function DeltaTable({ filas, a, b }: { filas: QuoteDeltaRow[]; a: Quote; b: Quote }) {
+  const { locale, t } = useIdioma();
+  return (
+    <table className="w-full">
+      <thead>
+        <tr className="border-b">
+          <th className="text-left py-2 px-2 text-sm font-medium">{t("mermas.componente")}</th>
+          <th className="text-right py-2 px-2 text-sm font-medium">{a.referencia || a.cliente}</th>
+          <th className="text-right py-2 px-2 text-sm font-medium">{b.referencia || b.cliente}</th>
+          <th className="text-right py-2 px-2 text-sm font-medium">Δ USD/m</th>
+        </tr>
+      </thead>
+      <tbody>
+        {filas.map(f => (
+          <tr key={f.id} className="border-b last:border-0">
+            <td className="py-2 px-2 text-sm">{f.nombre}</td>
+            <td className="py-2 px-2 text-sm text-right">{formatUSD(f.a, locale)}</td>
+            <td className="py-2 px-2 text-sm text-right">{formatUSD(f.b, locale)}</td>
+            <td className={`py-2 px-2 text-sm text-right font-medium ${f.delta > 0 ? "text-red-700" : f.delta < 0 ? "text-green-700" : "text-gray-500"}`}>
+              {f.delta > 0 ? "+" : ""}{formatUSD(f.delta, locale)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Las guardadas antes del historial llegan sin estado.
+const completar = (q: Quote): Quote => ({ ...q, estado: q.estado ?? "borrador", historial: q.historial ?? [] });
+
+export default function QuotesPanel({ input, priceList, lineas, meta, onMetaChange, onOpen, usuario, usuarios, incumplidas, onAbierta }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const [quotes, setQuotes] = useState<Quote[]>([]);
+  const [busqueda, setBusqueda] = useState("");
+  const [abiertaId, setAbiertaId] = useState<string | null>(null);
+  const [comparar, setComparar] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [listas, setListas] = useState<PriceList[]>([DEFAULT_PRICE_LIST]);
+  const [sinSincronizar, setSinSincronizar] = useState<Set<string>>(new Set());
+
+  async function reload() {
+    setQuotes((await quoteStore.list()).map(completar));
+    setSinSincronizar(pendientesDe("quotes"));
+  }
+
+  useEffect(() => {
+    reload().catch(err => setError((err as Error).message));
+    priceListStore.list().then(ls => setListas([DEFAULT_PRICE_LIST, ...ls])).catch(() => undefined);
+    // Sincronizaciones y conflictos resueltos (lib/offline.ts).
+    return alCambiar(() => { reload().catch(err => setError((err as Error).message)); });
+  }, []);
+
+  // Cotizaciones armadas con una lista que ya no es la vigente (p. ej. sin conexión).
+  const masNuevas = useMemo(() => {
+    const hoy = new Date().toISOString().slice(0, 10);
+    return new Map(quotes.map(q => [q.id, listaMasNueva(q.priceList, listas, hoy)]));
+  }, [quotes, listas]);
+
+  const visibles = useMemo(() => searchQuotes(quotes, busqueda), [quotes, busqueda]);
+  const abierta = quotes.find(q => q.id === abiertaId);
+  const sinCambios = abierta ? cambiosCotizacion(abierta, meta, input, priceList, lineas).length === 0 : false;
+
+  useEffect(() => {
+    onAbierta(abierta ?? null);
+  }, [abierta]);
+
+  const comparacion = useMemo(() => {
+    const [a, b] = comparar.map(id => quotes.find(q => q.id === id));
+    return a && b ? { a, b, ...compareQuotes(a, b, idioma) } : null;
+  }, [comparar, quotes, idioma]);
+
+  async function run(fn: () => Promise<void>) {
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(textoError(t, err));
+    }
+  }
+
+  function guardar(comoNueva: boolean) {
+    return run(async () => {
+      if (!meta.cliente.trim()) throw new Error(t("cotizaciones.faltaCliente"));
+      const m = { ...meta, cliente: meta.cliente.trim(), referencia: meta.referencia.trim() };
+      if (!usuario) throw new Error(t("cotizaciones.faltaUsuario"));
+      const q = abierta && !comoNueva ? updateQuote(abierta, m, input, priceList, lineas, usuario.id) : newQuote(m, input, priceList, lineas, usuario.id);
+      await quoteStore.save(q);
+      setAbiertaId(q.id);
+      await reload();
+    });
+  }
+
+  function abrir(q: Quote) {
+    setAbiertaId(q.id);
+    onMetaChange({ cliente: q.cliente, referencia: q.referencia, fecha: q.fecha });
+    onOpen(q.input, q.priceList, q.lineas ?? []);
+  }
+
+  function duplicar(q: Quote) {
+    return run(async () => {
+      if (!usuario) throw new Error(t("cotizaciones.faltaUsuarioDuplicar"));
+      await quoteStore.save(duplicateQuote(q, usuario.id));
+      await reload();
+    });
+  }
+
+  function eliminar(q: Quote) {
+    return run(async () => {
+      verificarBorrado(q);
+      if (!window.confirm(t("cotizaciones.confirmarEliminar", { referencia: q.referencia || q.id, cliente: q.cliente }))) return;
+      await quoteStore.remove(q.id);
+      if (abiertaId === q.id) setAbiertaId(null);
+      setComparar(prev => prev.filter(id => id !== q.id));
+      await reload();
+    });
+  }
+
+  function cambiar(hacia: EstadoCotizacion, nota: string) {
+    return run(async () => {
+      if (!abierta) return;
+      await quoteStore.save(cambiarEstado(abierta, hacia, usuario, incumplidas, nota));
+      await reload();
+    });
+  }
+
+  function toggleComparar(id: string) {
+    setComparar(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+  }
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <FileText className="w-5 h-5 text-red-600" />
+          {t("cotizaciones.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {abierta ? <>{t("cotizaciones.editando")} <strong>{abierta.referencia || abierta.id}</strong> • {abierta.cliente}</> : t("cotizaciones.descripcion")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="space-y-2"><Label>{t("cotizaciones.cliente")}</Label><Input value={meta.cliente} onChange={e => onMetaChange({ ...meta, cliente: e.target.value })} /></div>
+          <div className="space-y-2"><Label>{t("cotizaciones.referencia")}</Label><Input value={meta.referencia} onChange={e => onMetaChange({ ...meta, referencia: e.target.value })} placeholder={t("cotizaciones.ejemploReferencia")} /></div>
+          <div className="space-y-2"><Label>{t("antecedentes.fecha")}</Label><Input type="date" value={meta.fecha} onChange={e => onMetaChange({ ...meta, fecha: e.target.value })} /></div>
+          <div className="flex gap-2">
+            <Button onClick={() => guardar(false)} className="gap-2 bg-red-600 hover:bg-red-700 text-white">
+              <Save className="w-4 h-4" />{abierta ? t("cotizaciones.actualizar") : t("cotizaciones.guardar")}
+            </Button>
+            {abierta && <Button variant="outline" onClick={() => guardar(true)}>{t("cotizaciones.guardarNueva")}</Button>}
+          </div>
+        </div>
+
+        {abierta && (
+          <QuoteApproval quote={abierta} usuario={usuario} usuarios={usuarios} incumplidas={incumplidas} sinCambios={sinCambios} onCambiarEstado={cambiar} />
+        )}
+
+        <div className="space-y-3">
+          <div className="relative">
+            <Search className="w-4 h-4 absolute left-3 top-2.5 text-gray-400" />
+            <Input className="pl-9" value={busqueda} onChange={e => setBusqueda(e.target.value)} placeholder={t("cotizaciones.buscar")} />
+          </div>
+          {visibles.length === 0 ? (
+            <p className="text-sm text-gray-600">{quotes.length ? t("cotizaciones.sinResultados") : t("indexacion.sinGuardadas")}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="py-2 px-2" title={t("cotizaciones.comparar")}><GitCompare className="w-4 h-4" /></th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.fecha")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("cotizaciones.cliente")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("cotizaciones.referencia")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("cotizaciones.estado")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("antecedentes.cable")}</th>
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("cotizaciones.listaPrecios")}</th>
+                    <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.listaUSD")}</th>
+                    <th className="py-2 px-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibles.map(q => (
+                    <tr key={q.id} className={`border-b last:border-0 ${q.id === abiertaId ? "bg-red-50" : ""}`}>
+                      <td className="py-2 px-2">
+                        <input type="checkbox" checked={comparar.includes(q.id)} onChange={() => toggleComparar(q.id)} className="w-4 h-4 rounded" />
+                      </td>
+                      <td className="py-2 px-2 text-sm">{q.fecha}</td>
+                      <td className="py-2 px-2 text-sm">{q.cliente}</td>
+                      <td className="py-2 px-2 text-sm">{q.referencia}</td>
+                      <td className="py-2 px-2 text-sm">
+                        <EstadoBadge estado={q.estado} />
+                        {sinSincronizar.has(q.id) && (
+                          <span className="mt-1 flex items-center gap-1 text-xs text-amber-700" title={t("cotizaciones.sinSincronizarAyuda")}>
+                            <UploadCloud className="w-3 h-3" />{t("cotizaciones.sinSincronizar")}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 px-2 text-sm">{q.input.fases}×{q.input.seccion} {q.input.metal === "Cobre" ? "Cu" : "Al"} {q.input.tension}</td>
+                      <td className="py-2 px-2 text-sm">
+                        {q.priceList.nombre} ({q.priceList.vigenteDesde})
+                        {masNuevas.get(q.id) && (
+                          <span className="block text-xs text-amber-700">{t("cotizaciones.vigente", { nombre: masNuevas.get(q.id)!.nombre, desde: masNuevas.get(q.id)!.vigenteDesde })}</span>
+                        )}
+                      </td>
+                      <td className="py-2 px-2 text-sm text-right font-medium">{formatUSD(q.resumen.precioListaUSDm, locale)}</td>
+                      <td className="py-2 px-2 whitespace-nowrap">
+                        <Button size="icon" variant="ghost" onClick={() => abrir(q)} title={t("cotizaciones.abrir")}><FolderOpen className="w-4 h-4" /></Button>
+                        <Button size="icon" variant="ghost" onClick={() => duplicar(q)} title={t("cotizaciones.duplicar")}><Copy className="w-4 h-4" /></Button>
+                        <Button size="icon" variant="ghost" onClick={() => eliminar(q)} title={t("comun.eliminar")}><Trash2 className="w-4 h-4" /></Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {comparacion && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-gray-900">{t("cotizaciones.comparacion")}</h4>
+            <DeltaTable filas={comparacion.filas} a={comparacion.a} b={comparacion.b} />
+            <DeltaTable filas={comparacion.totales} a={comparacion.a} b={comparacion.b} />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
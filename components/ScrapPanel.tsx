@@ -0,0 +1,103 @@
+import React from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Recycle } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import NumberInput from "@/components/NumberInput";
+import { nombreFila, type CableSpec, type ComponentRow, type Estimate } from "@/lib/cost-engine";
+import { formatNumero, formatUSD } from "@/lib/format";
+import { FILAS_MERMA, mermaFila } from "@/lib/scrap";
+
+/**
+ * Mermas por componente: % de merma de cada fila de materia (las del motor
+ * van en la lista de precios; los extras, en su fila), purga de arranque de
+ * la extrusión y recupero de metales. Abajo, material neto, mermas brutas,
+ * recupero y mermas netas.
+ */
+
+type Props = {
+  spec: CableSpec;
+  estimate: Estimate;
+  extras: ComponentRow[];
+  onMermaFila: (id: string, pct: number) => void;
+  onRecupero: (id: string, pct: number) => void;
+  onExtra: (id: string, cambios: Partial<ComponentRow>) => void;
+  err: (campo: string) => string | undefined;
+};
+
+export default function ScrapPanel({ spec, estimate, extras, onMermaFila, onRecupero, onExtra, err }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const filas = estimate.filas.filter(f => f.incluye && f.categoria === "Materia");
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Recycle className="w-5 h-5 text-red-600" />
+          {t("mermas.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("mermas.descripcion")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 pt-6">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2 px-2 text-sm font-medium">{t("mermas.componente")}</th>
+                <th className="text-left py-2 px-2 text-sm font-medium">{t("mermas.merma")}</th>
+                <th className="text-right py-2 px-2 text-sm font-medium">{t("mermas.purga")}</th>
+                <th className="text-left py-2 px-2 text-sm font-medium">{t("mermas.recuperoPct")}</th>
+                <th className="text-right py-2 px-2 text-sm font-medium">{t("mermas.bruta")}</th>
+                <th className="text-right py-2 px-2 text-sm font-medium">{t("mermas.recupero")}</th>
+                <th className="text-right py-2 px-2 text-sm font-medium">{t("mermas.neta")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filas.map(f => {
+                const m = mermaFila(f);
+                const motor = FILAS_MERMA.find(x => x.id === f.id);
+                const i = extras.findIndex(x => x.id === f.id);
+                const campo = (c: "mermaPct" | "recuperoPct") => motor ? `${c === "mermaPct" ? "mermasFilaPct" : "recuperoPct"}.${f.id}` : `extras[${i}].${c}`;
+                return (
+                  <tr key={f.id} className="border-b last:border-0">
+                    <td className="py-2 px-2 text-sm">{nombreFila(f, spec, idioma)}</td>
+                    <td className="py-2 px-2 w-28">
+                      <NumberInput step="0.1" value={f.mermaPct ?? 0} className="h-8" error={err(campo("mermaPct"))}
+                        onValueChange={n => motor ? onMermaFila(f.id, n) : onExtra(f.id, { mermaPct: n })} />
+                    </td>
+                    <td className="py-2 px-2 text-sm text-right">{f.purgaKgM ? formatNumero(f.purgaKgM, 4, locale) : "—"}</td>
+                    <td className="py-2 px-2 w-28">
+                      {motor && !motor.metal ? <span className="text-sm text-gray-400">—</span> : (
+                        <NumberInput step="1" value={f.recuperoPct ?? 0} className="h-8" error={err(campo("recuperoPct"))}
+                          onValueChange={n => motor ? onRecupero(f.id, n) : onExtra(f.id, { recuperoPct: n })} />
+                      )}
+                    </td>
+                    <td className="py-2 px-2 text-sm text-right">{formatUSD(m.brutaUSDm, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right">{formatUSD(m.recuperoUSDm, locale)}</td>
+                    <td className="py-2 px-2 text-sm text-right font-medium">{formatUSD(m.netaUSDm, locale)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
+          {[
+            [t("mermas.materialNeto"), estimate.subtotalMaterias],
+            [t("mermas.mermasBrutas"), estimate.mermasBrutasUSDm],
+            [t("mermas.materialBruto"), estimate.materialBrutoUSDm],
+            [t("mermas.recupero"), -estimate.recuperoUSDm],
+            [t("mermas.mermasNetas"), estimate.mermasUSDm],
+          ].map(([label, valor]) => (
+            <div key={label as string}>
+              <p className="text-xs text-gray-600">{label}</p>
+              <p className="text-lg font-semibold text-gray-900">{formatUSD(valor as number, locale)}</p>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
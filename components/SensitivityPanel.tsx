@@ -0,0 +1,344 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Activity, BarChartHorizontal, Target } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import NumberInput from "@/components/NumberInput";
+import { catalogo } from "@/lib/catalog";
+import { computeEstimate, type EstimateInput } from "@/lib/cost-engine";
+import { aUSD } from "@/lib/currency";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import type { Traductor } from "@/lib/i18n";
+import {
+  barrido, barrido2, PARAMETROS_SENSIBILIDAD, resolverObjetivo, tornado, valoresBarrido,
+  type Metrica, type ParamSensibilidad,
+} from "@/lib/sensitivity";
+
+/**
+ * Sensibilidad — barrido de uno o dos parámetros (tabla y gráfico), tornado de
+ * impacto sobre el precio y solver de precio objetivo (margen o precio de
+ * metal necesarios). Trabaja sobre la entrada abierta sin modificarla.
+ */
+
+type Props = {
+  input: EstimateInput;
+  valida: boolean; // con errores de entrada no se analiza
+};
+
+type Rango = { param: ParamSensibilidad; desde: number; hasta: number; pasos: number };
+
+const COLORES = ["#dc2626", "#374151", "#f59e0b", "#2563eb", "#16a34a", "#9333ea", "#0891b2", "#be185d"];
+const MAX_PASOS = 25;
+
+const unidadDe = (p: ParamSensibilidad) => PARAMETROS_SENSIBILIDAD.find(x => x.key === p)!.unidad;
+const labelDe = (p: ParamSensibilidad, t: Traductor) => t(`sensibilidad.param.${p}`);
+const formatParam = (p: ParamSensibilidad, v: number, locale: string) => `${formatNumero(v, p === "seccion" ? 0 : 4, locale)} ${unidadDe(p)}`;
+
+function rangoInicial(param: ParamSensibilidad, input: EstimateInput): Rango {
+  const { secciones } = catalogo();
+  if (param === "seccion") return { param, desde: secciones[0], hasta: secciones[secciones.length - 1], pasos: secciones.length };
+  const v = input[param];
+  return { param, desde: +(v * 0.8).toFixed(4), hasta: +(v * 1.2).toFixed(4), pasos: 5 };
+}
+
+export default function SensitivityPanel({ input, valida }: Props) {
+  const { locale, t } = useIdioma();
+  const [r1, setR1] = useState<Rango>(() => rangoInicial("pxCu", input));
+  const [r2, setR2] = useState<Rango | null>(null);
+  const [metrica, setMetrica] = useState<Metrica>("precioListaUSDm");
+  const [variacion, setVariacion] = useState(10);
+  const [objetivo, setObjetivo] = useState<number>(NaN);
+
+  const formatMetrica = (n: number) => (metrica === "precioListaSalidaM" ? formatMoneda(n, input.moneda, undefined, locale) : formatUSD(n, locale));
+  const formatX = (p: ParamSensibilidad) => (v: number) => formatParam(p, v, locale);
+  const METRICAS: { key: Metrica; label: string }[] = [
+    { key: "costoFabrica", label: t("sensibilidad.costoFabrica", { moneda: "USD" }) },
+    { key: "precioListaUSDm", label: t("sensibilidad.precioLista", { moneda: "USD" }) },
+    { key: "precioListaSalidaM", label: t("sensibilidad.precioLista", { moneda: input.moneda }) },
+  ];
+
+  const resultado = useMemo(() => {
+    if (!valida) return null;
+    try {
+      const valores = (r: Rango) => {
+        if (!Number.isFinite(r.desde) || !Number.isFinite(r.hasta)) throw new Error(t("sensibilidad.completeRango", { param: labelDe(r.param, t) }));
+        const v = valoresBarrido(r.param, r.desde, r.hasta, Math.min(MAX_PASOS, r.pasos || 2));
+        if (v.length === 0) throw new Error(t("sensibilidad.sinSecciones"));
+        return v;
+      };
+      const v1 = valores(r1);
+      if (!r2) return { v1, simple: barrido(input, r1.param, v1), doble: null, error: null };
+      const v2 = valores(r2);
+      return { v1, simple: null, doble: barrido2(input, r1.param, v1, r2.param, v2), error: null };
+    } catch (err) {
+      return { v1: [], simple: null, doble: null, error: (err as Error).message };
+    }
+  }, [input, valida, r1, r2, t]);
+
+  const base = useMemo(() => (valida ? computeEstimate(input) : null), [input, valida]);
+  const barras = useMemo(() => (valida ? tornado(input, variacion || 0, metrica) : []), [input, valida, variacion, metrica]);
+
+  const pxMetal = input.metal === "Cobre" ? "pxCu" : "pxAl";
+  const objetivoUSDm = aUSD(objetivo, input.moneda, input);
+  const margenNecesario = valida && Number.isFinite(objetivoUSDm) ? resolverObjetivo(input, "margenPct", objetivoUSDm) : null;
+  const metalNecesario = valida && Number.isFinite(objetivoUSDm) ? resolverObjetivo(input, pxMetal, objetivoUSDm) : null;
+
+  const rangoCampos = (r: Rango, set: (r: Rango) => void) => (
+    <>
+      <div className="space-y-2">
+        <Label>{t("sensibilidad.parametro")}</Label>
+        <Select value={r.param} onValueChange={v => set(rangoInicial(v as ParamSensibilidad, input))}>
+          <SelectTrigger><SelectValue /></SelectTrigger>
+          <SelectContent>{PARAMETROS_SENSIBILIDAD.map(p => <SelectItem key={p.key} value={p.key}>{labelDe(p.key, t)} ({p.unidad})</SelectItem>)}</SelectContent>
+        </Select>
+      </div>
+      <div className="space-y-2"><Label>{t("sensibilidad.desde")}</Label><NumberInput step="0.01" value={r.desde} onValueChange={n => set({ ...r, desde: n })} /></div>
+      <div className="space-y-2"><Label>{t("sensibilidad.hasta")}</Label><NumberInput step="0.01" value={r.hasta} onValueChange={n => set({ ...r, hasta: n })} /></div>
+      <div className="space-y-2">
+        <Label>{t("sensibilidad.pasos")}</Label>
+        <NumberInput step="1" min={2} max={MAX_PASOS} value={r.pasos} onValueChange={n => set({ ...r, pasos: n })} disabled={r.param === "seccion"} title={r.param === "seccion" ? t("sensibilidad.pasosSeccion") : undefined} />
+      </div>
+    </>
+  );
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Activity className="w-5 h-5 text-red-600" />
+          {t("sensibilidad.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("sensibilidad.descripcion")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-8 pt-6">
+        {!valida ? (
+          <p className="text-sm text-gray-600">{t("sensibilidad.corregir")}</p>
+        ) : (
+          <>
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+                {rangoCampos(r1, setR1)}
+                <div className="space-y-2">
+                  <Label>{t("sensibilidad.metrica")}</Label>
+                  <Select value={metrica} onValueChange={v => setMetrica(v as Metrica)}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>{METRICAS.map(m => <SelectItem key={m.key} value={m.key}>{m.label}</SelectItem>)}</SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 items-end">
+                {r2 ? rangoCampos(r2, setR2) : <div className="md:col-span-4 text-sm text-gray-600">{t("sensibilidad.unParametro")}</div>}
+                <div className="space-y-2">
+                  <Label>{t("sensibilidad.segundo")}</Label>
+                  <Select value={r2 ? "si" : "no"} onValueChange={v => setR2(v === "si" ? rangoInicial(r1.param === "margenPct" ? "pxCu" : "margenPct", input) : null)}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="no">{t("sensibilidad.ninguno")}</SelectItem>
+                      <SelectItem value="si">{t("sensibilidad.barrerDos")}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              {resultado?.error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{resultado.error}</p>}
+
+              {resultado?.simple && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-2 px-2 text-sm font-medium">{labelDe(r1.param, t)}</th>
+                          <th className="text-right py-2 px-2 text-sm font-medium">{t("sensibilidad.costoFabricaCorto")}</th>
+                          <th className="text-right py-2 px-2 text-sm font-medium">{t("indexacion.listaUSD")}</th>
+                          <th className="text-right py-2 px-2 text-sm font-medium">{t("sensibilidad.listaMoneda", { moneda: input.moneda })}</th>
+                          <th className="text-right py-2 px-2 text-sm font-medium">Δ %</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {resultado.simple.map(p => {
+                          const delta = base && base[metrica] ? (p[metrica] / base[metrica] - 1) * 100 : 0;
+                          return (
+                            <tr key={p.valor} className={`border-b last:border-0 ${p.valor === input[r1.param] ? "bg-red-50" : ""}`}>
+                              <td className="py-2 px-2 text-sm">{formatParam(r1.param, p.valor, locale)}</td>
+                              <td className="py-2 px-2 text-sm text-right">{formatUSD(p.costoFabrica, locale)}</td>
+                              <td className="py-2 px-2 text-sm text-right">{formatUSD(p.precioListaUSDm, locale)}</td>
+                              <td className="py-2 px-2 text-sm text-right">{formatMoneda(p.precioListaSalidaM, input.moneda, undefined, locale)}</td>
+                              <td className={`py-2 px-2 text-sm text-right ${delta > 0 ? "text-red-700" : delta < 0 ? "text-green-700" : "text-gray-500"}`}>{delta > 0 ? "+" : ""}{formatNumero(delta, 2, locale)}%</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <Grafico
+                    xs={resultado.v1}
+                    series={[
+                      { nombre: t("sensibilidad.costoFabrica", { moneda: "USD" }), ys: resultado.simple.map(p => p.costoFabrica) },
+                      { nombre: t("sensibilidad.precioLista", { moneda: "USD" }), ys: resultado.simple.map(p => p.precioListaUSDm) },
+                    ]}
+                    formatX={formatX(r1.param)}
+                    formatY={v => formatUSD(v, locale)}
+                  />
+                </div>
+              )}
+
+              {resultado?.doble && r2 && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-2 px-2 text-xs font-medium">{labelDe(r1.param, t)} \ {labelDe(r2.param, t)}</th>
+                          {resultado.doble.valores2.map(v => <th key={v} className="text-right py-2 px-2 text-xs font-medium">{formatParam(r2.param, v, locale)}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {resultado.doble.puntos.map((fila, i) => (
+                          <tr key={resultado.doble!.valores1[i]} className="border-b last:border-0">
+                            <td className="py-2 px-2 text-xs font-medium">{formatParam(r1.param, resultado.doble!.valores1[i], locale)}</td>
+                            {fila.map((p, j) => (
+                              <td key={j} className="py-2 px-2 text-xs text-right" style={{ backgroundColor: calor(p[metrica], resultado.doble!.puntos.flat().map(x => x[metrica])) }}>
+                                {formatMetrica(p[metrica])}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <Grafico
+                    xs={resultado.doble.valores1}
+                    series={resultado.doble.valores2.map((v, j) => ({ nombre: formatParam(r2.param, v, locale), ys: resultado.doble!.puntos.map(fila => fila[j][metrica]) }))}
+                    formatX={formatX(r1.param)}
+                    formatY={formatMetrica}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-end justify-between gap-4">
+                <h3 className="flex items-center gap-2 font-semibold text-gray-900"><BarChartHorizontal className="w-4 h-4 text-red-600" />{t("sensibilidad.tornado", { metrica: METRICAS.find(m => m.key === metrica)!.label })}</h3>
+                <div className="w-40 space-y-1"><Label>{t("sensibilidad.variacion")}</Label><NumberInput step="1" value={variacion} onValueChange={setVariacion} /></div>
+              </div>
+              {base && <Tornado barras={barras} base={base[metrica]} formatY={formatMetrica} />}
+            </div>
+
+            <div className="space-y-3">
+              <h3 className="flex items-center gap-2 font-semibold text-gray-900"><Target className="w-4 h-4 text-red-600" />{t("sensibilidad.objetivo")}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end p-4 bg-gray-100 border-2 border-gray-200 rounded-lg">
+                <div className="space-y-2">
+                  <Label>{t("sensibilidad.listaObjetivo", { moneda: input.moneda })}</Label>
+                  <NumberInput step="0.01" value={objetivo} onValueChange={setObjetivo} placeholder={base ? formatNumero(base.precioListaSalidaM, 2, locale) : undefined} />
+                </div>
+                <div>
+                  <p className="text-xs text-gray-600">{t("sensibilidad.margenNecesario", { actual: formatNumero(input.margenPct, 2, locale) })}</p>
+                  <p className="text-lg font-semibold text-gray-900">{Number.isFinite(objetivo) ? (margenNecesario === null ? t("sensibilidad.inalcanzableMargen") : `${formatNumero(margenNecesario, 2, locale)}%`) : "—"}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-600">{t(`sensibilidad.metalNecesario.${input.metal}`, { hoy: `${formatNumero(input[pxMetal], 4, locale)} ${input.monedaPrecios[pxMetal] ?? "USD"}/kg` })}</p>
+                  <p className="text-lg font-semibold text-gray-900">{Number.isFinite(objetivo) ? (metalNecesario === null ? t("sensibilidad.inalcanzable") : `${formatNumero(metalNecesario, 4, locale)} ${input.monedaPrecios[pxMetal] ?? "USD"}/kg`) : "—"}</p>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/** Fondo de celda de blanco (mínimo) a rojo claro (máximo). */
+function calor(v: number, todos: number[]) {
+  const min = Math.min(...todos);
+  const max = Math.max(...todos);
+  const t = max > min ? (v - min) / (max - min) : 0;
+  return `rgba(220, 38, 38, ${(0.05 + 0.3 * t).toFixed(3)})`;
+}
+
+type GraficoProps = {
+  xs: number[];
+  series: { nombre: string; ys: number[] }[];
+  formatX: (v: number) => string;
+  formatY: (v: number) => string;
+};
+
+function Grafico({ xs, series, formatX, formatY }: GraficoProps) {
+  const W = 560, H = 260, izq = 84, der = 16, arr = 12, abj = 40;
+  const todos = series.flatMap(s => s.ys);
+  let min = Math.min(...todos);
+  let max = Math.max(...todos);
+  if (max === min) { min -= Math.abs(min) * 0.05 || 1; max += Math.abs(max) * 0.05 || 1; }
+  const x0 = Math.min(...xs), x1 = Math.max(...xs);
+  const px = (x: number) => izq + (x1 > x0 ? ((x - x0) / (x1 - x0)) * (W - izq - der) : (W - izq - der) / 2);
+  const py = (y: number) => arr + (1 - (y - min) / (max - min)) * (H - arr - abj);
+  const marcasY = [0, 0.25, 0.5, 0.75, 1].map(t => min + t * (max - min));
+  const paso = Math.ceil(xs.length / 6);
+  const marcasX = xs.filter((_, i) => i % paso === 0 || i === xs.length - 1);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img">
+        {marcasY.map(y => (
+          <g key={y}>
+            <line x1={izq} x2={W - der} y1={py(y)} y2={py(y)} stroke="#e5e7eb" />
+            <text x={izq - 6} y={py(y) + 4} textAnchor="end" fontSize="10" fill="#4b5563">{formatY(y)}</text>
+          </g>
+        ))}
+        {marcasX.map(x => (
+          <text key={x} x={px(x)} y={H - abj + 16} textAnchor="middle" fontSize="10" fill="#4b5563">{formatX(x)}</text>
+        ))}
+        <line x1={izq} x2={izq} y1={arr} y2={H - abj} stroke="#9ca3af" />
+        <line x1={izq} x2={W - der} y1={H - abj} y2={H - abj} stroke="#9ca3af" />
+        {series.map((s, i) => (
+          <g key={s.nombre}>
+            <polyline fill="none" stroke={COLORES[i % COLORES.length]} strokeWidth="2" points={s.ys.map((y, j) => `${px(xs[j])},${py(y)}`).join(" ")} />
+            {s.ys.map((y, j) => <circle key={j} cx={px(xs[j])} cy={py(y)} r="3" fill={COLORES[i % COLORES.length]}><title>{`${s.nombre} • ${formatX(xs[j])}: ${formatY(y)}`}</title></circle>)}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2">
+        {series.map((s, i) => (
+          <span key={s.nombre} className="flex items-center gap-1 text-xs text-gray-700">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: COLORES[i % COLORES.length] }} />{s.nombre}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Tornado({ barras, base, formatY }: { barras: ReturnType<typeof tornado>; base: number; formatY: (v: number) => string }) {
+  const { locale, t } = useIdioma();
+  const desvio = Math.max(...barras.flatMap(b => [Math.abs(b.bajo - base), Math.abs(b.alto - base)]), 1e-12);
+  // Tramo desde la base hasta `v`, en % del ancho (la base queda al 50 %).
+  const tramo = (v: number) => {
+    const ancho = (Math.abs(v - base) / desvio) * 50;
+    return { left: `${v < base ? 50 - ancho : 50}%`, width: `${ancho}%` };
+  };
+
+  return (
+    <div className="space-y-2">
+      {barras.map(b => (
+        <div key={b.param} className="grid grid-cols-12 gap-2 items-center text-xs">
+          <div className="col-span-3 text-gray-700">
+            <span className="font-medium">{labelDe(b.param, t)}</span>
+            <span className="block text-gray-500">{formatParam(b.param, b.valorBajo, locale)} → {formatParam(b.param, b.valorAlto, locale)}</span>
+          </div>
+          <div className="col-span-2 text-right text-gray-600">{formatY(b.bajo)}</div>
+          <div className="col-span-5 relative h-5 bg-gray-50 rounded">
+            <div className="absolute inset-y-0 bg-gray-400 rounded" style={tramo(b.bajo)} title={t("sensibilidad.bajo", { valor: formatY(b.bajo) })} />
+            <div className="absolute inset-y-0 bg-red-600 rounded" style={tramo(b.alto)} title={t("sensibilidad.alto", { valor: formatY(b.alto) })} />
+            <div className="absolute inset-y-0 left-1/2 w-px bg-gray-900" />
+          </div>
+          <div className="col-span-2 text-gray-600">{formatY(b.alto)}</div>
+        </div>
+      ))}
+      <p className="text-xs text-gray-500">{t("sensibilidad.leyenda", { base: formatY(base) })}</p>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Gauge, Check } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import NumberInput from "@/components/NumberInput";
+import { catalogo } from "@/lib/catalog";
+import type { EstimateInput, Metal } from "@/lib/cost-engine";
+import { formatMoneda, formatNumero, formatUSD } from "@/lib/format";
+import { etiqueta } from "@/lib/i18n";
+import { datosMetodo, DEFAULT_REQUISITO, dimensionar, METODOS_INSTALACION, TABLA_AMPACIDAD, type MetodoInstalacion, type Requisito } from "@/lib/sizing";
+
+/**
+ * Asistente de dimensionamiento — de la corriente de carga y la instalación a
+ * la menor sección de Cu y de Al que cumplen capacidad y caída de tensión,
+ * cotizadas con la construcción abierta. "Usar" carga metal, sección y
+ * tensión en la especificación.
+ */
+
+type Props = {
+  input: EstimateInput;
+  valida: boolean; // con errores de entrada no se cotiza
+  onAplicar: (metal: Metal, seccion: number, tension: string) => void;
+};
+
+export default function SizingPanel({ input, valida, onAplicar }: Props) {
+  const { idioma, locale, t } = useIdioma();
+  const [req, setReq] = useState<Requisito>({ ...DEFAULT_REQUISITO, tension: input.tension });
+  const set = <K extends keyof Requisito>(k: K, v: Requisito[K]) => setReq(prev => ({ ...prev, [k]: v }));
+
+  const resultado = useMemo(() => {
+    if (!valida) return { d: null, error: t("dimension.corregir") };
+    try {
+      return { d: dimensionar(input, req), error: null };
+    } catch (err) {
+      return { d: null, error: (err as Error).message };
+    }
+  }, [input, valida, req, t]);
+
+  const medio = datosMetodo(req.metodo).medio;
+  const d = resultado.d;
+  const conSeccion = d?.recomendaciones.filter(r => r.seccion !== null) ?? [];
+  const [barata, cara] = [...conSeccion].sort((a, b) => a.totalSalida - b.totalSalida);
+  const secciones = d ? Array.from(new Set<number>(d.recomendaciones.flatMap(r => r.opciones.map(o => o.seccion)))).sort((a, b) => a - b) : [];
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Gauge className="w-5 h-5 text-red-600" />
+          {t("dimension.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {t("dimension.descripcion", { norma: TABLA_AMPACIDAD.norma })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 pt-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <Label>{t("dimension.corriente")}</Label>
+            <NumberInput min={0} value={req.corrienteA} onValueChange={v => set("corrienteA", v)} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("espec.tension")}</Label>
+            <Select value={req.tension} onValueChange={v => set("tension", v)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>{catalogo().tensiones.map(x => <SelectItem key={x.tension} value={x.tension}>{x.tension}</SelectItem>)}</SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>{t("dimension.instalacion")}</Label>
+            <Select value={req.metodo} onValueChange={v => set("metodo", v as MetodoInstalacion)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>{METODOS_INSTALACION.map(m => <SelectItem key={m.key} value={m.key}>{etiqueta(idioma, `instalacion.${m.key}`, m.label)}</SelectItem>)}</SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>{t(`dimension.temperatura.${medio}`)}</Label>
+            <NumberInput value={req.temperaturaC} onValueChange={v => set("temperaturaC", v)} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("dimension.circuitos")}</Label>
+            <NumberInput min={1} step="1" value={req.circuitos} onValueChange={v => set("circuitos", v)} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("dimension.largo")}</Label>
+            <NumberInput min={0} value={req.longitudM} onValueChange={v => set("longitudM", v)} />
+          </div>
+          <div className="space-y-2">
+            <Label>{t("dimension.caidaMax")}</Label>
+            <NumberInput min={0} step="0.1" value={req.caidaMaxPct} onValueChange={v => set("caidaMaxPct", v)} />
+          </div>
+          <div className="space-y-2">
+            <Label>cos φ</Label>
+            <NumberInput min={0} max={1} step="0.01" value={req.cosPhi} onValueChange={v => set("cosPhi", v)} />
+          </div>
+        </div>
+
+        {!d ? (
+          <p className="text-sm text-gray-600">{resultado.error}</p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-500">
+              {t("dimension.factores", {
+                temperatura: formatNumero(d.factores.temperatura, 3, locale),
+                agrupamiento: formatNumero(d.factores.agrupamiento, 3, locale),
+                tipologia: t(`tipologia.${input.tipologia}`),
+                factorTipologia: formatNumero(d.factores.tipologia, 3, locale),
+                total: formatNumero(d.factores.total, 3, locale),
+                aislacion: input.aislacion,
+              })}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {d.recomendaciones.map(r => {
+                const o = r.opciones.find(x => x.seccion === r.seccion);
+                return (
+                  <div key={r.metal} className={`p-4 border-2 rounded-lg space-y-1 ${r === barata && cara ? "border-red-600" : "border-gray-200"}`}>
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-semibold text-gray-900">{t(`metal.${r.metal}`)}</span>
+                      {r === barata && cara && <span className="text-xs text-red-600 font-medium">{t("dimension.masEconomica")}</span>}
+                    </div>
+                    {!o ? (
+                      <p className="text-sm text-gray-600">{t("dimension.ninguna")}</p>
+                    ) : (
+                      <>
+                        <p className="text-2xl font-bold text-gray-900">{r.seccion} mm²</p>
+                        <p className="text-sm text-gray-700">Iz {formatNumero(o.ampacidadA, 0, locale)} A • ΔU {formatNumero(o.caidaPct, 2, locale)}%</p>
+                        <p className="text-sm text-gray-700">{t("dimension.precios", { costo: formatUSD(r.costoFabricaUSDm, locale), lista: formatMoneda(r.precioListaSalidaM, input.moneda, undefined, locale) })}</p>
+                        <p className="text-sm text-gray-900">
+                          {t(r.cables === 1 ? "dimension.tramo1" : "dimension.tramo", { n: r.cables, largo: formatNumero(req.longitudM, 0, locale) })}: <strong>{formatMoneda(r.totalSalida, input.moneda, undefined, locale)}</strong>
+                        </p>
+                        <Button size="sm" variant="outline" className="gap-2 mt-2" onClick={() => onAplicar(r.metal, r.seccion!, req.tension)}>
+                          <Check className="w-4 h-4" />{t("dimension.usar")}
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {barata && cara && (
+              <p className="text-sm text-gray-800">
+                {t("dimension.ahorro", {
+                  barata: `${t(`metal.${barata.metal}`)} ${barata.seccion} mm²`,
+                  cara: `${t(`metal.${cara.metal}`)} ${cara.seccion} mm²`,
+                  ahorro: formatMoneda(cara.totalSalida - barata.totalSalida, input.moneda, undefined, locale),
+                  pct: formatNumero((1 - barata.totalSalida / cara.totalSalida) * 100, 1, locale),
+                })}
+              </p>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 px-2 text-sm font-medium">{t("dimension.seccion")}</th>
+                    {d.recomendaciones.map(r => (
+                      <React.Fragment key={r.metal}>
+                        <th className="text-right py-2 px-2 text-sm font-medium">{t(`metal.${r.metal}`)} Iz (A)</th>
+                        <th className="text-right py-2 px-2 text-sm font-medium">{t(`metal.${r.metal}`)} ΔU (%)</th>
+                      </React.Fragment>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {secciones.map(s => (
+                    <tr key={s} className="border-b last:border-0">
+                      <td className="py-2 px-2 text-sm font-medium">{s}</td>
+                      {d.recomendaciones.map(r => {
+                        const o = r.opciones.find(x => x.seccion === s);
+                        const elegida = r.seccion === s ? "font-semibold ring-2 ring-inset ring-red-600" : "";
+                        if (!o) return <td key={r.metal} colSpan={2} className="py-2 px-2 text-sm text-right text-gray-400">{t("dimension.sinDato")}</td>;
+                        if (o.motivo) return <td key={r.metal} colSpan={2} className="py-2 px-2 text-sm text-right bg-red-50 text-red-700" title={t(o.motivo)}>{t("dimension.noValida")}</td>;
+                        return (
+                          <React.Fragment key={r.metal}>
+                            <td className={`py-2 px-2 text-sm text-right ${o.cumpleCorriente ? "" : "text-red-700"} ${elegida}`}>{formatNumero(o.ampacidadA, 0, locale)}</td>
+                            <td className={`py-2 px-2 text-sm text-right ${o.cumpleCaida ? "" : "text-red-700"} ${elegida}`}>{formatNumero(o.caidaPct, 2, locale)}</td>
+                          </React.Fragment>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500">{t("dimension.nota")}</p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
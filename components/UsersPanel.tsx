@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Users, Plus, Trash2 } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { eliminarUsuario, guardarUsuario, ROLES, type Rol, type Usuario } from "@/lib/users";
+
+/**
+ * Usuarios locales y sus roles — sólo para administradores. Los gerentes
+ * (y administradores) aprueban las cotizaciones que lo requieren.
+ */
+
+type Props = {
+  usuarios: Usuario[];
+  onChange: () => Promise<void>; // recarga la lista después de guardar o eliminar
+};
+
+export default function UsersPanel({ usuarios, onChange }: Props) {
+  const { t } = useIdioma();
+  const [nuevo, setNuevo] = useState<Usuario>({ id: "", nombre: "", rol: "vendedor" });
+  const [error, setError] = useState<string | null>(null);
+
+  async function run(fn: () => Promise<unknown>) {
+    setError(null);
+    try {
+      await fn();
+      await onChange();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }
+
+  const rolSelect = (rol: Rol, onValueChange: (r: Rol) => void) => (
+    <Select value={rol} onValueChange={v => onValueChange(v as Rol)}>
+      <SelectTrigger className="h-8 w-40"><SelectValue /></SelectTrigger>
+      <SelectContent>{ROLES.map(r => <SelectItem key={r.key} value={r.key}>{t(`rol.${r.key}`)}</SelectItem>)}</SelectContent>
+    </Select>
+  );
+
+  return (
+    <Card className="border-2 border-gray-300 shadow-sm">
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          <Users className="w-5 h-5 text-red-600" />
+          {t("usuarios.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">{t("usuarios.descripcion")}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 pt-6">
+        {error && <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-2">{error}</p>}
+        <table className="w-full">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left py-2 px-2 text-sm font-medium">{t("usuarios.usuario")}</th>
+              <th className="text-left py-2 px-2 text-sm font-medium">{t("usuarios.nombre")}</th>
+              <th className="text-left py-2 px-2 text-sm font-medium">{t("usuarios.rol")}</th>
+              <th className="py-2 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {usuarios.map(u => (
+              <tr key={u.id} className="border-b last:border-0">
+                <td className="py-2 px-2 text-sm font-mono">{u.id}</td>
+                <td className="py-2 px-2 text-sm">{u.nombre}</td>
+                <td className="py-2 px-2">{rolSelect(u.rol, rol => run(() => guardarUsuario({ ...u, rol })))}</td>
+                <td className="py-2 px-2 text-right">
+                  <Button size="icon" variant="ghost" title={t("comun.eliminar")} onClick={() => run(() => eliminarUsuario(u.id))}><Trash2 className="w-4 h-4" /></Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="space-y-2"><Label>{t("usuarios.usuario")}</Label><Input value={nuevo.id} onChange={e => setNuevo({ ...nuevo, id: e.target.value })} placeholder={t("usuarios.ejemplo")} /></div>
+          <div className="space-y-2"><Label>{t("usuarios.nombre")}</Label><Input value={nuevo.nombre} onChange={e => setNuevo({ ...nuevo, nombre: e.target.value })} /></div>
+          <div className="space-y-2"><Label>{t("usuarios.rol")}</Label>{rolSelect(nuevo.rol, rol => setNuevo({ ...nuevo, rol }))}</div>
+          <Button className="gap-2 bg-red-600 hover:bg-red-700 text-white"
+            onClick={() => run(async () => {
+              if (usuarios.some(u => u.id === nuevo.id.trim())) throw new Error(t("usuarios.existe", { id: nuevo.id.trim() }));
+              await guardarUsuario({ ...nuevo, id: nuevo.id.trim() });
+              setNuevo({ id: "", nombre: "", rol: "vendedor" });
+            })}>
+            <Plus className="w-4 h-4" />{t("comun.agregar")}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { AlertCircle, AlertTriangle } from "lucide-react";
+import { useIdioma } from "@/components/LanguageSelect";
+import { advertencias, errores, type Hallazgo } from "@/lib/validation";
+
+/**
+ * Resultado de la validación: errores de campo (los totales no son confiables
+ * hasta corregirlos) y advertencias de consistencia entre campos. No se
+ * muestra si la entrada está limpia.
+ */
+
+export default function ValidationPanel({ hallazgos }: { hallazgos: Hallazgo[] }) {
+  const { t } = useIdioma();
+  const errs = errores(hallazgos);
+  const warns = advertencias(hallazgos);
+  if (hallazgos.length === 0) return null;
+
+  return (
+    <Card className={`border-2 shadow-sm ${errs.length ? "border-red-600" : "border-amber-400"}`}>
+      <CardHeader className="bg-gray-100 border-b border-gray-300">
+        <CardTitle className="flex items-center gap-2 text-gray-900">
+          {errs.length ? <AlertCircle className="w-5 h-5 text-red-600" /> : <AlertTriangle className="w-5 h-5 text-amber-500" />}
+          {t("validacion.titulo")}
+        </CardTitle>
+        <CardDescription className="text-gray-600">
+          {errs.length ? t("validacion.errores", { n: errs.length }) : t("validacion.advertencias")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="pt-4">
+        <ul className="space-y-1">
+          {errs.map(h => (
+            <li key={`e-${h.campo}-${h.mensaje}`} className="flex items-start gap-2 text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mt-0.5 shrink-0" />{t(h)}
+            </li>
+          ))}
+          {warns.map(h => (
+            <li key={`a-${h.campo}-${h.mensaje}`} className="flex items-start gap-2 text-sm text-amber-800">
+              <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />{t(h)}
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
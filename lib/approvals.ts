@@ -0,0 +1,127 @@
+/**
+ * Estados y aprobación de cotizaciones.
+ *
+ *  borrador → presentada → aprobada → enviada
+ *                        ↘ rechazada → presentada (de nuevo)
+ *
+ * Las reglas de aprobación (`REGLAS_APROBACION`) miran la cotización y la
+ * lista de precios con la que se armó; si alguna se cumple, la oferta no se
+ * exporta ni se envía hasta que un gerente la apruebe. Cualquier cambio en
+ * la entrada de una cotización ya presentada la vuelve a borrador: la
+ * aprobación vale sólo para lo que se aprobó.
+ *
+ * Los motivos y los bloqueos son `Mensaje` (`aprobacion.*`) que la UI traduce;
+ * los errores de `verificarTransicion` también los llevan (`textoError`).
+ */
+
+import type { EstimateInput } from "@/lib/cost-engine";
+import { errorTraducible, mensaje as m, traducir, type Idioma, type Mensaje } from "@/lib/i18n";
+import type { OfferLine } from "@/lib/offer";
+import { DEFAULT_PRICE_LIST, diffPriceLists, pickPriceValues, type PriceDiff, type PriceListValues } from "@/lib/price-lists";
+import { REGLAS_VALIDACION } from "@/lib/validation";
+import { puedeAprobar, type Usuario } from "@/lib/users";
+
+export type EstadoCotizacion = "borrador" | "presentada" | "aprobada" | "rechazada" | "enviada";
+
+// El nombre de cada estado es `estado.<estado>`.
+export const ESTADOS: readonly EstadoCotizacion[] = ["borrador", "presentada", "aprobada", "rechazada", "enviada"];
+
+export const estadoLabel = (e: EstadoCotizacion, idioma: Idioma = "es") => traducir(idioma, `estado.${e}`);
+
+/** Lo que miran las reglas: la entrada, las líneas y los valores de la lista de precios (null si no se encontró). */
+export type ContextoAprobacion = {
+  input: EstimateInput;
+  lineas: OfferLine[];
+  lista: PriceListValues | null;
+};
+
+export type ReglaAprobacion = {
+  id: string;
+  descripcion: Mensaje;
+  /** Motivo si la cotización requiere aprobación por esta regla; null si no. */
+  evaluar: (ctx: ContextoAprobacion) => Mensaje | null;
+};
+
+export type ReglaIncumplida = { id: string; motivo: Mensaje };
+
+/** Precios unitarios (y su moneda) que difieren de la lista de precios. */
+export function preciosModificados(input: EstimateInput, lista: PriceListValues): PriceDiff[] {
+  return diffPriceLists({ ...DEFAULT_PRICE_LIST, valores: lista }, { ...DEFAULT_PRICE_LIST, valores: pickPriceValues(input) })
+    .filter(d => d.campo.startsWith("px") || d.campo.startsWith("moneda.px"));
+}
+
+export const REGLAS_APROBACION: readonly ReglaAprobacion[] = [
+  {
+    id: "margen-minimo",
+    descripcion: m("aprobacion.regla.margenMinimo.descripcion", { minimo: REGLAS_VALIDACION.margenMinimoPct }),
+    evaluar: ({ input }) => input.margenPct < REGLAS_VALIDACION.margenMinimoPct
+      ? m("aprobacion.regla.margenMinimo", { margen: input.margenPct, minimo: REGLAS_VALIDACION.margenMinimoPct })
+      : null,
+  },
+  {
+    id: "precio-manual",
+    descripcion: m("aprobacion.regla.precioManual.descripcion"),
+    evaluar: ({ input, lista }) => {
+      if (!lista) return m("aprobacion.regla.sinLista");
+      const d = preciosModificados(input, lista);
+      return d.length ? m("aprobacion.regla.precioManual", { campos: d.map(x => x.campo).join(", ") }) : null;
+    },
+  },
+];
+
+export function reglasIncumplidas(ctx: ContextoAprobacion, reglas: readonly ReglaAprobacion[] = REGLAS_APROBACION): ReglaIncumplida[] {
+  return reglas.flatMap(r => {
+    const motivo = r.evaluar(ctx);
+    return motivo ? [{ id: r.id, motivo }] : [];
+  });
+}
+
+/** Transiciones permitidas desde cada estado (sin contar "volver a borrador" al editar). */
+export const TRANSICIONES: Record<EstadoCotizacion, readonly EstadoCotizacion[]> = {
+  borrador: ["presentada", "enviada"],
+  presentada: ["aprobada", "rechazada"],
+  aprobada: ["enviada"],
+  rechazada: ["presentada"],
+  enviada: [],
+};
+
+/**
+ * Verifica que `usuario` pueda llevar la cotización de `desde` a `hacia` con
+ * las reglas `incumplidas`; lanza un Error con el motivo (traducible) si no.
+ */
+export function verificarTransicion(
+  desde: EstadoCotizacion, hacia: EstadoCotizacion, usuario: Usuario | undefined,
+  incumplidas: readonly ReglaIncumplida[], nota = "",
+) {
+  if (!usuario) throw errorTraducible(m("aprobacion.error.sinUsuario"));
+  if (!TRANSICIONES[desde].includes(hacia)) {
+    throw errorTraducible(m("aprobacion.error.transicion", { desde: m(`estado.${desde}`), hacia: m(`estado.${hacia}`) }));
+  }
+  if ((hacia === "aprobada" || hacia === "rechazada") && !puedeAprobar(usuario)) {
+    throw errorTraducible(m("aprobacion.error.noAprueba", { usuario: usuario.nombre }));
+  }
+  if (hacia === "rechazada" && !nota.trim()) throw errorTraducible(m("aprobacion.error.faltaNota"));
+  if (hacia === "enviada" && desde === "borrador" && incumplidas.length) {
+    throw errorTraducible(m("aprobacion.error.requiere", { motivos: incumplidas.map(r => r.motivo) }));
+  }
+}
+
+/**
+ * Motivo por el que la oferta abierta no se puede exportar, o null. Sin
+ * reglas incumplidas se exporta siempre; con reglas, sólo una cotización
+ * aprobada (o ya enviada) y sin cambios sin guardar.
+ */
+export function bloqueoExportacion(
+  incumplidas: readonly ReglaIncumplida[],
+  cotizacion: { estado: EstadoCotizacion } | null,
+  sinCambios: boolean,
+): Mensaje | null {
+  if (!incumplidas.length) return null;
+  const motivos = incumplidas.map(r => r.motivo);
+  if (!cotizacion) return m("aprobacion.bloqueo.sinGuardar", { motivos });
+  if (cotizacion.estado !== "aprobada" && cotizacion.estado !== "enviada") {
+    return m("aprobacion.bloqueo.estado", { motivos, estado: m(`estado.${cotizacion.estado}`) });
+  }
+  if (!sinCambios) return m("aprobacion.bloqueo.cambio");
+  return null;
+}
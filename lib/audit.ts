@@ -0,0 +1,65 @@
+/**
+ * Historial de una cotización — registro sólo de agregado.
+ *
+ * Cada entrada guarda quién, cuándo y qué: la creación, cada actualización
+ * con los campos de entrada o de precio que cambiaron (valor anterior y
+ * nuevo) y cada cambio de estado con su nota. Las entradas no se editan ni se
+ * borran: una versión nueva de la cotización tiene que empezar con el
+ * historial de la anterior (`extiendeHistorial`).
+ */
+
+import type { EstimateInput } from "@/lib/cost-engine";
+import type { OfferLine } from "@/lib/offer";
+import type { EstadoCotizacion } from "@/lib/approvals";
+import { mensaje, type Mensaje } from "@/lib/i18n";
+
+export type ValorCambio = string | number | boolean | null;
+
+/** `campo` en notación de ruta: `pxCu`, `pxAislacionKg.XLPE`, `extras[0].precio`, `lineas[1].longitudM`. */
+export type Cambio = { campo: string; antes: ValorCambio; despues: ValorCambio };
+
+export type AccionHistorial = "creada" | "modificada" | "estado";
+
+export type RegistroHistorial = {
+  fecha: string; // ISO
+  usuario: string; // id de usuario
+  accion: AccionHistorial;
+  estado?: EstadoCotizacion; // estado resultante, si cambió
+  cambios?: Cambio[];
+  reglas?: (Mensaje | string)[]; // reglas de aprobación vigentes al presentar o aprobar (texto en español en las guardadas antes de los mensajes)
+  nota?: string;
+};
+
+function aplanar(v: unknown, ruta: string, out: Record<string, ValorCambio>) {
+  if (Array.isArray(v)) v.forEach((x, i) => aplanar(x, `${ruta}[${i}]`, out));
+  else if (v && typeof v === "object") for (const [k, x] of Object.entries(v)) aplanar(x, ruta ? `${ruta}.${k}` : k, out);
+  else out[ruta] = (v ?? null) as ValorCambio;
+}
+
+/** Campos de la entrada y de las líneas de la oferta que difieren entre dos versiones. */
+export function cambiosEntrada(
+  a: { input: EstimateInput; lineas?: OfferLine[] },
+  b: { input: EstimateInput; lineas?: OfferLine[] },
+): Cambio[] {
+  const va: Record<string, ValorCambio> = {};
+  const vb: Record<string, ValorCambio> = {};
+  aplanar({ ...a.input, lineas: a.lineas ?? [] }, "", va);
+  aplanar({ ...b.input, lineas: b.lineas ?? [] }, "", vb);
+  return Array.from(new Set([...Object.keys(va), ...Object.keys(vb)]))
+    .filter(k => va[k] !== vb[k])
+    .map(campo => ({ campo, antes: va[campo] ?? null, despues: vb[campo] ?? null }));
+}
+
+export function registro(usuario: string, accion: AccionHistorial, datos: Omit<RegistroHistorial, "fecha" | "usuario" | "accion"> = {}): RegistroHistorial {
+  return { fecha: new Date().toISOString(), usuario, accion, ...datos };
+}
+
+/** true si `nuevo` conserva intactas todas las entradas de `anterior`, en orden, y sólo agrega. */
+export function extiendeHistorial(anterior: readonly RegistroHistorial[], nuevo: readonly RegistroHistorial[]): boolean {
+  return nuevo.length >= anterior.length && anterior.every((r, i) => JSON.stringify(r) === JSON.stringify(nuevo[i]));
+}
+
+const formatoValor = (v: ValorCambio) => (v === null ? "—" : typeof v === "boolean" ? mensaje(v ? "termino.si" : "termino.no") : String(v));
+
+/** "pxCu: 7.2 → 7.5" (`aprobacion.cambio`) */
+export const describirCambio = (c: Cambio): Mensaje => mensaje("aprobacion.cambio", { campo: c.campo, antes: formatoValor(c.antes), despues: formatoValor(c.despues) });
@@ -0,0 +1,314 @@
+/**
+ * Antecedentes de precio — resultados de cotizaciones y precios de la competencia.
+ *
+ * Cada antecedente guarda la especificación de un cable cotizado, nuestro
+ * precio lista (USD/m) y el margen con que se armó, si se ganó o se perdió
+ * y, cuando se conoce, el competidor y su precio. Se registran desde la
+ * cotización abierta o se importan de CSV (con el código de producto).
+ *
+ * Para una estimación nueva se buscan los antecedentes más parecidos por
+ * distancia ponderada de la construcción:
+ *
+ *  d = Σ peso × diferencia   (metal, tipología, tensión, |ln(S₁/S₂)|, aislación, vaina, pantalla, armadura)
+ *  similitud = 1 / (1 + d)
+ *
+ * (sólo los que llegan a `SIMILITUD_MINIMA`) y se ubica nuestro precio frente
+ * a los precios ganadores (el nuestro si se ganó, el del competidor si se
+ * perdió), ponderados por similitud. Cada precio ganador se lleva primero a
+ * la especificación pedida en proporción al metal de cada cable (USD por kg
+ * de Cu + Al), así un 150 mm² no pesa como si costara lo mismo que un 95. Por
+ * familia de producto (metal, tipología y tensión) se arma la tasa de éxito
+ * por banda de margen, para fijar el margen con datos y no con el 15% fijo.
+ */
+
+import { catalogo } from "@/lib/catalog";
+import { contenidoMetal, DEFAULT_INPUT, type CableSpec, type EstimateInput } from "@/lib/cost-engine";
+import { parseCSV, toCSV } from "@/lib/csv";
+import { codigoProducto, decodificarCodigo } from "@/lib/product-codes";
+import type { QuoteMeta } from "@/lib/quotes";
+import { createStore } from "@/lib/storage";
+import { uid } from "@/lib/utils";
+
+export type ResultadoCotizacion = "ganada" | "perdida";
+
+export const RESULTADOS: readonly { key: ResultadoCotizacion; label: string }[] = [
+  { key: "ganada", label: "Ganada" },
+  { key: "perdida", label: "Perdida" },
+];
+
+export type Antecedente = {
+  id: string;
+  fecha: string; // YYYY-MM-DD
+  cliente: string;
+  referencia: string;
+  spec: CableSpec;
+  precioUSDm: number;        // nuestro precio lista ofertado
+  margenPct: number | null;  // margen con que se armó el precio (null si no se conoce)
+  resultado: ResultadoCotizacion;
+  competidor: string;
+  precioCompetidorUSDm: number | null;
+  quoteId: string | null;    // cotización guardada de la que salió
+  origen: "cotizacion" | "importado";
+};
+
+/** Peso de cada diferencia de construcción en la distancia. */
+export const PESOS_SIMILITUD = {
+  metal: 3,
+  tipologia: 2,
+  tension: 1,     // por escalón de tensión del catálogo
+  seccion: 2,     // por unidad de |ln(S₁/S₂)|: 95 vs 120 mm² ≈ 0,47
+  aislacion: 1,
+  vaina: 0.5,
+  pantalla: 0.5,
+  armadura: 1,
+};
+
+/** Similitud mínima para contar como antecedente parecido: deja afuera otro metal (0,25) y sumas de diferencias grandes. */
+export const SIMILITUD_MINIMA = 0.3;
+
+/** Bandas de margen (desde, %) del gráfico de tasa de éxito; la última no tiene techo. */
+export const BANDAS_MARGEN = [0, 5, 10, 15, 20, 25];
+
+/** Antecedentes mínimos en una banda para sugerir su margen. */
+export const MIN_ANTECEDENTES_BANDA = 3;
+
+// Sólo la especificación del cable: la entrada de la cotización trae además precios y factores.
+const specDe = (s: CableSpec): CableSpec => ({
+  metal: s.metal, fases: s.fases, tipologia: s.tipologia, seccion: s.seccion,
+  claseConductor: s.claseConductor, formaConductor: s.formaConductor, disenoPorResistencia: s.disenoPorResistencia, tension: s.tension,
+  aislacion: s.aislacion, sheathKey: s.sheathKey, pantallaMM2: s.pantallaMM2, armadura: s.armadura,
+  kgmArmadura: s.kgmArmadura, useWBLong: s.useWBLong, useWBRad: s.useWBRad,
+});
+
+/** "Cobre unipolar 13.2 kV": antecedentes que comparten precio de metal, construcción base y mercado. */
+export const familia = (s: Pick<CableSpec, "metal" | "tipologia" | "tension">) => `${s.metal} ${s.tipologia} ${s.tension}`;
+
+export function distancia(a: CableSpec, b: CableSpec): number {
+  const tensiones = catalogo().tensiones.map(t => t.tension);
+  const ia = tensiones.indexOf(a.tension), ib = tensiones.indexOf(b.tension);
+  const escalones = a.tension === b.tension ? 0 : ia < 0 || ib < 0 ? tensiones.length : Math.abs(ia - ib);
+  const p = PESOS_SIMILITUD;
+  return (a.metal !== b.metal ? p.metal : 0)
+    + (a.tipologia !== b.tipologia || a.fases !== b.fases ? p.tipologia : 0)
+    + escalones * p.tension
+    + Math.abs(Math.log(a.seccion / b.seccion)) * p.seccion
+    + (a.aislacion !== b.aislacion ? p.aislacion : 0)
+    + (a.sheathKey !== b.sheathKey ? p.vaina : 0)
+    + ((a.pantallaMM2 > 0) !== (b.pantallaMM2 > 0) ? p.pantalla : 0)
+    + (a.armadura !== b.armadura ? p.armadura : 0);
+}
+
+export const similitud = (a: CableSpec, b: CableSpec) => 1 / (1 + distancia(a, b));
+
+export type Parecido = { antecedente: Antecedente; similitud: number };
+
+/**
+ * Los `n` antecedentes más parecidos a la especificación, con similitud de al
+ * menos `SIMILITUD_MINIMA`, del más parecido al menos (a igual similitud, el más reciente).
+ */
+export function masParecidos(s: CableSpec, antecedentes: readonly Antecedente[], n = 5): Parecido[] {
+  return antecedentes
+    .map(a => ({ antecedente: a, similitud: similitud(s, a.spec) }))
+    .filter(p => p.similitud >= SIMILITUD_MINIMA)
+    .sort((x, y) => y.similitud - x.similitud || y.antecedente.fecha.localeCompare(x.antecedente.fecha))
+    .slice(0, n);
+}
+
+/** Precio con que se adjudicó: el nuestro si se ganó, el del competidor si se perdió (null si no se conoce). */
+export const precioGanador = (a: Antecedente) => (a.resultado === "ganada" ? a.precioUSDm : a.precioCompetidorUSDm);
+
+const kgMetal = (s: CableSpec) => {
+  const m = contenidoMetal(s);
+  return m.kgmCu + m.kgmAl;
+};
+
+/** Precio (USD/m) de un cable `de` llevado al cable `a` en proporción a su metal (kg/m de Cu + Al). */
+export const precioEquivalente = (precioUSDm: number, de: CableSpec, a: CableSpec) => precioUSDm * kgMetal(a) / kgMetal(de);
+
+export type PosicionPrecio = {
+  referencias: number;      // antecedentes con precio ganador conocido
+  ganadorPonderado: number; // precio ganador equivalente medio, ponderado por similitud
+  diferenciaPct: number;    // nuestro precio contra el ganador ponderado
+  percentil: number;        // % de precios ganadores equivalentes por debajo del nuestro
+  minimo: number;
+  maximo: number;
+};
+
+/**
+ * Dónde queda `precioUSDm` de la especificación `s` frente a los precios
+ * ganadores de los parecidos, llevados a `s` (`precioEquivalente`); null si
+ * ninguno tiene precio ganador.
+ */
+export function posicionPrecio(precioUSDm: number, s: CableSpec, parecidos: readonly Parecido[]): PosicionPrecio | null {
+  const con = parecidos.flatMap(p => {
+    const precio = precioGanador(p.antecedente);
+    return precio === null ? [] : [{ precio: precioEquivalente(precio, p.antecedente.spec, s), peso: p.similitud }];
+  });
+  if (!con.length) return null;
+  const peso = con.reduce((s, c) => s + c.peso, 0);
+  const ganadorPonderado = con.reduce((s, c) => s + c.precio * c.peso, 0) / peso;
+  const precios = con.map(c => c.precio);
+  return {
+    referencias: con.length,
+    ganadorPonderado,
+    diferenciaPct: (precioUSDm / ganadorPonderado - 1) * 100,
+    percentil: (precios.filter(p => p < precioUSDm).length / precios.length) * 100,
+    minimo: Math.min(...precios),
+    maximo: Math.max(...precios),
+  };
+}
+
+export type BandaMargen = {
+  desde: number;
+  hasta: number | null;
+  total: number;
+  ganadas: number;
+  tasaExito: number | null;   // ganadas / total (null sin antecedentes)
+  margenMedio: number | null; // margen medio de los antecedentes de la banda
+};
+
+export type TasaExito = {
+  familia: string;
+  bandas: BandaMargen[];
+  sugerido: BandaMargen | null; // la banda con más margen esperado (margen × tasa), con antecedentes suficientes
+};
+
+/** Tasa de éxito por banda de margen de los antecedentes de una familia (los que no tienen margen no cuentan). */
+export function tasaExitoPorMargen(fam: string, antecedentes: readonly Antecedente[]): TasaExito {
+  const conMargen = antecedentes.filter(a => familia(a.spec) === fam && a.margenPct !== null);
+  const bandas = BANDAS_MARGEN.map((desde, i): BandaMargen => {
+    const hasta = BANDAS_MARGEN[i + 1] ?? null;
+    const en = conMargen.filter(a => a.margenPct! >= desde && (hasta === null || a.margenPct! < hasta));
+    const ganadas = en.filter(a => a.resultado === "ganada").length;
+    return {
+      desde, hasta, total: en.length, ganadas,
+      tasaExito: en.length ? ganadas / en.length : null,
+      margenMedio: en.length ? en.reduce((s, a) => s + a.margenPct!, 0) / en.length : null,
+    };
+  });
+  const esperado = (b: BandaMargen) => b.margenMedio! * b.tasaExito!;
+  const sugerido = bandas
+    .filter(b => b.total >= MIN_ANTECEDENTES_BANDA)
+    .reduce<BandaMargen | null>((mejor, b) => (!mejor || esperado(b) > esperado(mejor) ? b : mejor), null);
+  return { familia: fam, bandas, sugerido };
+}
+
+export const familias = (antecedentes: readonly Antecedente[]) => Array.from(new Set(antecedentes.map(a => familia(a.spec)))).sort();
+
+// --- Alta e importación ---
+
+function parsePrecio(campo: string, raw: unknown, opcional: true): number | null;
+function parsePrecio(campo: string, raw: unknown, opcional?: false): number;
+function parsePrecio(campo: string, raw: unknown, opcional = false): number | null {
+  const s = String(raw ?? "").trim();
+  if (s === "" && opcional) return null;
+  const n = typeof raw === "number" ? raw : parseFloat(s.replace(",", "."));
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${campo} inválido: ${String(raw ?? "")}`);
+  return n;
+}
+
+function parseResultado(raw: unknown): ResultadoCotizacion {
+  const r = String(raw ?? "").trim().toLowerCase();
+  if (!RESULTADOS.some(x => x.key === r)) throw new Error(`Resultado inválido: "${String(raw ?? "")}" (usar ganada / perdida)`);
+  return r as ResultadoCotizacion;
+}
+
+type DatosAntecedente = Omit<Antecedente, "id" | "competidor" | "precioCompetidorUSDm" | "quoteId"> & {
+  competidor?: string;
+  precioCompetidorUSDm?: number | null;
+  quoteId?: string | null;
+};
+
+export function nuevoAntecedente(d: DatosAntecedente): Antecedente {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(d.fecha)) throw new Error(`Fecha inválida: "${d.fecha}" (usar AAAA-MM-DD)`);
+  const precioUSDm = parsePrecio("Precio", d.precioUSDm);
+  if (precioUSDm <= 0) throw new Error("Precio inválido: debe ser mayor que 0");
+  const precioCompetidorUSDm = parsePrecio("Precio del competidor", d.precioCompetidorUSDm ?? "", true);
+  return {
+    id: uid(),
+    fecha: d.fecha,
+    cliente: d.cliente.trim(),
+    referencia: d.referencia.trim(),
+    spec: specDe(d.spec),
+    precioUSDm,
+    margenPct: d.margenPct === null ? null : parsePrecio("Margen", d.margenPct),
+    resultado: parseResultado(d.resultado),
+    competidor: (d.competidor ?? "").trim(),
+    precioCompetidorUSDm,
+    quoteId: d.quoteId ?? null,
+    origen: d.origen,
+  };
+}
+
+/** Resultado de la cotización `meta` con la especificación y el margen de su entrada (`precioUSDm` = precio lista del motor). */
+export function antecedenteDeCotizacion(
+  meta: QuoteMeta, quoteId: string | null, input: EstimateInput, precioUSDm: number,
+  resultado: ResultadoCotizacion, competidor = "", precioCompetidorUSDm: number | null = null,
+): Antecedente {
+  return nuevoAntecedente({
+    ...meta, spec: input, precioUSDm, margenPct: input.margenPct, resultado, competidor, precioCompetidorUSDm, quoteId, origen: "cotizacion",
+  });
+}
+
+const COLUMNAS_CSV = ["fecha", "cliente", "referencia", "codigo", "precioUSDm", "margenPct", "resultado", "competidor", "precioCompetidorUSDm"] as const;
+const OBLIGATORIAS = ["FECHA", "CODIGO", "PRECIOUSDM", "RESULTADO"];
+
+/**
+ * Importa antecedentes desde CSV (`,` o `;`): una fila por cotización con
+ * `fecha,cliente,referencia,codigo,precioUSDm,margenPct,resultado,competidor,precioCompetidorUSDm`.
+ * La construcción sale del código de producto; `margenPct`, `competidor` y
+ * `precioCompetidorUSDm` pueden quedar vacíos. Los errores indican la fila.
+ */
+export function parseAntecedentesCSV(text: string): Antecedente[] {
+  const [cabecera, ...filas] = parseCSV(text).filter(r => r.some(c => c.trim() !== ""));
+  const columnas = (cabecera ?? []).map(c => c.trim().toUpperCase());
+  const faltan = OBLIGATORIAS.filter(c => !columnas.includes(c));
+  if (faltan.length) throw new Error(`Faltan columnas en el CSV de antecedentes: ${faltan.map(c => COLUMNAS_CSV.find(x => x.toUpperCase() === c)).join(", ")}`);
+  const col = (r: string[], c: (typeof COLUMNAS_CSV)[number]) => {
+    const i = columnas.indexOf(c.toUpperCase());
+    return i < 0 ? "" : (r[i] ?? "").trim();
+  };
+  return filas.map((r, i) => {
+    try {
+      return nuevoAntecedente({
+        fecha: col(r, "fecha"),
+        cliente: col(r, "cliente"),
+        referencia: col(r, "referencia"),
+        spec: decodificarCodigo(col(r, "codigo")),
+        precioUSDm: parsePrecio("Precio", col(r, "precioUSDm")),
+        margenPct: parsePrecio("Margen", col(r, "margenPct"), true),
+        resultado: parseResultado(col(r, "resultado")),
+        competidor: col(r, "competidor"),
+        precioCompetidorUSDm: parsePrecio("Precio del competidor", col(r, "precioCompetidorUSDm"), true),
+        origen: "importado",
+      });
+    } catch (err) {
+      throw new Error(`Fila ${i + 2}: ${(err as Error).message}`);
+    }
+  });
+}
+
+export function antecedentesToCSV(antecedentes: readonly Antecedente[]): string {
+  return toCSV([
+    [...COLUMNAS_CSV],
+    ...[...antecedentes].sort((a, b) => a.fecha.localeCompare(b.fecha)).map(a => [
+      a.fecha, a.cliente, a.referencia, codigoProducto(a.spec) ?? "", a.precioUSDm,
+      a.margenPct, a.resultado, a.competidor, a.precioCompetidorUSDm,
+    ]),
+  ]);
+}
+
+/** Validación para la API. */
+export function parseAntecedente(body: unknown): Antecedente {
+  const b = body as Partial<Antecedente>;
+  if (!b || typeof b !== "object" || !b.id || !b.spec) throw new Error("Antecedente incompleto: se requieren id, spec, precio y resultado");
+  const a = nuevoAntecedente({
+    fecha: String(b.fecha ?? ""), cliente: String(b.cliente ?? ""), referencia: String(b.referencia ?? ""), spec: { ...DEFAULT_INPUT, ...b.spec },
+    precioUSDm: b.precioUSDm as number, margenPct: b.margenPct ?? null, resultado: b.resultado as ResultadoCotizacion,
+    competidor: String(b.competidor ?? ""), precioCompetidorUSDm: b.precioCompetidorUSDm ?? null, quoteId: b.quoteId ?? null,
+    origen: b.origen === "importado" ? "importado" : "cotizacion",
+  });
+  return { ...a, id: String(b.id) };
+}
+
+export const antecedenteStore = createStore<Antecedente>("benchmarks");
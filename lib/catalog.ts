@@ -0,0 +1,179 @@
+/**
+ * Catálogo de productos: metales, aislaciones, compuestos de vaina, clases de
+ * tensión, secciones y pantallas que se ofrecen, con el código de cada opción
+ * para armar los códigos de producto (`lib/product-codes.ts`).
+ *
+ * El catálogo de fábrica vive en `data/catalogo.json`; el que se edita en la
+ * pantalla de administración (`/catalogo`) se guarda como único documento
+ * ("vigente") de la colección "catalog". El motor, la validación y la API
+ * consultan el catálogo activo, como consultan las tablas de aislación; la UI
+ * y la API lo cargan con `usarCatalogo` antes de calcular.
+ *
+ * Los espesores siguen en `data/aislacion.json`: cada tensión y aislación del
+ * catálogo tiene que existir en esas tablas.
+ */
+
+import base from "@/data/catalogo.json";
+import type { Metal } from "@/lib/cost-engine";
+import { claseTension, MATERIALES_AISLACION } from "@/lib/insulation";
+import { createStore, type Store } from "@/lib/storage";
+
+export type MetalCatalogo = { key: Metal; codigo: string; densidadKgM3: number };
+export type AislacionCatalogo = { key: string; codigo: string }; // código "" = aislación estándar, no se escribe en el código de producto
+export type VainaCatalogo = { key: string; label: string; codigo: string; factor: number; densidadKgM3: number };
+export type TensionCatalogo = { tension: string; codigo: string };
+
+export type Catalogo = {
+  id: string;
+  actualizado: string; // ISO; vacío en el de fábrica
+  prefijo: string;
+  metales: MetalCatalogo[];
+  aislaciones: AislacionCatalogo[];
+  vainas: VainaCatalogo[]; // factor: multiplicador sobre el precio de vaina base
+  tensiones: TensionCatalogo[];
+  secciones: number[]; // mm², ascendentes
+  pantallas: number[]; // mm² de pantalla Cu, ascendentes; 0 = sin pantalla
+};
+
+export const ID_CATALOGO = "vigente";
+
+// Segmentos del código de producto que no puede usar una opción del catálogo.
+const CODIGO_RESERVADO = /^(A|P\d+|W[LR]*)$/;
+const CODIGO_VALIDO = /^[A-Z0-9.]+$/;
+
+const esObjeto = (x: unknown): x is Record<string, unknown> => typeof x === "object" && x !== null && !Array.isArray(x);
+
+/**
+ * Valida un catálogo (pantalla de administración y API) y lo normaliza:
+ * códigos en mayúsculas, secciones y pantallas ordenadas. Junta todos los
+ * errores en un solo mensaje.
+ */
+export function parseCatalogo(body: unknown): Catalogo {
+  const errores: string[] = [];
+  const b = esObjeto(body) ? body : {};
+  if (!esObjeto(body)) errores.push("El catálogo debe ser un objeto");
+
+  const lista = (campo: string): Record<string, unknown>[] => {
+    const v = b[campo];
+    if (!Array.isArray(v) || v.length === 0) {
+      errores.push(`${campo}: debe tener al menos una opción`);
+      return [];
+    }
+    return v.map(x => (esObjeto(x) ? x : {}));
+  };
+  const texto = (x: unknown) => String(x ?? "").trim();
+  const numero = (campo: string, x: unknown, cero = false) => {
+    if (typeof x === "number" && Number.isFinite(x) && (cero ? x >= 0 : x > 0)) return x;
+    errores.push(`${campo}: debe ser un número ${cero ? "mayor o igual a 0" : "mayor que 0"}`);
+    return 0;
+  };
+  const codigo = (campo: string, x: unknown, vacio = false) => {
+    const c = texto(x).toUpperCase();
+    if (!c && vacio) return c;
+    if (!CODIGO_VALIDO.test(c)) errores.push(`${campo}: código "${c}" inválido (letras, números y punto)`);
+    else if (CODIGO_RESERVADO.test(c)) errores.push(`${campo}: el código "${c}" está reservado para pantalla, armadura o WB`);
+    return c;
+  };
+  const unicos = (campo: string, valores: (string | number)[]) => {
+    const repetidos = valores.filter((v, i) => valores.indexOf(v) !== i);
+    if (repetidos.length) errores.push(`${campo}: valores repetidos (${Array.from(new Set(repetidos)).join(", ")})`);
+  };
+
+  const prefijo = codigo("prefijo", b.prefijo);
+
+  const metales = lista("metales").map((m, i): MetalCatalogo => ({
+    key: m.key as Metal,
+    codigo: codigo(`metales[${i}].codigo`, m.codigo),
+    densidadKgM3: numero(`metales[${i}].densidadKgM3`, m.densidadKgM3),
+  }));
+  for (const metal of ["Cobre", "Aluminio"]) {
+    if (!metales.some(m => m.key === metal)) errores.push(`metales: falta ${metal}`);
+  }
+
+  const aislaciones = lista("aislaciones").map((a, i): AislacionCatalogo => {
+    const key = texto(a.key);
+    if (!MATERIALES_AISLACION.some(m => m.key === key)) errores.push(`aislaciones[${i}]: material sin tabla de aislación: ${key}`);
+    return { key, codigo: codigo(`aislaciones[${i}].codigo`, a.codigo, true) };
+  });
+  if (aislaciones.filter(a => !a.codigo).length > 1) errores.push("aislaciones: sólo una puede tener código vacío (la estándar)");
+
+  const vainas = lista("vainas").map((v, i): VainaCatalogo => {
+    const key = texto(v.key);
+    if (!/^\w+$/.test(key)) errores.push(`vainas[${i}].key: use letras, números o _`);
+    return {
+      key,
+      label: texto(v.label) || key,
+      codigo: codigo(`vainas[${i}].codigo`, v.codigo),
+      factor: numero(`vainas[${i}].factor`, v.factor),
+      densidadKgM3: numero(`vainas[${i}].densidadKgM3`, v.densidadKgM3),
+    };
+  });
+
+  const tensiones = lista("tensiones").map((t, i): TensionCatalogo => {
+    const tension = texto(t.tension);
+    if (!claseTension(tension)) errores.push(`tensiones[${i}]: ${tension} no tiene tabla de aislación (data/aislacion.json)`);
+    return { tension, codigo: codigo(`tensiones[${i}].codigo`, t.codigo) };
+  });
+
+  const medidas = (campo: string, cero: boolean) => {
+    const v = b[campo];
+    if (!Array.isArray(v) || v.length === 0) {
+      errores.push(`${campo}: debe tener al menos una opción`);
+      return [];
+    }
+    return v.map((x, i) => numero(`${campo}[${i}]`, x, cero)).sort((x, y) => x - y);
+  };
+  const secciones = medidas("secciones", false);
+  const pantallas = medidas("pantallas", true);
+
+  unicos("metales", metales.map(m => m.key));
+  unicos("códigos de metal", metales.map(m => m.codigo));
+  unicos("aislaciones", aislaciones.map(a => a.key));
+  unicos("códigos de aislación", aislaciones.map(a => a.codigo));
+  unicos("vainas", vainas.map(v => v.key));
+  unicos("códigos de vaina", vainas.map(v => v.codigo));
+  unicos("tensiones", tensiones.map(t => t.tension));
+  unicos("códigos de tensión", tensiones.map(t => t.codigo));
+  unicos("secciones", secciones);
+  unicos("pantallas", pantallas);
+
+  if (errores.length) throw new Error(errores.join("; "));
+  return {
+    id: ID_CATALOGO,
+    actualizado: typeof b.actualizado === "string" ? b.actualizado : "",
+    prefijo, metales, aislaciones, vainas, tensiones, secciones, pantallas,
+  };
+}
+
+export const CATALOGO_BASE: Catalogo = parseCatalogo(base);
+
+let activo = CATALOGO_BASE;
+
+/**
+ * Catálogo con el que calculan el motor, la validación y los códigos de
+ * producto cuando no se les pasa uno (el de la pantalla). El servidor pasa el
+ * suyo en cada pedido: no cambia el activo.
+ */
+export function catalogo(): Catalogo {
+  return activo;
+}
+
+export function usarCatalogo(c: Catalogo) {
+  activo = c;
+}
+
+export function densidadMetal(metal: Metal, cat: Catalogo = activo): number {
+  return cat.metales.find(m => m.key === metal)!.densidadKgM3;
+}
+
+export function vaina(key: string, cat: Catalogo = activo): VainaCatalogo | undefined {
+  return cat.vainas.find(v => v.key === key);
+}
+
+export const catalogStore = createStore<Catalogo>("catalog");
+
+/** Catálogo guardado o, si todavía no se editó, el de fábrica. */
+export async function cargarCatalogo(store: Store<Catalogo> = catalogStore): Promise<Catalogo> {
+  const guardado = await store.get(ID_CATALOGO);
+  return guardado ? parseCatalogo(guardado) : CATALOGO_BASE;
+}
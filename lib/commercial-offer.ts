@@ -0,0 +1,180 @@
+/**
+ * Oferta comercial imprimible.
+ *
+ * Arma, a partir de la cotización abierta (cliente, referencia, fecha), la
+ * especificación actual o las líneas de la oferta multi-línea, el documento que
+ * se entrega al cliente. El nivel "cliente" sólo lleva descripción, precio
+ * unitario, contenido metálico y totales; el nivel "interno" agrega el desglose
+ * de costos por línea.
+ * Los costos no se ocultan con CSS: en el nivel cliente no forman parte del
+ * documento.
+ * El idioma de la oferta es independiente del de la UI: la descripción, las
+ * características, las filas del desglose y la cláusula salen en ese idioma,
+ * con sus términos técnicos (`termino.*` en lib/i18n.ts).
+ */
+
+import { descripcionConductor } from "@/lib/conductor";
+import { contenidoMetal, costoFila, nombreFila, sheathLabel, type CableSpec, type EstimateInput } from "@/lib/cost-engine";
+import { tasa, type Moneda } from "@/lib/currency";
+import { traducir, traductor, variantes, type Idioma } from "@/lib/i18n";
+import { lmeBase, textoClausula } from "@/lib/indexation";
+import { computeOffer, computeOfferLine, descripcionCable, newOfferLine, type OfferLine, type OfferTotals } from "@/lib/offer";
+import { pickPriceValues, type PriceListRef } from "@/lib/price-lists";
+import type { QuoteMeta } from "@/lib/quotes";
+
+export type NivelDetalle = "cliente" | "interno";
+
+export type OfferTerms = {
+  validezDias: number;
+  condicionesPago: string;
+  plazoEntrega: string;
+  observaciones: string;
+  nivel: NivelDetalle;
+  clausulaMetal: boolean; // incluir la cláusula de ajuste por LME
+  idioma: Idioma;
+};
+
+export const DEFAULT_TERMS: OfferTerms = {
+  validezDias: 15,
+  condicionesPago: traducir("es", "oferta.condicionesPagoDefecto"),
+  plazoEntrega: traducir("es", "oferta.plazoEntregaDefecto"),
+  observaciones: "",
+  nivel: "cliente",
+  clausulaMetal: true,
+  idioma: "es",
+};
+
+/** Condiciones en otro idioma: las que siguen con el texto por defecto de algún idioma pasan al del nuevo. */
+export function terminosEnIdioma(terms: OfferTerms, idioma: Idioma): OfferTerms {
+  const porDefecto = (texto: string, clave: string) => (variantes(clave).includes(texto) ? traducir(idioma, clave) : texto);
+  return {
+    ...terms,
+    idioma,
+    condicionesPago: porDefecto(terms.condicionesPago, "oferta.condicionesPagoDefecto"),
+    plazoEntrega: porDefecto(terms.plazoEntrega, "oferta.plazoEntregaDefecto"),
+  };
+}
+
+export type Caracteristica = { label: string; valor: string };
+
+export type DesgloseInterno = {
+  filas: { nombre: string; categoria: string; costoUSDm: number }[];
+  subtotalMaterias: number;
+  mermasBrutasUSDm: number;
+  recuperoUSDm: number;
+  mermasUSDm: number;
+  subtotalProcesos: number;
+  costoFabrica: number;
+  margenPct: number;
+  margenUSDm: number;
+};
+
+export type OfferDocItem = {
+  id: string;
+  descripcion: string;
+  caracteristicas: Caracteristica[];
+  kgmCu: number;            // contenido metálico, base de la cláusula de ajuste
+  kgmAl: number;
+  longitudM: number | null; // null: cotización por metro, sin longitud pedida
+  bobinas: number;
+  precioUSDm: number;
+  precioSalidaM: number;    // en la moneda de salida
+  totalUSD: number | null;
+  totalSalida: number | null;
+  interno?: DesgloseInterno;
+};
+
+export type OfferDoc = {
+  meta: QuoteMeta;
+  validoHasta: string;
+  terms: OfferTerms;
+  priceList: PriceListRef;
+  moneda: Moneda;
+  tasa: number;             // unidades de la moneda de salida por USD
+  clausulaMetal: string | null;
+  items: OfferDocItem[];
+  totales: OfferTotals | null;
+};
+
+/** Suma días a una fecha AAAA-MM-DD (en UTC, sin corrimientos por huso horario). */
+export function sumarDias(fecha: string, dias: number): string {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) throw new Error(`Fecha inválida: "${fecha}" (usar AAAA-MM-DD)`);
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().slice(0, 10);
+}
+
+export function caracteristicasCable(spec: CableSpec, idioma: Idioma = "es"): Caracteristica[] {
+  const t = traductor(idioma);
+  const wb = [spec.useWBLong && t("termino.longitudinal"), spec.useWBRad && t("termino.radial")].filter(Boolean).join(" + ");
+  const conductor = `${t(`metal.${spec.metal}`)}, ${spec.fases}×${spec.seccion} mm² (${t(`tipologia.${spec.tipologia}`)}), ${descripcionConductor(spec, idioma)}`;
+  return [
+    { label: t("termino.conductor"), valor: conductor },
+    { label: t("termino.tension"), valor: spec.tension },
+    { label: t("termino.aislacion"), valor: spec.aislacion },
+    { label: t("termino.vaina"), valor: sheathLabel(spec.sheathKey, idioma) },
+    { label: t("termino.pantalla"), valor: spec.pantallaMM2 ? `Cu ${spec.pantallaMM2} mm²` : t("termino.sinPantalla") },
+    { label: t("termino.armadura"), valor: t(spec.armadura ? "termino.si" : "termino.no") },
+    { label: t("termino.waterBlocking"), valor: wb || t("termino.no") },
+  ];
+}
+
+export function buildCommercialOffer(args: {
+  meta: QuoteMeta;
+  input: EstimateInput;
+  lineas: OfferLine[];
+  priceList: PriceListRef;
+  terms: OfferTerms;
+}): OfferDoc {
+  const { meta, input, lineas, priceList, terms } = args;
+  const pricing = { ...pickPriceValues(input), margenPct: input.margenPct, moneda: input.moneda, longitudPedidoM: input.longitudPedidoM };
+  const porMetro = lineas.length === 0;
+  const oferta = porMetro ? null : computeOffer(lineas, pricing);
+  const resultados = oferta ? oferta.lineas : [computeOfferLine(newOfferLine(input, 0), pricing)];
+
+  const items: OfferDocItem[] = resultados.map(r => {
+    const e = r.estimate;
+    const item: OfferDocItem = {
+      id: r.line.id,
+      descripcion: descripcionCable(r.line.spec, terms.idioma),
+      caracteristicas: caracteristicasCable(r.line.spec, terms.idioma),
+      ...contenidoMetal(r.line.spec),
+      longitudM: porMetro ? null : r.line.longitudM,
+      bobinas: r.bobinas,
+      precioUSDm: e.precioListaUSDm,
+      precioSalidaM: e.precioListaSalidaM,
+      totalUSD: porMetro ? null : r.totalUSD,
+      totalSalida: porMetro ? null : r.totalSalida,
+    };
+    if (terms.nivel === "interno") {
+      item.interno = {
+        filas: e.filas.filter(f => f.incluye).map(f => ({
+          nombre: nombreFila(f, r.line.spec, terms.idioma),
+          categoria: f.categoria ? traducir(terms.idioma, `categoria.${f.categoria}`) : "",
+          costoUSDm: costoFila(f),
+        })),
+        subtotalMaterias: e.subtotalMaterias,
+        mermasBrutasUSDm: e.mermasBrutasUSDm,
+        recuperoUSDm: e.recuperoUSDm,
+        mermasUSDm: e.mermasUSDm,
+        subtotalProcesos: e.subtotalProcesos,
+        costoFabrica: e.costoFabrica,
+        margenPct: input.margenPct,
+        margenUSDm: e.margenUSDm,
+      };
+    }
+    return item;
+  });
+
+  return {
+    meta,
+    validoHasta: /^\d{4}-\d{2}-\d{2}$/.test(meta.fecha) ? sumarDias(meta.fecha, terms.validezDias) : "",
+    terms,
+    priceList,
+    moneda: input.moneda,
+    tasa: tasa(input.moneda, input),
+    clausulaMetal: terms.clausulaMetal ? textoClausula(lmeBase(input), terms.idioma) : null,
+    items,
+    totales: oferta ? oferta.totales : null,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Construcción del conductor — clase de cableado, forma y masa real de metal.
+ *
+ * La sección nominal no es la sección de metal: un conductor cableado lleva
+ * hilos más largos que el cable (paso de cableado) y en los tripolares cada
+ * núcleo se reúne en hélice. Con `disenoPorResistencia` la sección de metal
+ * sale de la resistencia máxima de IEC 60228 para la clase, como la diseña
+ * la trefilación, con un margen por debajo del máximo:
+ *
+ *  S = ρ20 × kCableado / (Rmáx × (1 − margen))
+ *  kg/m = S × densidad × kCableado × kReunido × conductores
+ *
+ * Clases, llenado por forma, factores y resistencias en
+ * `data/conductores.json`, para que ingeniería los mantenga. Las entradas
+ * guardadas antes de estos campos se calculan como `CONDUCTOR_ESTANDAR`.
+ */
+
+import tabla from "@/data/conductores.json";
+import type { CableSpec, ClaseConductor, FormaConductor, Metal } from "@/lib/cost-engine";
+import { etiqueta, type Idioma } from "@/lib/i18n";
+
+export type DatosClase = {
+  clase: ClaseConductor;
+  label: string;
+  factorCableado: number; // largo de hilo por metro de conductor
+  llenado: Partial<Record<FormaConductor, number>>; // formas admitidas y su factor de llenado
+  resistenciaMaxOhmKm: Partial<Record<Metal, Record<string, number>>>; // a 20 °C, por sección
+};
+
+export type TablaConductores = {
+  norma: string;
+  resistividad20OhmMM2Km: Record<Metal, number>;
+  margenDisenoPct: number;
+  factorReunido: number;  // largo de cada núcleo por metro de cable multipolar
+  factorPantalla: number; // hilos o cinta de la pantalla en hélice
+  seccionMinSectorialMM2: number;
+  clases: DatosClase[];
+};
+
+export const TABLA_CONDUCTORES = tabla as TablaConductores;
+
+export const CLASES_CONDUCTOR = TABLA_CONDUCTORES.clases;
+
+export const FORMAS_CONDUCTOR: readonly { key: FormaConductor; label: string }[] = [
+  { key: "redondo", label: "Redondo" },
+  { key: "compactado", label: "Redondo compactado" },
+  { key: "sectorial", label: "Sectorial" },
+];
+
+export const CONDUCTOR_ESTANDAR: Pick<CableSpec, "claseConductor" | "formaConductor" | "disenoPorResistencia"> = {
+  claseConductor: 2,
+  formaConductor: "compactado",
+  disenoPorResistencia: false,
+};
+
+export type ConstruccionConductor = Pick<CableSpec, "metal" | "fases" | "tipologia" | "seccion" | "claseConductor" | "formaConductor" | "disenoPorResistencia">;
+
+export function datosClase(clase: number): DatosClase | undefined {
+  return CLASES_CONDUCTOR.find(c => c.clase === clase);
+}
+
+// Clase de la construcción; una clase desconocida (o ausente) se calcula como la estándar.
+const claseDe = (c: Pick<CableSpec, "claseConductor">) => datosClase(c.claseConductor) ?? datosClase(CONDUCTOR_ESTANDAR.claseConductor)!;
+
+export function formasAdmitidas(clase: number): FormaConductor[] {
+  return FORMAS_CONDUCTOR.map(f => f.key).filter(f => datosClase(clase)?.llenado[f] !== undefined);
+}
+
+/** Núcleos reunidos bajo una vaina: tripolar con más de una fase. */
+export const esReunido = (c: Pick<CableSpec, "tipologia" | "fases">) => c.tipologia === "tripolar" && c.fases > 1;
+
+/** Resistencia máxima a 20 °C (Ω/km) de IEC 60228, o null si la norma no define la combinación. */
+export function resistenciaMaxima(clase: number, metal: Metal, seccion: number): number | null {
+  return datosClase(clase)?.resistenciaMaxOhmKm[metal]?.[String(seccion)] ?? null;
+}
+
+export function factorLlenado(c: Pick<CableSpec, "claseConductor" | "formaConductor">): number {
+  const clase = claseDe(c);
+  return clase.llenado[c.formaConductor] ?? clase.llenado[CONDUCTOR_ESTANDAR.formaConductor] ?? Object.values(clase.llenado)[0];
+}
+
+/** Largo de metal por metro de cable: paso de cableado de la clase y, en los reunidos, el del reunido. */
+export function factorCableado(c: Pick<CableSpec, "claseConductor" | "tipologia" | "fases">): number {
+  return claseDe(c).factorCableado * (esReunido(c) ? TABLA_CONDUCTORES.factorReunido : 1);
+}
+
+export function factorPantalla(c: Pick<CableSpec, "tipologia" | "fases">): number {
+  return TABLA_CONDUCTORES.factorPantalla * (esReunido(c) ? TABLA_CONDUCTORES.factorReunido : 1);
+}
+
+/**
+ * Sección de metal (mm²) de un conductor: la nominal o, diseñando por
+ * resistencia, la que da la resistencia máxima con el margen de diseño.
+ * Sin resistencia en la tabla queda la nominal (la validación lo marca).
+ */
+export function seccionEfectiva(c: ConstruccionConductor): number {
+  const rMax = c.disenoPorResistencia ? resistenciaMaxima(claseDe(c).clase, c.metal, c.seccion) : null;
+  if (!rMax) return c.seccion;
+  const objetivo = rMax * (1 - TABLA_CONDUCTORES.margenDisenoPct / 100);
+  return (TABLA_CONDUCTORES.resistividad20OhmMM2Km[c.metal] * claseDe(c).factorCableado) / objetivo;
+}
+
+/** Resistencia estimada a 20 °C (Ω/km) de un conductor con su sección de metal. */
+export function resistenciaConductor(c: ConstruccionConductor): number {
+  return (TABLA_CONDUCTORES.resistividad20OhmMM2Km[c.metal] * claseDe(c).factorCableado) / seccionEfectiva(c);
+}
+
+/** "clase 2 — cableado, redondo compactado", para descripciones y ofertas. */
+export function descripcionConductor(c: Pick<CableSpec, "claseConductor" | "formaConductor">, idioma: Idioma = "es"): string {
+  const clase = claseDe(c);
+  const forma = FORMAS_CONDUCTOR.find(f => f.key === c.formaConductor && clase.llenado[f.key] !== undefined)
+    ?? FORMAS_CONDUCTOR.find(f => clase.llenado[f.key] !== undefined)!;
+  const texto = `${etiqueta(idioma, `conductor.clase.${clase.clase}`, clase.label)}, ${etiqueta(idioma, `conductor.forma.${forma.key}`, forma.label)}`;
+  return texto.toLowerCase();
+}
+
+export const esConductorEstandar = (c: Pick<CableSpec, "claseConductor" | "formaConductor">) =>
+  (c.claseConductor ?? CONDUCTOR_ESTANDAR.claseConductor) === CONDUCTOR_ESTANDAR.claseConductor
+  && (c.formaConductor ?? CONDUCTOR_ESTANDAR.formaConductor) === CONDUCTOR_ESTANDAR.formaConductor;
@@ -0,0 +1,292 @@
+/**
+ * Motor de costos — función pura, sin React.
+ *
+ * Toma la especificación del cable, los precios, los factores de costo y las
+ * filas extra, y devuelve el desglose por fila y los subtotales. Las filas de
+ * proceso salen de la ruta de fabricación (`lib/processes.ts`) y las mermas
+ * se calculan por fila, con recupero de metales (`lib/scrap.ts`). Los kg/m de
+ * conductor y pantalla siguen la construcción del conductor
+ * (`lib/conductor.ts`): clase, cableado y reunido. La UI, la
+ * exportación CSV y cualquier otro consumidor deben pasar por `computeEstimate`.
+ *
+ * Flujo reflejado del Excel:
+ *  Entrada de Datos -> Base de Datos -> Precios -> Tablas/Factores -> Resultado
+ */
+
+import { catalogo, densidadMetal, vaina, type Catalogo } from "@/lib/catalog";
+import { CONDUCTOR_ESTANDAR, factorCableado, factorPantalla, seccionEfectiva, type ConstruccionConductor } from "@/lib/conductor";
+import { DEFAULT_PRECIOS_PLANTILLAS, resolverExtra, type ReglaKg } from "@/lib/extra-templates";
+import { cableGeometry, type Geometria } from "@/lib/geometry";
+import { etiqueta, traductor, type Idioma } from "@/lib/i18n";
+import { DEFAULT_PRECIOS_AISLACION, materialAislacion } from "@/lib/insulation";
+import { purgaPorFila, rutaProcesos, type PasoRuta } from "@/lib/processes";
+import { conMerma, DEFAULT_MERMAS_FILA, DEFAULT_RECUPERO, mermaFila } from "@/lib/scrap";
+import { aUSD, desdeUSD, type Moneda } from "@/lib/currency";
+
+// --- Tipos ---
+export type Metal = "Cobre" | "Aluminio";
+export type Tipologia = "unipolar" | "tripolar";
+export type ClaseConductor = 1 | 2 | 5; // IEC 60228: macizo, cableado, flexible
+export type FormaConductor = "redondo" | "compactado" | "sectorial";
+
+export type ComponentRow = {
+  id: string;
+  nombre: string;              // Conductor, Pantalla, Vaina, WB Longitudinal, etc.
+  tipoPrecio: "$/kg" | "$/m";  // base de precio
+  precio: number;              // precio por unidad según tipoPrecio
+  kgPorMetro: number;          // sólo si $/kg
+  metros: number;              // sólo si $/m
+  incluye?: boolean;           // on/off
+  categoria?: "Materia" | "Proceso"; // para desglose
+  plantilla?: string;          // extra insertado desde una plantilla: su precio sale de pxPlantillas
+  reglaKg?: ReglaKg;           // kg/m que siguen a la construcción (reemplaza kgPorMetro)
+  mermaPct?: number;           // % de merma propio (extras); el motor lo resuelve en todas las filas de materia
+  recuperoPct?: number;        // % del valor de la merma que se recupera
+  purgaKgM?: number;           // purga de arranque de la extrusión, kg/m (la pone el motor)
+};
+
+export type CableSpec = {
+  metal: Metal;
+  fases: number;
+  tipologia: Tipologia;
+  seccion: number;
+  claseConductor: ClaseConductor;
+  formaConductor: FormaConductor;
+  disenoPorResistencia: boolean; // sección de metal según la resistencia máxima de la clase
+  tension: string;
+  aislacion: string;
+  sheathKey: string;
+  pantallaMM2: number;
+  armadura: boolean;
+  kgmArmadura: number;
+  useWBLong: boolean;
+  useWBRad: boolean;
+};
+
+/** Precios que se pueden cargar en otra moneda (la aislación, una moneda para todos los materiales). */
+export type CampoMoneda = "pxCu" | "pxAl" | "pxWBLong" | "pxWBRad" | "pxVainaBase" | "pxArmaduraKg" | "pxSemiconKg" | "pxAislacionKg" | "pxEnergiaKWh";
+
+export type PriceParams = {
+  pxCu: number;
+  pxAl: number;
+  pxWBLong: number;
+  pxWBRad: number;
+  pxVainaBase: number;
+  pxArmaduraKg: number;
+  pxSemiconKg: number;
+  pxAislacionKg: Record<string, number>; // $/kg por material de aislación
+  pxPlantillas: Record<string, number>;  // USD por unidad (según tipoPrecio) por plantilla de extra
+  pxEnergiaKWh: number;                  // energía de las líneas de proceso ($/kWh)
+  lmeCuUSDt: number; // LME base con que se fijaron pxCu / pxAl (cláusula de ajuste, no entra en el costo)
+  lmeAlUSDt: number;
+  monedaPrecios: Partial<Record<CampoMoneda, Moneda>>; // moneda de cada precio; los ausentes están en USD
+};
+
+export type CostFactors = {
+  mermasPct: number;                     // merma de las filas de materia sin tasa propia
+  mermasFilaPct: Record<string, number>; // % de merma por fila del motor (conductor, vaina, …)
+  recuperoPct: Record<string, number>;   // % recuperado del valor de la merma, por fila del motor (metales)
+  indirectosUSDm: number; // indirectos de planta, fuera de la ruta de procesos
+  longitudPedidoM: number; // metros pedidos: amortiza la preparación de las máquinas
+  margenPct: number;
+  tcARS: number;  // tipos de cambio: unidades de cada moneda por USD
+  tcEUR: number;
+  tcBRL: number;
+  moneda: Moneda; // moneda de salida de la cotización
+};
+
+export type EstimateInput = CableSpec & PriceParams & CostFactors & {
+  extras?: ComponentRow[];
+};
+
+export type Estimate = {
+  filas: ComponentRow[];
+  geometria: Geometria;
+  subtotalMaterias: number;
+  mermasBrutasUSDm: number;  // material que se compra y no queda en el cable
+  materialBrutoUSDm: number; // subtotal de materiales + mermas brutas
+  recuperoUSDm: number;      // valor recuperado de las mermas (metales)
+  mermasUSDm: number;        // mermas netas: brutas − recupero
+  subtotalProcesos: number;
+  costoFabrica: number;
+  margenUSDm: number;
+  precioListaUSDm: number;
+  precioListaARSm: number;
+  precioListaSalidaM: number; // en la moneda de salida
+};
+
+// --- Tablas / factores ---
+// Las opciones de construcción (secciones, tensiones, pantallas, vainas con su
+// factor y densidad, densidad de los metales) están en el catálogo: `lib/catalog.ts`.
+export const DEFAULT_PRECIOS = {
+  Cobre_kg: 7.21091,
+  Aluminio_kg: 2.973,
+  WB_Longitudinal_m: 1.16,
+  WB_Radial_m: 2.21,
+  VainaBase_kg: 1.38, // PVC base
+  Semiconductora_kg: 3.5,
+  Energia_kWh: 0.1,
+  LME_Cobre_t: 7210.91,   // LME base implícito en los precios de metal ($/kg × 1000)
+  LME_Aluminio_t: 2973,
+};
+
+/** Valores iniciales del formulario; también sirven de base para tests y API. */
+export const DEFAULT_INPUT: EstimateInput = {
+  metal: "Cobre",
+  fases: 1,
+  tipologia: "unipolar",
+  seccion: 95,
+  ...CONDUCTOR_ESTANDAR,
+  tension: "13.2 kV",
+  aislacion: "XLPE",
+  sheathKey: "RH",
+  pantallaMM2: 6,
+  armadura: false,
+  kgmArmadura: 0.15,
+  useWBLong: false,
+  useWBRad: false,
+  pxCu: DEFAULT_PRECIOS.Cobre_kg,
+  pxAl: DEFAULT_PRECIOS.Aluminio_kg,
+  pxWBLong: DEFAULT_PRECIOS.WB_Longitudinal_m,
+  pxWBRad: DEFAULT_PRECIOS.WB_Radial_m,
+  pxVainaBase: DEFAULT_PRECIOS.VainaBase_kg,
+  pxArmaduraKg: 1.9,
+  pxSemiconKg: DEFAULT_PRECIOS.Semiconductora_kg,
+  pxAislacionKg: DEFAULT_PRECIOS_AISLACION,
+  pxPlantillas: DEFAULT_PRECIOS_PLANTILLAS,
+  pxEnergiaKWh: DEFAULT_PRECIOS.Energia_kWh,
+  lmeCuUSDt: DEFAULT_PRECIOS.LME_Cobre_t,
+  lmeAlUSDt: DEFAULT_PRECIOS.LME_Aluminio_t,
+  monedaPrecios: {},
+  mermasPct: 3,
+  mermasFilaPct: DEFAULT_MERMAS_FILA,
+  recuperoPct: DEFAULT_RECUPERO,
+  indirectosUSDm: 0.12,
+  longitudPedidoM: 1000,
+  margenPct: 15,
+  tcARS: 1100,
+  tcEUR: 0.92,
+  tcBRL: 5.4,
+  moneda: "ARS",
+  extras: [],
+};
+
+// --- Utilidades base ---
+/** Metal del conductor por metro de cable: sección de metal, cableado y reunido (`lib/conductor.ts`). */
+export function kgConductorPorMetro(spec: ConstruccionConductor, cat: Catalogo = catalogo()) {
+  return seccionEfectiva(spec) * 1e-6 * densidadMetal(spec.metal, cat) * factorCableado(spec) * spec.fases;
+}
+
+export function kgPantallaPorMetro(spec: Pick<CableSpec, "pantallaMM2" | "fases" | "tipologia">, cat: Catalogo = catalogo()) {
+  if (!spec.pantallaMM2) return 0;
+  return spec.pantallaMM2 * 1e-6 * densidadMetal("Cobre", cat) * factorPantalla(spec) * spec.fases;
+}
+
+/** Contenido metálico por metro: conductor según el metal más la pantalla (siempre de cobre). */
+export function contenidoMetal(spec: ConstruccionConductor & Pick<CableSpec, "pantallaMM2">) {
+  const conductor = kgConductorPorMetro(spec);
+  const pantalla = kgPantallaPorMetro(spec);
+  return {
+    kgmCu: (spec.metal === "Cobre" ? conductor : 0) + pantalla,
+    kgmAl: spec.metal === "Aluminio" ? conductor : 0,
+  };
+}
+
+export function sheathLabel(sheathKey: string, idioma: Idioma = "es", cat: Catalogo = catalogo()) {
+  return etiqueta(idioma, `vaina.${sheathKey}`, vaina(sheathKey, cat)?.label ?? sheathKey);
+}
+
+/** Nombre de una fila del motor en el idioma pedido; los extras conservan el nombre cargado. */
+export function nombreFila(f: ComponentRow, spec: CableSpec, idioma: Idioma = "es"): string {
+  if (idioma === "es") return f.nombre;
+  const t = traductor(idioma);
+  switch (f.id) {
+    case "conductor": return t("fila.conductor", { metal: t(`metal.${spec.metal}`) });
+    case "pantalla": return spec.pantallaMM2 ? t("fila.pantalla", { mm2: spec.pantallaMM2 }) : t("fila.pantallaNA");
+    case "aislacion": return t("fila.aislacion", { material: materialAislacion(spec.aislacion).label });
+    case "vaina": return t("fila.vaina", { vaina: sheathLabel(spec.sheathKey, idioma) });
+    case "semicon": case "asiento": case "wbL": case "wbR": case "arm": case "ind": return t(`fila.${f.id}`);
+    default: return f.id.startsWith("proc-") ? etiqueta(idioma, `proceso.${f.id.slice("proc-".length)}`, f.nombre) : f.nombre;
+  }
+}
+
+/** Costo USD/m de una fila (0 si no está incluida). */
+export function costoFila(f: ComponentRow) {
+  if (!f.incluye) return 0;
+  return f.tipoPrecio === "$/kg" ? f.kgPorMetro * f.precio : f.metros * f.precio;
+}
+
+export function round(n: number, d = 6) {
+  return Math.round((n + Number.EPSILON) * 10 ** d) / 10 ** d;
+}
+
+function subtotal(filas: ComponentRow[], categoria: ComponentRow["categoria"]) {
+  return filas.filter(f => f.categoria === categoria).reduce((acc, f) => acc + costoFila(f), 0);
+}
+
+// --- Base de Datos lógica: filas derivadas de la especificación ---
+export function buildMaterias(p: CableSpec & PriceParams & Pick<CostFactors, "tcARS" | "tcEUR" | "tcBRL">, geo: Geometria = cableGeometry(p), cat: Catalogo = catalogo()): ComponentRow[] {
+  const usd = (campo: CampoMoneda, n: number) => aUSD(n, p.monedaPrecios[campo] ?? "USD", p);
+  const kgmConductor = kgConductorPorMetro(p, cat);
+  const kgmPantalla = kgPantallaPorMetro(p, cat);
+  const vainaFactor = vaina(p.sheathKey, cat)?.factor ?? 1;
+  const pxVaina = usd("pxVainaBase", p.pxVainaBase) * vainaFactor;
+  const aislacion = materialAislacion(p.aislacion);
+
+  return [
+    { id: "conductor", nombre: `Conductor ${p.metal}`, tipoPrecio: "$/kg", precio: p.metal === "Cobre" ? usd("pxCu", p.pxCu) : usd("pxAl", p.pxAl), kgPorMetro: kgmConductor, metros: 1, incluye: true, categoria: "Materia" },
+    { id: "pantalla", nombre: p.pantallaMM2 ? `Pantalla Cu ${p.pantallaMM2} mm²` : "Pantalla (N/A)", tipoPrecio: "$/kg", precio: usd("pxCu", p.pxCu), kgPorMetro: kgmPantalla, metros: 1, incluye: p.pantallaMM2 > 0, categoria: "Materia" },
+    { id: "aislacion", nombre: `Aislación ${aislacion.label}`, tipoPrecio: "$/kg", precio: p.pxAislacionKg[aislacion.key] !== undefined ? usd("pxAislacionKg", p.pxAislacionKg[aislacion.key]) : aislacion.precioKg, kgPorMetro: geo.kgmAislacion, metros: 1, incluye: true, categoria: "Materia" },
+    { id: "semicon", nombre: "Semiconductoras", tipoPrecio: "$/kg", precio: usd("pxSemiconKg", p.pxSemiconKg), kgPorMetro: geo.kgmSemiconductoras, metros: 1, incluye: true, categoria: "Materia" },
+    { id: "asiento", nombre: "Asiento / relleno", tipoPrecio: "$/kg", precio: usd("pxVainaBase", p.pxVainaBase), kgPorMetro: geo.kgmAsiento, metros: 1, incluye: geo.kgmAsiento > 0, categoria: "Materia" },
+    { id: "vaina", nombre: `Vaina ${sheathLabel(p.sheathKey, "es", cat)}`, tipoPrecio: "$/kg", precio: pxVaina, kgPorMetro: geo.kgmVaina, metros: 1, incluye: true, categoria: "Materia" },
+    { id: "wbL", nombre: "WB Longitudinal", tipoPrecio: "$/m", precio: usd("pxWBLong", p.pxWBLong), kgPorMetro: 0, metros: 1, incluye: p.useWBLong, categoria: "Materia" },
+    { id: "wbR", nombre: "WB Radial", tipoPrecio: "$/m", precio: usd("pxWBRad", p.pxWBRad), kgPorMetro: 0, metros: 1, incluye: p.useWBRad, categoria: "Materia" },
+    { id: "arm", nombre: "Armadura", tipoPrecio: "$/kg", precio: usd("pxArmaduraKg", p.pxArmaduraKg), kgPorMetro: p.armadura ? p.kgmArmadura : 0, metros: 1, incluye: p.armadura, categoria: "Materia" },
+  ];
+}
+
+type EntradaProcesos = CableSpec & Pick<PriceParams, "pxEnergiaKWh" | "monedaPrecios"> & CostFactors;
+
+/** Ruta de procesos de la entrada, con la energía pasada a USD. */
+export function rutaDeEntrada(p: EntradaProcesos, geo: Geometria = cableGeometry(p)): PasoRuta[] {
+  return rutaProcesos(p, geo, aUSD(p.pxEnergiaKWh, p.monedaPrecios.pxEnergiaKWh ?? "USD", p), p.longitudPedidoM);
+}
+
+/** Una fila por proceso de la ruta (los que no aplican, sin incluir) más los indirectos de planta. */
+export function buildProcesos(p: EntradaProcesos, geo: Geometria = cableGeometry(p), ruta = rutaDeEntrada(p, geo)): ComponentRow[] {
+  return [
+    ...ruta.map((r): ComponentRow => ({
+      id: `proc-${r.proceso.key}`, nombre: r.proceso.nombre, tipoPrecio: "$/m", precio: r.totalUSDm, kgPorMetro: 0, metros: 1, incluye: r.aplica, categoria: "Proceso",
+    })),
+    { id: "ind", nombre: "Indirectos de planta", tipoPrecio: "$/m", precio: p.indirectosUSDm, kgPorMetro: 0, metros: 1, incluye: true, categoria: "Proceso" },
+  ];
+}
+
+// --- Resultado ---
+export function computeEstimate(p: EstimateInput, cat: Catalogo = catalogo()): Estimate {
+  const geometria = cableGeometry(p, cat);
+  const ruta = rutaDeEntrada(p, geometria);
+  const purgas = purgaPorFila(ruta, p.longitudPedidoM);
+  const filas = [
+    ...buildMaterias(p, geometria, cat).map(f => conMerma(f, p, purgas)),
+    ...buildProcesos(p, geometria, ruta),
+    ...(p.extras ?? []).map(r => conMerma(resolverExtra(r, p, geometria), p)),
+  ];
+
+  const subtotalMaterias = subtotal(filas, "Materia");
+  const mermas = filas.map(mermaFila);
+  const mermasBrutasUSDm = mermas.reduce((acc, m) => acc + m.brutaUSDm, 0);
+  const recuperoUSDm = mermas.reduce((acc, m) => acc + m.recuperoUSDm, 0);
+  const mermasUSDm = mermasBrutasUSDm - recuperoUSDm;
+  const subtotalProcesos = subtotal(filas, "Proceso");
+  const costoFabrica = subtotalMaterias + mermasUSDm + subtotalProcesos;
+  const margenUSDm = costoFabrica * (p.margenPct / 100);
+  const precioListaUSDm = costoFabrica + margenUSDm;
+  const precioListaARSm = precioListaUSDm * p.tcARS;
+  const precioListaSalidaM = desdeUSD(precioListaUSDm, p.moneda, p);
+
+  return {
+    filas, geometria, subtotalMaterias, mermasBrutasUSDm, materialBrutoUSDm: subtotalMaterias + mermasBrutasUSDm, recuperoUSDm, mermasUSDm, subtotalProcesos, costoFabrica, margenUSDm, precioListaUSDm, precioListaARSm, precioListaSalidaM,
+  };
+}
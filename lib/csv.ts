@@ -0,0 +1,48 @@
+/**
+ * CSV (RFC 4180): comillas dobles alrededor de los campos con separador,
+ * comillas o saltos de línea, y `""` para una comilla dentro del campo.
+ */
+
+export type CSVCell = string | number | boolean | null | undefined;
+
+export function csvCell(c: CSVCell, sep = ","): string {
+  const s = c === null || c === undefined ? "" : String(c);
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows: CSVCell[][], sep = ","): string {
+  return rows.map(r => r.map(c => csvCell(c, sep)).join(sep)).join("\r\n");
+}
+
+/** Detecta `;` (Excel en configuración regional es-AR) o `,` según la primera línea. */
+export function detectarSeparador(text: string): string {
+  const primera = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  return (primera.match(/;/g)?.length ?? 0) > (primera.match(/,/g)?.length ?? 0) ? ";" : ",";
+}
+
+export function parseCSV(text: string, sep = detectarSeparador(text)): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let campo = "";
+  let comillas = false;
+  const s = text.replace(/^﻿/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (comillas) {
+      if (ch === '"' && s[i + 1] === '"') { campo += '"'; i++; }
+      else if (ch === '"') comillas = false;
+      else campo += ch;
+    } else if (ch === '"') comillas = true;
+    else if (ch === sep) { row.push(campo); campo = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(campo);
+      rows.push(row);
+      row = [];
+      campo = "";
+    } else campo += ch;
+  }
+  if (comillas) throw new Error("CSV inválido: comillas sin cerrar");
+  if (campo !== "" || row.length) { row.push(campo); rows.push(row); }
+  return rows;
+}
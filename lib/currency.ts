@@ -0,0 +1,129 @@
+/**
+ * Monedas y tipos de cambio.
+ *
+ * El motor calcula en USD. Los tipos de cambio se expresan en unidades de cada
+ * moneda por USD (`tcARS`, `tcEUR`, `tcBRL`), así un precio en EUR pasa a USD
+ * dividiendo por `tcEUR` y un precio en USD pasa a la moneda de salida
+ * multiplicando por su tipo de cambio.
+ *
+ * Las tablas de tipos de cambio están fechadas: se cargan a mano o se importan
+ * de un CSV `fecha,ARS,EUR,BRL` y se aplica la vigente a la fecha de la
+ * cotización.
+ */
+
+import { createStore } from "@/lib/storage";
+import { parseCSV, toCSV } from "@/lib/csv";
+import { uid } from "@/lib/utils";
+
+export type Moneda = "USD" | "ARS" | "EUR" | "BRL";
+
+export const MONEDAS: readonly { key: Moneda; label: string; decimales: number }[] = [
+  { key: "USD", label: "Dólar estadounidense", decimales: 2 },
+  { key: "ARS", label: "Peso argentino", decimales: 0 },
+  { key: "EUR", label: "Euro", decimales: 2 },
+  { key: "BRL", label: "Real brasileño", decimales: 2 },
+];
+
+/** Monedas con tipo de cambio contra el USD, y el campo de la entrada que lo guarda. */
+export const CAMPO_TC = { ARS: "tcARS", EUR: "tcEUR", BRL: "tcBRL" } as const;
+
+export type MonedaTC = keyof typeof CAMPO_TC;
+export type TiposCambio = { tcARS: number; tcEUR: number; tcBRL: number };
+
+export function esMoneda(s: unknown): s is Moneda {
+  return MONEDAS.some(m => m.key === s);
+}
+
+export function parseMoneda(campo: string, raw: unknown): Moneda {
+  const s = String(raw ?? "").trim().toUpperCase() || "USD";
+  if (!esMoneda(s)) throw new Error(`Moneda inválida para "${campo}": ${String(raw)} (usar ${MONEDAS.map(m => m.key).join(" / ")})`);
+  return s;
+}
+
+/** Unidades de `moneda` por USD. */
+export function tasa(moneda: Moneda, tc: TiposCambio): number {
+  return moneda === "USD" ? 1 : tc[CAMPO_TC[moneda]];
+}
+
+export function aUSD(n: number, moneda: Moneda, tc: TiposCambio): number {
+  return n / tasa(moneda, tc);
+}
+
+export function desdeUSD(usd: number, moneda: Moneda, tc: TiposCambio): number {
+  return usd * tasa(moneda, tc);
+}
+
+export function convertir(n: number, de: Moneda, a: Moneda, tc: TiposCambio): number {
+  return de === a ? n : desdeUSD(aUSD(n, de, tc), a, tc);
+}
+
+// --- Tablas fechadas ---
+
+export type TablaCambio = {
+  id: string;
+  fecha: string; // YYYY-MM-DD
+  origen: "manual" | "importada";
+  tasas: TiposCambio;
+};
+
+/** Tabla vigente a una fecha: la más reciente que no la supere. */
+export function tablaVigente(tablas: TablaCambio[], fecha: string): TablaCambio | undefined {
+  return [...tablas].filter(t => t.fecha <= fecha).sort((a, b) => b.fecha.localeCompare(a.fecha))[0];
+}
+
+function parseTasa(campo: string, raw: unknown): number {
+  const n = typeof raw === "number" ? raw : parseFloat(String(raw ?? "").trim().replace(",", "."));
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`Tipo de cambio inválido para ${campo}: ${String(raw)}`);
+  return n;
+}
+
+function parseFecha(raw: unknown): string {
+  const s = String(raw ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) throw new Error(`Fecha inválida: "${s}" (usar AAAA-MM-DD)`);
+  return s;
+}
+
+export function nuevaTabla(fecha: string, tasas: TiposCambio, origen: TablaCambio["origen"] = "manual"): TablaCambio {
+  return {
+    id: uid(),
+    fecha: parseFecha(fecha),
+    origen,
+    tasas: { tcARS: parseTasa("ARS", tasas.tcARS), tcEUR: parseTasa("EUR", tasas.tcEUR), tcBRL: parseTasa("BRL", tasas.tcBRL) },
+  };
+}
+
+/**
+ * Importa tablas desde CSV: una fila por fecha con una columna por moneda
+ * (`fecha,ARS,EUR,BRL`, también con `;`). Las monedas que falten en el archivo
+ * se toman de `base`.
+ */
+export function parseTablasCambioCSV(text: string, base: TiposCambio): TablaCambio[] {
+  const [cabecera, ...filas] = parseCSV(text).filter(r => r.some(c => c.trim() !== ""));
+  const columnas = (cabecera ?? []).map(c => c.trim().toUpperCase());
+  if (columnas[0] !== "FECHA") throw new Error('El CSV de tipos de cambio debe empezar con la columna "fecha"');
+  const desconocidas = columnas.slice(1).filter(c => !(c in CAMPO_TC));
+  if (desconocidas.length) throw new Error(`Moneda desconocida en el CSV: ${desconocidas.join(", ")}`);
+  return filas.map(r => {
+    const tasas = { ...base };
+    columnas.slice(1).forEach((c, i) => { tasas[CAMPO_TC[c as MonedaTC]] = parseTasa(`${c} (${r[0]})`, r[i + 1]); });
+    return nuevaTabla(r[0], tasas, "importada");
+  });
+}
+
+export function tablasCambioToCSV(tablas: TablaCambio[]): string {
+  const monedas = Object.keys(CAMPO_TC) as MonedaTC[];
+  return toCSV([
+    ["fecha", ...monedas],
+    ...[...tablas].sort((a, b) => a.fecha.localeCompare(b.fecha)).map(t => [t.fecha, ...monedas.map(m => t.tasas[CAMPO_TC[m]])]),
+  ]);
+}
+
+/** Validación para la API. */
+export function parseTablaCambio(body: unknown): TablaCambio {
+  const b = body as Partial<TablaCambio>;
+  if (!b || typeof b !== "object" || !b.id || !b.tasas) throw new Error("Tabla de cambio incompleta: se requieren id, fecha y tasas");
+  const t = nuevaTabla(String(b.fecha ?? ""), b.tasas, b.origen === "importada" ? "importada" : "manual");
+  return { ...t, id: String(b.id) };
+}
+
+export const tablaCambioStore = createStore<TablaCambio>("exchange-rates");
@@ -0,0 +1,269 @@
+/**
+ * API de cálculo — validación del pedido y armado de la respuesta.
+ *
+ * Un pedido lleva la especificación del cable (`spec`), precios y factores que
+ * reemplazan a los de la lista de precios (`precios`, opcional) y filas extra
+ * (`extras`, opcional; con `plantilla` y `reglaKg` se comportan como los
+ * insertados desde una plantilla). Los campos de `spec` que falten se toman de
+ * `DEFAULT_INPUT`; los de `precios`, de la lista de precios vigente. La
+ * respuesta trae las mismas filas y totales que muestra la UI.
+ *
+ * La validación junta todos los errores del pedido en lugar de cortar en el
+ * primero, para que quien integra los corrija de una vez. Sobre la entrada
+ * armada corre además `validarEntrada`: sus errores rechazan el pedido y sus
+ * advertencias vuelven en la respuesta.
+ */
+
+import {
+  computeEstimate, costoFila, DEFAULT_INPUT,
+  type CableSpec, type CampoMoneda, type ComponentRow, type EstimateInput,
+} from "@/lib/cost-engine";
+import { catalogo, type Catalogo } from "@/lib/catalog";
+import { CLASES_CONDUCTOR, FORMAS_CONDUCTOR } from "@/lib/conductor";
+import { esMoneda, MONEDAS, type Moneda } from "@/lib/currency";
+import { BASES_REGLA, type BaseRegla } from "@/lib/extra-templates";
+import { MATERIALES_AISLACION } from "@/lib/insulation";
+import { FILAS_MERMA, mermaFila } from "@/lib/scrap";
+import { pickPriceValues, PRICE_FIELDS, type PriceListRef, type PriceListValues } from "@/lib/price-lists";
+import { uid } from "@/lib/utils";
+import { advertencias, errores as erroresDe, REGLAS_VALIDACION, validarEntrada, type Hallazgo } from "@/lib/validation";
+
+/** Máximo de especificaciones por pedido batch. */
+export const MAX_BATCH = 500;
+
+export type EstimateResponse = {
+  input: EstimateInput;
+  listaPrecios: PriceListRef;
+  filas: (ComponentRow & { costoUSDm: number; mermaNetaUSDm: number })[];
+  geometria: ReturnType<typeof computeEstimate>["geometria"];
+  advertencias: Hallazgo[];
+  totales: {
+    subtotalMaterias: number;
+    mermasBrutasUSDm: number;
+    materialBrutoUSDm: number;
+    recuperoUSDm: number;
+    mermasUSDm: number;
+    subtotalProcesos: number;
+    costoFabrica: number;
+    margenUSDm: number;
+    precioListaUSDm: number;
+    precioListaARSm: number;
+    moneda: Moneda;
+    precioListaSalidaM: number;
+  };
+};
+
+export type Validacion =
+  | { ok: true; input: EstimateInput; errores: []; advertencias: Hallazgo[] }
+  | { ok: false; input: null; errores: string[] };
+
+export type BatchItem =
+  | { indice: number; ok: true; resultado: EstimateResponse }
+  | { indice: number; ok: false; errores: string[] };
+
+const esObjeto = (x: unknown): x is Record<string, unknown> => typeof x === "object" && x !== null && !Array.isArray(x);
+const lista = (xs: readonly (string | number)[]) => xs.join(" / ");
+
+const CAMPOS_SPEC: readonly (keyof CableSpec)[] = [
+  "metal", "fases", "tipologia", "seccion", "claseConductor", "formaConductor", "disenoPorResistencia",
+  "tension", "aislacion", "sheathKey", "pantallaMM2", "armadura", "kgmArmadura", "useWBLong", "useWBRad",
+];
+
+// Campos con opciones cerradas (las de construcción, del catálogo).
+function opcionesSpec(cat: Catalogo): Partial<Record<keyof CableSpec, readonly (string | number)[]>> {
+  return {
+    metal: ["Cobre", "Aluminio"],
+    fases: [1, 3],
+    tipologia: ["unipolar", "tripolar"],
+    claseConductor: CLASES_CONDUCTOR.map(c => c.clase),
+    formaConductor: FORMAS_CONDUCTOR.map(f => f.key),
+    tension: cat.tensiones.map(t => t.tension),
+    aislacion: cat.aislaciones.map(a => a.key),
+    sheathKey: cat.vainas.map(v => v.key),
+  };
+}
+
+const CAMPOS_MONEDA: readonly CampoMoneda[] = ["pxCu", "pxAl", "pxWBLong", "pxWBRad", "pxVainaBase", "pxArmaduraKg", "pxSemiconKg", "pxAislacionKg", "pxEnergiaKWh"];
+
+function validarSpec(raw: unknown, errores: string[], cat: Catalogo): Partial<CableSpec> {
+  if (raw === undefined) return {};
+  if (!esObjeto(raw)) {
+    errores.push("spec: debe ser un objeto");
+    return {};
+  }
+  const spec: Record<string, unknown> = {};
+  const opcionesDe = opcionesSpec(cat);
+  for (const [campo, v] of Object.entries(raw)) {
+    if (!CAMPOS_SPEC.includes(campo as keyof CableSpec)) {
+      errores.push(`spec.${campo}: campo desconocido`);
+      continue;
+    }
+    const def = DEFAULT_INPUT[campo as keyof CableSpec];
+    const opciones = opcionesDe[campo as keyof CableSpec];
+    if (opciones && !opciones.includes(v as string | number)) errores.push(`spec.${campo}: valor inválido ${JSON.stringify(v)} (usar ${lista(opciones)})`);
+    else if (typeof def === "boolean" && typeof v !== "boolean") errores.push(`spec.${campo}: debe ser true o false`);
+    else if (typeof def === "number" && (typeof v !== "number" || !Number.isFinite(v) || v < 0)) errores.push(`spec.${campo}: debe ser un número mayor o igual a 0`);
+    else spec[campo] = v;
+  }
+  if (spec.seccion === 0) errores.push("spec.seccion: debe ser mayor que 0");
+  return spec as Partial<CableSpec>;
+}
+
+function validarNumero(campo: string, v: unknown, errores: string[], positivo = false): number | undefined {
+  if (typeof v === "number" && Number.isFinite(v) && (positivo ? v > 0 : v >= 0)) return v;
+  errores.push(`${campo}: debe ser un número ${positivo ? "mayor que 0" : "mayor o igual a 0"}`);
+  return undefined;
+}
+
+type PreciosValidados = Partial<PriceListValues> & { margenPct?: number; longitudPedidoM?: number; moneda?: Moneda };
+
+function validarPrecios(raw: unknown, base: PriceListValues, errores: string[]): PreciosValidados {
+  if (raw === undefined) return {};
+  if (!esObjeto(raw)) {
+    errores.push("precios: debe ser un objeto");
+    return {};
+  }
+  const out: Record<string, unknown> = {};
+  for (const [campo, v] of Object.entries(raw)) {
+    const c = `precios.${campo}`;
+    if (campo === "pxAislacionKg") {
+      if (!esObjeto(v)) { errores.push(`${c}: debe ser un objeto { material: $/kg }`); continue; }
+      const px = { ...base.pxAislacionKg };
+      for (const [m, n] of Object.entries(v)) {
+        if (!MATERIALES_AISLACION.some(x => x.key === m)) errores.push(`${c}.${m}: material desconocido (usar ${lista(MATERIALES_AISLACION.map(x => x.key))})`);
+        else { const ok = validarNumero(`${c}.${m}`, n, errores); if (ok !== undefined) px[m] = ok; }
+      }
+      out.pxAislacionKg = px;
+    } else if (campo === "pxPlantillas") {
+      if (!esObjeto(v)) { errores.push(`${c}: debe ser un objeto { plantilla: precio }`); continue; }
+      const px = { ...base.pxPlantillas };
+      for (const [id, n] of Object.entries(v)) { const ok = validarNumero(`${c}.${id}`, n, errores); if (ok !== undefined) px[id] = ok; }
+      out.pxPlantillas = px;
+    } else if (campo === "mermasFilaPct" || campo === "recuperoPct") {
+      if (!esObjeto(v)) { errores.push(`${c}: debe ser un objeto { fila: % }`); continue; }
+      const pct = { ...base[campo] };
+      for (const [id, n] of Object.entries(v)) {
+        if (!FILAS_MERMA.some(f => f.id === id)) errores.push(`${c}.${id}: fila desconocida (usar ${lista(FILAS_MERMA.map(f => f.id))})`);
+        else { const ok = validarNumero(`${c}.${id}`, n, errores); if (ok !== undefined) pct[id] = ok; }
+      }
+      out[campo] = pct;
+    } else if (campo === "monedaPrecios") {
+      if (!esObjeto(v)) { errores.push(`${c}: debe ser un objeto { campo: moneda }`); continue; }
+      const monedas: PriceListValues["monedaPrecios"] = {};
+      for (const [k, m] of Object.entries(v)) {
+        if (!CAMPOS_MONEDA.includes(k as CampoMoneda)) errores.push(`${c}.${k}: campo desconocido (usar ${lista(CAMPOS_MONEDA)})`);
+        else if (!esMoneda(m)) errores.push(`${c}.${k}: moneda inválida ${JSON.stringify(m)} (usar ${lista(MONEDAS.map(x => x.key))})`);
+        else if (m !== "USD") monedas[k as CampoMoneda] = m;
+      }
+      out.monedaPrecios = monedas;
+    } else if (campo === "moneda") {
+      if (esMoneda(v)) out.moneda = v;
+      else errores.push(`${c}: moneda inválida ${JSON.stringify(v)} (usar ${lista(MONEDAS.map(x => x.key))})`);
+    } else if (campo === "margenPct" || campo === "longitudPedidoM" || PRICE_FIELDS.some(f => f.key === campo)) {
+      const n = validarNumero(c, v, errores, campo.startsWith("tc") || campo === "longitudPedidoM");
+      if (n !== undefined) out[campo] = n;
+    } else errores.push(`${c}: campo desconocido`);
+  }
+  return out as PreciosValidados;
+}
+
+function validarExtras(raw: unknown, errores: string[]): ComponentRow[] {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) {
+    errores.push("extras: debe ser una lista");
+    return [];
+  }
+  return raw.flatMap((r, i): ComponentRow[] => {
+    const c = `extras[${i}]`;
+    if (!esObjeto(r)) { errores.push(`${c}: debe ser un objeto`); return []; }
+    const n = errores.length;
+    if (typeof r.nombre !== "string" || !r.nombre.trim()) errores.push(`${c}.nombre: requerido`);
+    if (r.tipoPrecio !== "$/kg" && r.tipoPrecio !== "$/m") errores.push(`${c}.tipoPrecio: usar "$/kg" o "$/m"`);
+    const categoria = r.categoria ?? "Materia";
+    if (categoria !== "Materia" && categoria !== "Proceso") errores.push(`${c}.categoria: usar "Materia" o "Proceso"`);
+    const precio = validarNumero(`${c}.precio`, r.precio, errores);
+    const kgPorMetro = validarNumero(`${c}.kgPorMetro`, r.kgPorMetro ?? 0, errores);
+    const metros = validarNumero(`${c}.metros`, r.metros ?? (r.tipoPrecio === "$/m" ? 1 : 0), errores);
+    if (r.incluye !== undefined && typeof r.incluye !== "boolean") errores.push(`${c}.incluye: debe ser true o false`);
+    if (r.plantilla !== undefined && (typeof r.plantilla !== "string" || !r.plantilla)) errores.push(`${c}.plantilla: debe ser el id de una plantilla`);
+    const regla = r.reglaKg;
+    if (regla !== undefined && (!esObjeto(regla) || !BASES_REGLA.some(b => b.key === regla.base))) errores.push(`${c}.reglaKg.base: usar ${lista(BASES_REGLA.map(b => b.key))}`);
+    const factor = esObjeto(regla) ? validarNumero(`${c}.reglaKg.factor`, regla.factor, errores) : undefined;
+    const mermaPct = r.mermaPct !== undefined ? validarNumero(`${c}.mermaPct`, r.mermaPct, errores) : undefined;
+    const recuperoPct = r.recuperoPct !== undefined ? validarNumero(`${c}.recuperoPct`, r.recuperoPct, errores) : undefined;
+    if (errores.length > n) return [];
+    return [{
+      id: typeof r.id === "string" && r.id ? r.id : uid(),
+      nombre: (r.nombre as string).trim(),
+      tipoPrecio: r.tipoPrecio as ComponentRow["tipoPrecio"],
+      precio: precio!,
+      kgPorMetro: kgPorMetro!,
+      metros: metros!,
+      incluye: r.incluye !== false,
+      categoria: categoria as ComponentRow["categoria"],
+      ...(r.plantilla !== undefined ? { plantilla: r.plantilla as string } : {}),
+      ...(esObjeto(regla) ? { reglaKg: { base: regla.base as BaseRegla, factor: factor! } } : {}),
+      ...(mermaPct !== undefined ? { mermaPct } : {}),
+      ...(recuperoPct !== undefined ? { recuperoPct } : {}),
+    }];
+  });
+}
+
+/** Valida un pedido y arma la entrada del motor sobre la especificación de fábrica, los precios `base` y el catálogo `cat`. */
+export function validarEstimateRequest(body: unknown, base: PriceListValues, cat: Catalogo = catalogo()): Validacion {
+  if (!esObjeto(body)) return { ok: false, input: null, errores: ["El cuerpo debe ser un objeto JSON { spec, precios?, extras? }"] };
+  const errores: string[] = [];
+  for (const k of Object.keys(body)) if (!["spec", "precios", "extras", "listaPrecios"].includes(k)) errores.push(`${k}: campo desconocido (usar spec, precios, extras, listaPrecios)`);
+  const spec = validarSpec(body.spec, errores, cat);
+  const precios = validarPrecios(body.precios, base, errores);
+  const extras = validarExtras(body.extras, errores);
+  if (errores.length) return { ok: false, input: null, errores };
+  const input: EstimateInput = { ...DEFAULT_INPUT, ...spec, ...pickPriceValues(base), ...precios, extras };
+  const hallazgos = validarEntrada(input, REGLAS_VALIDACION, cat);
+  const invalidos = erroresDe(hallazgos);
+  if (invalidos.length) return { ok: false, input: null, errores: invalidos.map(h => `${h.campo}: ${h.mensaje}`) };
+  return { ok: true, input, errores: [], advertencias: advertencias(hallazgos) };
+}
+
+export function estimateResponse(input: EstimateInput, listaPrecios: PriceListRef, avisos?: Hallazgo[], cat: Catalogo = catalogo()): EstimateResponse {
+  const e = computeEstimate(input, cat);
+  return {
+    input,
+    listaPrecios,
+    filas: e.filas.map(f => ({ ...f, costoUSDm: costoFila(f), mermaNetaUSDm: mermaFila(f).netaUSDm })),
+    geometria: e.geometria,
+    advertencias: avisos ?? advertencias(validarEntrada(input, REGLAS_VALIDACION, cat)),
+    totales: {
+      subtotalMaterias: e.subtotalMaterias,
+      mermasBrutasUSDm: e.mermasBrutasUSDm,
+      materialBrutoUSDm: e.materialBrutoUSDm,
+      recuperoUSDm: e.recuperoUSDm,
+      mermasUSDm: e.mermasUSDm,
+      subtotalProcesos: e.subtotalProcesos,
+      costoFabrica: e.costoFabrica,
+      margenUSDm: e.margenUSDm,
+      precioListaUSDm: e.precioListaUSDm,
+      precioListaARSm: e.precioListaARSm,
+      moneda: input.moneda,
+      precioListaSalidaM: e.precioListaSalidaM,
+    },
+  };
+}
+
+/**
+ * Pedido batch: `{ items: [pedido, …], precios? }`. Los `precios` comunes se
+ * aplican a todos los ítems y cada ítem puede reemplazarlos. Un ítem inválido
+ * no invalida a los demás.
+ */
+export function runBatch(body: unknown, base: PriceListValues, listaPrecios: PriceListRef, cat: Catalogo = catalogo()): { resultados: BatchItem[] } {
+  if (!esObjeto(body) || !Array.isArray(body.items)) throw new Error("El cuerpo debe ser un objeto JSON { items: [...], precios? }");
+  if (body.items.length === 0) throw new Error("items: la lista está vacía");
+  if (body.items.length > MAX_BATCH) throw new Error(`items: máximo ${MAX_BATCH} especificaciones por pedido (se recibieron ${body.items.length})`);
+  const comunes = body.precios;
+  const resultados = body.items.map((item, indice): BatchItem => {
+    const pedido = esObjeto(item) && esObjeto(comunes) ? { ...item, precios: { ...comunes, ...(esObjeto(item.precios) ? item.precios : {}) } } : item;
+    const v = validarEstimateRequest(pedido, base, cat);
+    return v.ok ? { indice, ok: true, resultado: estimateResponse(v.input, listaPrecios, v.advertencias, cat) } : { indice, ok: false, errores: v.errores };
+  });
+  return { resultados };
+}
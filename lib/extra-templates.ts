@@ -0,0 +1,157 @@
+/**
+ * Plantillas de componentes extra — cintas, rellenos, ligantes, tinta de
+ * marcado, bobinas — con nombre, categoría, tipo de precio, precio y una regla
+ * de kg/m: fija o proporcional a la sección, a las fases o al diámetro
+ * exterior del cable.
+ *
+ * Una fila insertada desde una plantilla queda vinculada por `plantilla`: su
+ * precio es `pxPlantillas[id]` de la lista de precios activa (si la lista no
+ * lo tiene, el de la fila) y sus kg/m salen de la regla, así siguen a la
+ * construcción. Las plantillas de fábrica están en `PLANTILLAS_BASE`; las que
+ * guarda el usuario, en la colección "extra-templates".
+ */
+
+import type { ComponentRow, EstimateInput } from "@/lib/cost-engine";
+import type { Geometria } from "@/lib/geometry";
+import { createStore } from "@/lib/storage";
+import { uid } from "@/lib/utils";
+
+export type BaseRegla = "fijo" | "seccion" | "fases" | "diametro";
+
+/** kg/m = factor × 1 | sección (mm²) | fases | diámetro exterior (mm). */
+export type ReglaKg = { base: BaseRegla; factor: number };
+
+export type PlantillaExtra = {
+  id: string; // slug del nombre; clave del precio en la lista (`pxPlantillas.<id>`)
+  nombre: string;
+  categoria: "Materia" | "Proceso";
+  tipoPrecio: "$/kg" | "$/m";
+  precio: number;   // USD por unidad, si la lista activa no tiene precio para la plantilla
+  reglaKg: ReglaKg; // sólo $/kg
+  metros: number;   // sólo $/m
+  creado: string;   // ISO; vacío en las de fábrica
+};
+
+export const BASES_REGLA: readonly { key: BaseRegla; label: string; unidad: string }[] = [
+  { key: "fijo", label: "Fijo", unidad: "kg/m" },
+  { key: "seccion", label: "Por sección", unidad: "kg/m por mm²" },
+  { key: "fases", label: "Por fase", unidad: "kg/m por fase" },
+  { key: "diametro", label: "Por diámetro exterior", unidad: "kg/m por mm" },
+];
+
+const plantilla = (id: string, nombre: string, p: Partial<PlantillaExtra>): PlantillaExtra => ({
+  id, nombre, categoria: "Materia", tipoPrecio: "$/kg", precio: 0, reglaKg: { base: "fijo", factor: 0 }, metros: 0, creado: "", ...p,
+});
+
+export const PLANTILLAS_BASE: readonly PlantillaExtra[] = [
+  plantilla("cinta-semiconductora", "Cinta semiconductora", { precio: 4.2, reglaKg: { base: "diametro", factor: 0.0009 } }),
+  plantilla("cinta-ligante", "Cinta ligante de poliéster", { precio: 3.1, reglaKg: { base: "diametro", factor: 0.0004 } }),
+  plantilla("relleno", "Relleno de polipropileno", { precio: 1.6, reglaKg: { base: "seccion", factor: 0.0012 } }),
+  plantilla("cinta-identificacion", "Cinta de identificación de fases", { precio: 5, reglaKg: { base: "fases", factor: 0.002 } }),
+  plantilla("tinta-marcado", "Tinta de marcado", { tipoPrecio: "$/m", precio: 0.004, metros: 1 }),
+  plantilla("bobina", "Bobina de madera (amortización)", { tipoPrecio: "$/m", precio: 0.06, metros: 1 }),
+];
+
+/** Precios de fábrica de las plantillas base, para la lista de referencia. */
+export const DEFAULT_PRECIOS_PLANTILLAS: Record<string, number> = Object.fromEntries(PLANTILLAS_BASE.map(t => [t.id, t.precio]));
+
+export const extraTemplateStore = createStore<PlantillaExtra>("extra-templates");
+
+/** Plantillas de fábrica seguidas de las guardadas, por nombre. */
+export async function listarPlantillas(store = extraTemplateStore): Promise<PlantillaExtra[]> {
+  const guardadas = (await store.list()).sort((a, b) => a.nombre.localeCompare(b.nombre));
+  return [...PLANTILLAS_BASE, ...guardadas];
+}
+
+export function slugPlantilla(nombre: string): string {
+  return nombre.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+export function kgSegunRegla(r: ReglaKg, spec: Pick<EstimateInput, "seccion" | "fases">, g: Pick<Geometria, "dExteriorMM">): number {
+  switch (r.base) {
+    case "seccion": return r.factor * spec.seccion;
+    case "fases": return r.factor * spec.fases;
+    case "diametro": return r.factor * g.dExteriorMM;
+    default: return r.factor;
+  }
+}
+
+export function describirRegla(r: ReglaKg): string {
+  const b = BASES_REGLA.find(x => x.key === r.base);
+  return `${r.factor} ${b?.unidad ?? "kg/m"}`;
+}
+
+/** Fila extra con el precio de la lista activa y los kg/m de su regla, si vino de una plantilla. */
+export function resolverExtra(r: ComponentRow, p: EstimateInput, g: Geometria): ComponentRow {
+  const precio = r.plantilla !== undefined ? p.pxPlantillas?.[r.plantilla] : undefined;
+  if (precio === undefined && !r.reglaKg) return r;
+  return { ...r, precio: precio ?? r.precio, kgPorMetro: r.reglaKg ? kgSegunRegla(r.reglaKg, p, g) : r.kgPorMetro };
+}
+
+/** Fila nueva desde una plantilla, con el precio de la lista activa. */
+export function filaDesdePlantilla(t: PlantillaExtra, pxPlantillas: Record<string, number>): ComponentRow {
+  const porKg = t.tipoPrecio === "$/kg";
+  const fijo = t.reglaKg.base === "fijo";
+  return {
+    id: uid(),
+    nombre: t.nombre,
+    tipoPrecio: t.tipoPrecio,
+    precio: pxPlantillas[t.id] ?? t.precio,
+    kgPorMetro: porKg && fijo ? t.reglaKg.factor : 0,
+    metros: porKg ? 0 : t.metros,
+    incluye: true,
+    categoria: t.categoria,
+    plantilla: t.id,
+    ...(porKg && !fijo ? { reglaKg: { ...t.reglaKg } } : {}),
+  };
+}
+
+/**
+ * Plantilla nueva desde una fila del desglose (`fila` ya resuelta por el
+ * motor: precio y kg/m efectivos). Falla si el nombre ya es de otra plantilla.
+ */
+export function plantillaDesdeFila(fila: ComponentRow, existentes: readonly PlantillaExtra[]): PlantillaExtra {
+  return parsePlantilla({
+    id: slugPlantilla(fila.nombre),
+    nombre: fila.nombre,
+    categoria: fila.categoria ?? "Materia",
+    tipoPrecio: fila.tipoPrecio,
+    precio: fila.precio,
+    reglaKg: fila.reglaKg ?? { base: "fijo", factor: fila.tipoPrecio === "$/kg" ? fila.kgPorMetro : 0 },
+    metros: fila.tipoPrecio === "$/m" ? fila.metros : 0,
+    creado: new Date().toISOString(),
+  }, existentes);
+}
+
+/** Valida una plantilla (API y "Guardar como plantilla"); con `existentes`, también que el id sea nuevo. */
+export function parsePlantilla(body: unknown, existentes: readonly PlantillaExtra[] = PLANTILLAS_BASE): PlantillaExtra {
+  const b = (body && typeof body === "object" ? body : {}) as Record<string, unknown>;
+  const errores: string[] = [];
+  const nombre = String(b.nombre ?? "").trim();
+  const id = String(b.id ?? "");
+  if (!nombre) errores.push("nombre: requerido");
+  if (!id || id !== slugPlantilla(id)) errores.push("id: usar minúsculas, números y guiones");
+  else if (existentes.some(t => t.id === id)) errores.push(`Ya existe la plantilla "${existentes.find(t => t.id === id)!.nombre}"`);
+  if (b.categoria !== "Materia" && b.categoria !== "Proceso") errores.push('categoria: usar "Materia" o "Proceso"');
+  if (b.tipoPrecio !== "$/kg" && b.tipoPrecio !== "$/m") errores.push('tipoPrecio: usar "$/kg" o "$/m"');
+  const numero = (campo: string, v: unknown) => {
+    if (typeof v === "number" && Number.isFinite(v) && v >= 0) return v;
+    errores.push(`${campo}: debe ser un número mayor o igual a 0`);
+    return 0;
+  };
+  const precio = numero("precio", b.precio);
+  const metros = numero("metros", b.metros ?? 0);
+  const r = (b.reglaKg ?? {}) as Record<string, unknown>;
+  if (!BASES_REGLA.some(x => x.key === r.base)) errores.push(`reglaKg.base: usar ${BASES_REGLA.map(x => x.key).join(" / ")}`);
+  const factor = numero("reglaKg.factor", r.factor);
+  if (errores.length) throw new Error(errores.join("; "));
+  return {
+    id, nombre,
+    categoria: b.categoria as PlantillaExtra["categoria"],
+    tipoPrecio: b.tipoPrecio as PlantillaExtra["tipoPrecio"],
+    precio,
+    reglaKg: { base: r.base as BaseRegla, factor },
+    metros,
+    creado: typeof b.creado === "string" ? b.creado : new Date().toISOString(),
+  };
+}
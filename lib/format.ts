@@ -0,0 +1,65 @@
+import { MONEDAS, type Moneda } from "@/lib/currency";
+
+/*
+ * Todas las funciones piden la configuración regional (`localeDe(idioma)`):
+ * sin valor por defecto, un llamado que la olvide no compila en vez de
+ * mostrar números en español.
+ */
+
+export function formatMoneda(n: number, moneda: Moneda, decimales: number | undefined, locale: string) {
+  const d = decimales ?? MONEDAS.find(m => m.key === moneda)?.decimales ?? 2;
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: moneda,
+    minimumFractionDigits: Math.min(d, 2),
+    maximumFractionDigits: d,
+  }).format(n || 0);
+}
+
+export function formatNumero(n: number, decimales: number, locale: string) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: decimales }).format(n || 0);
+}
+
+export function formatUSD(n: number, locale: string) {
+  return formatMoneda(n, "USD", 4, locale);
+}
+
+export function formatARS(n: number, locale: string) {
+  return formatMoneda(n, "ARS", 0, locale);
+}
+
+const decimalDe = (locale: string) => new Intl.NumberFormat(locale).format(1.5).charAt(1);
+
+/**
+ * Lee un número tipeado o pegado. Con los dos separadores presentes el último
+ * es el decimal ("1.234,5" y "1,234.5"). Con uno solo, el separador de miles
+ * de `locale` seguido de grupos de tres cifras es de miles ("1,500" en
+ * inglés, "1.500" en español); si no, aparecer una vez lo hace decimal
+ * ("7.21" y "7,21" son 7,21 en cualquier idioma) y repetirse, de miles.
+ * Vacío o ilegible es `NaN`.
+ */
+export function leerNumero(s: string, locale: string): number {
+  const t = s.trim().replace(/[\s\u00a0\u202f]/g, "");
+  if (t === "") return NaN;
+  let decimal: string;
+  if (t.includes(",") && t.includes(".")) decimal = t.lastIndexOf(",") > t.lastIndexOf(".") ? "," : ".";
+  else {
+    const sep = t.includes(",") ? "," : ".";
+    const esMiles = sep !== decimalDe(locale) && new RegExp(`^[-+]?[1-9]\\d{0,2}(\\${sep}\\d{3})+$`).test(t);
+    decimal = !esMiles ? sep : sep === "," ? "." : ",";
+  }
+  const miles = decimal === "," ? "." : ",";
+  const partes = t.split(miles).join("").split(decimal);
+  return Number(t.includes(miles) || partes.length === 2 ? partes.join(".") : partes.join(""));
+}
+
+/** Número para editar: sin separador de miles y con el decimal de la configuración regional. */
+export function mostrarNumero(n: number, locale: string): string {
+  return Number.isFinite(n) ? String(n).replace(".", decimalDe(locale)) : "";
+}
+
+/** Separador de campos y decimal para CSV: `;` y `,` donde la coma es el decimal (lo que espera Excel en es-AR). */
+export function formatoCSV(locale: string): { separador: string; decimal: string } {
+  const decimal = decimalDe(locale);
+  return decimal === "," ? { separador: ";", decimal } : { separador: ",", decimal: "." };
+}
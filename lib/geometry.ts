@@ -0,0 +1,159 @@
+/**
+ * Modelo geométrico del cable — función pura, sin React.
+ *
+ * Construye los diámetros capa por capa desde la sección del conductor hacia
+ * afuera y deriva los kg/m de cada capa polimérica a partir de su densidad:
+ *
+ *  conductor → semiconductora conductor → aislación → semiconductora aislación
+ *  → pantalla Cu → (reunido tripolar) → asiento → armadura → vaina exterior
+ *
+ * Los espesores de aislación y de vaina mínima salen de `lib/insulation.ts`;
+ * la densidad de la vaina, del catálogo.
+ *
+ * Todos los espesores y diámetros en mm; las masas en kg/m de cable terminado.
+ */
+
+import { catalogo, vaina, type Catalogo } from "@/lib/catalog";
+import { factorLlenado, seccionEfectiva } from "@/lib/conductor";
+import type { CableSpec } from "@/lib/cost-engine";
+import { traducir, type Idioma } from "@/lib/i18n";
+import { espesorAislacion, espesorMinimoVaina, materialAislacion } from "@/lib/insulation";
+
+export type Capa = {
+  id: string;
+  nombre: string;
+  espesorMM: number;
+  dInteriorMM: number;
+  dExteriorMM: number;
+  kgPorMetro: number; // total por metro de cable (todos los núcleos / cables)
+};
+
+export type Geometria = {
+  capas: Capa[];
+  nucleos: number;          // núcleos bajo una misma vaina
+  cables: number;           // cables unipolares independientes
+  dConductorMM: number;
+  dNucleoMM: number;
+  dExteriorMM: number;
+  kgmSemiconductoras: number;
+  kgmAislacion: number;
+  kgmAsiento: number;
+  kgmVaina: number;
+};
+
+// Factor de llenado de un conductor redondo cableado (Clase 2 compactado); el de
+// cada clase y forma está en `data/conductores.json`.
+export const FACTOR_LLENADO_CONDUCTOR = 0.92;
+
+export const ESPESORES_MM = {
+  semiconductoraConductor: 0.5,
+  semiconductoraAislacion: 0.8,
+  asiento: 1.0,
+  armadura: 1.0, // doble fleje de acero 2 × 0,5 mm
+};
+
+export const DENSIDAD_POLIMEROS_KG_M3 = {
+  Semiconductora: 1150,
+  Asiento: 1450, // PVC de relleno
+};
+
+// Vaina fuera del catálogo: se calcula como PVC.
+export const DENSIDAD_VAINA_DEFECTO_KG_M3 = 1450;
+
+// Diámetro del reunido de n núcleos iguales, en múltiplos del diámetro del núcleo.
+const FACTOR_REUNIDO: Record<number, number> = { 1: 1, 2: 2, 3: 2.155, 4: 2.414 };
+// Con conductores sectoriales los núcleos se acomodan entre sí: el reunido queda ~15% más chico.
+const FACTOR_REUNIDO_SECTORIAL: Record<number, number> = { 2: 1.7, 3: 1.83, 4: 2.05 };
+
+/** kg/m de una corona circular entre dos diámetros (mm). */
+export function kgCorona(dInteriorMM: number, dExteriorMM: number, densidadKgM3: number) {
+  return (Math.PI / 4) * (dExteriorMM ** 2 - dInteriorMM ** 2) * 1e-6 * densidadKgM3;
+}
+
+/** Diámetro del conductor (mm); en un sectorial, el del redondo equivalente. */
+export function diametroConductor(seccionMM2: number, llenado = FACTOR_LLENADO_CONDUCTOR) {
+  return Math.sqrt((4 * seccionMM2) / (Math.PI * llenado));
+}
+
+/** Espesor de vaina exterior según IEC 60502: 0,035·D + 1,0 mm, con mínimo. */
+export function espesorVaina(dBajoVainaMM: number, minimoMM: number) {
+  return Math.max(0.035 * dBajoVainaMM + 1.0, minimoMM);
+}
+
+export function cableGeometry(spec: CableSpec, cat: Catalogo = catalogo()): Geometria {
+  const tripolar = spec.tipologia === "tripolar";
+  const nucleos = tripolar ? Math.max(spec.fases, 1) : 1;
+  const cables = tripolar ? 1 : Math.max(spec.fases, 1);
+  const porNucleo = nucleos * cables;
+
+  const capas: Capa[] = [];
+  let d = diametroConductor(seccionEfectiva(spec), factorLlenado(spec));
+  const dConductorMM = d;
+
+  // Capa anular sobre el diámetro actual, repetida `n` veces por metro de cable.
+  function capa(id: string, nombre: string, espesorMM: number, densidad: number, n: number) {
+    const dInteriorMM = d;
+    const dExteriorMM = d + 2 * espesorMM;
+    capas.push({ id, nombre, espesorMM, dInteriorMM, dExteriorMM, kgPorMetro: kgCorona(dInteriorMM, dExteriorMM, densidad) * n });
+    d = dExteriorMM;
+  }
+
+  // Si el material no aplica a la tensión se usa el espesor XLPE como referencia.
+  const aislacion = materialAislacion(spec.aislacion);
+  const eAislacion = espesorAislacion(spec.tension, spec.seccion, aislacion.key)
+    ?? espesorAislacion(spec.tension, spec.seccion, "XLPE") ?? 0;
+  capa("semiCond", "Semiconductora conductor", ESPESORES_MM.semiconductoraConductor, DENSIDAD_POLIMEROS_KG_M3.Semiconductora, porNucleo);
+  capa("aislacion", `Aislación ${aislacion.label}`, eAislacion, aislacion.densidadKgM3, porNucleo);
+  capa("semiAisl", "Semiconductora aislación", ESPESORES_MM.semiconductoraAislacion, DENSIDAD_POLIMEROS_KG_M3.Semiconductora, porNucleo);
+
+  // Pantalla de Cu: espesor equivalente de la sección repartida en el perímetro.
+  // La masa se toma de `kgPantallaPorMetro`, aquí sólo aporta al diámetro.
+  if (spec.pantallaMM2 > 0) {
+    capa("pantalla", "Pantalla Cu", spec.pantallaMM2 / (Math.PI * d), 0, 0);
+  }
+  const dNucleoMM = d;
+
+  // Reunido: los intersticios entre núcleos se rellenan con material de asiento.
+  let kgmRelleno = 0;
+  if (nucleos > 1) {
+    const factores = spec.formaConductor === "sectorial" ? FACTOR_REUNIDO_SECTORIAL : FACTOR_REUNIDO;
+    const dReunido = dNucleoMM * (factores[nucleos] ?? factores[3]);
+    const areaHuecoMM2 = (Math.PI / 4) * (dReunido ** 2 - nucleos * dNucleoMM ** 2);
+    kgmRelleno = areaHuecoMM2 * 1e-6 * DENSIDAD_POLIMEROS_KG_M3.Asiento * cables;
+    d = dReunido;
+  }
+
+  if (nucleos > 1 || spec.armadura) {
+    capa("asiento", "Asiento / relleno", ESPESORES_MM.asiento, DENSIDAD_POLIMEROS_KG_M3.Asiento, cables);
+    capas[capas.length - 1].kgPorMetro += kgmRelleno;
+  }
+
+  // Armadura: la masa la define `kgmArmadura`; aquí sólo aporta al diámetro.
+  if (spec.armadura) {
+    capa("armadura", "Armadura", ESPESORES_MM.armadura, 0, 0);
+  }
+
+  const densidadVaina = vaina(spec.sheathKey, cat)?.densidadKgM3 ?? DENSIDAD_VAINA_DEFECTO_KG_M3;
+  const minimoVaina = Math.max(espesorMinimoVaina(spec.tension, spec.seccion), spec.armadura ? 1.8 : 0);
+  capa("vaina", "Vaina exterior", espesorVaina(d, minimoVaina), densidadVaina, cables);
+
+  const kg = (...ids: string[]) => capas.filter(c => ids.includes(c.id)).reduce((acc, c) => acc + c.kgPorMetro, 0);
+
+  return {
+    capas,
+    nucleos,
+    cables,
+    dConductorMM,
+    dNucleoMM,
+    dExteriorMM: d,
+    kgmSemiconductoras: kg("semiCond", "semiAisl"),
+    kgmAislacion: kg("aislacion"),
+    kgmAsiento: kg("asiento"),
+    kgmVaina: kg("vaina"),
+  };
+}
+
+/** Nombre de una capa en el idioma pedido. */
+export function nombreCapa(c: Capa, spec: Pick<CableSpec, "aislacion">, idioma: Idioma = "es"): string {
+  return idioma === "es" ? c.nombre : traducir(idioma, `capa.${c.id}`, { material: materialAislacion(spec.aislacion).label });
+}
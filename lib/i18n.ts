@@ -0,0 +1,121 @@
+/**
+ * Traducciones de la UI, la oferta comercial y las exportaciones.
+ *
+ * Los catálogos (`data/i18n/<idioma>.json`) son planos, con claves por área
+ * (`espec.metal`, `planilla.hoja.precios`, `oferta.clausula`…) y variables
+ * `{nombre}`. El español es el idioma de origen: una clave que falta en otro
+ * catálogo cae al texto en español y, si tampoco está, a la clave misma.
+ *
+ * Los términos técnicos viven en `termino.*` y son los únicos que usan la
+ * oferta y las planillas para vaina, pantalla y armadura, para que un mismo
+ * documento no mezcle traducciones (en: outer sheath, metallic screen, armour;
+ * pt: cobertura, blindagem metálica, armação).
+ *
+ * Los nombres que salen de datos editables (vainas del catálogo, procesos,
+ * clases de conductor) se muestran tal cual en español y se traducen por su
+ * clave en los demás idiomas (`etiqueta`); un dato nuevo sin traducción
+ * conserva su nombre.
+ *
+ * Los textos que arma `lib/` (validaciones, motivos de aprobación, cambios
+ * del historial) salen como `Mensaje`: la clave y sus variables, que pueden
+ * ser otros mensajes; la UI los pasa por `t()` y las exportaciones y la API
+ * los escriben en español.
+ *
+ * El idioma elegido en este navegador se recuerda en `localStorage`.
+ */
+
+import es from "@/data/i18n/es.json";
+import en from "@/data/i18n/en.json";
+import pt from "@/data/i18n/pt.json";
+
+export type Idioma = "es" | "en" | "pt";
+
+export const IDIOMAS: readonly { key: Idioma; label: string; locale: string }[] = [
+  { key: "es", label: "Español", locale: "es-AR" },
+  { key: "en", label: "English", locale: "en-US" },
+  { key: "pt", label: "Português", locale: "pt-BR" },
+];
+
+export type Mensaje = { clave: string; vars?: Variables };
+// Una lista de mensajes se escribe separada por "; ".
+export type Variables = { [nombre: string]: string | number | Mensaje | readonly Mensaje[] };
+export type Traductor = (clave: string | Mensaje, vars?: Variables) => string;
+
+const CATALOGOS: Record<Idioma, Record<string, string>> = { es, en, pt };
+
+const CLAVE_IDIOMA = "imsa-cce:idioma";
+
+export function esIdioma(x: unknown): x is Idioma {
+  return IDIOMAS.some(i => i.key === x);
+}
+
+/** Configuración regional del idioma: separadores de números y formato de moneda. */
+export function localeDe(idioma: Idioma): string {
+  return IDIOMAS.find(i => i.key === idioma)!.locale;
+}
+
+/** Texto de la clave en ese idioma, sin caer al español (undefined si no está). */
+export function traduccionDe(idioma: Idioma, clave: string): string | undefined {
+  return CATALOGOS[idioma][clave];
+}
+
+/** Mensaje de la clave con sus variables (sin `vars` si no tiene). */
+export const mensaje = (clave: string, vars?: Variables): Mensaje => (vars ? { clave, vars } : { clave });
+
+function interpolar(idioma: Idioma, texto: string, vars?: Variables) {
+  if (!vars) return texto;
+  return texto.replace(/\{(\w+)\}/g, (m, k: string) => {
+    if (!(k in vars)) return m;
+    const v = vars[k];
+    if (Array.isArray(v)) return v.map(x => traducir(idioma, x)).join("; ");
+    return typeof v === "object" ? traducir(idioma, v as Mensaje) : String(v);
+  });
+}
+
+/** Texto de la clave (o del mensaje, con sus variables) en el idioma. */
+export function traducir(idioma: Idioma, clave: string | Mensaje, vars?: Variables): string {
+  if (typeof clave === "object") return traducir(idioma, clave.clave, clave.vars);
+  return interpolar(idioma, CATALOGOS[idioma][clave] ?? CATALOGOS.es[clave] ?? clave, vars);
+}
+
+export function traductor(idioma: Idioma): Traductor {
+  return (clave, vars) => traducir(idioma, clave, vars);
+}
+
+/** Error con `message` en español que además lleva su `mensaje`, para mostrarlo traducido (`textoError`). */
+export function errorTraducible(m: Mensaje): Error & { mensaje: Mensaje } {
+  return Object.assign(new Error(traducir("es", m)), { mensaje: m });
+}
+
+/** Texto de un error capturado: su mensaje traducido si lo lleva, si no su `message`. */
+export function textoError(t: Traductor, err: unknown): string {
+  const m = (err as { mensaje?: Mensaje }).mensaje;
+  return m ? t(m) : (err as Error).message;
+}
+
+/** Nombre de un dato en español (`original`) traducido por su clave; sin traducción queda el original. */
+export function etiqueta(idioma: Idioma, clave: string, original: string): string {
+  return idioma === "es" ? original : traduccionDe(idioma, clave) ?? original;
+}
+
+/** Textos de la clave en todos los idiomas, para reconocer lo exportado en cualquiera. */
+export function variantes(clave: string): string[] {
+  return Array.from(new Set(IDIOMAS.map(i => CATALOGOS[i.key][clave]).filter((t): t is string => t !== undefined)));
+}
+
+/** Clave cuyo texto, en algún idioma, es `texto` (sin distinguir mayúsculas). */
+export function claveDe(texto: string, claves: readonly string[]): string | undefined {
+  const t = texto.trim().toLowerCase();
+  return claves.find(c => variantes(c).some(v => v.toLowerCase() === t));
+}
+
+/** Idioma elegido en este navegador. */
+export function idiomaRecordado(): Idioma | null {
+  if (typeof window === "undefined") return null;
+  const i = window.localStorage.getItem(CLAVE_IDIOMA);
+  return esIdioma(i) ? i : null;
+}
+
+export function recordarIdioma(idioma: Idioma) {
+  window.localStorage.setItem(CLAVE_IDIOMA, idioma);
+}
@@ -0,0 +1,89 @@
+/**
+ * Indexación por metal (cláusula de ajuste LME).
+ *
+ * Cada lista de precios —y por lo tanto cada cotización, que guarda sus
+ * precios— registra el LME de cobre y aluminio con que se fijaron `pxCu` y
+ * `pxAl` (`lmeCuUSDt`, `lmeAlUSDt`). Ante un LME nuevo el precio se ajusta por
+ * el contenido metálico del cable:
+ *
+ *   ΔUSD/m = kg Cu/m × (LME Cu nuevo − LME Cu base) / 1000
+ *          + kg Al/m × (LME Al nuevo − LME Al base) / 1000
+ *
+ * El ajuste se traslada tal cual al precio de lista (sin mermas ni margen).
+ */
+
+import { computeEstimate, contenidoMetal, DEFAULT_INPUT, type CableSpec, type EstimateInput, type PriceParams } from "@/lib/cost-engine";
+import { desdeUSD } from "@/lib/currency";
+import { formatNumero } from "@/lib/format";
+import { localeDe, traducir, type Idioma } from "@/lib/i18n";
+import { computeOffer, type OfferLine, type OfferPricing } from "@/lib/offer";
+import { pickPriceValues } from "@/lib/price-lists";
+import type { Quote } from "@/lib/quotes";
+
+/** Cotización LME en USD/t. */
+export type LME = { cuUSDt: number; alUSDt: number };
+
+export type Indexacion = {
+  base: LME;
+  nuevo: LME;
+  kgmCu: number;
+  kgmAl: number;
+  ajusteUSDm: number;
+  precioBaseUSDm: number;
+  precioUSDm: number;
+  precioSalidaM: number; // en la moneda de salida
+  variacionPct: number;
+};
+
+export function lmeBase(p: Pick<PriceParams, "lmeCuUSDt" | "lmeAlUSDt">): LME {
+  return { cuUSDt: p.lmeCuUSDt, alUSDt: p.lmeAlUSDt };
+}
+
+export function ajusteMetalUSDm(spec: CableSpec, base: LME, nuevo: LME): number {
+  const { kgmCu, kgmAl } = contenidoMetal(spec);
+  return (kgmCu * (nuevo.cuUSDt - base.cuUSDt) + kgmAl * (nuevo.alUSDt - base.alUSDt)) / 1000;
+}
+
+export function indexarPrecio(input: EstimateInput, nuevo: LME): Indexacion {
+  const base = lmeBase(input);
+  const e = computeEstimate(input);
+  const ajusteUSDm = ajusteMetalUSDm(input, base, nuevo);
+  const precioUSDm = e.precioListaUSDm + ajusteUSDm;
+  return {
+    base,
+    nuevo,
+    ...contenidoMetal(input),
+    ajusteUSDm,
+    precioBaseUSDm: e.precioListaUSDm,
+    precioUSDm,
+    precioSalidaM: desdeUSD(precioUSDm, input.moneda, input),
+    variacionPct: e.precioListaUSDm ? (ajusteUSDm / e.precioListaUSDm) * 100 : 0,
+  };
+}
+
+/** Totales de una oferta multi-línea con el ajuste aplicado a cada línea según su longitud. */
+export function indexarOferta(lineas: OfferLine[], pricing: OfferPricing, nuevo: LME) {
+  const { lineas: rs, totales } = computeOffer(lineas, pricing);
+  const base = lmeBase(pricing);
+  const ajusteUSD = rs.reduce((acc, r) => acc + ajusteMetalUSDm(r.line.spec, base, nuevo) * r.line.longitudM, 0);
+  const totalUSD = totales.totalUSD + ajusteUSD;
+  return { totalBaseUSD: totales.totalUSD, ajusteUSD, totalUSD, totalSalida: desdeUSD(totalUSD, pricing.moneda, pricing) };
+}
+
+/**
+ * Recalcula una cotización guardada con el LME nuevo, sobre la base que quedó
+ * registrada en ella (las guardadas antes de existir el campo toman la de fábrica).
+ */
+export function indexarCotizacion(q: Quote, nuevo: LME) {
+  const input = { ...DEFAULT_INPUT, ...q.input };
+  const precio = indexarPrecio(input, nuevo);
+  const lineas = q.lineas ?? [];
+  const oferta = lineas.length ? indexarOferta(lineas, { ...pickPriceValues(input), margenPct: input.margenPct, moneda: input.moneda }, nuevo) : null;
+  return { quote: q, precio, oferta };
+}
+
+/** Texto de la cláusula para la oferta comercial, con los números en la configuración regional del idioma. */
+export function textoClausula(base: LME, idioma: Idioma = "es"): string {
+  const f = (n: number) => formatNumero(n, 2, localeDe(idioma));
+  return traducir(idioma, "oferta.clausula", { cu: f(base.cuUSDt), al: f(base.alUSDt) });
+}
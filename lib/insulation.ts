@@ -0,0 +1,71 @@
+/**
+ * Tablas de aislación por clase de tensión y sección.
+ *
+ * Los datos viven en `data/aislacion.json` para que ingeniería pueda
+ * mantenerlos sin tocar código: espesor nominal de aislación por material,
+ * espesor mínimo de vaina, secciones mínimas de conductor y pantalla y
+ * materiales disponibles con densidad y $/kg.
+ */
+
+import tabla from "@/data/aislacion.json";
+
+export type MaterialAislacion = {
+  key: string;
+  label: string;
+  densidadKgM3: number;
+  precioKg: number;
+};
+
+export type FilaEspesores = {
+  seccionMaxMM2: number;
+  aislacionMM: Record<string, number | null>;
+  vainaMinMM: number;
+};
+
+export type ClaseTension = {
+  tension: string;
+  clase: string;
+  norma: string;
+  seccionMinMM2: number;
+  pantallaMinMM2: number; // sección mínima de pantalla metálica para la clase
+  espesores: FilaEspesores[];
+};
+
+export type TablaAislacion = {
+  materiales: MaterialAislacion[];
+  tensiones: ClaseTension[];
+};
+
+export const TABLA_AISLACION: TablaAislacion = tabla;
+
+export const MATERIALES_AISLACION = TABLA_AISLACION.materiales;
+
+/** Precios $/kg por material, tal como vienen en la tabla. */
+export const DEFAULT_PRECIOS_AISLACION: Record<string, number> = Object.fromEntries(
+  MATERIALES_AISLACION.map(m => [m.key, m.precioKg]),
+);
+
+export function materialAislacion(key: string): MaterialAislacion {
+  return MATERIALES_AISLACION.find(m => m.key === key) ?? MATERIALES_AISLACION[0];
+}
+
+export function claseTension(tension: string): ClaseTension | undefined {
+  return TABLA_AISLACION.tensiones.find(t => t.tension === tension);
+}
+
+/** Fila de espesores que cubre la sección (la última si la sección excede la tabla). */
+export function filaEspesores(tension: string, seccionMM2: number): FilaEspesores | undefined {
+  const clase = claseTension(tension);
+  if (!clase) return undefined;
+  return clase.espesores.find(e => seccionMM2 <= e.seccionMaxMM2) ?? clase.espesores[clase.espesores.length - 1];
+}
+
+/** Espesor nominal de aislación (mm), o null si el material no aplica a esa tensión. */
+export function espesorAislacion(tension: string, seccionMM2: number, material: string): number | null {
+  return filaEspesores(tension, seccionMM2)?.aislacionMM[material] ?? null;
+}
+
+/** Espesor mínimo de vaina exterior (mm) según la tabla. */
+export function espesorMinimoVaina(tension: string, seccionMM2: number): number {
+  return filaEspesores(tension, seccionMM2)?.vainaMinMM ?? 1.4;
+}
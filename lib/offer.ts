@@ -0,0 +1,145 @@
+/**
+ * Oferta multi-línea.
+ *
+ * Cada línea lleva su propia especificación (y sus filas extra), una longitud
+ * pedida, un largo estándar de bobina y el costo y la tara de cada bobina.
+ * Los precios y factores son comunes a toda la oferta. Se calculan los totales
+ * por línea en USD y en la moneda de salida, los kg de Cu y Al, el peso bruto y el total general.
+ */
+
+import { CONDUCTOR_ESTANDAR, descripcionConductor, esConductorEstandar } from "@/lib/conductor";
+import {
+  computeEstimate, contenidoMetal, sheathLabel, DEFAULT_INPUT,
+  type CableSpec, type ComponentRow, type CostFactors, type Estimate, type EstimateInput,
+} from "@/lib/cost-engine";
+import { desdeUSD } from "@/lib/currency";
+import { traductor, type Idioma } from "@/lib/i18n";
+import type { PriceListValues } from "@/lib/price-lists";
+import { uid } from "@/lib/utils";
+
+export type OfferLine = {
+  id: string;
+  spec: CableSpec;
+  extras: ComponentRow[];
+  longitudM: number;
+  largoBobinaM: number;   // largo estándar por bobina
+  costoBobinaUSD: number; // bobina + embalaje, por unidad
+  taraBobinaKg: number;   // peso de la bobina vacía
+};
+
+export type OfferPricing = PriceListValues & Pick<CostFactors, "margenPct" | "moneda"> & Partial<Pick<CostFactors, "longitudPedidoM">>;
+
+export type OfferLineResult = {
+  line: OfferLine;
+  estimate: Estimate;
+  bobinas: number;
+  embalajeUSD: number;
+  cableUSD: number;
+  totalUSD: number;
+  totalSalida: number; // en la moneda de salida
+  kgCu: number;
+  kgAl: number;
+  pesoNetoKg: number;
+  pesoBrutoKg: number;
+};
+
+export type OfferTotals = {
+  metros: number;
+  bobinas: number;
+  embalajeUSD: number;
+  totalUSD: number;
+  totalSalida: number;
+  kgCu: number;
+  kgAl: number;
+  pesoNetoKg: number;
+  pesoBrutoKg: number;
+};
+
+export const DEFAULT_BOBINA = { largoBobinaM: 1000, costoBobinaUSD: 180, taraBobinaKg: 250 };
+
+export function newOfferLine(input: CableSpec & { extras?: ComponentRow[] }, longitudM = 1000): OfferLine {
+  const { extras = [], ...resto } = input;
+  const spec: CableSpec = {
+    metal: resto.metal, fases: resto.fases, tipologia: resto.tipologia, seccion: resto.seccion,
+    claseConductor: resto.claseConductor, formaConductor: resto.formaConductor, disenoPorResistencia: resto.disenoPorResistencia, tension: resto.tension,
+    aislacion: resto.aislacion, sheathKey: resto.sheathKey, pantallaMM2: resto.pantallaMM2, armadura: resto.armadura,
+    kgmArmadura: resto.kgmArmadura, useWBLong: resto.useWBLong, useWBRad: resto.useWBRad,
+  };
+  return { id: uid(), spec, extras: extras.map(x => ({ ...x })), longitudM, ...DEFAULT_BOBINA };
+}
+
+/** Descripción comercial corta, p. ej. "3×150 mm² Al 13.2 kV XLPE • Vaina RH + UV • Pantalla 10 mm² • Armado". */
+export function descripcionCable(spec: CableSpec, idioma: Idioma = "es"): string {
+  const t = traductor(idioma);
+  const partes = [
+    `${spec.fases}×${spec.seccion} mm² ${spec.metal === "Cobre" ? "Cu" : "Al"} ${spec.tension} ${spec.aislacion}`,
+    `${t("termino.vaina")} ${sheathLabel(spec.sheathKey, idioma)}`,
+    spec.pantallaMM2 ? `${t("termino.pantalla")} ${spec.pantallaMM2} mm²` : t("termino.sinPantalla"),
+  ];
+  if (!esConductorEstandar(spec)) partes.splice(1, 0, `${t("termino.conductor")} ${descripcionConductor(spec, idioma)}`);
+  if (spec.armadura) partes.push(t("termino.armado"));
+  if (spec.useWBLong || spec.useWBRad) partes.push(`WB ${[spec.useWBLong && "L", spec.useWBRad && "R"].filter(Boolean).join("+")}`);
+  return partes.join(" • ");
+}
+
+/** Línea con la especificación completa: las guardadas antes de los campos del conductor llevan el estándar. */
+export function lineaCompleta(line: OfferLine): OfferLine {
+  return { ...line, spec: { ...CONDUCTOR_ESTANDAR, ...line.spec } };
+}
+
+export function lineInput(line: OfferLine, pricing: OfferPricing): EstimateInput {
+  // La preparación de las máquinas se amortiza en los metros de la línea (sin metros, en los del pedido).
+  const longitudPedidoM = line.longitudM > 0 ? line.longitudM : pricing.longitudPedidoM ?? DEFAULT_INPUT.longitudPedidoM;
+  return { ...CONDUCTOR_ESTANDAR, ...line.spec, ...pricing, longitudPedidoM, extras: line.extras };
+}
+
+/** kg/m de metal (contenido metálico) y peso total a partir de las filas de materia en $/kg. */
+export function masasPorMetro(e: Estimate, spec: CableSpec) {
+  const total = e.filas
+    .filter(f => f.incluye && f.categoria === "Materia" && f.tipoPrecio === "$/kg")
+    .reduce((acc, f) => acc + f.kgPorMetro, 0);
+  return { ...contenidoMetal(spec), kgmTotal: total };
+}
+
+export function computeOfferLine(guardada: OfferLine, pricing: OfferPricing): OfferLineResult {
+  const line = lineaCompleta(guardada);
+  const estimate = computeEstimate(lineInput(line, pricing));
+  const bobinas = line.longitudM > 0 && line.largoBobinaM > 0 ? Math.ceil(line.longitudM / line.largoBobinaM) : 0;
+  const embalajeUSD = bobinas * line.costoBobinaUSD;
+  const cableUSD = estimate.precioListaUSDm * line.longitudM;
+  const totalUSD = cableUSD + embalajeUSD;
+  const m = masasPorMetro(estimate, line.spec);
+  const pesoNetoKg = m.kgmTotal * line.longitudM;
+  return {
+    line,
+    estimate,
+    bobinas,
+    embalajeUSD,
+    cableUSD,
+    totalUSD,
+    totalSalida: desdeUSD(totalUSD, pricing.moneda, pricing),
+    kgCu: m.kgmCu * line.longitudM,
+    kgAl: m.kgmAl * line.longitudM,
+    pesoNetoKg,
+    pesoBrutoKg: pesoNetoKg + bobinas * line.taraBobinaKg,
+  };
+}
+
+export function computeOffer(lines: OfferLine[], pricing: OfferPricing): { lineas: OfferLineResult[]; totales: OfferTotals } {
+  const lineas = lines.map(l => computeOfferLine(l, pricing));
+  const sum = (k: keyof Omit<OfferLineResult, "line" | "estimate">) => lineas.reduce((acc, r) => acc + r[k], 0);
+  return {
+    lineas,
+    totales: {
+      metros: lines.reduce((acc, l) => acc + l.longitudM, 0),
+      bobinas: sum("bobinas"),
+      embalajeUSD: sum("embalajeUSD"),
+      totalUSD: sum("totalUSD"),
+      totalSalida: sum("totalSalida"),
+      kgCu: sum("kgCu"),
+      kgAl: sum("kgAl"),
+      pesoNetoKg: sum("pesoNetoKg"),
+      pesoBrutoKg: sum("pesoBrutoKg"),
+    },
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Trabajo sin conexión con el backend "api".
+ *
+ * Cada colección guarda en el navegador la última copia leída del servidor
+ * (`cache`) y, si es editable sin conexión (tiene `version`), una cola de
+ * cambios pendientes. Sin servidor, `list`/`get` responden con la copia más
+ * los cambios pendientes, y `save`/`remove` encolan; con servidor, los
+ * cambios sin pendientes van directo.
+ *
+ * Al sincronizar, cada pendiente recuerda la versión del servidor sobre la
+ * que se editó (`base`; null si se creó sin conexión). Si la versión actual
+ * del servidor es otra, el pendiente queda en conflicto con la copia del
+ * servidor y no se envía hasta que se resuelva: conservar la del servidor
+ * descarta el cambio local; conservar la local la vuelve a armar sobre la del
+ * servidor (`rebase`) y la envía. Los rechazos del servidor (validación,
+ * historial) quedan como error en el pendiente.
+ *
+ * "Sin conexión" es que `fetch` no llegó al servidor (TypeError); una
+ * respuesta de error del servidor no lo es y se informa como siempre.
+ */
+
+import type { Entity, Store } from "@/lib/storage";
+
+export type Pendiente<T> = {
+  id: string;
+  op: "guardar" | "borrar";
+  item?: T;              // la versión local (guardar)
+  base: string | null;   // versión del servidor sobre la que se editó; null = creada sin conexión
+  fecha: string;         // ISO, último cambio local
+  conflicto?: T | null;  // versión actual del servidor, distinta de `base` (null = la borraron)
+  error?: string;        // el servidor rechazó el envío
+};
+
+export type OpcionesOffline<T> = {
+  /** Versión de un ítem (p. ej. su fecha de actualización). Sin ella, la colección es de sólo lectura sin conexión. */
+  version?: (x: T) => string;
+  /** Versión local vuelta a armar sobre la del servidor, al conservar la local en un conflicto. */
+  rebase?: (local: T, servidor: T) => T;
+  /** Nombre de un ítem en los avisos de pendientes y conflictos. */
+  titulo?: (x: T) => string;
+};
+
+/** Dónde se guardan la copia y los pendientes (localStorage en el navegador). */
+export type Almacen = {
+  leer(clave: string): string | null;
+  escribir(clave: string, valor: string): void;
+};
+
+export const almacenNavegador: Almacen = {
+  leer: clave => (typeof window === "undefined" ? null : window.localStorage.getItem(clave)),
+  escribir: (clave, valor) => window.localStorage.setItem(clave, valor),
+};
+
+export type ResultadoSincronizacion = { enviados: number; conflictos: number; errores: number };
+
+export type OfflineStore<T extends Entity> = Store<T> & {
+  coleccion: string;
+  titulo(x: T): string;
+  pendientes(): Pendiente<T>[];
+  /** Fecha ISO de la última lectura del servidor (null si nunca se leyó). */
+  actualizadoAl(): string | null;
+  sincronizar(): Promise<ResultadoSincronizacion>;
+  resolver(id: string, conservar: "local" | "servidor"): Promise<void>;
+};
+
+type Copia<T> = { fecha: string; items: T[] };
+
+export const sinConexion = (e: unknown) => e instanceof TypeError;
+
+// Estado de la conexión con el servidor según la última llamada, y avisos a la UI.
+let conectado = true;
+const oyentes = new Set<() => void>();
+const avisar = () => oyentes.forEach(f => f());
+
+export function hayConexion() {
+  return conectado;
+}
+
+function marcarConexion(ok: boolean) {
+  if (conectado !== ok) {
+    conectado = ok;
+    avisar();
+  }
+}
+
+/** Suscribe a cambios de conexión, pendientes y conflictos; devuelve la baja. */
+export function alCambiar(f: () => void): () => void {
+  oyentes.add(f);
+  return () => { oyentes.delete(f); };
+}
+
+const registradas = new Map<string, OfflineStore<Entity>>();
+
+/** Colecciones con copia local (sólo con el backend "api"). */
+export function colecciones(): OfflineStore<Entity>[] {
+  return Array.from(registradas.values());
+}
+
+/** Ids con cambios sin sincronizar de una colección (vacío con el backend "local"). */
+export function pendientesDe(coleccion: string): Set<string> {
+  return new Set(registradas.get(coleccion)?.pendientes().map(p => p.id) ?? []);
+}
+
+export async function sincronizarTodo(): Promise<ResultadoSincronizacion> {
+  const total = { enviados: 0, conflictos: 0, errores: 0 };
+  for (const s of colecciones()) {
+    if (!s.pendientes().length) continue;
+    const r = await s.sincronizar();
+    total.enviados += r.enviados;
+    total.conflictos += r.conflictos;
+    total.errores += r.errores;
+  }
+  return total;
+}
+
+export function createOfflineStore<T extends Entity>(coleccion: string, api: Store<T>, opciones: OpcionesOffline<T> = {}, almacen: Almacen = almacenNavegador): OfflineStore<T> {
+  const claveCopia = `imsa-cce:cache:${coleccion}`;
+  const clavePendientes = `imsa-cce:pendientes:${coleccion}`;
+  const { version, rebase } = opciones;
+
+  function leer<R>(clave: string, vacio: R): R {
+    try {
+      return JSON.parse(almacen.leer(clave) ?? "null") ?? vacio;
+    } catch {
+      return vacio;
+    }
+  }
+  const copia = () => leer<Copia<T>>(claveCopia, { fecha: "", items: [] });
+  const escribirCopia = (c: Copia<T>) => almacen.escribir(claveCopia, JSON.stringify(c));
+  const pendientes = () => leer<Pendiente<T>[]>(clavePendientes, []);
+  function escribirPendientes(ps: Pendiente<T>[]) {
+    almacen.escribir(clavePendientes, JSON.stringify(ps));
+    avisar();
+  }
+
+  function enCopia(item: T) {
+    const c = copia();
+    const i = c.items.findIndex(x => x.id === item.id);
+    if (i >= 0) c.items[i] = item; else c.items.push(item);
+    escribirCopia(c);
+  }
+
+  // Llamada al servidor; sin conexión devuelve `sinServidor`, los demás errores siguen.
+  async function servidor<R>(fn: () => Promise<R>, sinServidor: () => R): Promise<R> {
+    try {
+      const r = await fn();
+      marcarConexion(true);
+      return r;
+    } catch (e) {
+      if (!sinConexion(e)) throw e;
+      marcarConexion(false);
+      return sinServidor();
+    }
+  }
+
+  function vistaLocal(): T[] {
+    const items = [...copia().items];
+    for (const p of pendientes()) {
+      const i = items.findIndex(x => x.id === p.id);
+      if (p.op === "borrar") { if (i >= 0) items.splice(i, 1); }
+      else if (i >= 0) items[i] = p.item!;
+      else items.push(p.item!);
+    }
+    return items;
+  }
+
+  function encolar(op: Pendiente<T>["op"], id: string, item?: T) {
+    if (!version) throw new Error(`Sin conexión con el servidor: ${coleccion} se puede modificar cuando vuelva la conexión`);
+    const ps = pendientes();
+    const previo = ps.find(p => p.id === id);
+    const enServidor = copia().items.find(x => x.id === id);
+    const base = previo ? previo.base : enServidor ? version(enServidor) : null;
+    const resto = ps.filter(p => p.id !== id);
+    // Lo creado y borrado sin conexión nunca llegó al servidor.
+    if (op === "borrar" && base === null) escribirPendientes(resto);
+    else escribirPendientes([...resto, { id, op, item, base, fecha: new Date().toISOString(), ...(previo?.conflicto !== undefined ? { conflicto: previo.conflicto } : {}) }]);
+  }
+
+  const store: OfflineStore<T> = {
+    coleccion,
+    titulo: x => opciones.titulo?.(x) ?? x.id,
+    pendientes,
+    actualizadoAl: () => copia().fecha || null,
+
+    async list() {
+      const items = await servidor(() => api.list(), () => null);
+      if (items) escribirCopia({ fecha: new Date().toISOString(), items });
+      return vistaLocal();
+    },
+
+    async get(id) {
+      const p = pendientes().find(x => x.id === id);
+      if (p) return p.op === "guardar" ? p.item : undefined;
+      // `get` de la API no distingue "no existe" de "sin conexión": sin respuesta, la copia.
+      const item = await api.get(id);
+      if (item) enCopia(item);
+      return item ?? copia().items.find(x => x.id === id);
+    },
+
+    async save(item) {
+      // Con cambios pendientes del mismo ítem, éste también espera a la sincronización (y a su control de versión).
+      if (!pendientes().some(p => p.id === item.id)) {
+        const guardado = await servidor(() => api.save(item), () => null);
+        if (guardado) {
+          enCopia(guardado);
+          return guardado;
+        }
+      }
+      encolar("guardar", item.id, item);
+      return item;
+    },
+
+    async remove(id) {
+      if (!pendientes().some(p => p.id === id)) {
+        const ok = await servidor(() => api.remove(id).then(() => true), () => false);
+        if (ok) {
+          const c = copia();
+          escribirCopia({ ...c, items: c.items.filter(x => x.id !== id) });
+          return;
+        }
+      }
+      encolar("borrar", id);
+    },
+
+    async sincronizar() {
+      const resultado = { enviados: 0, conflictos: 0, errores: 0 };
+      if (!version || !pendientes().length) return resultado;
+      const actuales = await servidor(() => api.list(), () => null);
+      if (!actuales) return resultado;
+      escribirCopia({ fecha: new Date().toISOString(), items: actuales });
+
+      for (const p of pendientes()) {
+        const actual = actuales.find(x => x.id === p.id);
+        const quedan = () => pendientes().filter(x => x.id !== p.id);
+        if ((actual ? version(actual) : null) !== p.base) {
+          escribirPendientes([...quedan(), { ...p, conflicto: actual ?? null, error: undefined }]);
+          resultado.conflictos++;
+          continue;
+        }
+        try {
+          if (p.op === "guardar") enCopia(await api.save(p.item!));
+          else {
+            await api.remove(p.id);
+            const c = copia();
+            escribirCopia({ ...c, items: c.items.filter(x => x.id !== p.id) });
+          }
+          escribirPendientes(quedan());
+          resultado.enviados++;
+        } catch (e) {
+          if (sinConexion(e)) {
+            marcarConexion(false);
+            break;
+          }
+          escribirPendientes([...quedan(), { ...p, error: (e as Error).message }]);
+          resultado.errores++;
+        }
+      }
+      return resultado;
+    },
+
+    async resolver(id, conservar) {
+      const ps = pendientes();
+      const p = ps.find(x => x.id === id);
+      if (!p) return;
+      const resto = ps.filter(x => x.id !== id);
+      if (conservar === "servidor") {
+        escribirPendientes(resto);
+        return;
+      }
+      if (p.conflicto === undefined) {
+        escribirPendientes([...resto, { ...p, error: undefined }]);
+      } else {
+        const srv = p.conflicto;
+        // Borrada en el servidor: la local vuelve como nueva; si no, se arma sobre la del servidor.
+        const item = p.op === "guardar" && srv && rebase ? rebase(p.item!, srv) : p.item;
+        if (p.op === "borrar" && !srv) {
+          escribirPendientes(resto);
+          return;
+        }
+        escribirPendientes([...resto, { id, op: p.op, item, base: srv && version ? version(srv) : null, fecha: p.fecha }]);
+      }
+      await store.sincronizar();
+    },
+  };
+
+  registradas.set(coleccion, store as unknown as OfflineStore<Entity>);
+  return store;
+}
@@ -0,0 +1,277 @@
+/**
+ * Listas de precios versionadas.
+ *
+ * Cada versión guarda todos los precios unitarios y factores de costo con un
+ * nombre y una fecha de vigencia. Una cotización usa una versión; dos
+ * versiones se pueden comparar campo por campo, y una versión nueva se puede
+ * importar desde CSV (`campo,valor`) o JSON. Los precios cargados en otra moneda
+ * se guardan con su moneda (`moneda.pxCu,EUR` en el CSV). Los precios de las
+ * plantillas de extras van por id (`pxPlantillas.relleno`), siempre en USD,
+ * igual que las mermas y el recupero por fila (`mermasFilaPct.conductor`).
+ */
+
+import { DEFAULT_INPUT, type CampoMoneda, type CostFactors, type PriceParams } from "@/lib/cost-engine";
+import { parseMoneda, type Moneda } from "@/lib/currency";
+import { createStore, type Store } from "@/lib/storage";
+import { toCSV } from "@/lib/csv";
+import { uid } from "@/lib/utils";
+
+export type PriceListValues = PriceParams & Pick<CostFactors, "mermasPct" | "mermasFilaPct" | "recuperoPct" | "indirectosUSDm" | "tcARS" | "tcEUR" | "tcBRL">;
+
+export type PriceList = {
+  id: string;
+  nombre: string;
+  vigenteDesde: string; // YYYY-MM-DD
+  creado: string;       // ISO
+  valores: PriceListValues;
+};
+
+/** Referencia a la versión usada por una cotización. */
+export type PriceListRef = Pick<PriceList, "id" | "nombre" | "vigenteDesde">;
+
+export function priceListRef(pl: PriceListRef): PriceListRef {
+  return { id: pl.id, nombre: pl.nombre, vigenteDesde: pl.vigenteDesde };
+}
+
+export type PriceDiff = {
+  campo: string;
+  antes: number | string | undefined;
+  despues: number | string | undefined;
+  deltaPct: number | null;
+};
+
+// Campos que son mapas id → número; en CSV van como `campo.id`.
+export const CAMPOS_MAPA = ["pxAislacionKg", "pxPlantillas", "mermasFilaPct", "recuperoPct"] as const;
+type CampoMapa = (typeof CAMPOS_MAPA)[number];
+
+type ScalarPriceField = Exclude<keyof PriceListValues, CampoMapa | "monedaPrecios">;
+
+// Campos escalares, en el orden en que se muestran y exportan.
+export const PRICE_FIELDS: readonly { key: ScalarPriceField; label: string; unidad: string }[] = [
+  { key: "pxCu", label: "Cobre", unidad: "$/kg" },
+  { key: "pxAl", label: "Aluminio", unidad: "$/kg" },
+  { key: "pxWBLong", label: "WB Longitudinal", unidad: "$/m" },
+  { key: "pxWBRad", label: "WB Radial", unidad: "$/m" },
+  { key: "pxVainaBase", label: "Vaina base", unidad: "$/kg" },
+  { key: "pxArmaduraKg", label: "Armadura", unidad: "$/kg" },
+  { key: "pxSemiconKg", label: "Semiconductora", unidad: "$/kg" },
+  { key: "pxEnergiaKWh", label: "Energía", unidad: "$/kWh" },
+  { key: "lmeCuUSDt", label: "LME base Cobre", unidad: "USD/t" },
+  { key: "lmeAlUSDt", label: "LME base Aluminio", unidad: "USD/t" },
+  { key: "mermasPct", label: "Mermas", unidad: "%" },
+  { key: "indirectosUSDm", label: "Indirectos", unidad: "$/m" },
+  { key: "tcARS", label: "TC ARS/USD", unidad: "ARS" },
+  { key: "tcEUR", label: "TC EUR/USD", unidad: "EUR" },
+  { key: "tcBRL", label: "TC BRL/USD", unidad: "BRL" },
+];
+
+// La mano de obra por metro pasó a la tarifa de cada máquina de la ruta de procesos; las listas viejas la traen.
+const CAMPO_RETIRADO = "moUSDm";
+
+const CAMPOS_MONEDA: readonly CampoMoneda[] = ["pxCu", "pxAl", "pxWBLong", "pxWBRad", "pxVainaBase", "pxArmaduraKg", "pxSemiconKg", "pxAislacionKg", "pxEnergiaKWh"];
+
+/** Copia sólo los campos de precio; los agregados después (p. ej. LME base, monedas) se completan con los de fábrica. */
+export function pickPriceValues(p: PriceListValues): PriceListValues {
+  return {
+    pxCu: p.pxCu,
+    pxAl: p.pxAl,
+    pxWBLong: p.pxWBLong,
+    pxWBRad: p.pxWBRad,
+    pxVainaBase: p.pxVainaBase,
+    pxArmaduraKg: p.pxArmaduraKg,
+    pxSemiconKg: p.pxSemiconKg,
+    pxAislacionKg: { ...p.pxAislacionKg },
+    pxPlantillas: { ...(p.pxPlantillas ?? DEFAULT_INPUT.pxPlantillas) },
+    pxEnergiaKWh: p.pxEnergiaKWh ?? DEFAULT_INPUT.pxEnergiaKWh,
+    lmeCuUSDt: p.lmeCuUSDt ?? DEFAULT_INPUT.lmeCuUSDt,
+    lmeAlUSDt: p.lmeAlUSDt ?? DEFAULT_INPUT.lmeAlUSDt,
+    monedaPrecios: { ...p.monedaPrecios },
+    mermasPct: p.mermasPct,
+    mermasFilaPct: { ...(p.mermasFilaPct ?? DEFAULT_INPUT.mermasFilaPct) },
+    recuperoPct: { ...(p.recuperoPct ?? DEFAULT_INPUT.recuperoPct) },
+    indirectosUSDm: p.indirectosUSDm,
+    tcARS: p.tcARS,
+    tcEUR: p.tcEUR ?? DEFAULT_INPUT.tcEUR,
+    tcBRL: p.tcBRL ?? DEFAULT_INPUT.tcBRL,
+  };
+}
+
+export const DEFAULT_PRICE_LIST: PriceList = {
+  id: "default",
+  nombre: "Precios de referencia",
+  vigenteDesde: "2025-10-01",
+  creado: "2025-10-01T00:00:00.000Z",
+  valores: pickPriceValues(DEFAULT_INPUT),
+};
+
+/** Aplana los valores a `campo → número`; los mapas quedan como `pxAislacionKg.XLPE`, `pxPlantillas.relleno`, `mermasFilaPct.vaina`… */
+export function flattenPriceValues(v: PriceListValues): Record<string, number> {
+  const out: Record<string, number> = {};
+  for (const f of PRICE_FIELDS) out[f.key] = v[f.key];
+  for (const m of CAMPOS_MAPA) for (const [k, n] of Object.entries(v[m])) out[`${m}.${k}`] = n;
+  return out;
+}
+
+export function unflattenPriceValues(flat: Record<string, number>, base: PriceListValues): PriceListValues {
+  const v = pickPriceValues(base);
+  for (const [campo, n] of Object.entries(flat)) {
+    const mapa = CAMPOS_MAPA.find(m => campo.startsWith(`${m}.`));
+    if (mapa) v[mapa][campo.slice(mapa.length + 1)] = n;
+    else if (PRICE_FIELDS.some(f => f.key === campo)) (v as Record<string, unknown>)[campo] = n;
+    else if (campo === CAMPO_RETIRADO) continue;
+    else throw new Error(`Campo desconocido en la lista de precios: "${campo}"`);
+  }
+  return v;
+}
+
+/** Moneda de cada precio como `moneda.<campo> → moneda` (USD si no se indicó otra). */
+export function flattenMonedas(v: PriceListValues): Record<string, Moneda> {
+  const out: Record<string, Moneda> = {};
+  for (const c of CAMPOS_MONEDA) out[`moneda.${c}`] = v.monedaPrecios?.[c] ?? "USD";
+  return out;
+}
+
+function setMoneda(v: PriceListValues, campo: string, raw: unknown) {
+  const c = campo.slice("moneda.".length) as CampoMoneda;
+  if (!CAMPOS_MONEDA.includes(c)) throw new Error(`Campo desconocido en la lista de precios: "${campo}"`);
+  const m = parseMoneda(campo, raw);
+  if (m === "USD") delete v.monedaPrecios[c]; else v.monedaPrecios[c] = m;
+}
+
+/** Diferencias campo por campo entre dos versiones (sólo los campos que cambian, incluida la moneda de un precio). */
+export function diffPriceLists(a: PriceList, b: PriceList): PriceDiff[] {
+  const fa = flattenPriceValues(a.valores);
+  const fb = flattenPriceValues(b.valores);
+  const campos = Array.from(new Set([...Object.keys(fa), ...Object.keys(fb)]));
+  const precios = campos
+    .filter(c => fa[c] !== fb[c])
+    .map(campo => {
+      const antes = fa[campo];
+      const despues = fb[campo];
+      const deltaPct = antes !== undefined && despues !== undefined && antes !== 0 ? ((despues - antes) / antes) * 100 : null;
+      return { campo, antes, despues, deltaPct };
+    });
+  const ma = flattenMonedas(a.valores);
+  const mb = flattenMonedas(b.valores);
+  const monedas = Object.keys(ma)
+    .filter(c => ma[c] !== mb[c])
+    .map(campo => ({ campo, antes: ma[campo], despues: mb[campo], deltaPct: null }));
+  return [...precios, ...monedas];
+}
+
+/** Versión vigente a una fecha: la de `vigenteDesde` más reciente que no la supere. */
+export function vigenteAl(lists: PriceList[], fecha: string): PriceList | undefined {
+  return [...lists]
+    .filter(l => l.vigenteDesde <= fecha)
+    .sort((a, b) => b.vigenteDesde.localeCompare(a.vigenteDesde) || b.creado.localeCompare(a.creado))[0];
+}
+
+/**
+ * Versión vigente a `fecha` si es más nueva que la de la referencia (p. ej. la
+ * lista con la que se cotizó sin conexión); null si la referencia sigue al día.
+ */
+export function listaMasNueva(ref: PriceListRef, lists: PriceList[], fecha: string): PriceList | null {
+  const vigente = vigenteAl(lists, fecha);
+  return vigente && vigente.id !== ref.id && vigente.vigenteDesde >= ref.vigenteDesde ? vigente : null;
+}
+
+function parseNumero(campo: string, raw: unknown): number {
+  const n = typeof raw === "number" ? raw : parseFloat(String(raw).trim().replace(",", "."));
+  if (!Number.isFinite(n) || n < 0) throw new Error(`Valor inválido para "${campo}": ${String(raw)}`);
+  return n;
+}
+
+function parseFecha(raw: unknown): string {
+  const s = String(raw ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) throw new Error(`Fecha de vigencia inválida: "${s}" (usar AAAA-MM-DD)`);
+  return s;
+}
+
+/**
+ * Importa una versión desde CSV `campo,valor` (también acepta `;`).
+ * Filas especiales: `nombre` y `vigenteDesde`. Los campos ausentes se toman de `base`.
+ */
+export function parsePriceListCSV(text: string, base: PriceListValues): PriceList {
+  let nombre = "";
+  let vigenteDesde = "";
+  const flat: Record<string, number> = {};
+  const monedas: Record<string, string> = {};
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const [campo, valor = ""] = line.split(/[;,]([\s\S]*)/).map(x => x.trim().replace(/^"([\s\S]*)"$/, "$1").replace(/""/g, '"'));
+    if (campo === "campo") continue;
+    if (campo === "nombre") nombre = valor;
+    else if (campo === "vigenteDesde") vigenteDesde = valor;
+    else if (campo.startsWith("moneda.")) monedas[campo] = valor;
+    else flat[campo] = parseNumero(campo, valor);
+  }
+  const valores = unflattenPriceValues(flat, base);
+  for (const [campo, m] of Object.entries(monedas)) setMoneda(valores, campo, m);
+  return nuevaVersion(nombre, parseFecha(vigenteDesde), valores);
+}
+
+/** Importa una versión desde JSON: `{ nombre, vigenteDesde, valores }` con valores parciales. */
+export function parsePriceListJSON(text: string, base: PriceListValues): PriceList {
+  let data: { nombre?: string; vigenteDesde?: string; valores?: Record<string, unknown> };
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("El archivo no es un JSON válido");
+  }
+  const { monedaPrecios = {}, ...resto } = (data.valores ?? {}) as Record<string, unknown>;
+  const flat: Record<string, number> = {};
+  for (const [campo, n] of Object.entries(resto)) {
+    if (!(CAMPOS_MAPA as readonly string[]).includes(campo)) flat[campo] = parseNumero(campo, n);
+    else for (const [k, x] of Object.entries((n ?? {}) as Record<string, unknown>)) flat[`${campo}.${k}`] = parseNumero(`${campo}.${k}`, x);
+  }
+  const valores = unflattenPriceValues(flat, base);
+  for (const [k, m] of Object.entries(monedaPrecios as Record<string, unknown>)) setMoneda(valores, `moneda.${k}`, m);
+  return nuevaVersion(data.nombre ?? "", parseFecha(data.vigenteDesde), valores);
+}
+
+export function parsePriceListFile(fileName: string, text: string, base: PriceListValues): PriceList {
+  return fileName.toLowerCase().endsWith(".json") ? parsePriceListJSON(text, base) : parsePriceListCSV(text, base);
+}
+
+export function priceListToCSV(pl: PriceList): string {
+  const rows = [["campo", "valor"], ["nombre", pl.nombre], ["vigenteDesde", pl.vigenteDesde]];
+  for (const [campo, n] of Object.entries(flattenPriceValues(pl.valores))) rows.push([campo, String(n)]);
+  for (const [campo, m] of Object.entries(flattenMonedas(pl.valores))) rows.push([campo, m]);
+  return toCSV(rows);
+}
+
+export function nuevaVersion(nombre: string, vigenteDesde: string, valores: PriceListValues): PriceList {
+  return {
+    id: uid(),
+    nombre: nombre.trim() || `Lista ${vigenteDesde}`,
+    vigenteDesde,
+    creado: new Date().toISOString(),
+    valores: pickPriceValues(valores),
+  };
+}
+
+/** Validación para la API: una versión completa. */
+export function parsePriceList(body: unknown): PriceList {
+  const b = body as Partial<PriceList>;
+  if (!b || typeof b !== "object" || !b.id || !b.valores) throw new Error("Lista de precios incompleta: se requieren id y valores");
+  const flat = flattenPriceValues({ ...DEFAULT_PRICE_LIST.valores, ...b.valores });
+  for (const [campo, n] of Object.entries(flat)) parseNumero(campo, n);
+  const valores = unflattenPriceValues(flat, DEFAULT_PRICE_LIST.valores);
+  for (const [k, m] of Object.entries(b.valores.monedaPrecios ?? {})) setMoneda(valores, `moneda.${k}`, m);
+  return {
+    id: String(b.id),
+    nombre: String(b.nombre ?? ""),
+    vigenteDesde: parseFecha(b.vigenteDesde),
+    creado: b.creado ?? new Date().toISOString(),
+    valores,
+  };
+}
+
+export const priceListStore = createStore<PriceList>("price-lists");
+
+/** Valores de la lista `id` (la de fábrica o una guardada), para las reglas de aprobación; null si no existe. */
+export async function valoresDeLista(id: string, store: Store<PriceList> = priceListStore): Promise<PriceListValues | null> {
+  if (id === DEFAULT_PRICE_LIST.id) return DEFAULT_PRICE_LIST.valores;
+  const pl = await store.get(id);
+  return pl ? pickPriceValues(pl.valores) : null;
+}
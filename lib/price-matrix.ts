@@ -0,0 +1,166 @@
+/**
+ * Matriz de precios de lista sección × tensión para publicar una familia.
+ *
+ * Se fija la construcción (metal, tipología, vaina, pantalla, armadura, WB y
+ * el resto de la entrada abierta) y se calcula el precio lista de cada celda
+ * sección × tensión del catálogo en la moneda elegida, con una regla de redondeo
+ * opcional (p. ej. al 0,05 más cercano). Cada celda lleva los hallazgos de
+ * `validarEntrada` sobre su construcción: con errores no tiene precio, con
+ * advertencias se marca.
+ */
+
+import { catalogo } from "@/lib/catalog";
+import { computeEstimate, sheathLabel, type CableSpec, type EstimateInput } from "@/lib/cost-engine";
+import { toCSV, type CSVCell } from "@/lib/csv";
+import { desdeUSD, type Moneda } from "@/lib/currency";
+import { formatoCSV } from "@/lib/format";
+import { claseTension } from "@/lib/insulation";
+import { excelJS, FORMATO_XLSX } from "@/lib/spreadsheet";
+import { CAMPOS_ESPECIFICACION, validarEntrada, type Hallazgo } from "@/lib/validation";
+
+export type ModoRedondeo = "cercano" | "arriba" | "abajo";
+
+export type ReglaRedondeo = {
+  paso: number; // 0 = sin redondeo
+  modo: ModoRedondeo;
+};
+
+export const SIN_REDONDEO: ReglaRedondeo = { paso: 0, modo: "cercano" };
+
+export type EstadoCelda = "ok" | "advertencia" | "error";
+
+export type CeldaMatriz = {
+  seccion: number;
+  tension: string;
+  precio: number | null; // redondeado, en la moneda de la matriz; null si la construcción tiene errores
+  precioSinRedondeo: number | null;
+  estado: EstadoCelda;
+  hallazgos: Hallazgo[];
+};
+
+export type MatrizPrecios = {
+  familia: string;
+  moneda: Moneda;
+  redondeo: ReglaRedondeo;
+  secciones: number[];
+  tensiones: string[];
+  celdas: CeldaMatriz[][]; // [i de secciones][j de tensiones]
+};
+
+const decimales = (paso: number) => (String(paso).split(".")[1] ?? "").length;
+
+export function redondear(n: number, { paso, modo }: ReglaRedondeo): number {
+  if (!(paso > 0)) return n;
+  const q = n / paso;
+  // El épsilon evita que 1.1 / 0.05 = 22.000000000000004 suba un paso entero.
+  const k = modo === "arriba" ? Math.ceil(q - 1e-9) : modo === "abajo" ? Math.floor(q + 1e-9) : Math.round(q);
+  return +(k * paso).toFixed(decimales(paso));
+}
+
+export function describirRedondeo(r: ReglaRedondeo): string {
+  if (!(r.paso > 0)) return "Sin redondeo";
+  if (r.modo === "cercano") return `Al múltiplo de ${r.paso} más cercano`;
+  return `Hacia ${r.modo}, múltiplo de ${r.paso}`;
+}
+
+/** Descripción de la familia: la construcción sin sección ni tensión. */
+export function descripcionFamilia(spec: CableSpec): string {
+  const partes = [
+    `${spec.fases}×S mm² ${spec.metal === "Cobre" ? "Cu" : "Al"} ${spec.tipologia} ${spec.aislacion}`,
+    `Vaina ${sheathLabel(spec.sheathKey)}`,
+    spec.pantallaMM2 ? `Pantalla ${spec.pantallaMM2} mm²` : "Sin pantalla",
+  ];
+  if (spec.armadura) partes.push("Armado");
+  if (spec.useWBLong || spec.useWBRad) partes.push(`WB ${[spec.useWBLong && "L", spec.useWBRad && "R"].filter(Boolean).join("+")}`);
+  return partes.join(" • ");
+}
+
+export function generarMatriz(
+  base: EstimateInput,
+  { moneda = base.moneda, redondeo = SIN_REDONDEO }: { moneda?: Moneda; redondeo?: ReglaRedondeo } = {},
+  secciones: number[] = catalogo().secciones,
+  tensiones: string[] = catalogo().tensiones.map(t => t.tension),
+): MatrizPrecios {
+  const celdas = secciones.map(seccion => tensiones.map((tension): CeldaMatriz => {
+    const input = { ...base, seccion, tension };
+    // Sólo los hallazgos de construcción: los de precios y márgenes son iguales en todas las celdas.
+    const hallazgos = validarEntrada(input).filter(h => CAMPOS_ESPECIFICACION.has(h.campo));
+    const estado: EstadoCelda = hallazgos.some(h => h.severidad === "error") ? "error" : hallazgos.length ? "advertencia" : "ok";
+    if (estado === "error") return { seccion, tension, precio: null, precioSinRedondeo: null, estado, hallazgos };
+    const precioSinRedondeo = desdeUSD(computeEstimate(input).precioListaUSDm, moneda, input);
+    return { seccion, tension, precio: redondear(precioSinRedondeo, redondeo), precioSinRedondeo, estado, hallazgos };
+  }));
+  return { familia: descripcionFamilia(base), moneda, redondeo, secciones, tensiones, celdas };
+}
+
+const ESTADO_LABEL: Record<EstadoCelda, string> = { ok: "OK", advertencia: "ADVERTENCIA", error: "ERROR" };
+const encabezadoTension = (t: string) => `${t} (${claseTension(t)?.clase ?? "?"})`;
+
+function observaciones(m: MatrizPrecios): CSVCell[][] {
+  return m.celdas.flat().flatMap(c => c.hallazgos.map(h => [c.seccion, c.tension, h.severidad === "error" ? "ERROR" : "ADVERTENCIA", h.mensaje]));
+}
+
+/**
+ * CSV de la matriz: encabezado de la familia, bloque de precios (vacío donde
+ * la construcción no es válida), bloque de estado por celda y observaciones.
+ */
+export function matrizToCSV(m: MatrizPrecios, locale?: string): string {
+  const { separador, decimal } = locale ? formatoCSV(locale) : { separador: ",", decimal: "." };
+  const num = (n: number | null) => (n === null ? "" : decimal === "." ? n : String(n).replace(".", decimal));
+  const cabecera = ["Seccion (mm2)", ...m.tensiones.map(encabezadoTension)];
+  const rows: CSVCell[][] = [
+    ["Familia", m.familia],
+    ["Moneda", `${m.moneda}/m`],
+    ["Redondeo", describirRedondeo(m.redondeo)],
+    [],
+    ["Precio lista", ...cabecera.slice(1)],
+    ...m.celdas.map((fila, i) => [m.secciones[i], ...fila.map(c => num(c.precio))]),
+    [],
+    ["Estado", ...cabecera.slice(1)],
+    ...m.celdas.map((fila, i) => [m.secciones[i], ...fila.map(c => ESTADO_LABEL[c.estado])]),
+    [],
+    ["Seccion", "Tension", "Severidad", "Observacion"],
+    ...observaciones(m),
+  ];
+  return toCSV(rows, separador);
+}
+
+// Relleno de las celdas marcadas (ARGB).
+const RELLENO: Record<Exclude<EstadoCelda, "ok">, string> = { advertencia: "FFFEF3C7", error: "FFFECACA" };
+
+/** XLSX de la matriz: hoja "Matriz" con celdas marcadas y notas, y hoja "Observaciones". */
+export async function matrizToXLSX(m: MatrizPrecios): Promise<ArrayBuffer> {
+  const ExcelJS = await excelJS();
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Cable Cost Estimator - IMSA";
+  wb.created = new Date();
+
+  const ws = wb.addWorksheet("Matriz");
+  ws.addRow(["Familia", m.familia]);
+  ws.addRow(["Moneda", `${m.moneda}/m`]);
+  ws.addRow(["Redondeo", describirRedondeo(m.redondeo)]);
+  ws.addRow([]);
+  const cabecera = ws.addRow(["Sección (mm²)", ...m.tensiones.map(encabezadoTension)]);
+  cabecera.font = { bold: true };
+  ws.getColumn(1).width = 16;
+  m.tensiones.forEach((_, j) => { ws.getColumn(j + 2).width = 20; });
+  m.celdas.forEach((fila, i) => {
+    const row = ws.addRow([m.secciones[i], ...fila.map(c => c.precio)]);
+    row.getCell(1).font = { bold: true };
+    fila.forEach((c, j) => {
+      const cell = row.getCell(j + 2);
+      cell.numFmt = FORMATO_XLSX[m.moneda];
+      if (c.estado === "ok") return;
+      cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: RELLENO[c.estado] } };
+      cell.note = c.hallazgos.map(h => h.mensaje).join("\n");
+      if (c.precio === null) cell.value = "No válida";
+    });
+  });
+
+  const wsObs = wb.addWorksheet("Observaciones");
+  wsObs.columns = [{ header: "Sección", width: 10 }, { header: "Tensión", width: 10 }, { header: "Severidad", width: 14 }, { header: "Observación", width: 80 }];
+  wsObs.getRow(1).font = { bold: true };
+  for (const r of observaciones(m)) wsObs.addRow(r);
+
+  return (await wb.xlsx.writeBuffer()) as ArrayBuffer;
+}
@@ -0,0 +1,98 @@
+/**
+ * Ruta de fabricación — costo de proceso por máquina.
+ *
+ *  trefilado → cableado del conductor → triple extrusión (CV) → pantalla
+ *  → reunido (tripolar) → armado → envainado
+ *
+ * Cada proceso tiene en `data/procesos.json` una velocidad de línea por rango
+ * de sección, una tarifa horaria de máquina (con su mano de obra), la potencia
+ * media de la línea y un tiempo de preparación. Por metro de cable:
+ *
+ *  horas = pasadas / (velocidad × 60)
+ *  máquina = horas × tarifa        energía = horas × kW × $/kWh
+ *  preparación = horas de setup × tarifa / longitud pedida
+ *
+ * Los procesos "por núcleo" pasan una vez por núcleo (3 en un tripolar o en
+ * 3 unipolares); los "por cable", una vez por cable terminado. La preparación
+ * se cobra una vez por pedido, así un pedido corto paga más por metro.
+ *
+ * Las líneas de extrusión tiran además una purga de arranque por corrida
+ * (`purgaKg`, kg por fila de materia) que se reparte en la longitud del
+ * pedido como merma de esa fila (`lib/scrap.ts`).
+ */
+
+import tabla from "@/data/procesos.json";
+import type { CableSpec } from "@/lib/cost-engine";
+import type { Geometria } from "@/lib/geometry";
+
+export type RequisitoProceso = "pantalla" | "tripolar" | "armadura";
+
+export type Proceso = {
+  key: string;
+  nombre: string;
+  por: "nucleo" | "cable";
+  requiere: RequisitoProceso | null; // sin requisito, se hace siempre
+  tarifaUSDh: number;
+  kW: number;
+  setupMin: number;
+  purgaKg?: Record<string, number>; // kg de arranque por corrida, por id de fila de materia
+  velocidades: { seccionMaxMM2: number; mMin: number }[];
+};
+
+export type PasoRuta = {
+  proceso: Proceso;
+  aplica: boolean;
+  pasadas: number;        // metros procesados por metro de cable
+  velocidadMMin: number;
+  horasPorKm: number;     // horas de máquina por km de cable
+  maquinaUSDm: number;
+  energiaUSDm: number;
+  setupUSDm: number;
+  totalUSDm: number;
+};
+
+export const PROCESOS = tabla.procesos as Proceso[];
+
+/** Velocidad para la sección (la del último rango si la sección lo excede). */
+export function velocidadProceso(pr: Proceso, seccionMM2: number): number {
+  return (pr.velocidades.find(v => seccionMM2 <= v.seccionMaxMM2) ?? pr.velocidades[pr.velocidades.length - 1]).mMin;
+}
+
+function aplica(pr: Proceso, spec: CableSpec, geo: Pick<Geometria, "nucleos">): boolean {
+  switch (pr.requiere) {
+    case "pantalla": return spec.pantallaMM2 > 0;
+    case "tripolar": return geo.nucleos > 1; // reunir núcleos bajo una vaina
+    case "armadura": return spec.armadura;
+    default: return true;
+  }
+}
+
+/**
+ * Costo de cada proceso por metro de cable. `energiaUSDkWh` ya en USD; con
+ * `longitudPedidoM` ≤ 0 no se amortiza la preparación.
+ */
+export function rutaProcesos(spec: CableSpec, geo: Pick<Geometria, "nucleos" | "cables">, energiaUSDkWh: number, longitudPedidoM: number): PasoRuta[] {
+  return PROCESOS.map(pr => {
+    const pasadas = pr.por === "nucleo" ? geo.nucleos * geo.cables : geo.cables;
+    const velocidadMMin = velocidadProceso(pr, spec.seccion);
+    const horasM = pasadas / (velocidadMMin * 60);
+    const maquinaUSDm = horasM * pr.tarifaUSDh;
+    const energiaUSDm = horasM * pr.kW * energiaUSDkWh;
+    const setupUSDm = longitudPedidoM > 0 ? (pr.setupMin / 60) * pr.tarifaUSDh / longitudPedidoM : 0;
+    return {
+      proceso: pr, aplica: aplica(pr, spec, geo), pasadas, velocidadMMin, horasPorKm: horasM * 1000,
+      maquinaUSDm, energiaUSDm, setupUSDm, totalUSDm: maquinaUSDm + energiaUSDm + setupUSDm,
+    };
+  });
+}
+
+/** kg/m de purga de arranque por id de fila, de los procesos que aplican; 0 sin longitud de pedido. */
+export function purgaPorFila(ruta: PasoRuta[], longitudPedidoM: number): Record<string, number> {
+  const out: Record<string, number> = {};
+  if (!(longitudPedidoM > 0)) return out;
+  for (const r of ruta) {
+    if (!r.aplica) continue;
+    for (const [id, kg] of Object.entries(r.proceso.purgaKg ?? {})) out[id] = (out[id] ?? 0) + kg / longitudPedidoM;
+  }
+  return out;
+}
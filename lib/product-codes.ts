@@ -0,0 +1,161 @@
+/**
+ * Códigos de producto del catálogo, p. ej. `IMSA-AL-3x150-13.2-RHUV-P10-A`:
+ *
+ *   prefijo-metal-{fases}x{sección}-tensión[-aislación]-vaina[-P{pantalla}][-A][-W{L}{R}]
+ *
+ * Las fases definen la tipología (1 unipolar, 3 tripolar). No se escriben la
+ * aislación estándar (la de código vacío, XLPE en el catálogo de fábrica) ni
+ * la pantalla 0; "A" es armado y "WL", "WR" o "WLR" el water blocking.
+ *
+ * Una combinación tiene código si todas sus opciones están en el catálogo,
+ * lleva el conductor estándar (`CONDUCTOR_ESTANDAR`: clase 2 compactado) y
+ * su construcción no tiene errores ni advertencias de `validarEntrada`. Todo
+ * se resuelve con el catálogo activo.
+ */
+
+import { catalogo, type Catalogo } from "@/lib/catalog";
+import { CONDUCTOR_ESTANDAR, esConductorEstandar } from "@/lib/conductor";
+import { DEFAULT_INPUT, type CableSpec } from "@/lib/cost-engine";
+import { descripcionCable } from "@/lib/offer";
+import { CAMPOS_ESPECIFICACION, validarEntrada, type Hallazgo } from "@/lib/validation";
+
+export type Producto = {
+  codigo: string;
+  spec: CableSpec;
+  descripcion: string;
+};
+
+/** Máximo de resultados de `buscarProductos` por defecto. */
+export const MAX_RESULTADOS = 50;
+
+/** Hallazgos de construcción de una especificación (los de precios y márgenes no cuentan). */
+export function hallazgosConstruccion(spec: CableSpec): Hallazgo[] {
+  return validarEntrada({ ...DEFAULT_INPUT, ...spec, extras: [] }).filter(h => CAMPOS_ESPECIFICACION.has(h.campo));
+}
+
+// Código sin validar la construcción; null si alguna opción no está en el catálogo.
+function armarCodigo(spec: CableSpec, cat: Catalogo): string | null {
+  const metal = cat.metales.find(m => m.key === spec.metal);
+  const tension = cat.tensiones.find(t => t.tension === spec.tension);
+  const aislacion = cat.aislaciones.find(a => a.key === spec.aislacion);
+  const vaina = cat.vainas.find(v => v.key === spec.sheathKey);
+  const tipologia = spec.fases === 1 ? "unipolar" : spec.fases === 3 ? "tripolar" : null;
+  if (!metal || !tension || !aislacion || !vaina || spec.tipologia !== tipologia) return null;
+  if (!cat.secciones.includes(spec.seccion) || !cat.pantallas.includes(spec.pantallaMM2)) return null;
+  if (!esConductorEstandar(spec)) return null;
+
+  const wb = `${spec.useWBLong ? "L" : ""}${spec.useWBRad ? "R" : ""}`;
+  return [
+    cat.prefijo,
+    metal.codigo,
+    `${spec.fases}x${spec.seccion}`,
+    tension.codigo,
+    aislacion.codigo,
+    vaina.codigo,
+    spec.pantallaMM2 ? `P${spec.pantallaMM2}` : "",
+    spec.armadura ? "A" : "",
+    wb ? `W${wb}` : "",
+  ].filter(Boolean).join("-");
+}
+
+/** Código de producto de la especificación, o null si no es una combinación válida del catálogo. */
+export function codigoProducto(spec: CableSpec): string | null {
+  const codigo = armarCodigo(spec, catalogo());
+  return codigo && hallazgosConstruccion(spec).length === 0 ? codigo : null;
+}
+
+/**
+ * Especificación de un código de producto. `kgmArmadura` no está en el código:
+ * se toma el de `DEFAULT_INPUT`; el conductor es el estándar. Lanza un error si el código no se puede leer
+ * o si la combinación no es válida.
+ */
+export function decodificarCodigo(texto: string): CableSpec {
+  const cat = catalogo();
+  const codigo = texto.trim().toUpperCase();
+  const [prefijo, m, fs, t, ...resto] = codigo.split("-");
+  if (prefijo !== cat.prefijo) throw new Error(`El código debe empezar con ${cat.prefijo}-`);
+
+  const metal = cat.metales.find(x => x.codigo === m);
+  if (!metal) throw new Error(`Metal desconocido en el código: ${m ?? ""}`);
+  const fxs = /^([13])X(\d+(?:\.\d+)?)$/.exec(fs ?? "");
+  if (!fxs) throw new Error(`Fases × sección inválido en el código: ${fs ?? ""} (usar 1x95 o 3x150)`);
+  const tension = cat.tensiones.find(x => x.codigo === t);
+  if (!tension) throw new Error(`Tensión desconocida en el código: ${t ?? ""}`);
+
+  // Al final van las marcas de pantalla, armado y WB; antes, [aislación-]vaina.
+  let i = resto.length;
+  while (i > 0 && /^(P\d+|A|W[LR]+)$/.test(resto[i - 1])) i--;
+  const cuerpo = resto.slice(0, i);
+  const marcas = resto.slice(i);
+  if (cuerpo.length < 1 || cuerpo.length > 2) throw new Error("El código debe llevar la vaina, y la aislación si no es la estándar");
+  const [codAislacion, codVaina] = cuerpo.length === 2 ? cuerpo : ["", cuerpo[0]];
+  const aislacion = cat.aislaciones.find(x => x.codigo === codAislacion);
+  if (!aislacion) throw new Error(codAislacion ? `Aislación desconocida en el código: ${codAislacion}` : "El catálogo no tiene aislación estándar: indíquela en el código");
+  const vaina = cat.vainas.find(x => x.codigo === codVaina);
+  if (!vaina) throw new Error(`Vaina desconocida en el código: ${codVaina}`);
+
+  const pantalla = marcas.find(x => x.startsWith("P"));
+  const wb = marcas.find(x => x.startsWith("W")) ?? "";
+  const fases = Number(fxs[1]);
+  const spec: CableSpec = {
+    metal: metal.key,
+    fases,
+    tipologia: fases === 1 ? "unipolar" : "tripolar",
+    seccion: Number(fxs[2]),
+    ...CONDUCTOR_ESTANDAR,
+    tension: tension.tension,
+    aislacion: aislacion.key,
+    sheathKey: vaina.key,
+    pantallaMM2: pantalla ? Number(pantalla.slice(1)) : 0,
+    armadura: marcas.includes("A"),
+    kgmArmadura: DEFAULT_INPUT.kgmArmadura,
+    useWBLong: wb.includes("L"),
+    useWBRad: wb.includes("R"),
+  };
+
+  // Vuelta al código: descarta secciones o pantallas fuera del catálogo y marcas repetidas o desordenadas.
+  const canonico = armarCodigo(spec, cat);
+  if (canonico?.toUpperCase() !== codigo) throw new Error(canonico ? `Código mal formado, ¿quiso decir ${canonico}?` : "La sección o la pantalla del código no están en el catálogo");
+  const hallazgos = hallazgosConstruccion(spec);
+  if (hallazgos.length) throw new Error(`Combinación no válida: ${hallazgos.map(h => h.mensaje).join("; ")}`);
+  return spec;
+}
+
+function* combinaciones(cat: Catalogo): Generator<CableSpec> {
+  for (const m of cat.metales)
+    for (const fases of [1, 3])
+      for (const seccion of cat.secciones)
+        for (const t of cat.tensiones)
+          for (const a of cat.aislaciones)
+            for (const v of cat.vainas)
+              for (const pantallaMM2 of cat.pantallas)
+                for (const armadura of [false, true])
+                  for (const [useWBLong, useWBRad] of [[false, false], [true, false], [false, true], [true, true]]) {
+                    yield {
+                      metal: m.key, fases, tipologia: fases === 1 ? "unipolar" : "tripolar", seccion, ...CONDUCTOR_ESTANDAR, tension: t.tension,
+                      aislacion: a.key, sheathKey: v.key, pantallaMM2, armadura, kgmArmadura: DEFAULT_INPUT.kgmArmadura, useWBLong, useWBRad,
+                    };
+                  }
+}
+
+/**
+ * Productos válidos cuyo código o descripción contiene todas las palabras de
+ * `texto` (sin distinguir mayúsculas), en el orden del catálogo. Un código
+ * completo devuelve ese producto.
+ */
+export function buscarProductos(texto: string, limite = MAX_RESULTADOS): Producto[] {
+  const cat = catalogo();
+  const palabras = texto.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const out: Producto[] = [];
+  const todas = combinaciones(cat);
+  for (let r = todas.next(); !r.done && out.length < limite; r = todas.next()) {
+    const spec = r.value;
+    const codigo = armarCodigo(spec, cat);
+    if (!codigo) continue;
+    const descripcion = descripcionCable(spec);
+    const buscable = `${codigo} ${descripcion}`.toLowerCase();
+    if (!palabras.every(p => buscable.includes(p))) continue;
+    if (hallazgosConstruccion(spec).length === 0) out.push({ codigo, spec, descripcion });
+  }
+  return out;
+}
@@ -0,0 +1,304 @@
+/**
+ * Cotizaciones guardadas.
+ *
+ * Una cotización guarda la entrada completa del estimador (especificación,
+ * precios, factores y filas extra) bajo un cliente, una referencia y una
+ * fecha, junto con la versión de lista de precios con la que se armó. Como
+ * los precios viajan dentro de `input`, reabrirla reproduce el mismo resultado
+ * aunque la lista de precios cambie después. Las líneas de la oferta
+ * multi-línea (`lineas`) se guardan con la cotización.
+ *
+ * Cada cotización lleva su estado (`lib/approvals.ts`) y un historial sólo de
+ * agregado (`lib/audit.ts`) con quién la creó, qué campos cambió cada
+ * actualización y cada cambio de estado.
+ *
+ * Con el backend "api" se pueden crear y editar sin conexión: la fecha de
+ * actualización es su versión para detectar conflictos al sincronizar
+ * (`lib/offline.ts`), y la versión local de un conflicto se rearma sobre la
+ * del servidor con `rebaseQuote`.
+ */
+
+import { ESTADOS, TRANSICIONES, estadoLabel, reglasIncumplidas, verificarTransicion, type EstadoCotizacion, type ReglaIncumplida } from "@/lib/approvals";
+import { cambiosEntrada, extiendeHistorial, registro, type Cambio, type RegistroHistorial } from "@/lib/audit";
+import { computeEstimate, costoFila, DEFAULT_INPUT, nombreFila, type EstimateInput } from "@/lib/cost-engine";
+import { errorTraducible, mensaje, traducir, type Idioma } from "@/lib/i18n";
+import { lineaCompleta, type OfferLine } from "@/lib/offer";
+import { codigoProducto } from "@/lib/product-codes";
+import { priceListRef, type PriceListRef, type PriceListValues } from "@/lib/price-lists";
+import { createStore } from "@/lib/storage";
+import { puedeAprobar, type Usuario } from "@/lib/users";
+import { uid } from "@/lib/utils";
+
+export type QuoteMeta = {
+  cliente: string;
+  referencia: string;
+  fecha: string; // YYYY-MM-DD
+};
+
+export type Quote = QuoteMeta & {
+  id: string;
+  creado: string;
+  actualizado: string;
+  input: EstimateInput;
+  lineas: OfferLine[];
+  priceList: PriceListRef;
+  resumen: { costoFabrica: number; precioListaUSDm: number; precioListaARSm: number };
+  estado: EstadoCotizacion;
+  historial: RegistroHistorial[];
+};
+
+/** Autor de las cotizaciones creadas sin usuario (importaciones, tests). */
+export const USUARIO_SISTEMA = "sistema";
+
+export type QuoteDeltaRow = {
+  id: string;
+  nombre: string;
+  a: number;
+  b: number;
+  delta: number;
+};
+
+function resumen(input: EstimateInput): Quote["resumen"] {
+  const r = computeEstimate(input);
+  return { costoFabrica: r.costoFabrica, precioListaUSDm: r.precioListaUSDm, precioListaARSm: r.precioListaARSm };
+}
+
+function clone<T>(x: T): T {
+  return JSON.parse(JSON.stringify(x));
+}
+
+export function newQuote(meta: QuoteMeta, input: EstimateInput, priceList: PriceListRef, lineas: OfferLine[] = [], usuario = USUARIO_SISTEMA): Quote {
+  const ahora = new Date().toISOString();
+  return {
+    id: uid(),
+    ...meta,
+    creado: ahora,
+    actualizado: ahora,
+    input: clone(input),
+    lineas: clone(lineas),
+    priceList: priceListRef(priceList),
+    resumen: resumen(input),
+    estado: "borrador",
+    historial: [registro(usuario, "creada")],
+  };
+}
+
+/** Cambios de cliente, referencia, fecha, lista de precios, entrada y líneas entre la cotización guardada y la nueva versión. */
+export function cambiosCotizacion(q: Quote, meta: QuoteMeta, input: EstimateInput, priceList: PriceListRef, lineas: OfferLine[]): Cambio[] {
+  const datos: Cambio[] = (["cliente", "referencia", "fecha"] as const)
+    .filter(k => q[k] !== meta[k])
+    .map(k => ({ campo: k, antes: q[k], despues: meta[k] }));
+  if (q.priceList.id !== priceList.id) datos.push({ campo: "listaPrecios", antes: q.priceList.id, despues: priceList.id });
+  return [...datos, ...cambiosEntrada(q, { input, lineas })];
+}
+
+/**
+ * Sobrescribe una cotización existente con la entrada actual y registra qué
+ * cambió. Si cambió algo y no era un borrador, vuelve a borrador: hay que
+ * presentarla (y aprobarla) de nuevo.
+ */
+export function updateQuote(q: Quote, meta: QuoteMeta, input: EstimateInput, priceList: PriceListRef, lineas: OfferLine[] = [], usuario = USUARIO_SISTEMA): Quote {
+  const cambios = cambiosCotizacion(q, meta, input, priceList, lineas);
+  const vuelve = cambios.length > 0 && q.estado !== "borrador";
+  return {
+    ...q,
+    ...meta,
+    actualizado: new Date().toISOString(),
+    input: clone(input),
+    lineas: clone(lineas),
+    priceList: priceListRef(priceList),
+    resumen: resumen(input),
+    estado: vuelve ? "borrador" : q.estado,
+    historial: cambios.length ? [...q.historial, registro(usuario, "modificada", { cambios, ...(vuelve ? { estado: "borrador" as const } : {}) })] : q.historial,
+  };
+}
+
+export function duplicateQuote(q: Quote, usuario = USUARIO_SISTEMA): Quote {
+  const ahora = new Date().toISOString();
+  return {
+    ...q, id: uid(), referencia: `${q.referencia} (copia)`, creado: ahora, actualizado: ahora, input: clone(q.input), lineas: clone(q.lineas ?? []),
+    estado: "borrador",
+    historial: [registro(usuario, "creada", { nota: `Copia de ${q.referencia || q.id}` })],
+  };
+}
+
+/**
+ * Lleva la cotización a otro estado (ver `verificarTransicion`). `incumplidas`
+ * son las reglas de aprobación de su contenido; quedan en el historial al
+ * presentarla o aprobarla.
+ */
+export function cambiarEstado(q: Quote, hacia: EstadoCotizacion, usuario: Usuario | undefined, incumplidas: readonly ReglaIncumplida[], nota = ""): Quote {
+  verificarTransicion(q.estado, hacia, usuario, incumplidas, nota);
+  const reglas = (hacia === "presentada" || hacia === "aprobada") && incumplidas.length ? { reglas: incumplidas.map(r => r.motivo) } : {};
+  return {
+    ...q,
+    actualizado: new Date().toISOString(),
+    estado: hacia,
+    historial: [...q.historial, registro(usuario!.id, "estado", { estado: hacia, ...reglas, ...(nota.trim() ? { nota: nota.trim() } : {}) })],
+  };
+}
+
+/**
+ * Verifica una versión nueva contra la guardada (la API la llama antes de
+ * guardar) y devuelve la que se guarda: el historial sólo agrega entradas,
+ * todas del usuario activo de quien pide (`actor`), con la fecha del
+ * servidor y no la del cliente; cada cambio de cliente,
+ * referencia, fecha, lista o entrada está registrado en una modificación
+ * nueva, y si la guardada no era un borrador la modificación la vuelve a
+ * borrador; cada cambio de estado nuevo es una transición válida, las
+ * aprobaciones y rechazos son de un actor con rol de gerente, y el estado es
+ * el del historial. Las reglas de aprobación se evalúan con `lista` (los
+ * valores de la lista de precios de la cotización, null si no se encontró):
+ * un borrador que las incumple no pasa directo a enviada, y al presentar o
+ * aprobar quedan registradas las que se incumplen.
+ */
+export function verificarHistorial(anterior: Quote | undefined, nueva: Quote, usuarios: readonly Usuario[], lista: PriceListValues | null, actor: string | undefined): Quote {
+  const previas = anterior?.historial ?? [];
+  if (!extiendeHistorial(previas, nueva.historial)) {
+    throw new Error("El historial de la cotización es sólo de agregado: no se pueden editar ni borrar entradas");
+  }
+  const agregadas = nueva.historial.slice(previas.length);
+  const ajena = agregadas.find(r => r.usuario !== actor);
+  if (ajena) throw new Error(`Entrada del historial a nombre de ${ajena.usuario}: sólo se registran cambios del usuario activo (${actor ?? "ninguno"})`);
+  const usuarioActor = usuarios.find(u => u.id === actor);
+  const modificaciones = agregadas.filter(r => r.accion === "modificada");
+  if (anterior) {
+    // La guardada se completa como la nueva, así los campos agregados después no cuentan como cambios.
+    const cambios = cambiosCotizacion(parseQuote(anterior), nueva, nueva.input, nueva.priceList, nueva.lineas);
+    const registrados = new Set(modificaciones.flatMap(r => (r.cambios ?? []).map(c => c.campo)));
+    const sinRegistro = cambios.filter(c => !registrados.has(c.campo));
+    if (sinRegistro.length) {
+      throw new Error(`Cambios sin registrar en el historial: ${sinRegistro.map(c => c.campo).join(", ")}`);
+    }
+    if (cambios.length && anterior.estado !== "borrador" && !modificaciones.some(r => r.estado === "borrador")) {
+      throw new Error(`La cotización estaba ${estadoLabel(anterior.estado)}: al modificarla tiene que volver a borrador`);
+    }
+  }
+  // Los cambios de estado anteriores a la última vuelta a borrador se hicieron sobre otro contenido.
+  const reinicio = nueva.historial.map(r => r.accion === "modificada" && r.estado === "borrador").lastIndexOf(true);
+  const motivos = reglasIncumplidas({ input: nueva.input, lineas: nueva.lineas, lista }).map(r => r.motivo);
+  const textoMotivos = motivos.map(x => traducir("es", x)).join("; ");
+  let estado: EstadoCotizacion = "borrador";
+  nueva.historial.forEach((r, i) => {
+    if (!r.estado) return;
+    if (i >= previas.length) {
+      const vuelveABorrador = r.accion === "modificada" && r.estado === "borrador";
+      if (!vuelveABorrador && !TRANSICIONES[estado].includes(r.estado)) {
+        throw new Error(`Historial inválido: no se puede pasar de ${estadoLabel(estado)} a ${estadoLabel(r.estado)}`);
+      }
+      if ((r.estado === "aprobada" || r.estado === "rechazada") && !puedeAprobar(usuarioActor)) {
+        throw new Error(`${actor} no puede aprobar ni rechazar cotizaciones (requiere rol gerente)`);
+      }
+      if (i > reinicio && r.estado === "enviada" && estado === "borrador" && motivos.length) {
+        throw new Error(`Requiere aprobación: ${textoMotivos}`);
+      }
+      if (i > reinicio && (r.estado === "presentada" || r.estado === "aprobada") && JSON.stringify(r.reglas ?? []) !== JSON.stringify(motivos)) {
+        throw new Error(`Las reglas registradas al pasar a ${estadoLabel(r.estado)} no son las de la cotización: ${textoMotivos || "ninguna"}`);
+      }
+    }
+    estado = r.estado;
+  });
+  if (nueva.estado !== estado) throw new Error(`Estado ${estadoLabel(nueva.estado)} sin registro en el historial (último: ${estadoLabel(estado)})`);
+  const fecha = new Date().toISOString();
+  return agregadas.length ? { ...nueva, historial: [...previas, ...agregadas.map(r => ({ ...r, fecha }))] } : nueva;
+}
+
+/**
+ * Versión editada sin conexión rearmada sobre la que cambió en el servidor:
+ * cliente, referencia, fecha, lista de precios, entrada y líneas locales como
+ * una modificación más del historial del servidor (de quien hizo el último
+ * cambio local). Los cambios de estado hechos sin conexión no se trasladan.
+ */
+export function rebaseQuote(local: Quote, servidor: Quote): Quote {
+  const usuario = local.historial[local.historial.length - 1]?.usuario ?? USUARIO_SISTEMA;
+  const meta = { cliente: local.cliente, referencia: local.referencia, fecha: local.fecha };
+  return updateQuote(servidor, meta, local.input, local.priceList, local.lineas ?? [], usuario);
+}
+
+/** Sólo se borran las cotizaciones que nunca se presentaron: el resto conserva su historial. */
+export function verificarBorrado(q: Quote) {
+  if (q.historial.some(r => r.accion === "estado")) throw errorTraducible(mensaje("cotizaciones.error.presentada", { cotizacion: q.referencia || q.id }));
+}
+
+/** Búsqueda por cliente, referencia, fecha, descripción o código de producto del cable. */
+export function searchQuotes(quotes: Quote[], texto: string): Quote[] {
+  const t = texto.trim().toLowerCase();
+  const ordenadas = [...quotes].sort((a, b) => b.fecha.localeCompare(a.fecha) || b.actualizado.localeCompare(a.actualizado));
+  if (!t) return ordenadas;
+  return ordenadas.filter(q => {
+    const i = q.input;
+    const texto = [q.cliente, q.referencia, q.fecha, i.metal, `${i.seccion}`, i.tension, i.tipologia, codigoProducto(i) ?? ""].join(" ").toLowerCase();
+    return t.split(/\s+/).every(palabra => texto.includes(palabra));
+  });
+}
+
+/** Costo por fila de dos cotizaciones lado a lado (filas unidas por id), más los totales. */
+export function compareQuotes(a: Quote, b: Quote, idioma: Idioma = "es"): { filas: QuoteDeltaRow[]; totales: QuoteDeltaRow[] } {
+  const ia = { ...DEFAULT_INPUT, ...a.input };
+  const ib = { ...DEFAULT_INPUT, ...b.input };
+  const ra = computeEstimate(ia);
+  const rb = computeEstimate(ib);
+  const ids = Array.from(new Set([...ra.filas.map(f => f.id), ...rb.filas.map(f => f.id)]));
+  const filas = ids.map(id => {
+    const fa = ra.filas.find(f => f.id === id);
+    const fb = rb.filas.find(f => f.id === id);
+    const ca = fa ? costoFila(fa) : 0;
+    const cb = fb ? costoFila(fb) : 0;
+    return { id, nombre: fb ? nombreFila(fb, ib, idioma) : nombreFila(fa!, ia, idioma), a: ca, b: cb, delta: cb - ca };
+  });
+  const total = (id: string, ca: number, cb: number) => ({ id, nombre: traducir(idioma, `comparacion.${id}`), a: ca, b: cb, delta: cb - ca });
+  const totales = [
+    total("materias", ra.subtotalMaterias, rb.subtotalMaterias),
+    total("mermasBrutas", ra.mermasBrutasUSDm, rb.mermasBrutasUSDm),
+    total("recupero", ra.recuperoUSDm, rb.recuperoUSDm),
+    total("mermas", ra.mermasUSDm, rb.mermasUSDm),
+    total("procesos", ra.subtotalProcesos, rb.subtotalProcesos),
+    total("fabrica", ra.costoFabrica, rb.costoFabrica),
+    total("lista", ra.precioListaUSDm, rb.precioListaUSDm),
+  ];
+  return { filas, totales };
+}
+
+/** Validación para la API. Completa con los valores por defecto los campos agregados después de guardar. */
+export function parseQuote(body: unknown): Quote {
+  const b = body as Partial<Quote>;
+  if (!b || typeof b !== "object" || !b.id || !b.input) throw new Error("Cotización incompleta: se requieren id e input");
+  if (!String(b.cliente ?? "").trim()) throw new Error("La cotización necesita un cliente");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(b.fecha ?? ""))) throw new Error(`Fecha inválida: "${b.fecha}" (usar AAAA-MM-DD)`);
+  const input: EstimateInput = { ...DEFAULT_INPUT, ...b.input };
+  const ahora = new Date().toISOString();
+  return {
+    id: String(b.id),
+    cliente: String(b.cliente).trim(),
+    referencia: String(b.referencia ?? "").trim(),
+    fecha: String(b.fecha),
+    creado: b.creado ?? ahora,
+    actualizado: b.actualizado ?? ahora,
+    input,
+    lineas: Array.isArray(b.lineas) ? b.lineas.map(lineaCompleta) : [],
+    priceList: b.priceList ? priceListRef(b.priceList) : { id: "default", nombre: "", vigenteDesde: "" },
+    resumen: resumen(input),
+    estado: ESTADOS.some(e => e === b.estado) ? b.estado! : "borrador",
+    historial: parseHistorial(b.historial),
+  };
+}
+
+const ACCIONES = ["creada", "modificada", "estado"];
+
+// Las cotizaciones guardadas antes del historial llegan sin él.
+function parseHistorial(raw: unknown): RegistroHistorial[] {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) throw new Error("historial: debe ser una lista");
+  return raw.map((r, i) => {
+    if (!r || typeof r !== "object" || typeof r.fecha !== "string" || typeof r.usuario !== "string" || !ACCIONES.includes(r.accion)) {
+      throw new Error(`historial[${i}]: se requieren fecha, usuario y acción (${ACCIONES.join(" / ")})`);
+    }
+    return r as RegistroHistorial;
+  });
+}
+
+export const quoteStore = createStore<Quote>("quotes", {
+  version: q => q.actualizado,
+  rebase: rebaseQuote,
+  titulo: q => `${q.referencia || q.id} (${q.cliente})`,
+});
@@ -0,0 +1,70 @@
+/**
+ * Mermas por fila de materia.
+ *
+ * Cada fila tiene su % de merma (las del motor, `mermasFilaPct[id]`; los
+ * extras, su `mermaPct`; sin tasa propia, la merma general `mermasPct`) y,
+ * para los metales, el % del valor de la merma que se recupera al fundirla o
+ * venderla como chatarra (`recuperoPct`). Las filas extruidas suman la purga
+ * de arranque de su línea, repartida en la longitud del pedido.
+ *
+ *  merma (kg/m o m/m) = cantidad × % / 100 + purga
+ *  bruta = merma × precio      recupero = bruta × % recupero / 100
+ *  neta  = bruta − recupero    → entra en el costo fábrica
+ */
+
+import type { ComponentRow, CostFactors } from "@/lib/cost-engine";
+
+/** Filas del motor con merma propia, en el orden del desglose; `metal` admite recupero. */
+export const FILAS_MERMA: readonly { id: string; label: string; metal: boolean }[] = [
+  { id: "conductor", label: "Conductor", metal: true },
+  { id: "pantalla", label: "Pantalla de cobre", metal: true },
+  { id: "aislacion", label: "Aislación", metal: false },
+  { id: "semicon", label: "Semiconductoras", metal: false },
+  { id: "asiento", label: "Asiento de armadura", metal: false },
+  { id: "vaina", label: "Vaina", metal: false },
+  { id: "wbL", label: "WB Longitudinal", metal: false },
+  { id: "wbR", label: "WB Radial", metal: false },
+  { id: "arm", label: "Armadura", metal: true },
+];
+
+export const DEFAULT_MERMAS_FILA: Record<string, number> = {
+  conductor: 1.5, pantalla: 2, aislacion: 3, semicon: 4, asiento: 3, vaina: 3, wbL: 2, wbR: 2, arm: 1.5,
+};
+
+// El cobre y el aluminio vuelven casi enteros a la fundición; el alambre de acero, como chatarra.
+export const DEFAULT_RECUPERO: Record<string, number> = { conductor: 90, pantalla: 85, arm: 30 };
+
+export type MermaFila = {
+  cantidad: number;     // kg/m ($/kg) o m/m ($/m) de merma, con la purga
+  brutaUSDm: number;
+  recuperoUSDm: number;
+  netaUSDm: number;
+};
+
+const SIN_MERMA: MermaFila = { cantidad: 0, brutaUSDm: 0, recuperoUSDm: 0, netaUSDm: 0 };
+
+type FactoresMerma = Pick<CostFactors, "mermasPct" | "mermasFilaPct" | "recuperoPct">;
+
+/**
+ * Fila de materia con su % de merma, % de recupero y purga resueltos; los
+ * valores propios de un extra mandan sobre los de la lista.
+ */
+export function conMerma(f: ComponentRow, p: FactoresMerma, purgas: Record<string, number> = {}): ComponentRow {
+  if (f.categoria !== "Materia") return f;
+  const purga = f.tipoPrecio === "$/kg" && f.kgPorMetro > 0 ? purgas[f.id] ?? 0 : 0;
+  return {
+    ...f,
+    mermaPct: f.mermaPct ?? p.mermasFilaPct?.[f.id] ?? p.mermasPct,
+    recuperoPct: f.recuperoPct ?? p.recuperoPct?.[f.id] ?? 0,
+    ...(purga ? { purgaKgM: purga } : {}),
+  };
+}
+
+/** Merma USD/m de una fila resuelta por `conMerma` (0 si no está incluida o no es de materia). */
+export function mermaFila(f: ComponentRow): MermaFila {
+  if (!f.incluye || f.categoria !== "Materia") return SIN_MERMA;
+  const cantidad = (f.tipoPrecio === "$/kg" ? f.kgPorMetro : f.metros) * (f.mermaPct ?? 0) / 100 + (f.purgaKgM ?? 0);
+  const brutaUSDm = cantidad * f.precio;
+  const recuperoUSDm = brutaUSDm * (f.recuperoPct ?? 0) / 100;
+  return { cantidad, brutaUSDm, recuperoUSDm, netaUSDm: brutaUSDm - recuperoUSDm };
+}
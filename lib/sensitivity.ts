@@ -0,0 +1,135 @@
+/**
+ * Sensibilidad y "qué pasa si" sobre la estimación.
+ *
+ *  - Barrido de uno o dos parámetros sobre un rango → costo fábrica y precio
+ *    lista (USD y moneda de salida, donde pesa el tipo de cambio).
+ *  - Tornado: cuánto mueve una métrica cada parámetro ante ±X %.
+ *  - Precio objetivo: margen o precio de metal que lleva el precio lista a un valor dado.
+ *
+ * Todo recalcula con `computeEstimate` sobre copias de la entrada; la sección
+ * se mueve por las secciones del catálogo en lugar de por %, y las mermas
+ * escalan la general y la de cada fila en la misma proporción.
+ */
+
+import { catalogo } from "@/lib/catalog";
+import { computeEstimate, type EstimateInput } from "@/lib/cost-engine";
+
+export type ParamSensibilidad = "pxCu" | "pxAl" | "mermasPct" | "margenPct" | "tcARS" | "seccion";
+
+export const PARAMETROS_SENSIBILIDAD: readonly { key: ParamSensibilidad; label: string; unidad: string }[] = [
+  { key: "pxCu", label: "Precio cobre", unidad: "$/kg" },
+  { key: "pxAl", label: "Precio aluminio", unidad: "$/kg" },
+  { key: "mermasPct", label: "Mermas (escala todas las filas)", unidad: "%" },
+  { key: "margenPct", label: "Margen", unidad: "%" },
+  { key: "tcARS", label: "TC ARS/USD", unidad: "ARS" },
+  { key: "seccion", label: "Sección", unidad: "mm²" },
+];
+
+export type Metrica = "costoFabrica" | "precioListaUSDm" | "precioListaSalidaM";
+
+export type PuntoBarrido = { valor: number } & Record<Metrica, number>;
+
+export type Barrido2 = {
+  valores1: number[];
+  valores2: number[];
+  puntos: PuntoBarrido[][]; // [i de valores1][j de valores2]
+};
+
+export type BarraTornado = {
+  param: ParamSensibilidad;
+  valorBajo: number;
+  valorAlto: number;
+  bajo: number; // métrica con el valor bajo
+  alto: number; // métrica con el valor alto
+  rango: number; // |alto − bajo|
+};
+
+/** Parámetros que el solver de precio objetivo puede despejar (el precio lista es afín en ellos). */
+export type ParamObjetivo = "margenPct" | "pxCu" | "pxAl";
+
+function evaluar(input: EstimateInput, cambios: Partial<EstimateInput>): Omit<PuntoBarrido, "valor"> {
+  const e = computeEstimate({ ...input, ...cambios });
+  return { costoFabrica: e.costoFabrica, precioListaUSDm: e.precioListaUSDm, precioListaSalidaM: e.precioListaSalidaM };
+}
+
+/**
+ * Entrada con `param` en `valor`. Las mermas de cada fila se escalan con la
+ * general (si la general es 0, todas pasan a `valor`).
+ */
+function cambio(input: EstimateInput, param: ParamSensibilidad, valor: number): Partial<EstimateInput> {
+  if (param !== "mermasPct") return { [param]: valor };
+  const escala = (pct: number) => (input.mermasPct > 0 ? pct * valor / input.mermasPct : valor);
+  const mermasFilaPct = Object.fromEntries(Object.entries(input.mermasFilaPct).map(([id, pct]) => [id, escala(pct)]));
+  return { mermasPct: valor, mermasFilaPct };
+}
+
+/** Valores del barrido: `pasos` puntos equiespaciados, o las secciones del catálogo dentro del rango. */
+export function valoresBarrido(param: ParamSensibilidad, desde: number, hasta: number, pasos: number): number[] {
+  const [a, b] = desde <= hasta ? [desde, hasta] : [hasta, desde];
+  if (param === "seccion") return catalogo().secciones.filter(s => s >= a && s <= b);
+  const n = Math.max(2, Math.round(pasos));
+  return Array.from({ length: n }, (_, i) => a + ((b - a) * i) / (n - 1));
+}
+
+export function barrido(input: EstimateInput, param: ParamSensibilidad, valores: number[]): PuntoBarrido[] {
+  return valores.map(valor => ({ valor, ...evaluar(input, cambio(input, param, valor)) }));
+}
+
+export function barrido2(
+  input: EstimateInput,
+  param1: ParamSensibilidad, valores1: number[],
+  param2: ParamSensibilidad, valores2: number[],
+): Barrido2 {
+  if (param1 === param2) throw new Error("Elija dos parámetros distintos para el barrido");
+  return {
+    valores1,
+    valores2,
+    puntos: valores1.map(v1 => barrido({ ...input, ...cambio(input, param1, v1) }, param2, valores2)),
+  };
+}
+
+/** Secciones del catálogo vecinas (anterior y siguiente) a la actual. */
+function seccionesVecinas(seccion: number): [number, number] {
+  const menores = catalogo().secciones.filter(s => s < seccion);
+  const mayores = catalogo().secciones.filter(s => s > seccion);
+  return [menores[menores.length - 1] ?? seccion, mayores[0] ?? seccion];
+}
+
+/**
+ * Tornado: `metrica` con cada parámetro a −`variacionPct` y +`variacionPct`
+ * (la sección, a la del catálogo anterior y siguiente), ordenado de mayor a
+ * menor impacto.
+ */
+export function tornado(
+  input: EstimateInput,
+  variacionPct = 10,
+  metrica: Metrica = "precioListaUSDm",
+  params: readonly ParamSensibilidad[] = PARAMETROS_SENSIBILIDAD.map(p => p.key),
+): BarraTornado[] {
+  return params
+    .map(param => {
+      const actual = input[param];
+      const [valorBajo, valorAlto] = param === "seccion"
+        ? seccionesVecinas(actual)
+        : [actual * (1 - variacionPct / 100), actual * (1 + variacionPct / 100)];
+      const bajo = evaluar(input, cambio(input, param, valorBajo))[metrica];
+      const alto = evaluar(input, cambio(input, param, valorAlto))[metrica];
+      return { param, valorBajo, valorAlto, bajo, alto, rango: Math.abs(alto - bajo) };
+    })
+    .sort((a, b) => b.rango - a.rango);
+}
+
+/**
+ * Valor de `param` que lleva el precio lista (USD/m) a `objetivoUSDm`, con el
+ * resto de la entrada fija. El precio lista es afín en el margen y en los
+ * precios de metal, así que alcanza con dos evaluaciones. Devuelve null si el
+ * parámetro no mueve el precio o si el resultado sería negativo.
+ */
+export function resolverObjetivo(input: EstimateInput, param: ParamObjetivo, objetivoUSDm: number): number | null {
+  const f0 = evaluar(input, { [param]: 0 }).precioListaUSDm;
+  const f1 = evaluar(input, { [param]: 1 }).precioListaUSDm;
+  const pendiente = f1 - f0;
+  if (!(Math.abs(pendiente) > 1e-12)) return null;
+  const x = (objetivoUSDm - f0) / pendiente;
+  return Number.isFinite(x) && x >= 0 ? x : null;
+}
@@ -0,0 +1,82 @@
+/**
+ * Handlers genéricos para exponer un `Store<T>` como API REST de Next.js:
+ *
+ *  GET    /api/<coleccion>       → lista
+ *  POST   /api/<coleccion>       → crea/actualiza (valida con `parse`)
+ *  GET    /api/<coleccion>/[id]  → una entidad
+ *  DELETE /api/<coleccion>/[id]  → borra
+ *
+ * `verificar` recibe la versión guardada (si existe) y la nueva antes de
+ * guardar, y `verificarBorrado` la entidad antes de borrarla; un Error de
+ * cualquiera de los dos responde 409 con su mensaje. Ambos reciben además el
+ * id del usuario activo de quien pide (encabezado `X-Usuario`, ver
+ * `createApiStore`), si vino. Si `verificar` devuelve una entidad, se guarda
+ * ésa (p. ej. con datos que pone el servidor) en lugar de la recibida.
+ */
+
+import type { NextApiRequest, NextApiResponse } from "next";
+import type { Entity, Store } from "@/lib/storage";
+
+type Verificar<A extends unknown[], R = void> = (...args: A) => R | void | Promise<R | void>;
+
+function usuarioDe(req: NextApiRequest): string | undefined {
+  const u = req.headers?.["x-usuario"];
+  return typeof u === "string" && u ? u : undefined;
+}
+
+export function collectionHandler<T extends Entity>(store: Store<T>, parse: (body: unknown) => T, verificar?: Verificar<[T | undefined, T, string | undefined], T>) {
+  return async function handler(req: NextApiRequest, res: NextApiResponse) {
+    try {
+      if (req.method === "GET") return res.status(200).json(await store.list());
+      if (req.method === "POST") {
+        let item: T;
+        try {
+          item = parse(req.body);
+        } catch (err) {
+          return res.status(400).json({ error: (err as Error).message });
+        }
+        if (verificar) {
+          try {
+            const verificado = await verificar(await store.get(item.id), item, usuarioDe(req));
+            if (verificado) item = verificado;
+          } catch (err) {
+            return res.status(409).json({ error: (err as Error).message });
+          }
+        }
+        return res.status(200).json(await store.save(item));
+      }
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: `Método ${req.method} no permitido` });
+    } catch (err) {
+      return res.status(500).json({ error: (err as Error).message });
+    }
+  };
+}
+
+export function itemHandler<T extends Entity>(store: Store<T>, verificarBorrado?: Verificar<[T, string | undefined]>) {
+  return async function handler(req: NextApiRequest, res: NextApiResponse) {
+    const id = String(req.query.id);
+    try {
+      if (req.method === "GET") {
+        const item = await store.get(id);
+        return item ? res.status(200).json(item) : res.status(404).json({ error: `No existe ${id}` });
+      }
+      if (req.method === "DELETE") {
+        const item = verificarBorrado ? await store.get(id) : undefined;
+        if (item) {
+          try {
+            await verificarBorrado!(item, usuarioDe(req));
+          } catch (err) {
+            return res.status(409).json({ error: (err as Error).message });
+          }
+        }
+        await store.remove(id);
+        return res.status(204).end();
+      }
+      res.setHeader("Allow", "GET, DELETE");
+      return res.status(405).json({ error: `Método ${req.method} no permitido` });
+    } catch (err) {
+      return res.status(500).json({ error: (err as Error).message });
+    }
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Handlers de la API de cálculo:
+ *
+ *  POST /api/estimate        → `{ spec, precios?, extras?, listaPrecios? }` → filas y totales
+ *  POST /api/estimate/batch  → `{ items: [...], precios?, listaPrecios? }` → un resultado por ítem
+ *
+ * Los precios base salen de la lista pedida en `listaPrecios` (id) o, si no se
+ * indica, de la vigente a hoy entre las guardadas y la de referencia. Las
+ * opciones de construcción, del catálogo guardado (o el de fábrica), que se
+ * lee en cada pedido y se pasa al cálculo: pedidos simultáneos no se pisan.
+ */
+
+import type { NextApiRequest, NextApiResponse } from "next";
+import type { Store } from "@/lib/storage";
+import { cargarCatalogo, catalogo, type Catalogo } from "@/lib/catalog";
+import { estimateResponse, runBatch, validarEstimateRequest } from "@/lib/estimate-api";
+import { DEFAULT_PRICE_LIST, priceListRef, vigenteAl, type PriceList } from "@/lib/price-lists";
+
+// La lista pedida (o la vigente), o el error del pedido si no existe. Los errores del store siguen: son del servidor (500).
+async function resolverLista(store: Store<PriceList>, body: unknown): Promise<PriceList | string> {
+  const id = (body as { listaPrecios?: unknown } | null)?.listaPrecios;
+  const listas = [DEFAULT_PRICE_LIST, ...(await store.list())];
+  if (id === undefined) return vigenteAl(listas, new Date().toISOString().slice(0, 10)) ?? DEFAULT_PRICE_LIST;
+  return listas.find(l => l.id === id) ?? `listaPrecios: no existe la lista de precios ${JSON.stringify(id)}`;
+}
+
+const pedidoInvalido = (res: NextApiResponse, error: string) => res.status(400).json({ error, errores: [error] });
+
+function apiHandler(catalogos: Store<Catalogo> | undefined, fn: (req: NextApiRequest, res: NextApiResponse, cat: Catalogo) => Promise<void>) {
+  return async function handler(req: NextApiRequest, res: NextApiResponse) {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: `Método ${req.method} no permitido` });
+    }
+    try {
+      await fn(req, res, catalogos ? await cargarCatalogo(catalogos) : catalogo());
+    } catch (err) {
+      return res.status(500).json({ error: (err as Error).message });
+    }
+  };
+}
+
+export function estimateHandler(store: Store<PriceList>, catalogos?: Store<Catalogo>) {
+  return apiHandler(catalogos, async (req, res, cat) => {
+    const lista = await resolverLista(store, req.body);
+    if (typeof lista === "string") return pedidoInvalido(res, lista);
+    const v = validarEstimateRequest(req.body, lista.valores, cat);
+    if (!v.ok) return res.status(400).json({ error: v.errores.join("; "), errores: v.errores });
+    res.status(200).json(estimateResponse(v.input, priceListRef(lista), v.advertencias, cat));
+  });
+}
+
+export function batchHandler(store: Store<PriceList>, catalogos?: Store<Catalogo>) {
+  return apiHandler(catalogos, async (req, res, cat) => {
+    const lista = await resolverLista(store, req.body);
+    if (typeof lista === "string") return pedidoInvalido(res, lista);
+    let resultado: ReturnType<typeof runBatch>;
+    try {
+      resultado = runBatch(req.body, lista.valores, priceListRef(lista), cat);
+    } catch (err) {
+      return pedidoInvalido(res, (err as Error).message);
+    }
+    res.status(200).json(resultado);
+  });
+}
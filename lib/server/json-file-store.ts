@@ -0,0 +1,51 @@
+/**
+ * Backend de archivos JSON para `Store<T>` — sólo servidor (API routes).
+ *
+ * Cada colección es un archivo `<CCE_DATA_DIR>/<coleccion>.json` con un array
+ * de entidades. Pensado para uso local/offline, no para concurrencia alta.
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import type { Entity, Store } from "@/lib/storage";
+
+export function dataDir() {
+  return process.env.CCE_DATA_DIR ?? path.join(process.cwd(), ".data");
+}
+
+export function createJsonFileStore<T extends Entity>(coleccion: string): Store<T> {
+  const file = () => path.join(dataDir(), `${coleccion}.json`);
+
+  async function read(): Promise<T[]> {
+    try {
+      return JSON.parse(await fs.readFile(file(), "utf8"));
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function write(items: T[]) {
+    await fs.mkdir(dataDir(), { recursive: true });
+    const tmp = `${file()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(items, null, 2));
+    await fs.rename(tmp, file());
+  }
+
+  return {
+    list: read,
+    async get(id) {
+      return (await read()).find(x => x.id === id);
+    },
+    async save(item) {
+      const items = await read();
+      const i = items.findIndex(x => x.id === item.id);
+      if (i >= 0) items[i] = item; else items.push(item);
+      await write(items);
+      return item;
+    },
+    async remove(id) {
+      await write((await read()).filter(x => x.id !== id));
+    },
+  };
+}
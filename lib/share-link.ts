@@ -0,0 +1,97 @@
+/**
+ * Enlaces para compartir una estimación.
+ *
+ * El estado completo del estimador (especificación, precios, factores de
+ * costo, extras y la lista de precios con la que se armó) viaja en el
+ * parámetro `?c=` de la URL como `<versión>.<JSON comprimido en base64url>`.
+ * Los campos que falten se completan con `DEFAULT_INPUT`, así un enlace viejo
+ * sigue abriendo cuando el motor suma campos; si un campo cambia de nombre o
+ * de forma, se sube `VERSION_ENLACE` y se agrega una migración a `MIGRACIONES`.
+ */
+
+import { DEFAULT_INPUT, type EstimateInput } from "@/lib/cost-engine";
+import { CAMPOS_MAPA, DEFAULT_PRICE_LIST, priceListRef, type PriceListRef } from "@/lib/price-lists";
+import { uid } from "@/lib/utils";
+
+export const VERSION_ENLACE = 1;
+export const PARAM_ENLACE = "c";
+
+export type EstadoEnlace = {
+  input: EstimateInput;
+  priceList: PriceListRef;
+};
+
+type Datos = Record<string, unknown>;
+
+/** `MIGRACIONES[n]` lleva los datos de un enlace de la versión n a la n + 1. */
+export const MIGRACIONES: Readonly<Record<number, (datos: Datos) => Datos>> = {};
+
+// base64url sin relleno: va en la URL sin escapar.
+function aBase64url(bytes: Uint8Array): string {
+  let s = "";
+  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function deBase64url(texto: string): Uint8Array {
+  const s = atob(texto.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(s, c => c.charCodeAt(0));
+}
+
+async function transformar(bytes: Uint8Array, t: CompressionStream | DecompressionStream): Promise<Uint8Array> {
+  return new Uint8Array(await new Response(new Blob([bytes as BlobPart]).stream().pipeThrough(t)).arrayBuffer());
+}
+
+/** Codifica el estado para el parámetro de la URL. Los ids de los extras no viajan: se generan al abrir. */
+export async function codificarEstado({ input, priceList }: EstadoEnlace): Promise<string> {
+  const datos = { input: { ...input, extras: (input.extras ?? []).map(({ id: _, ...x }) => x) }, priceList: priceListRef(priceList) };
+  const comprimido = await transformar(new TextEncoder().encode(JSON.stringify(datos)), new CompressionStream("deflate-raw"));
+  return `${VERSION_ENLACE}.${aBase64url(comprimido)}`;
+}
+
+/**
+ * Lee el parámetro de un enlace: lo descomprime, lo migra hasta la versión
+ * actual y completa los campos que falten. Lanza un Error si el enlace está
+ * dañado o es de una versión más nueva que esta aplicación.
+ */
+export async function decodificarEstado(
+  texto: string, migraciones: Readonly<Record<number, (datos: Datos) => Datos>> = MIGRACIONES, version = VERSION_ENLACE,
+): Promise<EstadoEnlace> {
+  const m = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(texto.trim());
+  if (!m) throw new Error("El enlace está incompleto o dañado");
+  let v = Number(m[1]);
+  if (v < 1) throw new Error("El enlace está incompleto o dañado");
+  if (v > version) throw new Error(`El enlace es de una versión más nueva (v${v}): actualice la aplicación`);
+  let datos: Datos;
+  try {
+    const json = new TextDecoder().decode(await transformar(deBase64url(m[2]), new DecompressionStream("deflate-raw")));
+    datos = JSON.parse(json);
+  } catch {
+    throw new Error("El enlace está incompleto o dañado");
+  }
+  for (; v < version; v++) {
+    const migrar = migraciones[v];
+    if (!migrar) throw new Error(`Falta la migración de enlaces v${v} → v${v + 1}`);
+    datos = migrar(datos);
+  }
+  return parseEstado(datos);
+}
+
+function parseEstado(datos: Datos): EstadoEnlace {
+  const raw = datos?.input as Partial<EstimateInput> | undefined;
+  if (!raw || typeof raw !== "object") throw new Error("El enlace no trae una estimación");
+  const input: EstimateInput = { ...DEFAULT_INPUT, ...raw };
+  for (const campo of CAMPOS_MAPA) input[campo] = { ...DEFAULT_INPUT[campo], ...raw[campo] };
+  input.monedaPrecios = { ...raw.monedaPrecios };
+  input.extras = (Array.isArray(raw.extras) ? raw.extras : []).map(x => ({ ...x, id: uid() }));
+  const pl = datos.priceList as PriceListRef | undefined;
+  return { input, priceList: pl?.id ? priceListRef(pl) : priceListRef(DEFAULT_PRICE_LIST) };
+}
+
+/** URL de `base` (sin su query) con el estado en `?c=`. */
+export function enlaceCompartido(base: string, codigo: string): string {
+  const url = new URL(base);
+  url.search = `?${PARAM_ENLACE}=${codigo}`;
+  url.hash = "";
+  return url.toString();
+}
@@ -0,0 +1,197 @@
+/**
+ * Asistente de dimensionamiento — sección mínima por corriente y caída de tensión.
+ *
+ * Con la corriente de carga, la tensión, la forma de instalación, la
+ * temperatura del aire o del suelo, la cantidad de circuitos agrupados y la
+ * caída de tensión admitida en el tramo, recorre las secciones del catálogo de
+ * menor a mayor y recomienda la primera de cobre y la primera de aluminio que
+ * cumplen. Cada opción se cotiza con el motor sobre la construcción abierta,
+ * así la diferencia Cu/Al se ve en plata.
+ *
+ * Las capacidades de referencia, resistencias y factores de agrupamiento
+ * están en `data/ampacidad.json` para que ingeniería los mantenga:
+ *
+ *  Iz = I₀ × kT × kG × kTipología
+ *  kT = √((θmáx − θ) / (θmáx − θref))   (θmáx de la aislación; θref del aire o del suelo)
+ *  ΔU% = √3 × I × L(km) × (R × cosφ + X × senφ) / U × 100,  R = R20 × (1 + α20 × (θmáx − 20))
+ */
+
+import tabla from "@/data/ampacidad.json";
+import { catalogo } from "@/lib/catalog";
+import { computeEstimate, type EstimateInput, type Metal } from "@/lib/cost-engine";
+import { mensaje, type Mensaje } from "@/lib/i18n";
+import { CAMPOS_ESPECIFICACION, validarEntrada } from "@/lib/validation";
+
+export type MetodoInstalacion = "enterrado" | "ducto" | "aire" | "bandeja";
+
+export type DatosMetodo = {
+  key: MetodoInstalacion;
+  label: string;
+  medio: "aire" | "suelo";
+  agrupamiento: number[]; // factor por cantidad de circuitos (1, 2, …); más allá, el último
+};
+
+export type FilaConductor = {
+  seccion: number;
+  r20OhmKm: number;
+  xOhmKm: number;
+  ampacidadA: Record<MetodoInstalacion, number>;
+};
+
+export type TablaAmpacidad = {
+  norma: string;
+  referencia: { aireC: number; sueloC: number; resistividadSueloKmW: number; profundidadM: number };
+  temperaturaMaxC: Record<string, number>;
+  alfa20: Record<Metal, number>;
+  factorTipologia: Record<string, number>;
+  metodos: DatosMetodo[];
+  conductores: Record<Metal, FilaConductor[]>;
+};
+
+export const TABLA_AMPACIDAD = tabla as TablaAmpacidad;
+
+export const METODOS_INSTALACION = TABLA_AMPACIDAD.metodos;
+
+export type Requisito = {
+  corrienteA: number;
+  tension: string;
+  metodo: MetodoInstalacion;
+  temperaturaC: number; // del aire o del suelo, según el método
+  circuitos: number;    // circuitos agrupados, incluido este
+  caidaMaxPct: number;
+  longitudM: number;    // largo del tramo
+  cosPhi: number;
+};
+
+export const DEFAULT_REQUISITO: Requisito = {
+  corrienteA: 250, tension: "13.2 kV", metodo: "enterrado", temperaturaC: 25,
+  circuitos: 1, caidaMaxPct: 3, longitudM: 1000, cosPhi: 0.9,
+};
+
+export type Factores = { temperatura: number; agrupamiento: number; tipologia: number; total: number };
+
+export type OpcionSeccion = {
+  seccion: number;
+  ampacidadA: number; // ya corregida por los factores
+  caidaPct: number;
+  cumpleCorriente: boolean;
+  cumpleCaida: boolean;
+  motivo: Mensaje | null; // no se recomienda: sección bajo la mínima de la tensión u otro error de construcción
+};
+
+export type Recomendacion = {
+  metal: Metal;
+  opciones: OpcionSeccion[];
+  seccion: number | null; // la menor que cumple; null si ninguna
+  input: EstimateInput | null;
+  costoFabricaUSDm: number;
+  precioListaUSDm: number;
+  precioListaSalidaM: number;
+  cables: number;      // cables por circuito: 3 unipolares o 1 tripolar
+  totalSalida: number; // precio lista × largo × cables, en la moneda de salida
+};
+
+export type Dimensionamiento = {
+  factores: Factores;
+  recomendaciones: Recomendacion[];
+};
+
+/** Tensión de línea en V desde la etiqueta del catálogo ("13.2 kV"). */
+export function tensionV(tension: string): number {
+  const n = parseFloat(tension);
+  return /kV/i.test(tension) ? n * 1000 : n;
+}
+
+export function datosMetodo(metodo: MetodoInstalacion): DatosMetodo {
+  const m = METODOS_INSTALACION.find(x => x.key === metodo);
+  if (!m) throw new Error(`Forma de instalación desconocida: ${metodo}`);
+  return m;
+}
+
+export function temperaturaMax(aislacion: string): number {
+  return TABLA_AMPACIDAD.temperaturaMaxC[aislacion] ?? TABLA_AMPACIDAD.temperaturaMaxC.XLPE;
+}
+
+export function factorTemperatura(aislacion: string, metodo: MetodoInstalacion, temperaturaC: number): number {
+  const max = temperaturaMax(aislacion);
+  const ref = datosMetodo(metodo).medio === "aire" ? TABLA_AMPACIDAD.referencia.aireC : TABLA_AMPACIDAD.referencia.sueloC;
+  return temperaturaC >= max ? 0 : Math.sqrt((max - temperaturaC) / (max - ref));
+}
+
+export function factorAgrupamiento(metodo: MetodoInstalacion, circuitos: number): number {
+  const f = datosMetodo(metodo).agrupamiento;
+  return f[Math.min(Math.max(1, Math.round(circuitos)), f.length) - 1];
+}
+
+export function factores(input: Pick<EstimateInput, "aislacion" | "tipologia">, req: Requisito): Factores {
+  const temperatura = factorTemperatura(input.aislacion, req.metodo, req.temperaturaC);
+  const agrupamiento = factorAgrupamiento(req.metodo, req.circuitos);
+  const tipologia = TABLA_AMPACIDAD.factorTipologia[input.tipologia] ?? 1;
+  return { temperatura, agrupamiento, tipologia, total: temperatura * agrupamiento * tipologia };
+}
+
+export function filaConductor(metal: Metal, seccion: number): FilaConductor | undefined {
+  return TABLA_AMPACIDAD.conductores[metal].find(f => f.seccion === seccion);
+}
+
+/** Caída de tensión trifásica (%) del tramo, con la resistencia a la temperatura máxima de la aislación. */
+export function caidaTensionPct(fila: FilaConductor, metal: Metal, aislacion: string, req: Requisito): number {
+  const r = fila.r20OhmKm * (1 + TABLA_AMPACIDAD.alfa20[metal] * (temperaturaMax(aislacion) - 20));
+  const sen = Math.sqrt(1 - req.cosPhi ** 2);
+  return (Math.sqrt(3) * req.corrienteA * (req.longitudM / 1000) * (r * req.cosPhi + fila.xOhmKm * sen)) / tensionV(req.tension) * 100;
+}
+
+export function validarRequisito(req: Requisito): string[] {
+  const errores: string[] = [];
+  const positivo = (campo: keyof Requisito, label: string) => {
+    const v = req[campo] as number;
+    if (!Number.isFinite(v) || v <= 0) errores.push(`${label}: debe ser mayor que 0`);
+  };
+  positivo("corrienteA", "Corriente");
+  positivo("longitudM", "Largo del tramo");
+  positivo("caidaMaxPct", "Caída de tensión admitida");
+  if (!Number.isFinite(req.cosPhi) || req.cosPhi <= 0 || req.cosPhi > 1) errores.push("cos φ: entre 0 y 1");
+  if (!Number.isInteger(req.circuitos) || req.circuitos < 1) errores.push("Circuitos agrupados: un entero mayor o igual a 1");
+  if (!Number.isFinite(req.temperaturaC)) errores.push("Temperatura: requerida");
+  if (!catalogo().tensiones.some(t => t.tension === req.tension)) errores.push(`Tensión desconocida: ${req.tension}`);
+  if (!METODOS_INSTALACION.some(m => m.key === req.metodo)) errores.push(`Forma de instalación desconocida: ${req.metodo}`);
+  return errores;
+}
+
+function recomendar(base: EstimateInput, metal: Metal, req: Requisito, f: Factores): Recomendacion {
+  const opciones = catalogo().secciones.flatMap((seccion): OpcionSeccion[] => {
+    const fila = filaConductor(metal, seccion);
+    if (!fila) return [];
+    const ampacidadA = fila.ampacidadA[req.metodo] * f.total;
+    const caidaPct = caidaTensionPct(fila, metal, base.aislacion, req);
+    // Una sección bajo la mínima de la clase de tensión es advertencia en el estimador, pero no se recomienda.
+    const error = validarEntrada({ ...base, metal, seccion, tension: req.tension })
+      .find(h => h.campo === "seccion" || (h.severidad === "error" && CAMPOS_ESPECIFICACION.has(h.campo)));
+    return [{ seccion, ampacidadA, caidaPct, cumpleCorriente: ampacidadA >= req.corrienteA, cumpleCaida: caidaPct <= req.caidaMaxPct, motivo: error ? mensaje(error.clave, error.vars) : null }];
+  });
+  const elegida = opciones.find(o => o.cumpleCorriente && o.cumpleCaida && !o.motivo);
+  const cables = base.fases === 1 ? 3 : 1;
+  if (!elegida) return { metal, opciones, seccion: null, input: null, costoFabricaUSDm: 0, precioListaUSDm: 0, precioListaSalidaM: 0, cables, totalSalida: 0 };
+  const input = { ...base, metal, seccion: elegida.seccion, tension: req.tension };
+  const e = computeEstimate(input);
+  return {
+    metal, opciones, seccion: elegida.seccion, input,
+    costoFabricaUSDm: e.costoFabrica,
+    precioListaUSDm: e.precioListaUSDm,
+    precioListaSalidaM: e.precioListaSalidaM,
+    cables,
+    totalSalida: e.precioListaSalidaM * req.longitudM * cables,
+  };
+}
+
+/**
+ * Recomienda la menor sección de cada metal del catálogo para el requisito,
+ * con la construcción de `base` (aislación, tipología, vaina, pantalla,
+ * precios). Lanza un Error si el requisito no es válido.
+ */
+export function dimensionar(base: EstimateInput, req: Requisito): Dimensionamiento {
+  const errores = validarRequisito(req);
+  if (errores.length) throw new Error(errores.join("; "));
+  const f = factores(base, req);
+  return { factores: f, recomendaciones: catalogo().metales.map(m => recomendar(base, m.key, req, f)) };
+}
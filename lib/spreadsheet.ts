@@ -0,0 +1,468 @@
+/**
+ * Exportación e importación de la estimación en planilla.
+ *
+ * El XLSX tiene cuatro hojas: Entradas (especificación), Precios (precios y
+ * factores), Desglose (una fila por componente, con su merma) y Resumen. Los
+ * precios del desglose, el costo y la merma de cada fila y todo el resumen
+ * son fórmulas vivas que
+ * apuntan a Precios y a Desglose, para que ingeniería pueda auditar el cálculo
+ * en Excel; cada fórmula lleva además el resultado calculado por el motor.
+ *
+ * Los precios cargados en otra moneda llevan su moneda en la hoja Precios y el
+ * desglose los pasa a USD con el tipo de cambio de la misma hoja; el resumen
+ * termina con el precio de lista en la moneda de salida.
+ *
+ * El CSV lleva las mismas tablas en bloques separados por una línea vacía, con
+ * los campos escapados según RFC 4180. Con una configuración regional de coma
+ * decimal (es-AR, pt-BR) usa `;` como separador y `,` como decimal.
+ *
+ * Ambos formatos se vuelven a importar: se leen Entradas, Precios y las filas
+ * del desglose que no son del motor (los `extras`, con su plantilla, su regla
+ * de kg/m y su merma propia si las tienen), y se recalcula.
+ *
+ * Se exportan en el idioma elegido (lib/i18n.ts): nombres de hoja, encabezados,
+ * descripciones, nombres de las filas del motor, categorías, SI/NO y el
+ * resumen. Los campos y los valores de Entradas (Cobre, unipolar, RH…) quedan
+ * como códigos, y las columnas del desglose se leen por posición, así que un
+ * archivo en inglés o portugués se vuelve a importar igual que uno en español.
+ */
+
+import type ExcelJSType from "exceljs";
+import {
+  buildMaterias, buildProcesos, computeEstimate, costoFila, nombreFila, round, DEFAULT_INPUT,
+  type CableSpec, type CampoMoneda, type ComponentRow, type EstimateInput,
+} from "@/lib/cost-engine";
+import { vaina } from "@/lib/catalog";
+import { FORMAS_CONDUCTOR } from "@/lib/conductor";
+import { CAMPO_TC, parseMoneda, type Moneda } from "@/lib/currency";
+import { BASES_REGLA, type BaseRegla, type ReglaKg } from "@/lib/extra-templates";
+import { FILAS_MERMA, mermaFila } from "@/lib/scrap";
+import { parseCSV, toCSV, type CSVCell } from "@/lib/csv";
+import { formatoCSV } from "@/lib/format";
+import { claveDe, etiqueta, traductor, variantes, type Idioma, type Traductor } from "@/lib/i18n";
+import { flattenPriceValues, pickPriceValues, unflattenPriceValues, PRICE_FIELDS } from "@/lib/price-lists";
+import { uid } from "@/lib/utils";
+
+type Hoja = "entradas" | "precios" | "desglose" | "resumen";
+
+const nombreHoja = (t: Traductor, hoja: Hoja) => t(`planilla.hoja.${hoja}`);
+const esHoja = (texto: string, hoja: Hoja) => variantes(`planilla.hoja.${hoja}`).includes(texto.trim());
+
+// Campos de la especificación, en el orden de la hoja Entradas (descripción en `planilla.entrada.<campo>`).
+export const ENTRADAS: readonly (keyof CableSpec)[] = [
+  "metal", "fases", "tipologia", "seccion", "claseConductor", "formaConductor", "disenoPorResistencia", "tension",
+  "aislacion", "sheathKey", "pantallaMM2", "armadura", "kgmArmadura", "useWBLong", "useWBRad",
+];
+
+// Columnas del desglose, en orden (encabezado en `planilla.col.<columna>`); al importar se leen por posición.
+const DESGLOSE_COLUMNAS = [
+  "id", "categoria", "componente", "tipoPrecio", "precio", "kgm", "m", "incluye", "costo", "plantilla", "reglaKg",
+  "merma", "purga", "recupero", "mermaBruta", "mermaNeta",
+] as const;
+
+const CATEGORIAS = ["categoria.Materia", "categoria.Proceso"];
+
+// Ids de las filas que genera el motor; las demás filas del desglose son extras.
+const IDS_MOTOR = new Set([...buildMaterias(DEFAULT_INPUT), ...buildProcesos(DEFAULT_INPUT)].map(f => f.id));
+
+// Nombre de hoja para una fórmula: entre comillas si tiene espacios o acentos ("'Preços'!$B$2").
+const referenciaHoja = (nombre: string) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(nombre) ? nombre : `'${nombre.replace(/'/g, "''")}'`);
+
+// Formato de celda por moneda; Excel pone los separadores según la configuración regional de quien abre el archivo.
+export const FORMATO_XLSX: Record<Moneda, string> = {
+  USD: '"US$" #,##0.0000',
+  ARS: '"$" #,##0.00',
+  EUR: '"€" #,##0.00',
+  BRL: '"R$" #,##0.00',
+};
+
+type Precio = { campo: string; valor: number | string; descripcion: string; moneda?: Moneda };
+
+/** Campo de moneda de un precio de la hoja Precios (las aislaciones comparten uno). */
+function campoMoneda(campo: string): CampoMoneda | null {
+  if (campo.startsWith("pxAislacionKg.")) return "pxAislacionKg";
+  if (campo.startsWith("pxPlantillas.")) return null; // siempre USD
+  return campo.startsWith("px") ? (campo as CampoMoneda) : null;
+}
+
+function precios(input: EstimateInput, idioma: Idioma): Precio[] {
+  const t = traductor(idioma);
+  const flat = flattenPriceValues(pickPriceValues(input));
+  const label = (campo: string) => {
+    if (campo.startsWith("pxAislacionKg.")) return t("planilla.precio.aislacion", { material: campo.slice("pxAislacionKg.".length) });
+    if (campo.startsWith("pxPlantillas.")) return t("planilla.precio.plantilla", { id: campo.slice("pxPlantillas.".length) });
+    if (campo.startsWith("mermasFilaPct.")) return t("planilla.precio.mermaFila", { fila: etiquetaFila(campo.slice("mermasFilaPct.".length), idioma) });
+    if (campo.startsWith("recuperoPct.")) return t("planilla.precio.recuperoFila", { fila: etiquetaFila(campo.slice("recuperoPct.".length), idioma) });
+    const f = PRICE_FIELDS.find(x => x.key === campo);
+    return f ? `${etiqueta(idioma, `planilla.precio.${f.key}`, f.label)} (${f.unidad})` : campo;
+  };
+  return [
+    ...Object.entries(flat).map(([campo, valor]) => {
+      const cm = campoMoneda(campo);
+      return { campo, valor, descripcion: label(campo), moneda: cm ? input.monedaPrecios[cm] ?? "USD" : undefined };
+    }),
+    { campo: "margenPct", valor: input.margenPct, descripcion: t("planilla.precio.margenPct") },
+    { campo: "longitudPedidoM", valor: input.longitudPedidoM, descripcion: t("planilla.precio.longitudPedidoM") },
+    { campo: "moneda", valor: input.moneda, descripcion: t("planilla.precio.moneda") },
+  ];
+}
+
+/** Precio de una fila del motor como referencia a la hoja Precios (y factor, para la vaina). */
+function origenPrecio(f: ComponentRow, input: EstimateInput): { campo: string; factor?: number } | null {
+  switch (f.id) {
+    case "conductor": return { campo: input.metal === "Cobre" ? "pxCu" : "pxAl" };
+    case "pantalla": return { campo: "pxCu" };
+    case "aislacion": return input.pxAislacionKg[input.aislacion] !== undefined ? { campo: `pxAislacionKg.${input.aislacion}` } : null;
+    case "semicon": return { campo: "pxSemiconKg" };
+    case "asiento": return { campo: "pxVainaBase" };
+    case "vaina": return { campo: "pxVainaBase", factor: vaina(input.sheathKey)?.factor ?? 1 };
+    case "wbL": return { campo: "pxWBLong" };
+    case "wbR": return { campo: "pxWBRad" };
+    case "arm": return { campo: "pxArmaduraKg" };
+    case "ind": return { campo: "indirectosUSDm" };
+    default: return f.plantilla !== undefined && input.pxPlantillas[f.plantilla] !== undefined ? { campo: `pxPlantillas.${f.plantilla}` } : null;
+  }
+}
+
+const siNo = (t: Traductor, b: boolean | undefined) => t(b ? "planilla.si" : "planilla.no");
+
+const etiquetaFila = (id: string, idioma: Idioma) => {
+  const f = FILAS_MERMA.find(x => x.id === id);
+  return f ? etiqueta(idioma, `filaMerma.${id}`, f.label).toLowerCase() : id;
+};
+
+/** Merma% y Recupero% de una fila como referencia a Precios: la tasa de la fila, la general o la propia del extra. */
+function origenMerma(f: ComponentRow, input: EstimateInput): { merma: string | null; recupero: string | null } {
+  const propio = input.extras?.find(x => x.id === f.id);
+  if (propio) return { merma: propio.mermaPct === undefined ? "mermasPct" : null, recupero: null };
+  return {
+    merma: input.mermasFilaPct[f.id] !== undefined ? `mermasFilaPct.${f.id}` : "mermasPct",
+    recupero: input.recuperoPct[f.id] !== undefined ? `recuperoPct.${f.id}` : null,
+  };
+}
+
+// Columnas de merma de una fila: vacías en las de proceso.
+function columnasMerma(f: ComponentRow) {
+  if (f.categoria !== "Materia") return ["", "", "", "", ""];
+  const m = mermaFila(f);
+  return [f.mermaPct ?? 0, f.purgaKgM ?? 0, f.recuperoPct ?? 0, m.brutaUSDm, m.netaUSDm];
+}
+
+// Regla de kg/m de un extra como "base:factor" (p. ej. "seccion:0.0012").
+const reglaTexto = (f: ComponentRow) => (f.reglaKg ? `${f.reglaKg.base}:${f.reglaKg.factor}` : "");
+
+function resumen(input: EstimateInput, t: Traductor) {
+  const e = computeEstimate(input);
+  return [
+    { concepto: t("planilla.resumen.subtotalMateriales"), valor: e.subtotalMaterias },
+    { concepto: t("planilla.resumen.mermasBrutas"), valor: e.mermasBrutasUSDm },
+    { concepto: t("planilla.resumen.materialBruto"), valor: e.materialBrutoUSDm },
+    { concepto: t("planilla.resumen.recupero"), valor: e.recuperoUSDm },
+    { concepto: t("planilla.resumen.mermasNetas"), valor: e.mermasUSDm },
+    { concepto: t("planilla.resumen.subtotalProcesos"), valor: e.subtotalProcesos },
+    { concepto: t("planilla.resumen.costoFabrica"), valor: e.costoFabrica },
+    { concepto: t("planilla.resumen.margen"), valor: e.margenUSDm },
+    { concepto: t("planilla.resumen.precioLista", { moneda: "USD" }), valor: e.precioListaUSDm },
+    { concepto: t("planilla.resumen.precioLista", { moneda: "ARS" }), valor: e.precioListaARSm },
+    { concepto: t("planilla.resumen.precioLista", { moneda: input.moneda }), valor: e.precioListaSalidaM },
+  ];
+}
+
+// --- Reconstrucción de la entrada a partir de las tablas leídas ---
+
+// SI / NO en cualquier idioma de exportación, además de los valores lógicos de Excel.
+const VERDADEROS = new Set(["SI", "SÍ", "TRUE", "1", "VERDADERO", ...variantes("planilla.si")]);
+const FALSOS = new Set(["NO", "FALSE", "0", "FALSO", "", ...variantes("planilla.no"), "NAO"]);
+
+function parseBool(campo: string, raw: unknown): boolean {
+  const s = String(raw ?? "").trim().toUpperCase();
+  if (VERDADEROS.has(s)) return true;
+  if (FALSOS.has(s)) return false;
+  throw new Error(`Valor inválido para "${campo}": ${String(raw)} (usar SI / NO)`);
+}
+
+function parseNum(campo: string, raw: unknown): number {
+  const n = typeof raw === "number" ? raw : parseFloat(String(raw ?? "").trim().replace(",", "."));
+  if (!Number.isFinite(n)) throw new Error(`Valor inválido para "${campo}": ${String(raw)}`);
+  return n;
+}
+
+function parseRegla(campo: string, raw: unknown): ReglaKg | undefined {
+  const s = String(raw ?? "").trim();
+  if (!s) return undefined;
+  const [base, factor] = s.split(":");
+  if (!BASES_REGLA.some(b => b.key === base)) throw new Error(`Valor inválido para "${campo}": ${s} (usar ${BASES_REGLA.map(b => b.key).join(" / ")}:factor)`);
+  return { base: base as BaseRegla, factor: parseNum(campo, factor) };
+}
+
+// Merma% y Recupero% de un extra: sólo los que difieren de lo que heredaría (la merma general, sin recupero).
+type FilaDesglose = Partial<Record<(typeof DESGLOSE_COLUMNAS)[number], unknown>>;
+
+function parseFila(r: FilaDesglose, n: number, mermasPct: number): ComponentRow {
+  const tipoPrecio = String(r.tipoPrecio ?? "").trim();
+  if (tipoPrecio !== "$/kg" && tipoPrecio !== "$/m") throw new Error(`Desglose, fila ${n}: tipo de precio inválido "${tipoPrecio}" (usar $/kg o $/m)`);
+  const textoCategoria = String(r.categoria ?? "").trim();
+  const clave = textoCategoria ? claveDe(textoCategoria, CATEGORIAS) : "categoria.Materia";
+  if (!clave) throw new Error(`Desglose, fila ${n}: categoría inválida "${textoCategoria}"`);
+  const categoria = clave === "categoria.Proceso" ? "Proceso" : "Materia";
+  const regla = parseRegla(`Desglose fila ${n}: ReglaKg`, r.reglaKg);
+  const mermaPct = String(r.merma ?? "").trim() ? parseNum(`Desglose fila ${n}: Merma%`, r.merma) : mermasPct;
+  const recuperoPct = String(r.recupero ?? "").trim() ? parseNum(`Desglose fila ${n}: Recupero%`, r.recupero) : 0;
+  return {
+    id: String(r.id ?? "").trim() || uid(),
+    nombre: String(r.componente ?? "").trim() || "Extra",
+    tipoPrecio,
+    precio: parseNum(`Desglose fila ${n}: Precio`, r.precio),
+    kgPorMetro: parseNum(`Desglose fila ${n}: kg/m`, r.kgm || 0),
+    metros: parseNum(`Desglose fila ${n}: m`, r.m || 0),
+    incluye: parseBool(`Desglose fila ${n}: Incluye`, r.incluye),
+    categoria,
+    ...(String(r.plantilla ?? "").trim() ? { plantilla: String(r.plantilla).trim() } : {}),
+    ...(regla ? { reglaKg: regla } : {}),
+    ...(mermaPct !== mermasPct ? { mermaPct } : {}),
+    ...(recuperoPct ? { recuperoPct } : {}),
+  };
+}
+
+function buildInput(
+  entradas: Record<string, unknown>,
+  valores: Record<string, unknown>,
+  monedas: Record<string, unknown>,
+  desglose: FilaDesglose[],
+): EstimateInput {
+  const spec: Record<string, unknown> = {};
+  for (const key of ENTRADAS) {
+    if (!(key in entradas)) continue;
+    const def = DEFAULT_INPUT[key];
+    const raw = entradas[key];
+    spec[key] = typeof def === "boolean" ? parseBool(key, raw) : typeof def === "number" ? parseNum(key, raw) : String(raw ?? "").trim();
+  }
+  if (spec.metal !== undefined && !["Cobre", "Aluminio"].includes(spec.metal as string)) throw new Error(`Metal inválido: "${spec.metal}"`);
+  if (spec.tipologia !== undefined && !["unipolar", "tripolar"].includes(spec.tipologia as string)) throw new Error(`Tipología inválida: "${spec.tipologia}"`);
+  if (spec.formaConductor !== undefined && !FORMAS_CONDUCTOR.some(f => f.key === spec.formaConductor)) throw new Error(`Forma de conductor inválida: "${spec.formaConductor}"`);
+
+  const { margenPct, longitudPedidoM, moneda, ...resto } = valores;
+  const flat: Record<string, number> = {};
+  for (const [campo, raw] of Object.entries(resto)) flat[campo] = parseNum(campo, raw);
+  const monedaPrecios: EstimateInput["monedaPrecios"] = {};
+  for (const [campo, raw] of Object.entries(monedas)) {
+    const cm = campoMoneda(campo);
+    const m = parseMoneda(campo, raw);
+    if (cm && m !== "USD") monedaPrecios[cm] = m;
+  }
+  const valoresPrecio = unflattenPriceValues(flat, DEFAULT_INPUT);
+  const extras = desglose
+    .map((r, i) => ({ r, n: i + 2 }))
+    .filter(({ r }) => !IDS_MOTOR.has(String(r.id ?? "").trim()) && String(r.componente ?? "").trim() !== "")
+    .map(({ r, n }) => parseFila(r, n, valoresPrecio.mermasPct));
+
+  return {
+    ...DEFAULT_INPUT,
+    ...(spec as Partial<CableSpec>),
+    ...valoresPrecio,
+    monedaPrecios,
+    margenPct: margenPct === undefined ? DEFAULT_INPUT.margenPct : parseNum("margenPct", margenPct),
+    longitudPedidoM: longitudPedidoM === undefined ? DEFAULT_INPUT.longitudPedidoM : parseNum("longitudPedidoM", longitudPedidoM),
+    moneda: moneda === undefined ? DEFAULT_INPUT.moneda : parseMoneda("moneda", moneda),
+    extras,
+  };
+}
+
+// --- CSV ---
+
+// Categoría de una fila en el idioma de la exportación.
+const nombreCategoria = (t: Traductor, f: ComponentRow) => (f.categoria ? t(`categoria.${f.categoria}`) : "");
+
+/** CSV de la estimación; sin `locale`, con `,` y punto decimal. */
+export function estimateToCSV(input: EstimateInput, locale?: string, idioma: Idioma = "es"): string {
+  const t = traductor(idioma);
+  const { separador, decimal } = locale ? formatoCSV(locale) : { separador: ",", decimal: "." };
+  const num = (n: number) => (decimal === "." ? n : String(n).replace(".", decimal));
+  const { filas } = computeEstimate(input);
+  const encabezado = [t("planilla.csv.seccion"), t("planilla.campo"), t("planilla.valor")];
+  const rows: CSVCell[][] = [
+    [...encabezado, t("planilla.csv.descripcion"), t("planilla.moneda")],
+    ...ENTRADAS.map(key => {
+      const v = input[key];
+      return [nombreHoja(t, "entradas"), key, typeof v === "boolean" ? siNo(t, v) : typeof v === "number" ? num(v) : v, t(`planilla.entrada.${key}`)];
+    }),
+    ...precios(input, idioma).map(p => [nombreHoja(t, "precios"), p.campo, typeof p.valor === "number" ? num(p.valor) : p.valor, p.descripcion, p.moneda]),
+    [],
+    DESGLOSE_COLUMNAS.map(c => t(`planilla.col.${c}`)),
+    ...filas.map(f => [f.id, nombreCategoria(t, f), nombreFila(f, input, idioma), f.tipoPrecio, num(round(f.precio)), num(round(f.kgPorMetro)), num(round(f.metros)), siNo(t, f.incluye), num(round(costoFila(f))), f.plantilla ?? "", reglaTexto(f),
+      ...columnasMerma(f).map(x => typeof x === "number" ? num(round(x)) : x)]),
+    [],
+    encabezado,
+    ...resumen(input, t).map(r => [nombreHoja(t, "resumen"), r.concepto, num(round(r.valor))]),
+  ];
+  return toCSV(rows, separador);
+}
+
+export function parseEstimateCSV(text: string): EstimateInput {
+  const entradas: Record<string, unknown> = {};
+  const valores: Record<string, unknown> = {};
+  const monedas: Record<string, unknown> = {};
+  const desglose: FilaDesglose[] = [];
+  let enDesglose = false;
+  for (const row of parseCSV(text)) {
+    if (row.every(c => c.trim() === "")) continue;
+    const primera = row[0].trim();
+    if (variantes("planilla.csv.seccion").includes(primera)) { enDesglose = false; continue; }
+    if (variantes("planilla.col.id").includes(primera) && variantes("planilla.col.componente").includes(row[2]?.trim())) { enDesglose = true; continue; }
+    if (enDesglose) desglose.push(Object.fromEntries(DESGLOSE_COLUMNAS.map((c, i) => [c, row[i] ?? ""])));
+    else if (esHoja(primera, "entradas")) entradas[row[1].trim()] = row[2];
+    else if (esHoja(primera, "precios")) {
+      valores[row[1].trim()] = row[2];
+      if (row[4]?.trim()) monedas[row[1].trim()] = row[4];
+    }
+  }
+  if (Object.keys(entradas).length === 0) throw new Error("El CSV no tiene la sección de Entradas (¿fue exportado por el estimador?)");
+  return buildInput(entradas, valores, monedas, desglose);
+}
+
+// --- XLSX ---
+
+export async function excelJS(): Promise<typeof ExcelJSType> {
+  const m = await import("exceljs");
+  return ((m as { default?: typeof ExcelJSType }).default ?? m) as typeof ExcelJSType;
+}
+
+export async function estimateToXLSX(input: EstimateInput, idioma: Idioma = "es"): Promise<ArrayBuffer> {
+  const t = traductor(idioma);
+  const ExcelJS = await excelJS();
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Cable Cost Estimator - IMSA";
+  wb.created = new Date();
+  const { filas } = computeEstimate(input);
+  const negrita = (ws: ExcelJSType.Worksheet) => { ws.getRow(1).font = { bold: true }; };
+
+  const hojaPrecios = nombreHoja(t, "precios");
+  const hojaDesglose = nombreHoja(t, "desglose");
+
+  const wsEntradas = wb.addWorksheet(nombreHoja(t, "entradas"));
+  wsEntradas.columns = [{ header: t("planilla.campo"), width: 16 }, { header: t("planilla.valor"), width: 14 }, { header: t("planilla.descripcion"), width: 36 }];
+  for (const key of ENTRADAS) {
+    const v = input[key];
+    wsEntradas.addRow([key, typeof v === "boolean" ? siNo(t, v) : v, t(`planilla.entrada.${key}`)]);
+  }
+  negrita(wsEntradas);
+
+  const wsPrecios = wb.addWorksheet(hojaPrecios);
+  wsPrecios.columns = [{ header: t("planilla.campo"), width: 22 }, { header: t("planilla.valor"), width: 12 }, { header: t("planilla.descripcion"), width: 28 }, { header: t("planilla.moneda"), width: 10 }];
+  const filaPrecio: Record<string, number> = {};
+  const monedaPrecio: Record<string, Moneda> = {};
+  for (const p of precios(input, idioma)) {
+    filaPrecio[p.campo] = wsPrecios.addRow([p.campo, p.valor, p.descripcion, p.moneda ?? null]).number;
+    if (p.moneda) monedaPrecio[p.campo] = p.moneda;
+  }
+  negrita(wsPrecios);
+  const ref = (campo: string) => `${referenciaHoja(hojaPrecios)}!$B$${filaPrecio[campo]}`;
+  // Precio en USD: los cargados en otra moneda se dividen por su tipo de cambio.
+  const refUSD = (campo: string) => {
+    const m = monedaPrecio[campo] ?? "USD";
+    return m === "USD" ? ref(campo) : `${ref(campo)}/${ref(CAMPO_TC[m])}`;
+  };
+
+  const si = siNo(t, true);
+  const wsDesglose = wb.addWorksheet(hojaDesglose);
+  wsDesglose.columns = DESGLOSE_COLUMNAS.map((c, i) => ({ header: t(`planilla.col.${c}`), width: i === 2 ? 28 : 12 }));
+  for (const f of filas) {
+    const origen = origenPrecio(f, input);
+    const r = wsDesglose.addRow([f.id, nombreCategoria(t, f), nombreFila(f, input, idioma), f.tipoPrecio, null, f.kgPorMetro, f.metros, siNo(t, f.incluye), null, f.plantilla ?? null, reglaTexto(f) || null]);
+    const n = r.number;
+    r.getCell(5).value = origen
+      ? { formula: origen.factor !== undefined ? `${refUSD(origen.campo)}*${origen.factor}` : refUSD(origen.campo), result: f.precio }
+      : f.precio;
+    r.getCell(9).value = { formula: `IF(H${n}="${si}",IF(D${n}="$/kg",E${n}*F${n},E${n}*G${n}),0)`, result: costoFila(f) };
+    r.getCell(5).numFmt = FORMATO_XLSX.USD;
+    r.getCell(9).numFmt = FORMATO_XLSX.USD;
+    if (f.categoria !== "Materia") continue;
+    const m = mermaFila(f);
+    const om = origenMerma(f, input);
+    r.getCell(12).value = om.merma ? { formula: ref(om.merma), result: f.mermaPct ?? 0 } : f.mermaPct ?? 0;
+    r.getCell(13).value = f.purgaKgM ?? 0;
+    r.getCell(14).value = om.recupero ? { formula: ref(om.recupero), result: f.recuperoPct ?? 0 } : f.recuperoPct ?? 0;
+    r.getCell(15).value = { formula: `IF(H${n}="${si}",E${n}*(IF(D${n}="$/kg",F${n},G${n})*L${n}/100+M${n}),0)`, result: m.brutaUSDm };
+    r.getCell(16).value = { formula: `O${n}*(1-N${n}/100)`, result: m.netaUSDm };
+    r.getCell(15).numFmt = FORMATO_XLSX.USD;
+    r.getCell(16).numFmt = FORMATO_XLSX.USD;
+  }
+  negrita(wsDesglose);
+
+  const ultima = filas.length + 1;
+  const desglose = referenciaHoja(hojaDesglose);
+  const sumaCategoria = (cat: string) => `SUMIFS(${desglose}!$I$2:$I$${ultima},${desglose}!$B$2:$B$${ultima},"${t(`categoria.${cat}`)}")`;
+  const suma = (col: string) => `SUM(${desglose}!$${col}$2:$${col}$${ultima})`;
+  const formulas = [
+    sumaCategoria("Materia"),
+    suma("O"),
+    "B2+B3",
+    `${suma("O")}-${suma("P")}`,
+    suma("P"),
+    sumaCategoria("Proceso"),
+    "B2+B6+B7",
+    `B8*${ref("margenPct")}/100`,
+    "B8+B9",
+    `B10*${ref("tcARS")}`,
+    input.moneda === "USD" ? "B10" : `B10*${ref(CAMPO_TC[input.moneda])}`,
+  ];
+  const formatos = [...Array(9).fill(FORMATO_XLSX.USD), FORMATO_XLSX.ARS, FORMATO_XLSX[input.moneda]];
+  const wsResumen = wb.addWorksheet(nombreHoja(t, "resumen"));
+  wsResumen.columns = [{ header: t("planilla.concepto"), width: 24 }, { header: t("planilla.valor"), width: 14 }];
+  resumen(input, t).forEach((r, i) => {
+    const row = wsResumen.addRow([r.concepto, { formula: formulas[i], result: r.valor }]);
+    row.getCell(2).numFmt = formatos[i];
+  });
+  negrita(wsResumen);
+
+  return (await wb.xlsx.writeBuffer()) as ArrayBuffer;
+}
+
+/** Valor de una celda: el resultado si es fórmula, el texto plano si es texto enriquecido. */
+function valorCelda(v: ExcelJSType.CellValue): unknown {
+  if (v && typeof v === "object") {
+    if ("result" in v) return (v as { result?: unknown }).result;
+    if ("richText" in v) return (v as ExcelJSType.CellRichTextValue).richText.map(t => t.text).join("");
+    if ("text" in v) return (v as { text: unknown }).text;
+  }
+  return v;
+}
+
+export async function parseEstimateXLSX(data: ArrayBuffer): Promise<EstimateInput> {
+  const ExcelJS = await excelJS();
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(data);
+  } catch {
+    throw new Error("El archivo no es un XLSX válido");
+  }
+  // La hoja se busca por su nombre en cualquier idioma de exportación.
+  const hoja = (h: Hoja) => {
+    const ws = wb.worksheets.find(w => esHoja(w.name, h));
+    if (!ws) throw new Error(`El archivo no tiene la hoja "${variantes(`planilla.hoja.${h}`).join(" / ")}"`);
+    return ws;
+  };
+  const pares = (ws: ExcelJSType.Worksheet, columna = 2) => {
+    const out: Record<string, unknown> = {};
+    ws.eachRow((row, n) => {
+      const campo = String(valorCelda(row.getCell(1).value) ?? "").trim();
+      const valor = valorCelda(row.getCell(columna).value);
+      if (n > 1 && campo && valor !== null && valor !== undefined) out[campo] = valor;
+    });
+    return out;
+  };
+  const wsDesglose = hoja("desglose");
+  const desglose: FilaDesglose[] = [];
+  wsDesglose.eachRow((row, n) => {
+    if (n === 1) return;
+    desglose[n - 2] = Object.fromEntries(DESGLOSE_COLUMNAS.map((c, i) => [c, valorCelda(row.getCell(i + 1).value) ?? ""]));
+  });
+  const wsPrecios = hoja("precios");
+  return buildInput(pares(hoja("entradas")), pares(wsPrecios), pares(wsPrecios, 4), Array.from(desglose, r => r ?? {}));
+}
+
+/** Importa según la extensión: `.xlsx` o CSV. */
+export async function parseEstimateFile(fileName: string, data: ArrayBuffer): Promise<EstimateInput> {
+  if (fileName.toLowerCase().endsWith(".xlsx")) return parseEstimateXLSX(data);
+  return parseEstimateCSV(new TextDecoder("utf-8").decode(data));
+}
@@ -0,0 +1,96 @@
+/**
+ * Almacenamiento de colecciones (listas de precios, cotizaciones, …).
+ *
+ * Todas las colecciones se guardan detrás de la misma interfaz `Store<T>`, así
+ * el backend es intercambiable: `localStorage` del navegador o la API de
+ * Next.js (`/api/<coleccion>`) que persiste en archivos JSON del servidor.
+ * El backend se elige con `NEXT_PUBLIC_STORAGE` ("local" | "api"). Con "api",
+ * cada colección guarda además una copia en el navegador para trabajar sin
+ * conexión (`lib/offline.ts`).
+ */
+
+import { createOfflineStore, type OpcionesOffline } from "@/lib/offline";
+
+export type Entity = { id: string };
+
+export interface Store<T extends Entity> {
+  list(): Promise<T[]>;
+  get(id: string): Promise<T | undefined>;
+  save(item: T): Promise<T>;
+  remove(id: string): Promise<void>;
+}
+
+export function createLocalStorageStore<T extends Entity>(key: string): Store<T> {
+  const storageKey = `imsa-cce:${key}`;
+  const read = (): T[] => {
+    if (typeof window === "undefined") return [];
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey) ?? "[]");
+    } catch {
+      return [];
+    }
+  };
+  const write = (items: T[]) => window.localStorage.setItem(storageKey, JSON.stringify(items));
+
+  return {
+    async list() {
+      return read();
+    },
+    async get(id) {
+      return read().find(x => x.id === id);
+    },
+    async save(item) {
+      const items = read();
+      const i = items.findIndex(x => x.id === item.id);
+      if (i >= 0) items[i] = item; else items.push(item);
+      write(items);
+      return item;
+    },
+    async remove(id) {
+      write(read().filter(x => x.id !== id));
+    },
+  };
+}
+
+const CLAVE_USUARIO = "imsa-cce:usuario";
+
+/** Id del usuario activo en este navegador (`lib/users.ts`). */
+export function usuarioRecordado(): string | null {
+  return typeof window === "undefined" ? null : window.localStorage.getItem(CLAVE_USUARIO);
+}
+
+export function recordarUsuario(id: string) {
+  window.localStorage.setItem(CLAVE_USUARIO, id);
+}
+
+/** Store contra la API; cada pedido lleva el usuario activo en `X-Usuario` para las verificaciones del servidor. */
+export function createApiStore<T extends Entity>(endpoint: string): Store<T> {
+  async function request<R>(url: string, init?: RequestInit): Promise<R> {
+    const res = await fetch(url, { headers: { "Content-Type": "application/json", "X-Usuario": usuarioRecordado() ?? "" }, ...init });
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new Error(body.error ?? `Error ${res.status} en ${url}`);
+    }
+    return res.status === 204 ? (undefined as R) : res.json();
+  }
+
+  return {
+    list: () => request<T[]>(endpoint),
+    async get(id) {
+      try {
+        return await request<T>(`${endpoint}/${encodeURIComponent(id)}`);
+      } catch {
+        return undefined;
+      }
+    },
+    save: item => request<T>(endpoint, { method: "POST", body: JSON.stringify(item) }),
+    remove: id => request<void>(`${endpoint}/${encodeURIComponent(id)}`, { method: "DELETE" }),
+  };
+}
+
+/** Store de una colección según el backend configurado; `offline` la hace editable sin conexión (ver `lib/offline.ts`). */
+export function createStore<T extends Entity>(coleccion: string, offline?: OpcionesOffline<T>): Store<T> {
+  return process.env.NEXT_PUBLIC_STORAGE === "api"
+    ? createOfflineStore<T>(coleccion, createApiStore<T>(`/api/${coleccion}`), offline)
+    : createLocalStorageStore<T>(coleccion);
+}
@@ -0,0 +1,98 @@
+/**
+ * Usuarios locales con rol — sin proveedor de identidad externo.
+ *
+ *  vendedor: arma, guarda y presenta cotizaciones
+ *  gerente:  además aprueba o rechaza las que requieren aprobación
+ *  admin:    además administra la lista de usuarios
+ *
+ * La lista vive en la colección "users"; si está vacía se usan los usuarios
+ * de fábrica. El usuario activo de este navegador se recuerda en
+ * `localStorage` y viaja en cada pedido a la API: el servidor sólo acepta
+ * altas, cambios y bajas de usuarios de un administrador, y siempre deja uno.
+ */
+
+import { createStore } from "@/lib/storage";
+
+export { recordarUsuario, usuarioRecordado } from "@/lib/storage";
+
+export type Rol = "vendedor" | "gerente" | "admin";
+
+export type Usuario = {
+  id: string;
+  nombre: string;
+  rol: Rol;
+};
+
+export const ROLES: readonly { key: Rol; label: string }[] = [
+  { key: "vendedor", label: "Vendedor" },
+  { key: "gerente", label: "Gerente" },
+  { key: "admin", label: "Administrador" },
+];
+
+export const USUARIOS_BASE: readonly Usuario[] = [
+  { id: "admin", nombre: "Administrador", rol: "admin" },
+  { id: "gerencia", nombre: "Gerencia comercial", rol: "gerente" },
+  { id: "ventas", nombre: "Ventas", rol: "vendedor" },
+];
+
+export const userStore = createStore<Usuario>("users");
+
+/** Usuarios guardados por nombre, o los de fábrica si todavía no hay ninguno. */
+export async function listarUsuarios(store = userStore): Promise<Usuario[]> {
+  const guardados = await store.list();
+  return guardados.length ? guardados.sort((a, b) => a.nombre.localeCompare(b.nombre)) : [...USUARIOS_BASE];
+}
+
+/** La primera modificación copia los usuarios de fábrica a la colección, así no desaparecen (el panel y la API). */
+export async function sembrarUsuarios(store = userStore) {
+  if (!(await store.list()).length) for (const u of USUARIOS_BASE) await store.save(u);
+}
+
+function verificarAdmin(usuarios: readonly Usuario[]) {
+  if (!usuarios.some(u => u.rol === "admin")) throw new Error("Tiene que quedar al menos un administrador");
+}
+
+export async function guardarUsuario(u: Usuario, store = userStore): Promise<Usuario> {
+  const nuevo = parseUsuario(u);
+  verificarAdmin([...(await listarUsuarios(store)).filter(x => x.id !== nuevo.id), nuevo]);
+  await sembrarUsuarios(store);
+  return store.save(nuevo);
+}
+
+export async function eliminarUsuario(id: string, store = userStore) {
+  verificarAdmin((await listarUsuarios(store)).filter(x => x.id !== id));
+  await sembrarUsuarios(store);
+  await store.remove(id);
+}
+
+/** Verificación de la API al guardar un usuario; `actor` es el usuario activo de quien pide. */
+export function verificarGuardado(nuevo: Usuario, usuarios: readonly Usuario[], actor: string | undefined) {
+  verificarActor(usuarios, actor);
+  verificarAdmin([...usuarios.filter(x => x.id !== nuevo.id), nuevo]);
+}
+
+/** Verificación de la API al eliminar un usuario. */
+export function verificarEliminacion(u: Usuario, usuarios: readonly Usuario[], actor: string | undefined) {
+  verificarActor(usuarios, actor);
+  verificarAdmin(usuarios.filter(x => x.id !== u.id));
+}
+
+function verificarActor(usuarios: readonly Usuario[], actor: string | undefined) {
+  if (!puedeAdministrar(usuarios.find(u => u.id === actor))) throw new Error("Sólo un administrador puede modificar usuarios y roles");
+}
+
+export const puedeAprobar = (u: Pick<Usuario, "rol"> | undefined) => u?.rol === "gerente" || u?.rol === "admin";
+export const puedeAdministrar = (u: Pick<Usuario, "rol"> | undefined) => u?.rol === "admin";
+
+/** Valida un usuario (API y panel de usuarios). */
+export function parseUsuario(body: unknown): Usuario {
+  const b = (body && typeof body === "object" ? body : {}) as Record<string, unknown>;
+  const errores: string[] = [];
+  const id = String(b.id ?? "").trim();
+  const nombre = String(b.nombre ?? "").trim();
+  if (!/^[a-z0-9][a-z0-9._-]*$/.test(id)) errores.push("id: usar minúsculas, números, puntos y guiones");
+  if (!nombre) errores.push("nombre: requerido");
+  if (!ROLES.some(r => r.key === b.rol)) errores.push(`rol: usar ${ROLES.map(r => r.key).join(" / ")}`);
+  if (errores.length) throw new Error(errores.join("; "));
+  return { id, nombre, rol: b.rol as Rol };
+}
@@ -0,0 +1,205 @@
+/**
+ * Validación de la entrada del motor.
+ *
+ * Devuelve hallazgos por campo con dos severidades:
+ *  - error: el valor no se puede calcular (vacío, negativo, fuera de las
+ *    opciones del catálogo, conductor que IEC 60228 no define). Con errores
+ *    los totales no son confiables.
+ *  - advertencia: la combinación se calcula pero es dudosa desde ingeniería o
+ *    comercial (fases/tipología, pantalla chica para la tensión, armadura sin
+ *    asiento, WB radial sin capa metálica, margen bajo el piso).
+ *
+ * Los mínimos por clase de tensión salen de `data/aislacion.json`; el piso de
+ * margen se configura con `NEXT_PUBLIC_MARGEN_MINIMO_PCT` y el asiento mínimo
+ * bajo la armadura con `NEXT_PUBLIC_ASIENTO_ARMADURA_MIN_MM`.
+ *
+ * Cada hallazgo es un `Mensaje` (`validacion.*` con sus variables) que la UI
+ * traduce; `mensaje` es el mismo texto en español, el que devuelve la API y
+ * escriben las exportaciones.
+ */
+
+import { catalogo, vaina, type Catalogo } from "@/lib/catalog";
+import { CLASES_CONDUCTOR, datosClase, esReunido, formasAdmitidas, resistenciaMaxima, TABLA_CONDUCTORES } from "@/lib/conductor";
+import type { EstimateInput } from "@/lib/cost-engine";
+import { MONEDAS } from "@/lib/currency";
+import { cableGeometry } from "@/lib/geometry";
+import { claseTension, espesorAislacion, materialAislacion } from "@/lib/insulation";
+import { mensaje as m, traducir, type Mensaje, type Variables } from "@/lib/i18n";
+import { FILAS_MERMA } from "@/lib/scrap";
+
+export type Severidad = "error" | "advertencia";
+
+export type Hallazgo = Mensaje & {
+  campo: string; // clave de la entrada: "seccion", "pxAislacionKg.XLPE", "extras[0].precio"
+  severidad: Severidad;
+  mensaje: string; // en español
+};
+
+export type ReglasValidacion = {
+  margenMinimoPct: number;
+  asientoArmaduraMinMM: number; // espesor de asiento exigido debajo de la armadura
+};
+
+export const REGLAS_VALIDACION: ReglasValidacion = {
+  margenMinimoPct: Number(process.env.NEXT_PUBLIC_MARGEN_MINIMO_PCT ?? 10),
+  asientoArmaduraMinMM: Number(process.env.NEXT_PUBLIC_ASIENTO_ARMADURA_MIN_MM ?? 1),
+};
+
+/** Campos de la especificación: sus hallazgos dependen de la construcción, no de precios ni márgenes. */
+export const CAMPOS_ESPECIFICACION: ReadonlySet<string> = new Set([
+  "metal", "fases", "tipologia", "seccion", "claseConductor", "formaConductor", "disenoPorResistencia",
+  "tension", "aislacion", "sheathKey", "pantallaMM2", "armadura", "kgmArmadura", "useWBLong", "useWBRad",
+]);
+
+type Minimo = "cero" | "positivo";
+
+// Campos numéricos de la entrada y su mínimo admitido; el nombre es `validacion.campo.<campo>`.
+const NUMERICOS: readonly [keyof EstimateInput, Minimo][] = [
+  ["seccion", "positivo"],
+  ["pantallaMM2", "cero"],
+  ["pxCu", "cero"],
+  ["pxAl", "cero"],
+  ["pxWBLong", "cero"],
+  ["pxWBRad", "cero"],
+  ["pxVainaBase", "cero"],
+  ["pxArmaduraKg", "cero"],
+  ["pxSemiconKg", "cero"],
+  ["pxEnergiaKWh", "cero"],
+  ["lmeCuUSDt", "cero"],
+  ["lmeAlUSDt", "cero"],
+  ["mermasPct", "cero"],
+  ["indirectosUSDm", "cero"],
+  ["longitudPedidoM", "positivo"],
+  ["margenPct", "cero"],
+  ["tcARS", "positivo"],
+  ["tcEUR", "positivo"],
+  ["tcBRL", "positivo"],
+];
+
+// Fila de merma por su nombre traducido; una fila desconocida queda con su id.
+const filaMerma = (id: string): string | Mensaje => (FILAS_MERMA.some(f => f.id === id) ? m(`filaMerma.${id}`) : id);
+
+function numero(nombre: Mensaje, v: unknown, minimo: Minimo): Mensaje | null {
+  if (typeof v !== "number" || !Number.isFinite(v)) return m("validacion.numero", { campo: nombre });
+  if (minimo === "positivo" && v <= 0) return m("validacion.positivo", { campo: nombre });
+  if (v < 0) return m("validacion.negativo", { campo: nombre });
+  return null;
+}
+
+export function validarEntrada(p: EstimateInput, reglas: ReglasValidacion = REGLAS_VALIDACION, cat: Catalogo = catalogo()): Hallazgo[] {
+  const out: Hallazgo[] = [];
+  const hallazgo = (severidad: Severidad) => (campo: string, msg: Mensaje) => out.push({ campo, severidad, ...msg, mensaje: traducir("es", msg) });
+  const error = hallazgo("error");
+  const advertencia = hallazgo("advertencia");
+
+  // --- Errores por campo ---
+  if (p.metal !== "Cobre" && p.metal !== "Aluminio") error("metal", m("validacion.metalDesconocido", { metal: p.metal }));
+  if (p.fases !== 1 && p.fases !== 3) error("fases", m("validacion.fases"));
+  if (p.tipologia !== "unipolar" && p.tipologia !== "tripolar") error("tipologia", m("validacion.tipologiaDesconocida", { tipologia: p.tipologia }));
+  const claseConductor = datosClase(p.claseConductor);
+  if (!claseConductor) {
+    error("claseConductor", m("validacion.claseDesconocida", { clase: p.claseConductor, opciones: CLASES_CONDUCTOR.map(c => c.clase).join(" / ") }));
+  } else if (!formasAdmitidas(p.claseConductor).includes(p.formaConductor)) {
+    error("formaConductor", m("validacion.formaNoAdmitida", {
+      clase: m(`conductor.clase.${p.claseConductor}`),
+      forma: p.formaConductor,
+      formas: formasAdmitidas(p.claseConductor).join(" / "),
+    }));
+  }
+  const clase = claseTension(p.tension);
+  if (!clase || !cat.tensiones.some(t => t.tension === p.tension)) error("tension", m("validacion.tensionFueraCatalogo", { tension: p.tension }));
+  if (!cat.aislaciones.some(a => a.key === p.aislacion)) error("aislacion", m("validacion.aislacionFueraCatalogo", { aislacion: p.aislacion }));
+  if (!vaina(p.sheathKey, cat)) error("sheathKey", m("validacion.vainaFueraCatalogo", { vaina: p.sheathKey }));
+  if (!MONEDAS.some(x => x.key === p.moneda)) error("moneda", m("validacion.monedaDesconocida", { moneda: p.moneda }));
+
+  const campo = (nombre: string, vars?: Variables) => m(`validacion.campo.${nombre}`, vars);
+  for (const [c, minimo] of NUMERICOS) {
+    const e = numero(campo(c), p[c], minimo);
+    if (e) error(c, e);
+  }
+  if (p.mermasPct > 100) error("mermasPct", m("validacion.maximo100", { campo: campo("mermasPct") }));
+  // Mermas y recupero por fila: porcentajes entre 0 y 100.
+  const porcentaje = (c: string, nombre: Mensaje, v: unknown) => {
+    const e = numero(nombre, v, "cero") ?? (typeof v === "number" && v > 100 ? m("validacion.maximo100", { campo: nombre }) : null);
+    if (e) error(c, e);
+  };
+  for (const [id, pct] of Object.entries(p.mermasFilaPct ?? {})) porcentaje(`mermasFilaPct.${id}`, campo("mermaFila", { fila: filaMerma(id) }), pct);
+  for (const [id, pct] of Object.entries(p.recuperoPct ?? {})) porcentaje(`recuperoPct.${id}`, campo("recuperoFila", { fila: filaMerma(id) }), pct);
+  if (p.armadura) {
+    const e = numero(campo("kgmArmadura"), p.kgmArmadura, "positivo");
+    if (e) error("kgmArmadura", e);
+  }
+  for (const [material, px] of Object.entries(p.pxAislacionKg)) {
+    const e = numero(campo("pxAislacion", { material }), px, "cero");
+    if (e) error(`pxAislacionKg.${material}`, e);
+  }
+  for (const [id, px] of Object.entries(p.pxPlantillas ?? {})) {
+    const e = numero(campo("pxPlantilla", { id }), px, "cero");
+    if (e) error(`pxPlantillas.${id}`, e);
+  }
+  (p.extras ?? []).forEach((r, i) => {
+    const c = `extras[${i}]`;
+    const extra = (dato: string) => campo("extra", { n: i + 1, nombre: r.nombre || m("validacion.extra.sinNombre"), dato: m(`validacion.extra.${dato}`) });
+    if (!r.nombre.trim()) error(`${c}.nombre`, m("validacion.extra.faltaNombre", { n: i + 1 }));
+    for (const k of ["precio", "kgPorMetro", "metros"] as const) {
+      const e = numero(extra(k), r[k], "cero");
+      if (e) error(`${c}.${k}`, e);
+    }
+    if (r.mermaPct !== undefined) porcentaje(`${c}.mermaPct`, extra("merma"), r.mermaPct);
+    if (r.recuperoPct !== undefined) porcentaje(`${c}.recuperoPct`, extra("recupero"), r.recuperoPct);
+    if (r.reglaKg) {
+      const e = numero(extra("factorKg"), r.reglaKg.factor, "cero");
+      if (e) error(`${c}.kgPorMetro`, e);
+    }
+  });
+
+  // --- Advertencias entre campos (sólo sobre una especificación calculable) ---
+  if (out.some(h => ["metal", "fases", "tipologia", "tension", "aislacion", "seccion", "pantallaMM2", "claseConductor", "formaConductor"].includes(h.campo))) return out;
+
+  // La construcción del conductor tiene que existir en IEC 60228: son errores aunque dependan de otros campos.
+  if (resistenciaMaxima(p.claseConductor, p.metal, p.seccion) === null) {
+    error("claseConductor", m("validacion.conductorNoDefinido", {
+      norma: TABLA_CONDUCTORES.norma, clase: m(`validacion.clase.${p.claseConductor}`), metal: m(`validacion.metal.${p.metal}`), seccion: p.seccion,
+    }));
+  }
+  if (p.formaConductor === "sectorial" && !esReunido(p)) {
+    error("formaConductor", m("validacion.sectorialTripolar"));
+  } else if (p.formaConductor === "sectorial" && p.seccion < TABLA_CONDUCTORES.seccionMinSectorialMM2) {
+    error("formaConductor", m("validacion.sectorialMinimo", { minimo: TABLA_CONDUCTORES.seccionMinSectorialMM2 }));
+  }
+
+  if (p.tipologia === "unipolar" && p.fases === 3) advertencia("tipologia", m("validacion.unipolarTresFases"));
+  if (p.tipologia === "tripolar" && p.fases === 1) advertencia("tipologia", m("validacion.tripolarUnaFase"));
+  if (clase && p.seccion < clase.seccionMinMM2) {
+    advertencia("seccion", m("validacion.seccionMinima", { seccion: p.seccion, minimo: clase.seccionMinMM2, clase: clase.clase }));
+  }
+  if (clase && p.pantallaMM2 < clase.pantallaMinMM2) {
+    advertencia("pantallaMM2", p.pantallaMM2 === 0
+      ? m("validacion.sinPantalla", { clase: clase.clase, minimo: clase.pantallaMinMM2 })
+      : m("validacion.pantallaMinima", { pantalla: p.pantallaMM2, minimo: clase.pantallaMinMM2, clase: clase.clase }));
+  }
+  if (espesorAislacion(p.tension, p.seccion, p.aislacion) === null) {
+    advertencia("aislacion", m("validacion.aislacionNoAplica", { material: materialAislacion(p.aislacion).label, tension: p.tension }));
+  }
+  if (p.armadura) {
+    const asiento = cableGeometry(p, cat).capas.find(c => c.id === "asiento" && c.kgPorMetro > 0);
+    if (!asiento) advertencia("armadura", m("validacion.armaduraSinAsiento"));
+    else if (asiento.espesorMM < reglas.asientoArmaduraMinMM) {
+      advertencia("armadura", m("validacion.asientoMinimo", { espesor: asiento.espesorMM, minimo: reglas.asientoArmaduraMinMM }));
+    }
+  }
+  if (p.useWBRad && p.pantallaMM2 === 0) advertencia("useWBRad", m("validacion.wbRadialSinPantalla"));
+  if (p.margenPct < reglas.margenMinimoPct) {
+    advertencia("margenPct", m("validacion.margenMinimo", { margen: p.margenPct, minimo: reglas.margenMinimoPct }));
+  }
+  return out;
+}
+
+export const errores = (h: Hallazgo[]) => h.filter(x => x.severidad === "error");
+export const advertencias = (h: Hallazgo[]) => h.filter(x => x.severidad === "advertencia");
+export const esValida = (h: Hallazgo[]) => !h.some(x => x.severidad === "error");
+
+/** Primer error de un campo, para mostrarlo (traducido) junto al input. */
+export function errorDe(h: Hallazgo[], campo: string): Hallazgo | undefined {
+  return h.find(x => x.campo === campo && x.severidad === "error");
+}
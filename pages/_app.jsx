@@ -1,5 +1,40 @@
+import { useEffect } from 'react'
+import Head from 'next/head'
 import '../styles/globals.css'
 
+// Archivos de Next que ya cargó la página y los de las demás páginas (manifiesto del build), para que el
+// service worker los guarde: en la primera visita se bajan antes de que él controle la página.
+function archivosDeLaAplicacion() {
+  const cargados = performance.getEntriesByType('resource').map(e => e.name)
+  const manifiesto = Object.values(window.__BUILD_MANIFEST ?? {})
+    .filter(Array.isArray)
+    .flat()
+    .filter(f => typeof f === 'string' && f.startsWith('static/'))
+    .map(f => `/_next/${f}`)
+  return Array.from(new Set([...cargados, ...manifiesto]))
+}
+
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  // Instalable y sin conexión (public/sw.js). En desarrollo no: serviría código viejo.
+  useEffect(() => {
+    if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(reg => reg.active?.postMessage({ tipo: 'precargar', urls: archivosDeLaAplicacion() }))
+        // Sin service worker la aplicación anda igual, sólo que no sin conexión.
+        .catch(() => undefined)
+    }
+  }, [])
+
+  return (
+    <>
+      <Head>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="theme-color" content="#dc2626" />
+        <link rel="manifest" href="/manifest.webmanifest" />
+        <link rel="apple-touch-icon" href="/icons/icon-192.png" />
+      </Head>
+      <Component {...pageProps} />
+    </>
+  )
 }
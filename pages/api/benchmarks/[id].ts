@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Antecedente } from "@/lib/benchmarking";
+
+export default itemHandler(createJsonFileStore<Antecedente>("benchmarks"));
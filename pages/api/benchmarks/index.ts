@@ -0,0 +1,5 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { parseAntecedente, type Antecedente } from "@/lib/benchmarking";
+
+export default collectionHandler(createJsonFileStore<Antecedente>("benchmarks"), parseAntecedente);
@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Catalogo } from "@/lib/catalog";
+
+export default itemHandler(createJsonFileStore<Catalogo>("catalog"));
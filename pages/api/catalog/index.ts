@@ -0,0 +1,5 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { parseCatalogo, type Catalogo } from "@/lib/catalog";
+
+export default collectionHandler(createJsonFileStore<Catalogo>("catalog"), parseCatalogo);
@@ -0,0 +1,6 @@
+import { batchHandler } from "@/lib/server/estimate-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Catalogo } from "@/lib/catalog";
+import type { PriceList } from "@/lib/price-lists";
+
+export default batchHandler(createJsonFileStore<PriceList>("price-lists"), createJsonFileStore<Catalogo>("catalog"));
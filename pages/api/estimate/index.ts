@@ -0,0 +1,6 @@
+import { estimateHandler } from "@/lib/server/estimate-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Catalogo } from "@/lib/catalog";
+import type { PriceList } from "@/lib/price-lists";
+
+export default estimateHandler(createJsonFileStore<PriceList>("price-lists"), createJsonFileStore<Catalogo>("catalog"));
@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { TablaCambio } from "@/lib/currency";
+
+export default itemHandler(createJsonFileStore<TablaCambio>("exchange-rates"));
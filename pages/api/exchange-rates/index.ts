@@ -0,0 +1,5 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { parseTablaCambio, type TablaCambio } from "@/lib/currency";
+
+export default collectionHandler(createJsonFileStore<TablaCambio>("exchange-rates"), parseTablaCambio);
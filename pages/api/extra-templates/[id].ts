@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { PlantillaExtra } from "@/lib/extra-templates";
+
+export default itemHandler(createJsonFileStore<PlantillaExtra>("extra-templates"));
@@ -0,0 +1,5 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { parsePlantilla, type PlantillaExtra } from "@/lib/extra-templates";
+
+export default collectionHandler(createJsonFileStore<PlantillaExtra>("extra-templates"), body => parsePlantilla(body));
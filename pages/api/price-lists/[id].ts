@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { PriceList } from "@/lib/price-lists";
+
+export default itemHandler(createJsonFileStore<PriceList>("price-lists"));
@@ -0,0 +1,5 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { parsePriceList, type PriceList } from "@/lib/price-lists";
+
+export default collectionHandler(createJsonFileStore<PriceList>("price-lists"), parsePriceList);
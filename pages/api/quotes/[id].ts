@@ -0,0 +1,5 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { verificarBorrado, type Quote } from "@/lib/quotes";
+
+export default itemHandler(createJsonFileStore<Quote>("quotes"), verificarBorrado);
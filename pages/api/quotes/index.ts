@@ -0,0 +1,11 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { valoresDeLista, type PriceList } from "@/lib/price-lists";
+import { parseQuote, verificarHistorial, type Quote } from "@/lib/quotes";
+import { listarUsuarios, type Usuario } from "@/lib/users";
+
+const usuarios = createJsonFileStore<Usuario>("users");
+const listas = createJsonFileStore<PriceList>("price-lists");
+
+export default collectionHandler(createJsonFileStore<Quote>("quotes"), parseQuote, async (anterior, q, actor) =>
+  verificarHistorial(anterior, q, await listarUsuarios(usuarios), await valoresDeLista(q.priceList.id, listas), actor));
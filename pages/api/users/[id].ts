@@ -0,0 +1,13 @@
+import { itemHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import type { Store } from "@/lib/storage";
+import { listarUsuarios, sembrarUsuarios, verificarEliminacion, type Usuario } from "@/lib/users";
+
+const store = createJsonFileStore<Usuario>("users");
+// Mientras la colección esté vacía, los usuarios de fábrica también se encuentran (y se verifican al eliminarlos).
+const usuarios: Store<Usuario> = { ...store, get: async id => (await listarUsuarios(store)).find(u => u.id === id) };
+
+export default itemHandler(usuarios, async (u, actor) => {
+  verificarEliminacion(u, await listarUsuarios(store), actor);
+  await sembrarUsuarios(store);
+});
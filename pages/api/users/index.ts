@@ -0,0 +1,11 @@
+import { collectionHandler } from "@/lib/server/collection-api";
+import { createJsonFileStore } from "@/lib/server/json-file-store";
+import { listarUsuarios, parseUsuario, sembrarUsuarios, verificarGuardado, type Usuario } from "@/lib/users";
+
+const store = createJsonFileStore<Usuario>("users");
+
+// Verifica contra los usuarios de fábrica mientras la colección esté vacía, y los copia antes de guardar.
+export default collectionHandler(store, parseUsuario, async (_anterior, u, actor) => {
+  verificarGuardado(u, await listarUsuarios(store), actor);
+  await sembrarUsuarios(store);
+});
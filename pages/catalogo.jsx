@@ -0,0 +1,5 @@
+import CatalogAdmin from '../components/CatalogAdmin'
+
+export default function Catalogo() {
+  return <CatalogAdmin />
+}
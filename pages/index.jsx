@@ -1,5 +1,8 @@
+import { useRouter } from 'next/router'
 import CableCostEstimator from '../components/CableCostEstimator'
 
+// `?c=` trae una estimación compartida con "Copiar enlace" (lib/share-link.ts).
 export default function Home() {
-  return <CableCostEstimator />
+  const { query, isReady } = useRouter()
+  return <CableCostEstimator enlace={isReady && typeof query.c === 'string' ? query.c : null} />
 }
@@ -0,0 +1,71 @@
+/**
+ * Service worker del estimador: deja la aplicación disponible sin conexión.
+ *
+ * - Páginas: primero la red; sin red, la última copia de la página (o la
+ *   principal). Los parámetros (`?c=` de los enlaces) no cuentan.
+ * - `/_next/static/`: primero la copia (los nombres llevan hash). En la
+ *   primera visita la página los carga antes de que el worker la controle:
+ *   al registrarlo, la página le manda la lista (`precargar`) y se guardan.
+ * - Íconos, manifiesto y demás: la copia y se actualiza en segundo plano.
+ * - `/api/`: no pasa por acá; los datos sin conexión los guarda
+ *   `lib/offline.ts`, que además detecta los conflictos al sincronizar.
+ *
+ * Al cambiar lo que se guarda, subir VERSION: la activación borra las copias viejas.
+ */
+
+const VERSION = "v2";
+const CACHE = `imsa-cce-${VERSION}`;
+const PRECARGA = ["/", "/catalogo", "/manifest.webmanifest", "/icons/icon-192.png", "/icons/icon-512.png"];
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(c => c.addAll(PRECARGA)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(claves => Promise.all(claves.filter(k => k.startsWith("imsa-cce-") && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("message", event => {
+  if (event.data?.tipo !== "precargar" || !Array.isArray(event.data.urls)) return;
+  const urls = event.data.urls.filter(u => new URL(u, self.location.origin).pathname.startsWith("/_next/static/"));
+  event.waitUntil(caches.open(CACHE).then(c => Promise.all(urls.map(async u => {
+    if (!(await c.match(u))) await c.add(u).catch(() => undefined); // uno que falle no frena al resto
+  }))));
+});
+
+async function guardar(clave, respuesta) {
+  if (respuesta.ok) await (await caches.open(CACHE)).put(clave, respuesta.clone());
+  return respuesta;
+}
+
+async function pagina(request) {
+  const clave = new URL(request.url).pathname;
+  try {
+    return await guardar(clave, await fetch(request));
+  } catch {
+    return (await caches.match(clave)) ?? (await caches.match("/")) ?? Response.error();
+  }
+}
+
+async function primeroCopia(request) {
+  return (await caches.match(request)) ?? guardar(request, await fetch(request));
+}
+
+async function copiaYActualiza(request) {
+  const copia = await caches.match(request);
+  const red = fetch(request).then(r => guardar(request, r)).catch(() => copia ?? Response.error());
+  return copia ?? red;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (request.mode === "navigate") event.respondWith(pagina(request));
+  else if (url.pathname.startsWith("/_next/static/")) event.respondWith(primeroCopia(request));
+  else event.respondWith(copiaYActualiza(request));
+});